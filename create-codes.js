@@ -1,155 +1,125 @@
 require('dotenv').config()
-const { Pool } = require('pg')
 const fs = require('fs')
 const path = require('path')
+const { pool } = require('./lib/db')
+const { migrate } = require('./lib/migrate')
+const {
+  CODE_STATUSES,
+  resolveCodeOptions,
+  createCodes,
+  listCodes,
+  countCodes,
+  revokeCodes,
+  formatCodeLine
+} = require('./lib/access-codes')
 
-if (!process.env.DATABASE_URL) {
-  console.error('❌ DATABASE_URL не встановлено в .env файлі!')
-  process.exit(1)
+// Коди доступу (схему БД оновлює так само, як бот при запуску — міграціями):
+//   node create-codes.js [--count 30] [--course slug] [--cohort NAME] [--expires YYYY-MM-DD]
+//                        [--max-uses N] [--prefix PON] [--label "поток Март"]
+//   node create-codes.js list [active|used|expired|revoked|all] [--label "..."]
+//   node create-codes.js revoke CODE
+//   node create-codes.js revoke --label "..."
+
+function getFlag(args, name) {
+  const index = args.indexOf(name)
+  return index !== -1 ? args[index + 1] : undefined
+}
+
+async function printStats(label) {
+  const counts = await countCodes({ label })
+  console.log(`\n📊 Статистика кодів${label ? ` (${label})` : ''}:`)
+  console.log(`   Активні: ${counts.active}`)
+  console.log(`   Використані: ${counts.used}`)
+  console.log(`   Прострочені: ${counts.expired}`)
+  console.log(`   Відкликані: ${counts.revoked}`)
+}
+
+async function generate(args) {
+  const options = await resolveCodeOptions(args)
+
+  console.log(`📝 Створення ${options.count} унікальних кодів доступу...\n`)
+  console.log(`   Курс: ${options.course.slug}${options.cohort ? `, потік ${options.cohort.name}` : ''}`)
+  console.log(`   Активацій на код: ${options.maxUses}`)
+  if (options.expiresOn) {
+    console.log(`   Діють до: ${options.expiresOn} включно`)
+  }
+  if (options.label) {
+    console.log(`   Мітка: ${options.label}`)
+  }
+
+  const codes = await createCodes(options)
+  console.log('')
+  codes.forEach(code => console.log(`   ✅ ${code}`))
+
+  await printStats()
+
+  console.log('\n✅ Готово! Унікальні коди створені.')
+
+  // Зберігаємо коди в файл для зручності
+  const codesFilePath = path.join(__dirname, 'access_codes.txt')
+  fs.writeFileSync(codesFilePath, codes.join('\n'), 'utf8')
+  console.log(`\n💾 Коди збережено в файл: access_codes.txt`)
+
+  // Також створюємо файл з форматуванням для менеджера
+  const managerFilePath = path.join(__dirname, 'access_codes_for_manager.txt')
+  const managerText = `Коди доступу для учнів PON School:\n\n${codes.map((code, index) => `${index + 1}. ${code}`).join('\n')}\n\n` +
+    (options.expiresOn ? `Коди дійсні до ${options.expiresOn} включно.\n\n` : '') +
+    'Інструкція для учнів:\n1. Відкрий бота в Telegram\n2. Надішли команду: /activate КОД\n3. Після активації напиши: /start'
+  fs.writeFileSync(managerFilePath, managerText, 'utf8')
+  console.log(`📄 Файл для менеджера: access_codes_for_manager.txt`)
+
+  console.log('\n💡 Роздай ці коди учням, вони зможуть активувати їх командою:')
+  console.log(`   /activate ${options.prefix}-XXXXXXXX`)
+}
+
+async function list(args) {
+  const status = args[0] && !args[0].startsWith('--') ? args[0] : 'active'
+  if (status !== 'all' && !CODE_STATUSES.includes(status)) {
+    throw new Error(`Статус має бути одним з: ${CODE_STATUSES.join(', ')}, all`)
+  }
+
+  const label = getFlag(args, '--label')
+  const codes = await listCodes({ status: status === 'all' ? null : status, label, limit: 1000 })
+  console.log(`🔑 Коди (${status}):\n`)
+  codes.forEach(code => console.log(`   ${formatCodeLine(code)}${status === 'all' ? ` [${code.status}]` : ''}`))
+  if (!codes.length) {
+    console.log('   —')
+  }
+  await printStats(label)
+}
+
+async function revoke(args) {
+  const label = getFlag(args, '--label')
+  const code = label ? null : args[0]
+  if (!code && !label) {
+    throw new Error('Вкажи код або --label')
+  }
+
+  const count = await revokeCodes({ code, label })
+  console.log(`✅ Відкликано кодів: ${count}`)
 }
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.DATABASE_URL.includes('localhost') 
-    ? false 
-    : { rejectUnauthorized: false }
-})
-
-async function createAccessCodes() {
-  try {
-    console.log('🔗 Підключення до бази даних...')
-    
-    // Перевірка з'єднання
-    await pool.query('SELECT NOW()')
-    console.log('✅ Підключено до БД\n')
-
-    // Створюємо таблицю access_codes, якщо не існує
-    console.log('🔧 Перевірка таблиці access_codes...')
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS access_codes (
-        id SERIAL PRIMARY KEY,
-        code VARCHAR(50) UNIQUE NOT NULL,
-        is_used BOOLEAN DEFAULT FALSE,
-        used_by_telegram_id BIGINT,
-        used_at TIMESTAMP,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `)
-    
-    // Створюємо індекси
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_access_codes_code ON access_codes(code)
-    `)
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_access_codes_used ON access_codes(is_used)
-    `)
-    
-    console.log('✅ Таблиця access_codes готова\n')
-
-    // Кількість кодів для створення (можна змінити)
-    const numberOfCodes = 30
-    
-    console.log(`📝 Створення ${numberOfCodes} унікальних кодів доступу...\n`)
-
-    // Функція для генерації випадкового коду
-    function generateRandomCode() {
-      const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789' // Виключив 0, O, I, 1 для уникнення плутанини
-      const length = 8
-      let code = ''
-      for (let i = 0; i < length; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length))
-      }
-      return `PON-${code}`
-    }
-
-    // Генеруємо унікальні коди
-    const codes = []
-    const existingCodes = new Set()
-    
-    // Отримуємо існуючі коди з БД
-    const existing = await pool.query('SELECT code FROM access_codes')
-    existing.rows.forEach(row => existingCodes.add(row.code))
-    
-    while (codes.length < numberOfCodes) {
-      const code = generateRandomCode()
-      if (!existingCodes.has(code) && !codes.includes(code)) {
-        codes.push(code)
-        existingCodes.add(code)
-      }
-    }
-
-    // Вставляємо коди в БД
-    for (const code of codes) {
-      try {
-        await pool.query(
-          'INSERT INTO access_codes (code, is_used, created_at) VALUES ($1, FALSE, NOW()) ON CONFLICT (code) DO NOTHING',
-          [code]
-        )
-        console.log(`   ✅ ${code}`)
-      } catch (err) {
-        if (err.code === '23505') { // Unique violation
-          console.log(`   ⚠️  ${code} (вже існує)`)
-        } else {
-          console.error(`   ❌ ${code} - помилка:`, err.message)
-        }
-      }
-    }
-
-    // Показуємо статистику
-    const stats = await pool.query(`
-      SELECT 
-        COUNT(*) as total,
-        COUNT(*) FILTER (WHERE is_used = FALSE) as unused,
-        COUNT(*) FILTER (WHERE is_used = TRUE) as used
-      FROM access_codes
-    `)
-
-    const statsRow = stats.rows[0]
-    console.log('\n📊 Статистика кодів:')
-    console.log(`   Всього: ${statsRow.total}`)
-    console.log(`   Не використано: ${statsRow.unused}`)
-    console.log(`   Використано: ${statsRow.used}`)
-
-    // Показуємо невикористані коди
-    const unusedCodes = await pool.query(
-      'SELECT code FROM access_codes WHERE is_used = FALSE ORDER BY code LIMIT 10'
-    )
-
-    if (unusedCodes.rows.length > 0) {
-      console.log('\n📋 Перші 10 невикористаних кодів:')
-      unusedCodes.rows.forEach(row => {
-        console.log(`   ${row.code}`)
-      })
-    }
-
-    console.log('\n✅ Готово! Унікальні коди створені.')
-    
-    // Зберігаємо коди в файл для зручності
-    const codesFilePath = path.join(__dirname, 'access_codes.txt')
-    const codesText = codes.join('\n')
-    fs.writeFileSync(codesFilePath, codesText, 'utf8')
-    console.log(`\n💾 Коди збережено в файл: access_codes.txt`)
-    
-    // Також створюємо файл з форматуванням для менеджера
-    const managerFilePath = path.join(__dirname, 'access_codes_for_manager.txt')
-    const managerText = `Коди доступу для учнів PON School:\n\n${codes.map((code, index) => `${index + 1}. ${code}`).join('\n')}\n\nІнструкція для учнів:\n1. Відкрий бота в Telegram\n2. Надішли команду: /activate КОД\n3. Після активації напиши: /start`
-    fs.writeFileSync(managerFilePath, managerText, 'utf8')
-    console.log(`📄 Файл для менеджера: access_codes_for_manager.txt`)
-    
-    console.log('\n💡 Роздай ці коди учням, вони зможуть активувати їх командою:')
-    console.log('   /activate PON-XXXXXXXX')
-    console.log('\n📝 Всі створені коди:')
-    codes.forEach((code, index) => console.log(`   ${index + 1}. ${code}`))
-    
-    console.log('\n📋 Для копіювання всіх кодів відкрий файл: access_codes.txt')
-
-  } catch (error) {
-    console.error('❌ Помилка:', error.message)
-    process.exit(1)
-  } finally {
-    await pool.end()
+async function main() {
+  console.log('🔗 Підключення до бази даних...')
+  await pool.query('SELECT NOW()')
+  await migrate()
+  console.log('✅ Підключено до БД\n')
+
+  const [command, ...args] = process.argv.slice(2)
+  switch (command) {
+    case 'list':
+      return list(args)
+    case 'revoke':
+      return revoke(args)
+    default:
+      return generate(process.argv.slice(2))
   }
 }
 
 // Запускаємо
-createAccessCodes()
+main()
+  .catch(err => {
+    console.error('❌ Помилка:', err.message)
+    process.exitCode = 1
+  })
+  .finally(() => pool.end())
@@ -0,0 +1,259 @@
+const crypto = require('crypto')
+const { pool } = require('./db')
+const { DEFAULT_COURSE_SLUG } = require('./catalog')
+const { getCourseBySlug, getCohort } = require('./courses')
+const { DEFAULT_TIMEZONE, localToday } = require('./unlock')
+
+// Коди доступу: генерація, термін дії, ліміт активацій та відкликання.
+// Код діє до expires_on включно (дата в DEFAULT_TIMEZONE) і може бути
+// активований max_uses разів різними користувачами (code_redemptions).
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789' // Без 0, O, I, 1 для уникнення плутанини
+const CODE_LENGTH = 8
+const DEFAULT_PREFIX = 'PON'
+const CODE_STATUSES = ['active', 'used', 'expired', 'revoked']
+
+function generateCode(prefix = DEFAULT_PREFIX) {
+  let code = ''
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+  }
+  return `${prefix}-${code}`
+}
+
+// Статус коду в SQL ($1 — сьогоднішня дата), відповідає getCodeStatus
+const STATUS_SQL = `
+  CASE
+    WHEN a.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN a.expires_on < $1::DATE THEN 'expired'
+    WHEN a.is_used OR a.uses_count >= a.max_uses THEN 'used'
+    ELSE 'active'
+  END
+`
+
+function getCodeStatus(accessCode, today = localToday(DEFAULT_TIMEZONE)) {
+  if (accessCode.revoked_at) {
+    return 'revoked'
+  }
+  if (accessCode.expires_on && accessCode.expires_on < today) {
+    return 'expired'
+  }
+  if (accessCode.is_used || accessCode.uses_count >= accessCode.max_uses) {
+    return 'used'
+  }
+  return 'active'
+}
+
+// Параметри генерації з аргументів ("--count 10 --course practice ...").
+// Спільні для CLI create-codes.js та команди бота /gencodes.
+async function resolveCodeOptions(args) {
+  const getFlag = (name) => {
+    const index = args.indexOf(name)
+    return index !== -1 ? args[index + 1] : undefined
+  }
+
+  const count = parseInt(getFlag('--count') || '30', 10)
+  const maxUses = parseInt(getFlag('--max-uses') || '1', 10)
+  const prefix = (getFlag('--prefix') || DEFAULT_PREFIX).toUpperCase()
+  const expiresOn = getFlag('--expires') || null
+  const label = getFlag('--label') || null
+
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('--count має бути додатним числом')
+  }
+  if (!Number.isInteger(maxUses) || maxUses < 1) {
+    throw new Error('--max-uses має бути додатним числом')
+  }
+  if (!/^[A-Z0-9]{1,20}$/.test(prefix)) {
+    throw new Error('--prefix може містити лише латинські літери та цифри (до 20 символів)')
+  }
+  if (expiresOn && (!/^\d{4}-\d{2}-\d{2}$/.test(expiresOn) || isNaN(Date.parse(expiresOn)))) {
+    throw new Error('--expires має бути датою у форматі YYYY-MM-DD')
+  }
+
+  const slug = (getFlag('--course') || DEFAULT_COURSE_SLUG).toLowerCase()
+  const course = await getCourseBySlug(slug)
+  if (!course) {
+    throw new Error(`Курс "${slug}" не знайдено`)
+  }
+
+  const cohortName = getFlag('--cohort')
+  const cohort = cohortName ? await getCohort(course.id, cohortName) : null
+  if (cohortName && !cohort) {
+    throw new Error(`Потік "${cohortName}" не знайдено`)
+  }
+
+  return { count, maxUses, prefix, expiresOn, label, course, cohort }
+}
+
+// Створює count унікальних кодів і повертає їх
+async function createCodes({ count, prefix, course, cohort, expiresOn, maxUses, label, createdBy }) {
+  const codes = []
+
+  while (codes.length < count) {
+    const result = await pool.query(`
+      INSERT INTO access_codes (code, course_id, cohort_id, expires_on, max_uses, label, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (code) DO NOTHING
+      RETURNING code
+    `, [
+      generateCode(prefix),
+      course ? course.id : null,
+      cohort ? cohort.id : null,
+      expiresOn || null,
+      maxUses || 1,
+      label || null,
+      createdBy || null
+    ])
+    if (result.rows.length) {
+      codes.push(result.rows[0].code)
+    }
+  }
+
+  return codes
+}
+
+async function findCode(code) {
+  const result = await pool.query(
+    'SELECT * FROM access_codes WHERE code = $1',
+    [code.toUpperCase()]
+  )
+  return result.rows[0] || null
+}
+
+// Коди за фільтром ($2 статус, $3 мітка, $4 потік, $5 курс).
+// Код без курсу записує на курс за замовчуванням, тож і фільтр за ним його враховує.
+const LISTED_CODES_SQL = `
+  FROM (
+    SELECT a.*, ${STATUS_SQL} AS status, c.slug AS course_slug, h.name AS cohort_name,
+      COALESCE(a.course_id, (SELECT id FROM courses WHERE slug = $6)) AS target_course_id
+    FROM access_codes a
+    LEFT JOIN courses c ON c.id = a.course_id
+    LEFT JOIN cohorts h ON h.id = a.cohort_id
+  ) codes
+  WHERE ($2::TEXT IS NULL OR status = $2)
+    AND ($3::TEXT IS NULL OR label = $3)
+    AND ($4::INTEGER IS NULL OR cohort_id = $4)
+    AND ($5::INTEGER IS NULL OR target_course_id = $5)
+`
+
+function listedCodesParams({ status, label, courseId, cohortId }) {
+  return [localToday(DEFAULT_TIMEZONE), status || null, label || null, cohortId || null, courseId || null, DEFAULT_COURSE_SLUG]
+}
+
+// Коди за статусом та (за бажанням) міткою, курсом або потоком
+async function listCodes({ status, label, courseId, cohortId, limit = 50, offset = 0 } = {}) {
+  const result = await pool.query(`
+    SELECT * ${LISTED_CODES_SQL}
+    ORDER BY created_at DESC, id DESC
+    LIMIT $7 OFFSET $8
+  `, [...listedCodesParams({ status, label, courseId, cohortId }), limit, offset])
+  return result.rows
+}
+
+// Скільки всього кодів за тим самим фільтром, що й у listCodes (для пагінації)
+async function countListedCodes(filters = {}) {
+  const result = await pool.query(`SELECT COUNT(*) AS total ${LISTED_CODES_SQL}`, listedCodesParams(filters))
+  return parseInt(result.rows[0].total, 10)
+}
+
+// Кількість кодів за статусами
+async function countCodes({ label } = {}) {
+  const result = await pool.query(`
+    SELECT ${STATUS_SQL} AS status, COUNT(*) AS count
+    FROM access_codes a
+    WHERE $2::TEXT IS NULL OR a.label = $2
+    GROUP BY 1
+  `, [localToday(DEFAULT_TIMEZONE), label || null])
+
+  const counts = Object.fromEntries(CODE_STATUSES.map(status => [status, 0]))
+  result.rows.forEach(row => { counts[row.status] = parseInt(row.count, 10) })
+  return counts
+}
+
+// Відкликає код або всі ще не відкликані коди з міткою. Повертає кількість.
+async function revokeCodes({ code, label }) {
+  const result = await pool.query(`
+    UPDATE access_codes SET revoked_at = NOW()
+    WHERE revoked_at IS NULL AND (code = $1 OR label = $2)
+    RETURNING id
+  `, [code ? code.toUpperCase() : null, label || null])
+  return result.rows.length
+}
+
+// Чому код не можна активувати (revoked, expired, already_redeemed, used) або null.
+// db — pool або client транзакції активації.
+async function checkRedeemable(accessCode, telegramId, db = pool) {
+  const status = getCodeStatus(accessCode)
+  if (status === 'revoked' || status === 'expired') {
+    return status
+  }
+
+  const redeemed = await db.query(
+    'SELECT 1 FROM code_redemptions WHERE access_code_id = $1 AND telegram_id = $2',
+    [accessCode.id, telegramId]
+  )
+  if (redeemed.rows.length) {
+    return 'already_redeemed'
+  }
+
+  if (status === 'used') {
+    return 'used'
+  }
+  return null
+}
+
+// Активація коду: умовне оновлення, щоб ліміт не перевищили паралельні запити.
+// Повертає false, якщо код тим часом став недійсним.
+async function redeemCode(db, accessCode, telegramId) {
+  const result = await db.query(`
+    UPDATE access_codes
+    SET uses_count = uses_count + 1,
+        is_used = uses_count + 1 >= max_uses,
+        used_by_telegram_id = $2,
+        used_at = NOW()
+    WHERE id = $1
+      AND revoked_at IS NULL
+      AND is_used = FALSE
+      AND uses_count < max_uses
+      AND (expires_on IS NULL OR expires_on >= $3::DATE)
+    RETURNING id
+  `, [accessCode.id, telegramId, localToday(DEFAULT_TIMEZONE)])
+
+  if (!result.rows.length) {
+    return false
+  }
+
+  await db.query(
+    'INSERT INTO code_redemptions (access_code_id, telegram_id) VALUES ($1, $2)',
+    [accessCode.id, telegramId]
+  )
+  return true
+}
+
+function formatCodeLine(accessCode) {
+  const details = [
+    accessCode.course_slug,
+    accessCode.cohort_name,
+    accessCode.max_uses > 1 ? `${accessCode.uses_count}/${accessCode.max_uses}` : null,
+    accessCode.expires_on ? `до ${accessCode.expires_on}` : null,
+    accessCode.label
+  ].filter(Boolean)
+  return `${accessCode.code}${details.length ? ` — ${details.join(', ')}` : ''}`
+}
+
+module.exports = {
+  CODE_STATUSES,
+  generateCode,
+  getCodeStatus,
+  resolveCodeOptions,
+  createCodes,
+  findCode,
+  listCodes,
+  countListedCodes,
+  countCodes,
+  revokeCodes,
+  checkRedeemable,
+  redeemCode,
+  formatCodeLine
+}
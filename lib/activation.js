@@ -0,0 +1,193 @@
+const { pool } = require('./db')
+const { getCourseById, getDefaultCourse, enroll } = require('./courses')
+const { checkRedeemable, redeemCode } = require('./access-codes')
+const { recordEvent } = require('./events')
+
+// Активація кодів доступу (/activate). Уся активація — одна транзакція на
+// виділеному з'єднанні: рядки користувача та коду блокуються до її завершення,
+// тож паралельні запити не активують код двічі і не перевищать max_uses.
+// Кожна спроба записується в activation_attempts; після ACTIVATION_MAX_FAILURES
+// невдалих спроб за ACTIVATION_LOCKOUT_MINUTES користувач тимчасово блокується.
+// Блокування перевіряється і спроба записується під тим самим замком на рядку
+// користувача, тож паралельні спроби не проскакують повз ліміт.
+
+const MAX_FAILURES = parseInt(process.env.ACTIVATION_MAX_FAILURES || '5', 10)
+const LOCKOUT_MINUTES = parseInt(process.env.ACTIVATION_LOCKOUT_MINUTES, 10) || 60
+// Результати, що схожі на перебір кодів і рахуються до блокування
+const FAILED_RESULTS = ['not_found', 'revoked', 'expired', 'used']
+const MAX_CODE_LENGTH = 64
+
+// Скільки хвилин користувачу ще заборонено активувати коди (0 — не заблокований).
+// Блокування знімається, коли найстаріша з останніх MAX_FAILURES невдач виходить з вікна.
+async function getLockoutMinutes(telegramId, db = pool) {
+  if (!MAX_FAILURES) {
+    return 0
+  }
+
+  const result = await db.query(`
+    SELECT
+      COUNT(*)::INTEGER AS failures,
+      CEIL(EXTRACT(EPOCH FROM MIN(created_at) + make_interval(mins => $3) - NOW()) / 60)::INTEGER AS minutes_left
+    FROM (
+      SELECT created_at
+      FROM activation_attempts
+      WHERE telegram_id = $1
+        AND result = ANY($2)
+        AND created_at > NOW() - make_interval(mins => $3)
+      ORDER BY created_at DESC
+      LIMIT $4
+    ) recent
+  `, [telegramId, FAILED_RESULTS, LOCKOUT_MINUTES, MAX_FAILURES])
+
+  const { failures, minutes_left: minutesLeft } = result.rows[0]
+  return failures >= MAX_FAILURES ? Math.max(1, minutesLeft) : 0
+}
+
+async function logAttempt(client, telegramId, code, accessCodeId, result) {
+  await client.query(
+    'INSERT INTO activation_attempts (telegram_id, code, access_code_id, result) VALUES ($1, $2, $3, $4)',
+    [telegramId, code.slice(0, MAX_CODE_LENGTH), accessCodeId || null, result]
+  )
+}
+
+// Створює (або блокує наявний) рядок користувача до кінця транзакції:
+// паралельні активації одного користувача виконуються по черзі. Повертає has_access.
+async function lockUser(client, { telegramId, username, firstName, language }) {
+  const result = await client.query(`
+    INSERT INTO users (telegram_id, username, first_name, language, created_at)
+    VALUES ($1, $2, $3, $4, NOW())
+    ON CONFLICT (telegram_id)
+    DO UPDATE SET language = COALESCE(users.language, EXCLUDED.language)
+    RETURNING has_access
+  `, [telegramId, username || null, firstName || null, language || null])
+  return result.rows[0].has_access
+}
+
+// Перевірки та зміни всередині транзакції. Повертає { status, accessCode, course, enrollment }.
+async function redeemInTransaction(client, { telegramId, code, hadAccess }) {
+  const codeResult = await client.query(
+    'SELECT * FROM access_codes WHERE code = $1 FOR UPDATE',
+    [code]
+  )
+  const accessCode = codeResult.rows[0]
+  if (!accessCode) {
+    return { status: 'not_found' }
+  }
+
+  // Відкликаний, прострочений або вичерпаний код
+  const refusal = await checkRedeemable(accessCode, telegramId, client)
+  if (refusal) {
+    return { status: refusal, accessCode }
+  }
+
+  // Курс і потік, до яких прив'язаний код (за замовчуванням — теоретичний курс)
+  const course = accessCode.course_id
+    ? await getCourseById(accessCode.course_id)
+    : await getDefaultCourse()
+  if (!course) {
+    return { status: 'no_course', accessCode }
+  }
+
+  // Повторна активація тим, хто вже навчається на цьому курсі, лише витратила б код
+  if (hadAccess) {
+    const enrolled = await client.query(
+      'SELECT 1 FROM enrollments WHERE telegram_id = $1 AND course_id = $2',
+      [telegramId, course.id]
+    )
+    if (enrolled.rows.length) {
+      return { status: 'already_enrolled', accessCode, course }
+    }
+  }
+
+  // Рядок коду заблоковано, тож умовне оновлення може не спрацювати лише на межі дати
+  if (!(await redeemCode(client, accessCode, telegramId))) {
+    return { status: 'used', accessCode }
+  }
+
+  await client.query('UPDATE users SET has_access = TRUE WHERE telegram_id = $1', [telegramId])
+
+  // Записуємо на курс (нові учні отримують останню опубліковану версію)
+  const enrollment = await enroll({
+    telegramId,
+    courseId: course.id,
+    cohortId: accessCode.cohort_id,
+    accessCodeId: accessCode.id
+  }, client)
+
+  await recordEvent({
+    type: 'code_activated',
+    telegramId,
+    enrollmentId: enrollment.id,
+    courseId: course.id,
+    metadata: { code: accessCode.code, access_code_id: accessCode.id, cohort_id: accessCode.cohort_id }
+  }, client)
+
+  return { status: 'activated', accessCode, course, enrollment }
+}
+
+// Активує код для користувача. status: activated, locked, not_found, revoked, expired,
+// used, already_redeemed, already_enrolled або no_course (ключі activate.* в lib/locales).
+// Для locked повертає lockoutMinutes, для activated та already_enrolled — course.
+async function activateCode({ telegramId, code, username, firstName, language }) {
+  const client = await pool.connect()
+  let outcome
+  try {
+    await client.query('BEGIN')
+    const hadAccess = await lockUser(client, { telegramId, username, firstName, language })
+
+    const lockoutMinutes = await getLockoutMinutes(telegramId, client)
+    if (lockoutMinutes) {
+      outcome = { status: 'locked', lockoutMinutes }
+    } else {
+      // Відмова відкочує зміни активації до точки збереження; лишається лише запис спроби
+      await client.query('SAVEPOINT redeem')
+      outcome = await redeemInTransaction(client, { telegramId, code, hadAccess })
+      if (outcome.status !== 'activated') {
+        await client.query('ROLLBACK TO SAVEPOINT redeem')
+      }
+    }
+
+    await logAttempt(client, telegramId, code, outcome.accessCode && outcome.accessCode.id, outcome.status)
+    await client.query('COMMIT')
+  } catch (err) {
+    await client.query('ROLLBACK')
+    throw err
+  } finally {
+    client.release()
+  }
+
+  if (FAILED_RESULTS.includes(outcome.status)) {
+    console.log(`🔑 Невдала активація коду ${code} користувачем ${telegramId}: ${outcome.status}`)
+  }
+  if (outcome.status === 'locked') {
+    return { status: 'locked', lockoutMinutes: outcome.lockoutMinutes }
+  }
+  return { status: outcome.status, course: outcome.course || null, enrollment: outcome.enrollment || null }
+}
+
+// Останні спроби активації (усі або одного користувача) для адмін-команди /activations
+async function listActivationAttempts({ telegramId, limit = 30 } = {}) {
+  const result = await pool.query(`
+    SELECT a.*, u.username, u.first_name
+    FROM activation_attempts a
+    LEFT JOIN users u ON u.telegram_id = a.telegram_id
+    WHERE $1::BIGINT IS NULL OR a.telegram_id = $1
+    ORDER BY a.created_at DESC, a.id DESC
+    LIMIT $2
+  `, [telegramId || null, limit])
+  return result.rows
+}
+
+function formatActivationAttempt(attempt) {
+  const time = attempt.created_at.toISOString().slice(0, 16).replace('T', ' ')
+  const user = attempt.username ? `@${attempt.username}` : attempt.telegram_id
+  const mark = attempt.result === 'activated' ? '✅' : FAILED_RESULTS.includes(attempt.result) ? '❌' : '•'
+  return `${mark} ${time} ${user} ${attempt.code} — ${attempt.result}`
+}
+
+module.exports = {
+  getLockoutMinutes,
+  activateCode,
+  listActivationAttempts,
+  formatActivationAttempt
+}
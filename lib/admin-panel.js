@@ -0,0 +1,918 @@
+const crypto = require('crypto')
+const express = require('express')
+const { pool } = require('./db')
+const {
+  DEFAULT_COURSE_SLUG,
+  getPublishedVersion,
+  getVersion,
+  listVersions,
+  getLessons,
+  getLessonsForEnrollment,
+  getLesson,
+  updateLesson,
+  listTranslations,
+  createDraftVersion,
+  createVersionFromContent,
+  publishVersion,
+  migrateEnrollments
+} = require('./catalog')
+const { listCourses, getCourseById, getCourseBySlug, getEnrollments } = require('./courses')
+const {
+  isAdmin,
+  findUserByTelegramId,
+  formatUserName,
+  listLearners,
+  setCurrentLesson,
+  resetProgress,
+  setAccess
+} = require('./admin')
+const {
+  CODE_STATUSES,
+  resolveCodeOptions,
+  createCodes,
+  listCodes,
+  countCodes,
+  revokeCodes
+} = require('./access-codes')
+const { getUserEvents, formatEvent } = require('./events')
+const { listAttempts, formatAttempt } = require('./attempts')
+const {
+  CONTENT_FORMATS,
+  parseCourseContent,
+  validateCourseContent,
+  checkLinks,
+  diffCourseContent,
+  formatChange,
+  getCourseContent,
+  serializeCourseContent
+} = require('./course-content')
+const { ATTEMPT_STATUSES, listExamAttempts, getExamSummaries, formatExamSummary, formatExamAttempt } = require('./exam')
+
+// Веб-панель адміністратора (/admin) на тому ж Express-сервері, що й webhook.
+// Вхід — паролем ADMIN_PANEL_PASSWORD або через Telegram Login (лише для
+// адміністраторів бота). Сесія — підписаний cookie без зберігання на сервері.
+
+const SESSION_COOKIE = 'pon_admin'
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000
+const TELEGRAM_AUTH_MAX_AGE_S = 24 * 60 * 60
+const PAGE_SIZE = 50
+const HOMEWORK_STATUSES = ['pending', 'approved', 'changes_requested']
+// Тип файлу експорту контенту курсу
+const CONTENT_TYPES = { yaml: 'application/yaml', json: 'application/json', csv: 'text/csv' }
+
+function getSecret() {
+  return process.env.ADMIN_PANEL_SECRET || process.env.BOT_TOKEN
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', getSecret()).update(value).digest('hex')
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a))
+  const right = Buffer.from(String(b))
+  return left.length === right.length && crypto.timingSafeEqual(left, right)
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+function parseCookies(req) {
+  const cookies = {}
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=')
+    if (index !== -1) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim())
+    }
+  }
+  return cookies
+}
+
+// Сесія: "суб'єкт|термін дії|підпис", суб'єкт — "password" або Telegram ID адміна
+function setSession(req, res, subject) {
+  const expires = Date.now() + SESSION_TTL_MS
+  const value = `${subject}|${expires}|${sign(`${subject}|${expires}`)}`
+  const secure = req.secure || req.headers['x-forwarded-proto'] === 'https'
+  res.setHeader('Set-Cookie',
+    `${SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/admin; HttpOnly; SameSite=Lax; ` +
+    `Max-Age=${SESSION_TTL_MS / 1000}${secure ? '; Secure' : ''}`)
+}
+
+function clearSession(res) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/admin; HttpOnly; SameSite=Lax; Max-Age=0`)
+}
+
+async function readSession(req) {
+  const value = parseCookies(req)[SESSION_COOKIE]
+  const [subject, expires, signature] = (value || '').split('|')
+  if (!signature || !safeEqual(signature, sign(`${subject}|${expires}`)) || Number(expires) < Date.now()) {
+    return null
+  }
+
+  // Адміністратора через Telegram перевіряємо щоразу: роль могли зняти
+  if (subject !== 'password' && !(await isAdmin(subject))) {
+    return null
+  }
+  return {
+    subject,
+    telegramId: subject === 'password' ? null : subject,
+    csrf: sign(`csrf|${value}`)
+  }
+}
+
+// Перевірка даних Telegram Login Widget (https://core.telegram.org/widgets/login)
+function verifyTelegramLogin(query) {
+  const { hash, ...data } = query
+  if (!hash || !data.id || !data.auth_date) {
+    return false
+  }
+
+  const checkString = Object.keys(data).sort().map(key => `${key}=${data[key]}`).join('\n')
+  const secretKey = crypto.createHash('sha256').update(process.env.BOT_TOKEN).digest()
+  const expected = crypto.createHmac('sha256', secretKey).update(checkString).digest('hex')
+
+  return safeEqual(expected, hash) && Date.now() / 1000 - Number(data.auth_date) < TELEGRAM_AUTH_MAX_AGE_S
+}
+
+function layout(title, body, session) {
+  const nav = session
+    ? `<nav>
+        <a href="/admin/learners">Ученики</a>
+        <a href="/admin/codes">Коды</a>
+        <a href="/admin/lessons">Уроки</a>
+        <a href="/admin/homework">Домашние задания</a>
+        <a href="/admin/exams">Экзамены</a>
+        <form method="post" action="/admin/logout" class="inline">
+          <input type="hidden" name="csrf" value="${session.csrf}">
+          <button>Выйти</button>
+        </form>
+      </nav>`
+    : ''
+
+  return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)} — PON School</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 0 auto; max-width: 1100px; padding: 16px; color: #222; }
+    nav { display: flex; gap: 16px; align-items: center; border-bottom: 1px solid #ddd; padding-bottom: 12px; }
+    table { border-collapse: collapse; width: 100%; margin: 12px 0; }
+    th, td { border-bottom: 1px solid #eee; padding: 6px 8px; text-align: left; vertical-align: top; }
+    input, select, textarea, button { font: inherit; padding: 4px 6px; }
+    textarea { width: 100%; box-sizing: border-box; }
+    .inline { display: inline; }
+    .muted { color: #777; }
+    .notice { background: #eef7ee; padding: 8px 12px; border-radius: 4px; }
+    .error { background: #fbeaea; padding: 8px 12px; border-radius: 4px; }
+    pre { white-space: pre-wrap; background: #f7f7f7; padding: 8px; }
+  </style>
+</head>
+<body>
+  ${nav}
+  <h1>${escapeHtml(title)}</h1>
+  ${body}
+</body>
+</html>`
+}
+
+// Повідомлення після redirect (?ok=... або ?error=...)
+function flash(req) {
+  if (req.query.ok) {
+    return `<p class="notice">✅ ${escapeHtml(req.query.ok)}</p>`
+  }
+  if (req.query.error) {
+    return `<p class="error">❌ ${escapeHtml(req.query.error)}</p>`
+  }
+  return ''
+}
+
+function redirectWith(res, path, key, message) {
+  const separator = path.includes('?') ? '&' : '?'
+  res.redirect(303, `${path}${separator}${key}=${encodeURIComponent(message)}`)
+}
+
+function csrfField(session) {
+  return `<input type="hidden" name="csrf" value="${session.csrf}">`
+}
+
+function options(values, selected) {
+  return values
+    .map(([value, label]) => `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`)
+    .join('')
+}
+
+// Express 4 не перехоплює помилки async-обробників
+function handle(fn) {
+  return (req, res) => fn(req, res).catch(err => {
+    console.error('Помилка в адмін-панелі:', err)
+    res.status(500).send(layout('Ошибка', '<p class="error">❌ Произошла ошибка. Попробуйте позже.</p>', req.session))
+  })
+}
+
+function createAdminPanel(bot) {
+  const router = express.Router()
+  // Ліміт з запасом під імпорт контенту курсу з textarea
+  router.use(express.urlencoded({ extended: false, limit: '2mb' }))
+
+  async function getBotUsername() {
+    if (!bot.botInfo) {
+      bot.botInfo = await bot.telegram.getMe()
+    }
+    return bot.botInfo.username
+  }
+
+  router.get('/login', handle(async (req, res) => {
+    const passwordForm = process.env.ADMIN_PANEL_PASSWORD
+      ? `<form method="post" action="/admin/login">
+          <input type="password" name="password" placeholder="Пароль" autofocus>
+          <button>Войти</button>
+        </form>`
+      : ''
+    const telegramWidget = `<p>Войти через Telegram (только для администраторов бота):</p>
+      <script async src="https://telegram.org/js/telegram-widget.js?22"
+        data-telegram-login="${escapeHtml(await getBotUsername())}"
+        data-size="large"
+        data-auth-url="/admin/auth/telegram"></script>`
+
+    res.send(layout('Вход в панель', `${flash(req)}${passwordForm}${telegramWidget}`))
+  }))
+
+  router.post('/login', handle(async (req, res) => {
+    const password = process.env.ADMIN_PANEL_PASSWORD
+    if (!password || !safeEqual(req.body.password || '', password)) {
+      console.log(`⚠️ Адмін-панель: невдала спроба входу з ${req.ip}`)
+      // Невелика затримка ускладнює перебір пароля
+      await new Promise(resolve => setTimeout(resolve, 1000))
+      return redirectWith(res, '/admin/login', 'error', 'Неверный пароль')
+    }
+
+    setSession(req, res, 'password')
+    console.log(`🔐 Адмін-панель: вхід за паролем з ${req.ip}`)
+    res.redirect(303, '/admin/learners')
+  }))
+
+  router.get('/auth/telegram', handle(async (req, res) => {
+    if (!verifyTelegramLogin(req.query)) {
+      return redirectWith(res, '/admin/login', 'error', 'Не удалось проверить вход через Telegram')
+    }
+    if (!(await isAdmin(req.query.id))) {
+      return redirectWith(res, '/admin/login', 'error', 'Нет прав администратора')
+    }
+
+    setSession(req, res, String(req.query.id))
+    console.log(`🔐 Адмін-панель: вхід через Telegram (${req.query.id})`)
+    res.redirect(303, '/admin/learners')
+  }))
+
+  // Далі — лише для адміністраторів; POST-запити перевіряють CSRF-токен
+  router.use((req, res, next) => {
+    readSession(req).then(session => {
+      if (!session) {
+        return res.redirect(303, '/admin/login')
+      }
+      if (req.method === 'POST' && !safeEqual(req.body.csrf || '', session.csrf)) {
+        return res.status(403).send(layout('Ошибка', '<p class="error">❌ Форма устарела. Обновите страницу.</p>', session))
+      }
+      req.session = session
+      next()
+    }).catch(next)
+  })
+
+  router.post('/logout', (req, res) => {
+    clearSession(res)
+    res.redirect(303, '/admin/login')
+  })
+
+  router.get('/', (req, res) => res.redirect('/admin/learners'))
+
+  // Учні з прогресом
+  router.get('/learners', handle(async (req, res) => {
+    const courses = await listCourses()
+    const course = req.query.course ? courses.find(c => c.slug === req.query.course) : null
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1)
+    const search = (req.query.q || '').trim()
+
+    const { rows, total } = await listLearners({ courseId: course && course.id, search: search || null, page, pageSize: PAGE_SIZE })
+    const pages = Math.max(1, Math.ceil(total / PAGE_SIZE))
+
+    const filter = `<form method="get">
+      <select name="course"><option value="">Все курсы</option>${options(courses.map(c => [c.slug, c.title]), course && course.slug)}</select>
+      <input name="q" value="${escapeHtml(search)}" placeholder="@username, имя или ID">
+      <button>Найти</button>
+    </form>`
+
+    const table = `<table>
+      <tr><th>Ученик</th><th>Курс</th><th>Урок</th><th>Последний урок</th><th>Доступ</th></tr>
+      ${rows.map(row => `<tr>
+        <td><a href="/admin/learners/${row.telegram_id}">${escapeHtml(formatUserName(row))}</a> <span class="muted">${row.telegram_id}</span></td>
+        <td>${escapeHtml(row.course_slug)}${row.cohort_name ? ` / ${escapeHtml(row.cohort_name)}` : ''}</td>
+        <td>${row.current_lesson > row.lessons_count ? '🎓 завершен' : `${row.current_lesson} из ${row.lessons_count}`}</td>
+        <td>${escapeHtml(row.last_lesson_date || '—')}</td>
+        <td>${row.has_access ? '✅' : '🔒'}${row.test_mode ? ' 🧪' : ''}</td>
+      </tr>`).join('')}
+    </table>`
+
+    const query = (p) => `?course=${encodeURIComponent(course ? course.slug : '')}&q=${encodeURIComponent(search)}&page=${p}`
+    const pager = `<p>Всего: ${total}. Страница ${page} из ${pages}
+      ${page > 1 ? `<a href="${query(page - 1)}">← назад</a>` : ''}
+      ${page < pages ? `<a href="${query(page + 1)}">дальше →</a>` : ''}</p>`
+
+    res.send(layout('Ученики', `${flash(req)}${filter}${rows.length ? table : '<p>Никого не найдено.</p>'}${pager}`, req.session))
+  }))
+
+  // Картка учня: прогрес по курсах, доступ, ДЗ та журнал подій
+  router.get('/learners/:telegramId', handle(async (req, res) => {
+    const user = await findUserByTelegramId(req.params.telegramId)
+    if (!user) {
+      return res.status(404).send(layout('Ученик не найден', '', req.session))
+    }
+
+    const path = `/admin/learners/${user.telegram_id}`
+    const enrollments = await getEnrollments(user.telegram_id)
+    const rows = []
+    for (const enrollment of enrollments) {
+      const lessons = await getLessonsForEnrollment(enrollment)
+      rows.push(`<tr>
+        <td>${escapeHtml(enrollment.course_title)}${enrollment.cohort_name ? ` / ${escapeHtml(enrollment.cohort_name)}` : ''}</td>
+        <td>${enrollment.current_lesson > lessons.length ? '🎓 завершен' : `${enrollment.current_lesson} из ${lessons.length}`}${enrollment.practice_admitted_at ? '<br>🚀 допущен к практике' : ''}</td>
+        <td>${escapeHtml(enrollment.last_lesson_date || '—')}</td>
+        <td>
+          <form method="post" action="${path}/lesson" class="inline">
+            ${csrfField(req.session)}
+            <input type="hidden" name="enrollment_id" value="${enrollment.id}">
+            <select name="lesson">${options(lessons.map(l => [String(l.position), `${l.position}. ${l.title}`]), String(enrollment.current_lesson))}</select>
+            <button>Установить урок</button>
+          </form>
+          <form method="post" action="${path}/reset" class="inline" onsubmit="return confirm('Сбросить прогресс по курсу?')">
+            ${csrfField(req.session)}
+            <input type="hidden" name="enrollment_id" value="${enrollment.id}">
+            <button>Сбросить</button>
+          </form>
+        </td>
+      </tr>`)
+    }
+
+    const homework = await pool.query(`
+      SELECT h.*, c.slug AS course_slug
+      FROM homework_submissions h
+      JOIN courses c ON c.id = h.course_id
+      WHERE h.telegram_id = $1
+      ORDER BY h.created_at DESC
+      LIMIT 20
+    `, [user.telegram_id])
+    const events = await getUserEvents(user.telegram_id, 30)
+    const attempts = await listAttempts(user.telegram_id)
+    const examAttempts = await listExamAttempts({ telegramId: user.telegram_id })
+
+    const body = `${flash(req)}
+      <p>ID: ${user.telegram_id} · Роль: ${escapeHtml(user.role || 'user')}${user.test_mode ? ' · 🧪 тестовый режим' : ''}
+        · Зарегистрирован: ${user.created_at.toISOString().split('T')[0]}</p>
+      <p>Доступ: ${user.has_access ? '✅ есть' : '🔒 нет'}
+        <form method="post" action="${path}/access" class="inline">
+          ${csrfField(req.session)}
+          <input type="hidden" name="access" value="${user.has_access ? 'off' : 'on'}">
+          <button>${user.has_access ? 'Забрать доступ' : 'Выдать доступ'}</button>
+        </form>
+      </p>
+      <h2>Курсы</h2>
+      ${rows.length
+        ? `<table><tr><th>Курс</th><th>Урок</th><th>Последний урок</th><th></th></tr>${rows.join('')}</table>`
+        : '<p>Не записан ни на один курс.</p>'}
+      ${attempts.length
+        ? `<h2>Предыдущие попытки</h2><pre>${escapeHtml(attempts.map(formatAttempt).join('\n'))}</pre>`
+        : ''}
+      ${examAttempts.length
+        ? `<h2>Итоговый экзамен</h2><pre>${escapeHtml(examAttempts.map(formatExamAttempt).join('\n'))}</pre>`
+        : ''}
+      <h2>Домашние задания</h2>
+      ${homework.rows.length ? homeworkTable(homework.rows) : '<p class="muted">Нет.</p>'}
+      <h2>События</h2>
+      <pre>${escapeHtml(events.reverse().map(formatEvent).join('\n') || '—')}</pre>`
+
+    res.send(layout(formatUserName(user), body, req.session))
+  }))
+
+  async function findEnrollment(req) {
+    const enrollments = await getEnrollments(req.params.telegramId)
+    return enrollments.find(e => e.id === parseInt(req.body.enrollment_id, 10)) || null
+  }
+
+  // Telegram ID адміністратора (при вході за паролем — невідомий)
+  function actorId(req) {
+    return req.session.telegramId
+  }
+
+  router.post('/learners/:telegramId/lesson', handle(async (req, res) => {
+    const path = `/admin/learners/${req.params.telegramId}`
+    const enrollment = await findEnrollment(req)
+    if (!enrollment) {
+      return redirectWith(res, path, 'error', 'Запись на курс не найдена')
+    }
+
+    const lessons = await getLessonsForEnrollment(enrollment)
+    const lessonNumber = parseInt(req.body.lesson, 10)
+    if (!(lessonNumber >= 1 && lessonNumber <= lessons.length)) {
+      return redirectWith(res, path, 'error', `Номер урока должен быть от 1 до ${lessons.length}`)
+    }
+
+    await setCurrentLesson(enrollment, lessonNumber, actorId(req))
+    redirectWith(res, path, 'ok', `Текущий урок курса ${enrollment.course_slug}: ${lessonNumber}`)
+  }))
+
+  router.post('/learners/:telegramId/reset', handle(async (req, res) => {
+    const path = `/admin/learners/${req.params.telegramId}`
+    const enrollment = await findEnrollment(req)
+    if (!enrollment) {
+      return redirectWith(res, path, 'error', 'Запись на курс не найдена')
+    }
+
+    await resetProgress(enrollment, actorId(req))
+    redirectWith(res, path, 'ok', `Прогресс по курсу ${enrollment.course_slug} сброшен`)
+  }))
+
+  router.post('/learners/:telegramId/access', handle(async (req, res) => {
+    const path = `/admin/learners/${req.params.telegramId}`
+    const user = await findUserByTelegramId(req.params.telegramId)
+    if (!user) {
+      return redirectWith(res, '/admin/learners', 'error', 'Ученик не найден')
+    }
+
+    const hasAccess = req.body.access === 'on'
+    await setAccess(user.telegram_id, hasAccess, actorId(req))
+    redirectWith(res, path, 'ok', hasAccess ? 'Доступ выдан' : 'Доступ закрыт, прогресс сохранен')
+  }))
+
+  // Коди доступу: статистика, список, генерація та відкликання
+  router.get('/codes', handle(async (req, res) => {
+    const status = req.query.status || 'active'
+    const label = (req.query.label || '').trim() || null
+    const courses = await listCourses()
+    const counts = await countCodes({ label })
+    const codes = await listCodes({ status: status === 'all' ? null : status, label, limit: 200 })
+
+    const body = `${flash(req)}
+      <p>Активные: ${counts.active} · использованные: ${counts.used} · истекшие: ${counts.expired} · отозванные: ${counts.revoked}</p>
+      <form method="get">
+        <select name="status">${options([...CODE_STATUSES, 'all'].map(s => [s, s]), status)}</select>
+        <input name="label" value="${escapeHtml(label || '')}" placeholder="Метка партии">
+        <button>Показать</button>
+      </form>
+      <table>
+        <tr><th>Код</th><th>Статус</th><th>Активаций</th><th>Действует до</th><th>Метка</th></tr>
+        ${codes.map(code => `<tr>
+          <td><code>${escapeHtml(code.code)}</code></td>
+          <td>${escapeHtml(code.status)}</td>
+          <td>${code.uses_count} из ${code.max_uses}</td>
+          <td>${escapeHtml(code.expires_on || '—')}</td>
+          <td>${escapeHtml(code.label || '')}</td>
+        </tr>`).join('')}
+      </table>
+
+      <h2>Создать коды</h2>
+      <form method="post" action="/admin/codes">
+        ${csrfField(req.session)}
+        <p>
+          Количество <input name="count" type="number" min="1" max="500" value="10">
+          Курс <select name="course">${options(courses.map(c => [c.slug, c.title]), DEFAULT_COURSE_SLUG)}</select>
+          Поток <input name="cohort" placeholder="необязательно">
+        </p>
+        <p>
+          Активаций на код <input name="max_uses" type="number" min="1" value="1">
+          Действует до <input name="expires" type="date">
+          Префикс <input name="prefix" value="PON" size="6">
+          Метка <input name="label" placeholder="поток Март">
+        </p>
+        <button>Создать</button>
+      </form>
+
+      <h2>Отозвать</h2>
+      <form method="post" action="/admin/codes/revoke">
+        ${csrfField(req.session)}
+        <input name="code" placeholder="Код"> или <input name="label" placeholder="Метка партии">
+        <button>Отозвать</button>
+      </form>`
+
+    res.send(layout('Коды доступа', body, req.session))
+  }))
+
+  router.post('/codes', handle(async (req, res) => {
+    const args = []
+    const fields = { count: '--count', course: '--course', cohort: '--cohort', max_uses: '--max-uses', expires: '--expires', prefix: '--prefix', label: '--label' }
+    for (const [field, flag] of Object.entries(fields)) {
+      if ((req.body[field] || '').trim()) {
+        args.push(flag, req.body[field].trim())
+      }
+    }
+
+    let codeOptions
+    try {
+      codeOptions = await resolveCodeOptions(args)
+    } catch (err) {
+      return redirectWith(res, '/admin/codes', 'error', err.message)
+    }
+
+    const codes = await createCodes({ ...codeOptions, createdBy: req.session.telegramId })
+    console.log(`🔑 Створено ${codes.length} кодів у веб-панелі (${codeOptions.course.slug}${codeOptions.label ? `, ${codeOptions.label}` : ''})`)
+
+    res.send(layout('Коды созданы', `
+      <p class="notice">✅ Создано кодов: ${codes.length} (курс ${escapeHtml(codeOptions.course.slug)})</p>
+      <textarea rows="${Math.min(codes.length, 20)}" readonly>${escapeHtml(codes.join('\n'))}</textarea>
+      <p><a href="/admin/codes">← к списку кодов</a></p>`, req.session))
+  }))
+
+  router.post('/codes/revoke', handle(async (req, res) => {
+    const code = (req.body.code || '').trim().toUpperCase() || null
+    const label = code ? null : (req.body.label || '').trim() || null
+    if (!code && !label) {
+      return redirectWith(res, '/admin/codes', 'error', 'Укажите код или метку')
+    }
+
+    const count = await revokeCodes({ code, label })
+    console.log(`🔑 Відкликано кодів у веб-панелі: ${count} (${code || label})`)
+    redirectWith(res, '/admin/codes?status=all', 'ok', `Отозвано кодов: ${count}`)
+  }))
+
+  // Уроки: версії курсу та редагування контенту
+  router.get('/lessons', handle(async (req, res) => {
+    const courses = await listCourses()
+    const course = await getCourseBySlug(req.query.course || DEFAULT_COURSE_SLUG)
+    if (!course) {
+      return res.status(404).send(layout('Курс не найден', '', req.session))
+    }
+
+    const versions = await listVersions(course.id)
+    const version = req.query.version
+      ? await getVersion(course.id, parseInt(req.query.version, 10))
+      : await getPublishedVersion(course.id)
+    const lessons = version ? await getLessons(version.id) : []
+
+    const body = `${flash(req)}
+      <form method="get">
+        <select name="course">${options(courses.map(c => [c.slug, c.title]), course.slug)}</select>
+        <select name="version">${options(versions.map(v => [String(v.version), `v${v.version} ${v.is_published ? '(опубликована)' : '(черновик)'}`]), version && String(version.version))}</select>
+        <button>Показать</button>
+      </form>
+      <p>
+        <a href="/admin/lessons/import?course=${escapeHtml(course.slug)}">Импорт из файла</a>
+        ${version ? `· Экспорт v${version.version}: ${CONTENT_FORMATS.map(format => `<a href="/admin/lessons/export?course=${escapeHtml(course.slug)}&version=${version.version}&format=${format}">${format.toUpperCase()}</a>`).join(' ')}` : ''}
+      </p>
+      ${version && !version.is_published
+        ? `<form method="post" action="/admin/lessons/publish">
+            ${csrfField(req.session)}
+            <input type="hidden" name="course" value="${escapeHtml(course.slug)}">
+            <input type="hidden" name="version" value="${version.version}">
+            <button>Опубликовать v${version.version}</button>
+          </form>`
+        : `<form method="post" action="/admin/lessons/draft">
+            ${csrfField(req.session)}
+            <input type="hidden" name="course" value="${escapeHtml(course.slug)}">
+            <button>Создать черновик (копия опубликованной версии)</button>
+          </form>`}
+      ${migrateForm(req.session, course, version, versions)}
+      <table>
+        <tr><th>№</th><th>Урок</th><th>Материалы</th><th>Тест</th></tr>
+        ${lessons.map(lesson => `<tr>
+          <td>${lesson.position}</td>
+          <td><a href="/admin/lessons/${lesson.id}">${escapeHtml(lesson.title)}</a></td>
+          <td>${lesson.materials.length}</td>
+          <td>${lesson.quiz ? (lesson.quiz.required ? 'обязательный' : 'есть') : ''}</td>
+        </tr>`).join('')}
+      </table>`
+
+    res.send(layout(`Уроки: ${course.title}`, body, req.session))
+  }))
+
+  router.post('/lessons/draft', handle(async (req, res) => {
+    const course = await getCourseBySlug(req.body.course || DEFAULT_COURSE_SLUG)
+    if (!course) {
+      return redirectWith(res, '/admin/lessons', 'error', 'Курс не найден')
+    }
+
+    const draft = await createDraftVersion(course.id)
+    console.log(`📝 Веб-панель: створено чернетку v${draft.version} курсу ${course.slug}`)
+    redirectWith(res, `/admin/lessons?course=${course.slug}&version=${draft.version}`, 'ok', `Создан черновик v${draft.version}`)
+  }))
+
+  router.post('/lessons/publish', handle(async (req, res) => {
+    const course = await getCourseBySlug(req.body.course || DEFAULT_COURSE_SLUG)
+    if (!course) {
+      return redirectWith(res, '/admin/lessons', 'error', 'Курс не найден')
+    }
+
+    try {
+      const version = await publishVersion(course.id, parseInt(req.body.version, 10))
+      console.log(`📝 Веб-панель: опубліковано v${version.version} курсу ${course.slug}`)
+      redirectWith(res, `/admin/lessons?course=${course.slug}&version=${version.version}`, 'ok',
+        `Версия v${version.version} опубликована. Ученики других версий остаются на них, пока вы их не переведете.`)
+    } catch (err) {
+      redirectWith(res, `/admin/lessons?course=${course.slug}`, 'error', err.message)
+    }
+  }))
+
+  // Перенесення учнів на опубліковану версію (зберігаючи номер поточного уроку)
+  router.post('/lessons/migrate', handle(async (req, res) => {
+    const course = await getCourseBySlug(req.body.course || DEFAULT_COURSE_SLUG)
+    if (!course) {
+      return redirectWith(res, '/admin/lessons', 'error', 'Курс не найден')
+    }
+
+    const from = parseInt(req.body.from, 10)
+    const to = parseInt(req.body.to, 10)
+    const path = `/admin/lessons?course=${course.slug}&version=${to}`
+    if (from === to) {
+      return redirectWith(res, path, 'error', 'Выберите другую версию')
+    }
+    try {
+      const count = await migrateEnrollments(course.id, from, to)
+      console.log(`📝 Веб-панель: ${count} учнів курсу ${course.slug} перенесено з v${from} на v${to}`)
+      redirectWith(res, path, 'ok', `Учеников переведено с v${from} на v${to}: ${count}`)
+    } catch (err) {
+      redirectWith(res, path, 'error', err.message)
+    }
+  }))
+
+  // Експорт версії курсу файлом у тому ж форматі, що приймає імпорт
+  router.get('/lessons/export', handle(async (req, res) => {
+    const course = await getCourseBySlug(req.query.course || DEFAULT_COURSE_SLUG)
+    const version = course && await getVersion(course.id, parseInt(req.query.version, 10) || 0)
+    const format = CONTENT_FORMATS.includes(req.query.format) ? req.query.format : 'yaml'
+    if (!version) {
+      return res.status(404).send(layout('Версия не найдена', '', req.session))
+    }
+
+    const content = await getCourseContent(version.id)
+    res.set('Content-Type', `${CONTENT_TYPES[format]}; charset=utf-8`)
+    res.set('Content-Disposition', `attachment; filename="${course.slug}-v${version.version}.${format}"`)
+    res.send(serializeCourseContent({ title: course.title, ...content }, format))
+  }))
+
+  // Імпорт: вміст файлу перевіряється і порівнюється з опублікованою версією,
+  // чернетка створюється лише другою кнопкою, публікація — на сторінці уроків
+  router.get('/lessons/import', handle(async (req, res) => {
+    const course = await getCourseBySlug(req.query.course || DEFAULT_COURSE_SLUG)
+    if (!course) {
+      return res.status(404).send(layout('Курс не найден', '', req.session))
+    }
+    res.send(layout(`Импорт уроков: ${course.title}`, importForm(req.session, course, 'yaml', ''), req.session))
+  }))
+
+  router.post('/lessons/import', handle(async (req, res) => {
+    const course = await getCourseBySlug(req.body.course || DEFAULT_COURSE_SLUG)
+    if (!course) {
+      return redirectWith(res, '/admin/lessons', 'error', 'Курс не найден')
+    }
+    const format = CONTENT_FORMATS.includes(req.body.format) ? req.body.format : 'yaml'
+    const source = req.body.content || ''
+    const render = report => res.send(layout(
+      `Импорт уроков: ${course.title}`,
+      `${report}${importForm(req.session, course, format, source)}`,
+      req.session
+    ))
+
+    let content
+    try {
+      content = parseCourseContent(source, format)
+    } catch (err) {
+      return render(`<p class="error">❌ Не удалось прочитать файл: ${escapeHtml(err.message)}</p>`)
+    }
+
+    const { errors, warnings } = validateCourseContent(content)
+    // «Проверить» ще й відкриває посилання (як --check-links у CLI); при створенні чернетки — ні
+    if (req.body.action !== 'import') {
+      warnings.push(...await checkLinks(content))
+    }
+    const published = await getPublishedVersion(course.id)
+    const current = published ? (await getCourseContent(published.id)).lessons : []
+    // Дифф будуємо лише для валідного файлу — інакше зіставляти нема з чим
+    const changes = errors.length ? [] : diffCourseContent(current, content)
+    const translations = published ? await listTranslations(published.id) : []
+
+    if (req.body.action === 'import' && !errors.length) {
+      const draft = await createVersionFromContent(course.id, content.lessons, 'Импорт в веб-панели')
+      console.log(`📝 Веб-панель: імпортовано чернетку v${draft.version} курсу ${course.slug} (${content.lessons.length} уроків)`)
+      return redirectWith(res, `/admin/lessons?course=${course.slug}&version=${draft.version}`, 'ok',
+        `Создан черновик v${draft.version} из файла. Проверьте уроки и опубликуйте.`)
+    }
+
+    render(`
+      ${errors.length ? `<div class="error"><b>Ошибки (импорт невозможен):</b><ul>${errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul></div>` : ''}
+      ${warnings.length ? `<div class="error"><b>Предупреждения:</b><ul>${warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}</ul></div>` : ''}
+      ${!errors.length && !warnings.length ? '<p class="notice">✅ Ошибок не найдено</p>' : ''}
+      ${errors.length ? '' : `<h2>Изменения относительно ${published ? `v${published.version}` : 'пустого курса'}</h2>
+      <pre>${changes.length ? escapeHtml(changes.map(formatChange).join('\n')) : 'Изменений нет'}</pre>
+      ${translations.length ? `<p>🌐 Переводы перенесутся по номеру урока: ${escapeHtml(translations.map(tr => `${tr.language} (${tr.lessons_count})`).join(', '))}. Проверьте переводы измененных уроков.</p>` : ''}`}`)
+  }))
+
+  router.get('/lessons/:lessonId', handle(async (req, res) => {
+    const lesson = await getLesson(parseInt(req.params.lessonId, 10) || 0)
+    if (!lesson) {
+      return res.status(404).send(layout('Урок не найден', '', req.session))
+    }
+
+    // Опубліковану версію вже бачать учні — її уроки лише для перегляду, правки йдуть через чернетку
+    let notice = ''
+    if (lesson.isPublished) {
+      const course = await getCourseById(lesson.courseId)
+      notice = `<p class="error">🔒 Версия v${lesson.version} опубликована и не редактируется. Создайте черновик, внесите правки, опубликуйте его и переведите учеников на новую версию (страница «Уроки»).</p>
+        <form method="post" action="/admin/lessons/draft">
+          ${csrfField(req.session)}
+          <input type="hidden" name="course" value="${escapeHtml(course.slug)}">
+          <button>Создать черновик (копия опубликованной версии)</button>
+        </form>`
+    }
+    const readonly = lesson.isPublished ? ' readonly' : ''
+    const body = `${flash(req)}${notice}
+      <form method="post" action="/admin/lessons/${lesson.id}">
+        ${csrfField(req.session)}
+        <p>Заголовок<br><input name="title" value="${escapeHtml(lesson.title)}" size="80" required${readonly}></p>
+        <p>Текст<br><textarea name="text" rows="14" required${readonly}>${escapeHtml(lesson.text)}</textarea></p>
+        <p>Материалы (по одному в строке: название | ссылка)<br>
+          <textarea name="materials" rows="6"${readonly}>${escapeHtml(lesson.materials.map(m => `${m.title} | ${m.url}`).join('\n'))}</textarea></p>
+        <p>Ссылка на домашнее задание<br><input name="homework_url" value="${escapeHtml(lesson.homeworkUrl || '')}" size="80"${readonly}></p>
+        <p>Текст домашнего задания<br><textarea name="homework_text" rows="4"${readonly}>${escapeHtml(lesson.homeworkText || '')}</textarea></p>
+        <p>Дополнительно<br><textarea name="additional_text" rows="3"${readonly}>${escapeHtml(lesson.additionalText || '')}</textarea></p>
+        ${lesson.isPublished ? '' : '<button>Сохранить</button>'}
+      </form>`
+
+    res.send(layout(`v${lesson.version}, урок ${lesson.position}`, body, req.session))
+  }))
+
+  router.post('/lessons/:lessonId', handle(async (req, res) => {
+    const lesson = await getLesson(parseInt(req.params.lessonId, 10) || 0)
+    if (!lesson) {
+      return redirectWith(res, '/admin/lessons', 'error', 'Урок не найден')
+    }
+
+    const path = `/admin/lessons/${lesson.id}`
+    if (lesson.isPublished) {
+      return redirectWith(res, path, 'error', `Версия v${lesson.version} опубликована. Создайте черновик и редактируйте уроки в нем.`)
+    }
+
+    const title = (req.body.title || '').trim()
+    const text = (req.body.text || '').trim()
+    if (!title || !text) {
+      return redirectWith(res, path, 'error', 'Заголовок и текст обязательны')
+    }
+
+    const materials = []
+    for (const line of (req.body.materials || '').split('\n').map(l => l.trim()).filter(Boolean)) {
+      const index = line.lastIndexOf('|')
+      const material = { title: line.slice(0, index).trim(), url: line.slice(index + 1).trim() }
+      if (index === -1 || !material.title || !/^https?:\/\//.test(material.url)) {
+        return redirectWith(res, path, 'error', `Неверная строка материалов: ${line}`)
+      }
+      materials.push(material)
+    }
+
+    await updateLesson(lesson.id, {
+      title,
+      text,
+      materials,
+      homeworkUrl: (req.body.homework_url || '').trim(),
+      homeworkText: (req.body.homework_text || '').trim(),
+      additionalText: (req.body.additional_text || '').trim()
+    })
+    console.log(`📝 Веб-панель: оновлено урок ${lesson.position} (v${lesson.version}, id=${lesson.id})`)
+    redirectWith(res, path, 'ok', 'Урок сохранен')
+  }))
+
+  // Домашні завдання
+  router.get('/homework', handle(async (req, res) => {
+    const status = HOMEWORK_STATUSES.includes(req.query.status) ? req.query.status : null
+    const result = await pool.query(`
+      SELECT h.*, c.slug AS course_slug, u.username, u.first_name
+      FROM homework_submissions h
+      JOIN courses c ON c.id = h.course_id
+      JOIN users u ON u.telegram_id = h.telegram_id
+      WHERE $1::TEXT IS NULL OR h.status = $1
+      ORDER BY h.created_at DESC
+      LIMIT $2
+    `, [status, PAGE_SIZE])
+
+    const filter = `<form method="get">
+      <select name="status"><option value="">Все</option>${options(HOMEWORK_STATUSES.map(s => [s, s]), status)}</select>
+      <button>Показать</button>
+    </form>`
+
+    res.send(layout('Домашние задания', `${filter}${result.rows.length ? homeworkTable(result.rows, true) : '<p>Нет заданий.</p>'}`, req.session))
+  }))
+
+  // Результати підсумкових екзаменів
+  router.get('/exams', handle(async (req, res) => {
+    const courses = await listCourses()
+    const course = req.query.course ? courses.find(c => c.slug === req.query.course) : null
+    const status = ATTEMPT_STATUSES.includes(req.query.status) ? req.query.status : null
+    const summaries = await getExamSummaries()
+    const attempts = await listExamAttempts({ courseId: course && course.id, status, limit: PAGE_SIZE })
+
+    const filter = `<form method="get">
+      <select name="course"><option value="">Все курсы</option>${options(courses.map(c => [c.slug, c.title]), course && course.slug)}</select>
+      <select name="status"><option value="">Все попытки</option>${options(ATTEMPT_STATUSES.map(s => [s, s]), status)}</select>
+      <button>Показать</button>
+    </form>`
+
+    const table = `<table>
+      <tr><th>Начало</th><th>Ученик</th><th>Курс</th><th>Попытка</th><th>Результат</th><th>Статус</th></tr>
+      ${attempts.map(row => `<tr>
+        <td>${row.started_at.toISOString().slice(0, 16).replace('T', ' ')}</td>
+        <td><a href="/admin/learners/${row.telegram_id}">${escapeHtml(formatUserName(row))}</a></td>
+        <td>${escapeHtml(row.course_slug)}</td>
+        <td>${row.attempt_number} из ${row.max_attempts}</td>
+        <td>${row.status === 'in_progress' ? '—' : `${row.score}/${row.max_score} (${row.percent}%) ${row.passed ? '✅' : '❌'}`}</td>
+        <td>${escapeHtml(row.status)}</td>
+      </tr>`).join('')}
+    </table>`
+
+    const body = `${summaries.length
+      ? `<pre>${escapeHtml(summaries.map(formatExamSummary).join('\n'))}</pre>`
+      : '<p class="muted">Экзамены не настроены: npm run course -- set-exam --file exam.yaml</p>'}
+      ${filter}${attempts.length ? table : '<p>Попыток нет.</p>'}`
+
+    res.send(layout('Итоговый экзамен', body, req.session))
+  }))
+
+  // Файл ДЗ завантажується через бота, щоб не показувати посилання з токеном
+  router.get('/homework/:id/file', handle(async (req, res) => {
+    const result = await pool.query(
+      'SELECT file_id FROM homework_submissions WHERE id = $1',
+      [parseInt(req.params.id, 10) || 0]
+    )
+    if (!result.rows.length || !result.rows[0].file_id) {
+      return res.sendStatus(404)
+    }
+
+    const link = await bot.telegram.getFileLink(result.rows[0].file_id)
+    const response = await fetch(link)
+    if (!response.ok) {
+      return res.sendStatus(502)
+    }
+    res.set('Content-Type', response.headers.get('content-type') || 'application/octet-stream')
+    res.send(Buffer.from(await response.arrayBuffer()))
+  }))
+
+  return router
+}
+
+// Форма імпорту: файл читається в браузері у textarea, тож multipart не потрібен
+function importForm(session, course, format, content) {
+  return `<form method="post" action="/admin/lessons/import">
+    ${csrfField(session)}
+    <input type="hidden" name="course" value="${escapeHtml(course.slug)}">
+    <p>
+      <input type="file" accept=".yaml,.yml,.json,.csv" onchange="
+        const file = this.files[0]
+        if (!file) return
+        const extension = file.name.split('.').pop().toLowerCase()
+        this.form.format.value = extension === 'yml' ? 'yaml' : extension
+        file.text().then(text => { this.form.content.value = text })">
+      <select name="format">${options(CONTENT_FORMATS.map(f => [f, f.toUpperCase()]), format)}</select>
+    </p>
+    <p>Содержимое файла (YAML, JSON или CSV из Google Sheets: Файл → Скачать → CSV)<br>
+      <textarea name="content" rows="20" required>${escapeHtml(content)}</textarea></p>
+    <button name="action" value="check">Проверить</button>
+    <button name="action" value="import">Создать черновик</button>
+  </form>`
+}
+
+// Перенесення учнів з інших версій на опубліковану версію, яку зараз переглядають
+function migrateForm(session, course, version, versions) {
+  if (!version || !version.is_published) {
+    return ''
+  }
+  const sources = versions.filter(v => v.id !== version.id && parseInt(v.users_count, 10) > 0)
+  if (!sources.length) {
+    return ''
+  }
+  return `<form method="post" action="/admin/lessons/migrate">
+    ${csrfField(session)}
+    <input type="hidden" name="course" value="${escapeHtml(course.slug)}">
+    <input type="hidden" name="to" value="${version.version}">
+    Перевести учеников на v${version.version} с версии
+    <select name="from">${options(sources.map(v => [String(v.version), `v${v.version} (учеников: ${v.users_count})`]))}</select>
+    <button>Перевести</button>
+    <span class="muted">текущий урок сохраняется</span>
+  </form>`
+}
+
+function homeworkTable(rows, withUser) {
+  return `<table>
+    <tr><th>Дата</th>${withUser ? '<th>Ученик</th>' : ''}<th>Курс, урок</th><th>Ответ</th><th>Статус</th></tr>
+    ${rows.map(row => `<tr>
+      <td>${row.created_at.toISOString().slice(0, 16).replace('T', ' ')}</td>
+      ${withUser ? `<td><a href="/admin/learners/${row.telegram_id}">${escapeHtml(formatUserName(row))}</a></td>` : ''}
+      <td>${escapeHtml(row.course_slug)}, ${row.lesson_position}</td>
+      <td>${escapeHtml(row.content || '')}${row.file_id ? ` <a href="/admin/homework/${row.id}/file">${escapeHtml(row.kind)}</a>` : ''}</td>
+      <td>${escapeHtml(row.status)}${row.review_comment ? `<br><span class="muted">${escapeHtml(row.review_comment)}</span>` : ''}</td>
+    </tr>`).join('')}
+  </table>`
+}
+
+module.exports = { createAdminPanel }
@@ -0,0 +1,673 @@
+const { pool, withTransaction } = require('./db')
+const { getCourseBySlug, getEnrollments, getActiveEnrollment } = require('./courses')
+const { getLessonsForEnrollment } = require('./catalog')
+const {
+  CODE_STATUSES,
+  resolveCodeOptions,
+  createCodes,
+  findCode,
+  listCodes,
+  countCodes,
+  revokeCodes,
+  formatCodeLine
+} = require('./access-codes')
+const { getLockoutMinutes, listActivationAttempts, formatActivationAttempt } = require('./activation')
+const { recordEvent, getUserEvents, formatEvent } = require('./events')
+const { archiveAttempt, listAttempts, formatAttempt } = require('./attempts')
+const { resolveStatsFilters, getCourseStats, formatStatsMessage, formatStatsCsv } = require('./stats')
+const {
+  getExam,
+  grantExamAttempt,
+  listExamAttempts,
+  getExamSummaries,
+  formatExamSummary,
+  formatExamAttempt
+} = require('./exam')
+
+const LEARNERS_PAGE_SIZE = 30
+const MAX_CODES_PER_COMMAND = 200
+const CODES_INLINE_LIMIT = 30
+const HISTORY_DEFAULT_LIMIT = 20
+const HISTORY_MAX_LIMIT = 100
+const ACTIVATIONS_LIMIT = 30
+const EXAM_RESULTS_LIMIT = 20
+
+// Адміністратори бота: список Telegram ID у змінній оточення ADMIN_IDS (через кому)
+// або користувачі з users.role = 'admin'
+function getAdminIds() {
+  return (process.env.ADMIN_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean)
+}
+
+async function isAdmin(telegramId) {
+  if (getAdminIds().includes(String(telegramId))) {
+    return true
+  }
+
+  const result = await pool.query(
+    'SELECT 1 FROM users WHERE telegram_id = $1 AND role = $2',
+    [telegramId, 'admin']
+  )
+  return result.rows.length > 0
+}
+
+// Аргументи команди без самої команди: "/testmode 123 on" → ['123', 'on'].
+// Значення в лапках залишаються одним аргументом: --label "поток Март"
+function getCommandArgs(ctx) {
+  const tokens = ctx.message.text.match(/"[^"]*"|“[^”]*”|«[^»]*»|\S+/g) || []
+  return tokens.slice(1).map(token => token.replace(/^["“«]|["”»]$/g, ''))
+}
+
+async function findUserByTelegramId(telegramId) {
+  const result = await pool.query(
+    'SELECT * FROM users WHERE telegram_id = $1',
+    [telegramId]
+  )
+  return result.rows[0] || null
+}
+
+// Користувач за посиланням з команди: @username або Telegram ID
+async function findUser(ref) {
+  if (/^\d+$/.test(ref || '')) {
+    return findUserByTelegramId(ref)
+  }
+  if (/^@\w+$/.test(ref || '')) {
+    const result = await pool.query(
+      'SELECT * FROM users WHERE LOWER(username) = LOWER($1)',
+      [ref.slice(1)]
+    )
+    return result.rows[0] || null
+  }
+  return null
+}
+
+function formatUserName(user) {
+  const name = user.first_name || ''
+  return user.username ? `${name} (@${user.username})`.trim() : (name || String(user.telegram_id))
+}
+
+// Запис на курс для адмін-команди: курс зі slug або активний курс користувача
+async function resolveEnrollment(user, slug) {
+  if (!slug) {
+    return getActiveEnrollment(user)
+  }
+  const course = await getCourseBySlug(slug.toLowerCase())
+  const enrollments = await getEnrollments(user.telegram_id)
+  return (course && enrollments.find(e => e.course_id === course.id)) || null
+}
+
+// Учні з прогресом (спільне для /learners та веб-панелі).
+// search — частина username, імені або Telegram ID.
+async function listLearners({ courseId, search, page = 1, pageSize = LEARNERS_PAGE_SIZE }) {
+  const result = await pool.query(`
+    SELECT
+      e.id AS enrollment_id,
+      e.telegram_id,
+      e.current_lesson,
+      e.last_lesson_date,
+      u.username,
+      u.first_name,
+      u.has_access,
+      u.test_mode,
+      c.slug AS course_slug,
+      h.name AS cohort_name,
+      (SELECT COUNT(*) FROM lessons l WHERE l.course_version_id = e.course_version_id) AS lessons_count,
+      COUNT(*) OVER () AS total
+    FROM enrollments e
+    JOIN users u ON u.telegram_id = e.telegram_id
+    JOIN courses c ON c.id = e.course_id
+    LEFT JOIN cohorts h ON h.id = e.cohort_id
+    WHERE ($1::INTEGER IS NULL OR e.course_id = $1)
+      AND ($4::TEXT IS NULL
+        OR e.telegram_id::TEXT = $4
+        OR u.username ILIKE '%' || $4 || '%'
+        OR u.first_name ILIKE '%' || $4 || '%')
+    ORDER BY c.id, e.current_lesson DESC, e.id
+    LIMIT $2 OFFSET $3
+  `, [courseId || null, pageSize, (page - 1) * pageSize, search ? search.replace(/^@/, '') : null])
+
+  return {
+    rows: result.rows.map(row => ({ ...row, lessons_count: parseInt(row.lessons_count, 10) })),
+    total: result.rows.length ? parseInt(result.rows[0].total, 10) : 0
+  }
+}
+
+// Встановлює поточний урок (дата останнього уроку не змінюється)
+async function setCurrentLesson(enrollment, lessonNumber, actorId) {
+  await withTransaction(async (client) => {
+    await client.query(
+      'UPDATE enrollments SET current_lesson = $1 WHERE id = $2',
+      [lessonNumber, enrollment.id]
+    )
+    await recordEvent({
+      type: 'lesson_set',
+      telegramId: enrollment.telegram_id,
+      enrollmentId: enrollment.id,
+      courseId: enrollment.course_id,
+      lessonPosition: lessonNumber,
+      metadata: { from: enrollment.current_lesson },
+      actorId
+    }, client)
+  })
+  console.log(`🛠 ${enrollment.telegram_id}: урок ${enrollment.current_lesson} → ${lessonNumber} (${enrollment.course_slug}, адмін ${actorId || 'веб-панель'})`)
+}
+
+// Обнуляє прогрес; поточне проходження зберігається в архіві (lib/attempts.js)
+async function resetProgress(enrollment, actorId) {
+  await withTransaction(async (client) => {
+    const attempt = await archiveAttempt(enrollment, { reason: 'reset', actorId }, client)
+    await client.query(
+      'UPDATE enrollments SET current_lesson = 1, last_lesson_date = NULL WHERE id = $1',
+      [enrollment.id]
+    )
+    await recordEvent({
+      type: 'progress_reset',
+      telegramId: enrollment.telegram_id,
+      enrollmentId: enrollment.id,
+      courseId: enrollment.course_id,
+      metadata: { from: enrollment.current_lesson, source: 'admin', attempt_id: attempt.id },
+      actorId
+    }, client)
+  })
+  console.log(`🛠 ${enrollment.telegram_id}: прогрес по курсу ${enrollment.course_slug} обнулено (адмін ${actorId || 'веб-панель'})`)
+}
+
+// Надає або забирає доступ (прогрес зберігається)
+async function setAccess(telegramId, hasAccess, actorId) {
+  await withTransaction(async (client) => {
+    await client.query('UPDATE users SET has_access = $1 WHERE telegram_id = $2', [hasAccess, telegramId])
+    await recordEvent({ type: hasAccess ? 'access_granted' : 'access_revoked', telegramId, actorId }, client)
+  })
+  const actor = actorId || 'веб-панель'
+  console.log(hasAccess
+    ? `🔓 Доступ надано ${telegramId} (адмін ${actor})`
+    : `🔒 Доступ забрано у ${telegramId} (адмін ${actor})`)
+}
+
+// Обгортка для адмін-команд: перевірка прав та обробка помилок.
+// Не-адміністраторам бот не відповідає, щоб не розкривати команди.
+function adminCommand(bot, name, handler) {
+  bot.command(name, async (ctx) => {
+    try {
+      if (!(await isAdmin(ctx.from.id))) {
+        return
+      }
+      await handler(ctx, getCommandArgs(ctx))
+    } catch (error) {
+      console.error(`Помилка в /${name}:`, error)
+      ctx.reply('❌ Произошла ошибка')
+    }
+  })
+}
+
+function registerAdminCommands(bot) {
+  // /admin — список адмін-команд
+  adminCommand(bot, 'admin', async (ctx) => {
+    await ctx.reply(
+      '🛠 Команды администратора:\n\n' +
+      '/user @username|ID — карточка ученика\n' +
+      '/learners [КУРС] [СТРАНИЦА] — ученики и прогресс\n' +
+      '/setlesson @username|ID N [КУРС] — установить текущий урок\n' +
+      '/reset @username|ID [КУРС] — сбросить прогресс\n' +
+      '/grant @username|ID — выдать доступ\n' +
+      '/revoke @username|ID — забрать доступ\n' +
+      '/role @username|ID admin|user — назначить роль\n' +
+      '/testmode @username|ID on|off — уроки без ожидания\n' +
+      '/history @username|ID [N] — журнал событий ученика\n\n' +
+      '/attach N [КУРС] — добавить к уроку видео, аудио, PDF или фото (затем /done)\n' +
+      '/attachments N [КУРС] — вложения урока\n' +
+      '/detach ID — удалить вложение\n\n' +
+      '/gencodes N [--course КУРС] [--cohort ПОТОК] [--expires YYYY-MM-DD] [--max-uses N] [--prefix PON] [--label "метка"] — создать коды\n' +
+      '/codes [active|used|expired|revoked|all] [--label "метка"] — коды доступа\n' +
+      '/revokecode КОД | --label "метка" — отозвать коды\n' +
+      '/activations [@username|ID] — попытки активации кодов\n\n' +
+      '/examresults [@username|ID] — результаты итогового экзамена\n' +
+      '/examretry @username|ID [КУРС] — дать еще одну попытку экзамена\n\n' +
+      '/stats [--course КУРС] [--cohort ПОТОК] [--from YYYY-MM-DD] [--to YYYY-MM-DD] — статистика прохождения\n' +
+      '/report [те же фильтры] — отчет в CSV'
+    )
+  })
+
+  // /testmode USER on|off — вимикає обмеження "1 урок = 1 день" для користувача
+  adminCommand(bot, 'testmode', async (ctx, [ref, mode]) => {
+    if (!ref || !['on', 'off'].includes(mode)) {
+      return ctx.reply('Использование: /testmode @username|ID on|off')
+    }
+
+    const user = await findUser(ref)
+    if (!user) {
+      return ctx.reply('❌ Пользователь не найден.')
+    }
+
+    await pool.query(
+      'UPDATE users SET test_mode = $1 WHERE telegram_id = $2',
+      [mode === 'on', user.telegram_id]
+    )
+    console.log(`🧪 Тестовий режим ${mode === 'on' ? 'увімкнено' : 'вимкнено'} для ${user.telegram_id} (адмін ${ctx.from.id})`)
+
+    await ctx.reply(mode === 'on'
+      ? `🧪 Тестовый режим включен для ${user.telegram_id}: уроки открываются без ожидания.`
+      : `✅ Тестовый режим выключен для ${user.telegram_id}.`)
+  })
+
+  // /user USER — дані користувача та прогрес по всіх курсах
+  adminCommand(bot, 'user', async (ctx, [ref]) => {
+    if (!ref) {
+      return ctx.reply('Использование: /user @username|ID')
+    }
+
+    const user = await findUser(ref)
+    if (!user) {
+      return ctx.reply('❌ Пользователь не найден.')
+    }
+
+    const lines = [
+      `👤 ${formatUserName(user)}`,
+      `ID: ${user.telegram_id}`,
+      `Доступ: ${user.has_access ? '✅ есть' : '🔒 нет'}`,
+      `Роль: ${user.role || 'user'}${user.test_mode ? ', 🧪 тестовый режим' : ''}`,
+      `Зарегистрирован: ${user.created_at.toISOString().split('T')[0]}`
+    ]
+
+    const enrollments = await getEnrollments(user.telegram_id)
+    if (enrollments.length) {
+      lines.push('', '📚 Курсы:')
+      for (const enrollment of enrollments) {
+        const lessons = await getLessonsForEnrollment(enrollment)
+        const active = enrollment.course_id === user.active_course_id ? '▶️' : '•'
+        lines.push(
+          `${active} ${enrollment.course_slug}${enrollment.cohort_name ? ` (поток ${enrollment.cohort_name})` : ''}: ` +
+          `урок ${Math.min(enrollment.current_lesson, lessons.length)} из ${lessons.length}` +
+          `${enrollment.current_lesson > lessons.length ? ', завершен 🎓' : ''}` +
+          `${enrollment.practice_admitted_at ? ', допущен к практике 🚀' : ''}, ` +
+          `последний урок: ${enrollment.last_lesson_date || '—'}`
+        )
+      }
+    } else {
+      lines.push('', '📚 Не записан ни на один курс')
+    }
+
+    const attempts = await listAttempts(user.telegram_id)
+    if (attempts.length) {
+      lines.push('', '🗄 Предыдущие попытки:', ...attempts.map(formatAttempt))
+    }
+
+    await ctx.reply(lines.join('\n'))
+  })
+
+  // /learners [КУРС] [СТОРІНКА] — учні з прогресом
+  adminCommand(bot, 'learners', async (ctx, args) => {
+    const page = args.length && /^\d+$/.test(args[args.length - 1])
+      ? Math.max(1, parseInt(args.pop(), 10))
+      : 1
+    const slug = args[0]
+
+    const course = slug ? await getCourseBySlug(slug.toLowerCase()) : null
+    if (slug && !course) {
+      return ctx.reply(`❌ Курс "${slug}" не найден.`)
+    }
+
+    const { rows, total } = await listLearners({ courseId: course && course.id, page })
+    if (!rows.length) {
+      return ctx.reply(page > 1 ? 'На этой странице никого нет.' : '📭 Учеников пока нет.')
+    }
+
+    const pages = Math.ceil(total / LEARNERS_PAGE_SIZE)
+    const lines = rows.map(row => {
+      const progress = row.current_lesson > row.lessons_count
+        ? '🎓'
+        : `${row.current_lesson}/${row.lessons_count}`
+      return `${row.has_access ? '•' : '🔒'} ${formatUserName(row)} [${row.telegram_id}] — ` +
+        `${row.course_slug}${row.cohort_name ? `/${row.cohort_name}` : ''} ${progress}, ${row.last_lesson_date || '—'}`
+    })
+
+    await ctx.reply(
+      `👥 Ученики${course ? ` курса ${course.slug}` : ''}: ${total} (стр. ${page} из ${pages})\n\n${lines.join('\n')}` +
+      (page < pages ? `\n\nДальше: /learners ${course ? `${course.slug} ` : ''}${page + 1}` : '')
+    )
+  })
+
+  // /setlesson USER N [КУРС] — встановлює поточний урок
+  adminCommand(bot, 'setlesson', async (ctx, [ref, number, slug]) => {
+    if (!ref || !/^\d+$/.test(number || '')) {
+      return ctx.reply('Использование: /setlesson @username|ID N [КУРС]')
+    }
+
+    const user = await findUser(ref)
+    if (!user) {
+      return ctx.reply('❌ Пользователь не найден.')
+    }
+
+    const enrollment = await resolveEnrollment(user, slug)
+    if (!enrollment) {
+      return ctx.reply('❌ Пользователь не записан на этот курс.')
+    }
+
+    const lessons = await getLessonsForEnrollment(enrollment)
+    const lessonNumber = parseInt(number, 10)
+    if (lessonNumber < 1 || lessonNumber > lessons.length) {
+      return ctx.reply(`❌ Номер урока должен быть от 1 до ${lessons.length}.`)
+    }
+
+    await setCurrentLesson(enrollment, lessonNumber, ctx.from.id)
+
+    await ctx.reply(`✅ ${formatUserName(user)}: текущий урок курса ${enrollment.course_slug} — ${lessonNumber} из ${lessons.length}.`)
+  })
+
+  // /reset USER [КУРС] — обнуляє прогрес по курсу
+  adminCommand(bot, 'reset', async (ctx, [ref, slug]) => {
+    if (!ref) {
+      return ctx.reply('Использование: /reset @username|ID [КУРС]')
+    }
+
+    const user = await findUser(ref)
+    if (!user) {
+      return ctx.reply('❌ Пользователь не найден.')
+    }
+
+    const enrollment = await resolveEnrollment(user, slug)
+    if (!enrollment) {
+      return ctx.reply('❌ Пользователь не записан на этот курс.')
+    }
+
+    await resetProgress(enrollment, ctx.from.id)
+
+    await ctx.reply(`✅ ${formatUserName(user)}: прогресс по курсу ${enrollment.course_slug} сброшен.`)
+  })
+
+  // /grant USER — надає доступ (за Telegram ID можна і тим, хто ще не писав боту)
+  adminCommand(bot, 'grant', async (ctx, [ref]) => {
+    if (!ref) {
+      return ctx.reply('Использование: /grant @username|ID')
+    }
+
+    let user = await findUser(ref)
+    if (!user && /^\d+$/.test(ref)) {
+      const result = await pool.query(
+        'INSERT INTO users (telegram_id, has_access) VALUES ($1, TRUE) RETURNING *',
+        [ref]
+      )
+      user = result.rows[0]
+    }
+    if (!user) {
+      return ctx.reply('❌ Пользователь не найден. Для новых пользователей укажите Telegram ID.')
+    }
+
+    await setAccess(user.telegram_id, true, ctx.from.id)
+
+    await ctx.reply(`✅ ${formatUserName(user)}: доступ выдан.`)
+  })
+
+  // /revoke USER — забирає доступ (прогрес зберігається)
+  adminCommand(bot, 'revoke', async (ctx, [ref]) => {
+    if (!ref) {
+      return ctx.reply('Использование: /revoke @username|ID')
+    }
+
+    const user = await findUser(ref)
+    if (!user) {
+      return ctx.reply('❌ Пользователь не найден.')
+    }
+
+    await setAccess(user.telegram_id, false, ctx.from.id)
+
+    await ctx.reply(`✅ ${formatUserName(user)}: доступ закрыт. Прогресс сохранен.`)
+  })
+
+  // /history USER [N] — останні події учня з журналу learner_events
+  adminCommand(bot, 'history', async (ctx, [ref, limitArg]) => {
+    if (!ref) {
+      return ctx.reply('Использование: /history @username|ID [N]')
+    }
+
+    const user = await findUser(ref)
+    if (!user) {
+      return ctx.reply('❌ Пользователь не найден.')
+    }
+
+    const limit = Math.min(parseInt(limitArg, 10) || HISTORY_DEFAULT_LIMIT, HISTORY_MAX_LIMIT)
+    const events = await getUserEvents(user.telegram_id, limit)
+    if (!events.length) {
+      return ctx.reply(`📜 ${formatUserName(user)}: событий нет.`)
+    }
+
+    await ctx.reply(
+      `📜 ${formatUserName(user)} — последние события (UTC):\n\n` +
+      events.reverse().map(formatEvent).join('\n')
+    )
+  })
+
+  // /gencodes N [--course ...] — генерація кодів доступу
+  adminCommand(bot, 'gencodes', async (ctx, args) => {
+    if (args[0] && /^\d+$/.test(args[0])) {
+      args.unshift('--count')
+    }
+    if (!args.includes('--count')) {
+      return ctx.reply(
+        'Использование: /gencodes N [--course КУРС] [--cohort ПОТОК] [--expires YYYY-MM-DD] ' +
+        '[--max-uses N] [--prefix PON] [--label "метка"]'
+      )
+    }
+
+    let options
+    try {
+      options = await resolveCodeOptions(args)
+    } catch (err) {
+      return ctx.reply(`❌ ${err.message}`)
+    }
+    if (options.count > MAX_CODES_PER_COMMAND) {
+      return ctx.reply(`❌ За один раз можно создать не больше ${MAX_CODES_PER_COMMAND} кодов.`)
+    }
+
+    const codes = await createCodes({ ...options, createdBy: ctx.from.id })
+    console.log(`🔑 Створено ${codes.length} кодів (${options.course.slug}${options.label ? `, ${options.label}` : ''}, адмін ${ctx.from.id})`)
+
+    const summary = `✅ Создано кодов: ${codes.length}\n` +
+      `Курс: ${options.course.slug}${options.cohort ? `, поток ${options.cohort.name}` : ''}\n` +
+      `Активаций на код: ${options.maxUses}` +
+      (options.expiresOn ? `\nДействуют до: ${options.expiresOn}` : '') +
+      (options.label ? `\nМетка: ${options.label}` : '')
+
+    if (codes.length <= CODES_INLINE_LIMIT) {
+      return ctx.reply(`${summary}\n\n${codes.join('\n')}`)
+    }
+
+    await ctx.reply(summary)
+    await ctx.replyWithDocument({
+      source: Buffer.from(codes.join('\n'), 'utf8'),
+      filename: `access_codes_${options.course.slug}.txt`
+    })
+  })
+
+  // /codes [СТАТУС] [--label ...] — статистика та список кодів
+  adminCommand(bot, 'codes', async (ctx, args) => {
+    const labelIndex = args.indexOf('--label')
+    const label = labelIndex !== -1 ? args[labelIndex + 1] : null
+    const status = args[0] && !args[0].startsWith('--') ? args[0] : 'active'
+
+    if (status !== 'all' && !CODE_STATUSES.includes(status)) {
+      return ctx.reply('Использование: /codes [active|used|expired|revoked|all] [--label "метка"]')
+    }
+
+    const counts = await countCodes({ label })
+    const codes = await listCodes({ status: status === 'all' ? null : status, label, limit: CODES_INLINE_LIMIT })
+
+    await ctx.reply(
+      `🔑 Коды доступа${label ? ` («${label}»)` : ''}:\n` +
+      `Активные: ${counts.active}, использованные: ${counts.used}, ` +
+      `истекшие: ${counts.expired}, отозванные: ${counts.revoked}\n\n` +
+      (codes.length
+        ? `${status === 'all' ? 'Последние' : status}:\n` +
+          codes.map(code => `${formatCodeLine(code)}${status === 'all' ? ` [${code.status}]` : ''}`).join('\n')
+        : 'Кодов с таким статусом нет.')
+    )
+  })
+
+  // /revokecode КОД | --label ... — відкликання коду або всієї партії
+  adminCommand(bot, 'revokecode', async (ctx, args) => {
+    const labelIndex = args.indexOf('--label')
+    const label = labelIndex !== -1 ? args[labelIndex + 1] : null
+    const code = labelIndex === -1 ? args[0] : null
+
+    if (!code && !label) {
+      return ctx.reply('Использование: /revokecode КОД или /revokecode --label "метка"')
+    }
+    if (code && !(await findCode(code))) {
+      return ctx.reply('❌ Код не найден.')
+    }
+
+    const count = await revokeCodes({ code, label })
+    console.log(`🔑 Відкликано кодів: ${count} (${code || label}, адмін ${ctx.from.id})`)
+
+    await ctx.reply(count ? `✅ Отозвано кодов: ${count}` : 'Эти коды уже отозваны.')
+  })
+
+  // /activations [USER] — журнал спроб активації кодів (усі або одного користувача)
+  adminCommand(bot, 'activations', async (ctx, [ref]) => {
+    let telegramId = null
+    if (ref) {
+      const user = await findUser(ref)
+      // Невдалі спроби бувають і в тих, кого ще немає в users
+      telegramId = user ? user.telegram_id : /^\d+$/.test(ref) ? ref : null
+      if (!telegramId) {
+        return ctx.reply('❌ Пользователь не найден.')
+      }
+    }
+
+    const attempts = await listActivationAttempts({ telegramId, limit: ACTIVATIONS_LIMIT })
+    if (!attempts.length) {
+      return ctx.reply('🔑 Попыток активации нет.')
+    }
+
+    let header = `🔑 Попытки активации${telegramId ? ` ${telegramId}` : ''} (UTC, последние ${ACTIVATIONS_LIMIT}):`
+    if (telegramId) {
+      const lockoutMinutes = await getLockoutMinutes(telegramId)
+      if (lockoutMinutes) {
+        header += `\n⛔ Заблокирован еще на ${lockoutMinutes} мин.`
+      }
+    }
+
+    await ctx.reply(`${header}\n\n${attempts.map(formatActivationAttempt).join('\n')}`)
+  })
+
+  // /examresults [USER] — підсумок по екзаменах курсів та останні спроби (усі або одного учня)
+  adminCommand(bot, 'examresults', async (ctx, [ref]) => {
+    let telegramId = null
+    if (ref) {
+      const user = await findUser(ref)
+      if (!user) {
+        return ctx.reply('❌ Пользователь не найден.')
+      }
+      telegramId = user.telegram_id
+    }
+
+    const lines = []
+    if (!telegramId) {
+      const summaries = await getExamSummaries()
+      if (!summaries.length) {
+        return ctx.reply('🎓 Итоговые экзамены не настроены. Загрузите экзамен: npm run course -- set-exam --file exam.yaml')
+      }
+      lines.push(...summaries.map(formatExamSummary), '')
+    }
+
+    const attempts = await listExamAttempts({ telegramId, limit: EXAM_RESULTS_LIMIT })
+    lines.push(attempts.length
+      ? `📝 Попытки${telegramId ? ` ${telegramId}` : ''} (UTC, последние ${EXAM_RESULTS_LIMIT}):\n\n${attempts.map(formatExamAttempt).join('\n')}`
+      : '📝 Попыток сдачи экзамена нет.')
+
+    await ctx.reply(lines.join('\n'))
+  })
+
+  // /examretry USER [КУРС] — додаткова спроба екзамену
+  adminCommand(bot, 'examretry', async (ctx, [ref, slug]) => {
+    if (!ref) {
+      return ctx.reply('Использование: /examretry @username|ID [КУРС]')
+    }
+
+    const user = await findUser(ref)
+    if (!user) {
+      return ctx.reply('❌ Пользователь не найден.')
+    }
+
+    const enrollment = await resolveEnrollment(user, slug)
+    if (!enrollment) {
+      return ctx.reply('❌ Пользователь не записан на этот курс.')
+    }
+
+    const exam = await getExam(enrollment.course_id)
+    if (!exam) {
+      return ctx.reply(`❌ У курса ${enrollment.course_slug} нет итогового экзамена.`)
+    }
+
+    const updated = await grantExamAttempt(enrollment, ctx.from.id)
+    await ctx.reply(`✅ ${formatUserName(user)}: добавлена попытка экзамена по курсу ${enrollment.course_slug} ` +
+      `(всего попыток: ${exam.max_attempts + updated.exam_extra_attempts}).`)
+  })
+
+  // /stats [--course ...] [--cohort ...] [--from ...] [--to ...] — статистика проходження курсу
+  adminCommand(bot, 'stats', async (ctx, args) => {
+    let filters
+    try {
+      filters = await resolveStatsFilters(args)
+    } catch (err) {
+      return ctx.reply(`❌ ${err.message}`)
+    }
+
+    await ctx.reply(formatStatsMessage(await getCourseStats(filters)))
+  })
+
+  // /report [фільтри як у /stats] — ті самі дані у CSV
+  adminCommand(bot, 'report', async (ctx, args) => {
+    let filters
+    try {
+      filters = await resolveStatsFilters(args)
+    } catch (err) {
+      return ctx.reply(`❌ ${err.message}`)
+    }
+
+    const csv = formatStatsCsv(await getCourseStats(filters))
+    const suffix = filters.course.slug + (filters.cohort ? `_${filters.cohort.id}` : '')
+    await ctx.replyWithDocument({ source: Buffer.from(csv.lessons, 'utf8'), filename: `funnel_${suffix}.csv` })
+    await ctx.replyWithDocument({ source: Buffer.from(csv.activations, 'utf8'), filename: `activations_${suffix}.csv` })
+  })
+
+  // /role USER admin|user — роль адміністратора в БД (на додачу до ADMIN_IDS)
+  adminCommand(bot, 'role', async (ctx, [ref, role]) => {
+    if (!ref || !['admin', 'user'].includes(role)) {
+      return ctx.reply('Использование: /role @username|ID admin|user')
+    }
+
+    const user = await findUser(ref)
+    if (!user) {
+      return ctx.reply('❌ Пользователь не найден.')
+    }
+
+    await pool.query(
+      'UPDATE users SET role = $1 WHERE telegram_id = $2',
+      [role === 'admin' ? 'admin' : null, user.telegram_id]
+    )
+    console.log(`🛠 Роль ${user.telegram_id}: ${role} (адмін ${ctx.from.id})`)
+
+    const note = role === 'user' && getAdminIds().includes(String(user.telegram_id))
+      ? '\n⚠️ Пользователь остается администратором через ADMIN_IDS.'
+      : ''
+    await ctx.reply(`✅ ${formatUserName(user)}: роль ${role}.${note}`)
+  })
+}
+
+module.exports = {
+  getAdminIds,
+  isAdmin,
+  adminCommand,
+  getCommandArgs,
+  findUserByTelegramId,
+  findUser,
+  formatUserName,
+  listLearners,
+  setCurrentLesson,
+  resetProgress,
+  setAccess,
+  registerAdminCommands
+}
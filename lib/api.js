@@ -0,0 +1,387 @@
+const crypto = require('crypto')
+const express = require('express')
+const { pool, withTransaction } = require('./db')
+const { DEFAULT_COURSE_SLUG } = require('./catalog')
+const { getCourseBySlug, getCohort, enroll } = require('./courses')
+const {
+  CODE_STATUSES,
+  resolveCodeOptions,
+  createCodes,
+  findCode,
+  listCodes,
+  countListedCodes,
+  revokeCodes
+} = require('./access-codes')
+const { recordEvent } = require('./events')
+const openapi = require('./openapi')
+
+// REST API для інтеграції з CRM (/api/v1). Доступ — заголовок
+// Authorization: Bearer <API_TOKEN>. Списки повертають { data, pagination }.
+
+const DEFAULT_PER_PAGE = 50
+const MAX_PER_PAGE = 200
+const MAX_CODES_PER_REQUEST = 500
+const HOMEWORK_STATUSES = ['pending', 'approved', 'changes_requested']
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+function authenticate(req, res, next) {
+  const token = process.env.API_TOKEN
+  if (!token) {
+    return res.status(503).json({ error: 'API вимкнено: API_TOKEN не встановлено' })
+  }
+
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '')
+  const provided = Buffer.from(match ? match[1] : '')
+  const expected = Buffer.from(token)
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Невірний або відсутній токен' })
+  }
+  next()
+}
+
+// Express 4 не перехоплює помилки async-обробників
+function handle(fn) {
+  return (req, res) => fn(req, res).catch(err => {
+    if (err instanceof ApiError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Помилка в API:', err)
+    res.status(500).json({ error: 'Внутрішня помилка сервера' })
+  })
+}
+
+function getPagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1)
+  const perPage = Math.min(MAX_PER_PAGE, Math.max(1, parseInt(query.per_page, 10) || DEFAULT_PER_PAGE))
+  return { page, perPage, offset: (page - 1) * perPage }
+}
+
+// Сторінка запиту sql (без LIMIT/OFFSET) та загальна кількість рядків окремим COUNT(*):
+// total не залежить від того, чи потрапили на сторінку рядки
+async function queryPage(sql, params, { perPage, offset }) {
+  const count = await pool.query(`SELECT COUNT(*) AS total FROM (${sql}) listed`, params)
+  const result = await pool.query(
+    `${sql} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, perPage, offset]
+  )
+  return { rows: result.rows, total: parseInt(count.rows[0].total, 10) }
+}
+
+function paginated({ rows, total }, { page, perPage }, map) {
+  return {
+    data: rows.map(map),
+    pagination: {
+      page,
+      per_page: perPage,
+      total
+    }
+  }
+}
+
+function parseTelegramId(value) {
+  if (!/^\d+$/.test(String(value || ''))) {
+    throw new ApiError(400, 'telegram_id має бути числом')
+  }
+  return value
+}
+
+// Фільтри ?course=slug&cohort=НАЗВА (потік шукається в курсі, за замовчуванням — theory)
+async function resolveFilters(query) {
+  const slug = query.course || (query.cohort ? DEFAULT_COURSE_SLUG : null)
+  const course = slug ? await getCourseBySlug(String(slug).toLowerCase()) : null
+  if (slug && !course) {
+    throw new ApiError(404, `Курс "${slug}" не знайдено`)
+  }
+
+  const cohort = query.cohort ? await getCohort(course.id, query.cohort) : null
+  if (query.cohort && !cohort) {
+    throw new ApiError(404, `Потік "${query.cohort}" не знайдено`)
+  }
+
+  return { courseId: course ? course.id : null, cohortId: cohort ? cohort.id : null }
+}
+
+// Прогрес по курсах для списку користувачів: Map telegram_id → [enrollment]
+async function getProgress(telegramIds) {
+  const result = await pool.query(`
+    SELECT
+      e.*,
+      c.slug AS course_slug,
+      h.name AS cohort_name,
+      (SELECT COUNT(*) FROM lessons l WHERE l.course_version_id = e.course_version_id) AS lessons_count
+    FROM enrollments e
+    JOIN courses c ON c.id = e.course_id
+    LEFT JOIN cohorts h ON h.id = e.cohort_id
+    WHERE e.telegram_id = ANY($1::BIGINT[])
+    ORDER BY e.id
+  `, [telegramIds])
+
+  const progress = new Map()
+  for (const row of result.rows) {
+    const lessonsCount = parseInt(row.lessons_count, 10)
+    const key = String(row.telegram_id)
+    if (!progress.has(key)) {
+      progress.set(key, [])
+    }
+    progress.get(key).push({
+      id: row.id,
+      course: row.course_slug,
+      cohort: row.cohort_name,
+      current_lesson: Math.min(row.current_lesson, lessonsCount),
+      lessons_count: lessonsCount,
+      completed: row.current_lesson > lessonsCount,
+      last_lesson_date: row.last_lesson_date,
+      enrolled_at: row.created_at
+    })
+  }
+  return progress
+}
+
+function serializeUser(user, progress) {
+  return {
+    telegram_id: Number(user.telegram_id),
+    username: user.username,
+    first_name: user.first_name,
+    has_access: user.has_access,
+    role: user.role || 'user',
+    created_at: user.created_at,
+    enrollments: progress.get(String(user.telegram_id)) || []
+  }
+}
+
+function serializeCode(code) {
+  return {
+    code: code.code,
+    status: code.status,
+    course: code.course_slug,
+    cohort: code.cohort_name,
+    label: code.label,
+    max_uses: code.max_uses,
+    uses_count: code.uses_count,
+    expires_on: code.expires_on,
+    revoked_at: code.revoked_at,
+    created_at: code.created_at
+  }
+}
+
+async function getUserWithProgress(telegramId) {
+  const result = await pool.query('SELECT * FROM users WHERE telegram_id = $1', [telegramId])
+  if (!result.rows.length) {
+    throw new ApiError(404, 'Користувача не знайдено')
+  }
+  return serializeUser(result.rows[0], await getProgress([telegramId]))
+}
+
+function createApi() {
+  const router = express.Router()
+
+  router.get('/openapi.json', (req, res) => res.json(openapi))
+
+  router.use(authenticate)
+
+  // Користувачі з прогресом
+  router.get('/users', handle(async (req, res) => {
+    const pagination = getPagination(req.query)
+    const { courseId, cohortId } = await resolveFilters(req.query)
+    const hasAccess = req.query.has_access === undefined ? null : req.query.has_access === 'true'
+
+    const result = await queryPage(`
+      SELECT u.*
+      FROM users u
+      WHERE ($1::INTEGER IS NULL OR EXISTS (
+          SELECT 1 FROM enrollments e
+          WHERE e.telegram_id = u.telegram_id AND e.course_id = $1
+            AND ($2::INTEGER IS NULL OR e.cohort_id = $2)
+        ))
+        AND ($3::BOOLEAN IS NULL OR u.has_access = $3)
+      ORDER BY u.id
+    `, [courseId, cohortId, hasAccess], pagination)
+
+    const progress = await getProgress(result.rows.map(user => user.telegram_id))
+    res.json(paginated(result, pagination, user => serializeUser(user, progress)))
+  }))
+
+  router.get('/users/:telegramId', handle(async (req, res) => {
+    res.json(await getUserWithProgress(parseTelegramId(req.params.telegramId)))
+  }))
+
+  // Запис на курс без коду: створює користувача з доступом, якщо його ще немає
+  router.post('/users/:telegramId/enrollments', handle(async (req, res) => {
+    const telegramId = parseTelegramId(req.params.telegramId)
+    const body = req.body || {}
+    const course = await getCourseBySlug(String(body.course || DEFAULT_COURSE_SLUG).toLowerCase())
+    if (!course) {
+      throw new ApiError(404, `Курс "${body.course}" не знайдено`)
+    }
+    const cohort = body.cohort ? await getCohort(course.id, body.cohort) : null
+    if (body.cohort && !cohort) {
+      throw new ApiError(404, `Потік "${body.cohort}" не знайдено`)
+    }
+
+    await withTransaction(async (client) => {
+      await client.query(`
+        INSERT INTO users (telegram_id, has_access)
+        VALUES ($1, TRUE)
+        ON CONFLICT (telegram_id) DO UPDATE SET has_access = TRUE
+      `, [telegramId])
+
+      const enrollment = await enroll({ telegramId, courseId: course.id, cohortId: cohort && cohort.id }, client)
+      await recordEvent({
+        type: 'course_enrolled',
+        telegramId,
+        enrollmentId: enrollment.id,
+        courseId: course.id,
+        metadata: { source: 'api', cohort_id: cohort ? cohort.id : null }
+      }, client)
+    })
+    console.log(`🔗 API: ${telegramId} записано на курс ${course.slug}${cohort ? ` (потік ${cohort.name})` : ''}`)
+
+    res.status(201).json(await getUserWithProgress(telegramId))
+  }))
+
+  // Коди доступу
+  router.get('/codes', handle(async (req, res) => {
+    const pagination = getPagination(req.query)
+    const status = req.query.status || null
+    if (status && !CODE_STATUSES.includes(status)) {
+      throw new ApiError(400, `status має бути одним з: ${CODE_STATUSES.join(', ')}`)
+    }
+    const { courseId, cohortId } = await resolveFilters(req.query)
+
+    const filters = { status, label: req.query.label || null, courseId, cohortId }
+    const codes = await listCodes({ ...filters, limit: pagination.perPage, offset: pagination.offset })
+    res.json(paginated({ rows: codes, total: await countListedCodes(filters) }, pagination, serializeCode))
+  }))
+
+  router.post('/codes', handle(async (req, res) => {
+    const body = req.body || {}
+    const flags = { count: '--count', course: '--course', cohort: '--cohort', expires_on: '--expires', max_uses: '--max-uses', prefix: '--prefix', label: '--label' }
+    const args = []
+    for (const [field, flag] of Object.entries(flags)) {
+      if (body[field] !== undefined && body[field] !== null && body[field] !== '') {
+        args.push(flag, String(body[field]))
+      }
+    }
+
+    let options
+    try {
+      options = await resolveCodeOptions(args)
+    } catch (err) {
+      // Помилки resolveCodeOptions згадують прапорці CLI — підставляємо назви полів
+      const fields = Object.fromEntries(Object.entries(flags).map(([field, flag]) => [flag, field]))
+      throw new ApiError(400, err.message.replace(/--[a-z-]+/g, flag => fields[flag] || flag))
+    }
+    if (options.count > MAX_CODES_PER_REQUEST) {
+      throw new ApiError(400, `За один запит можна створити не більше ${MAX_CODES_PER_REQUEST} кодів`)
+    }
+
+    const codes = await createCodes(options)
+    console.log(`🔑 API: створено ${codes.length} кодів (${options.course.slug}${options.label ? `, ${options.label}` : ''})`)
+
+    res.status(201).json({ data: codes.map(code => ({ code })) })
+  }))
+
+  // Відкликання одного коду або партії за міткою
+  router.post('/codes/revoke', handle(async (req, res) => {
+    const { code, label } = req.body || {}
+    if (!code && !label) {
+      throw new ApiError(400, 'Вкажи code або label')
+    }
+    if (code && !(await findCode(String(code)))) {
+      throw new ApiError(404, 'Код не знайдено')
+    }
+
+    const revoked = await revokeCodes({ code: code ? String(code) : null, label: code ? null : String(label) })
+    console.log(`🔑 API: відкликано кодів: ${revoked} (${code || label})`)
+    res.json({ revoked })
+  }))
+
+  // Результати тестів (лише завершені спроби)
+  router.get('/quiz-attempts', handle(async (req, res) => {
+    const pagination = getPagination(req.query)
+    const { courseId, cohortId } = await resolveFilters(req.query)
+    const telegramId = req.query.telegram_id ? parseTelegramId(req.query.telegram_id) : null
+
+    const result = await queryPage(`
+      SELECT
+        a.*, l.position AS lesson_position, c.slug AS course_slug, h.name AS cohort_name
+      FROM quiz_attempts a
+      JOIN quizzes q ON q.id = a.quiz_id
+      JOIN lessons l ON l.id = q.lesson_id
+      LEFT JOIN enrollments e ON e.id = a.enrollment_id
+      LEFT JOIN courses c ON c.id = e.course_id
+      LEFT JOIN cohorts h ON h.id = e.cohort_id
+      WHERE a.finished_at IS NOT NULL
+        AND ($1::INTEGER IS NULL OR e.course_id = $1)
+        AND ($2::INTEGER IS NULL OR e.cohort_id = $2)
+        AND ($3::BIGINT IS NULL OR a.telegram_id = $3)
+      ORDER BY a.id DESC
+    `, [courseId, cohortId, telegramId], pagination)
+
+    res.json(paginated(result, pagination, row => ({
+      id: row.id,
+      telegram_id: Number(row.telegram_id),
+      course: row.course_slug,
+      cohort: row.cohort_name,
+      lesson: row.lesson_position,
+      quiz_id: row.quiz_id,
+      score: row.score,
+      max_score: row.max_score,
+      percent: row.percent,
+      passed: row.passed,
+      started_at: row.started_at,
+      finished_at: row.finished_at
+    })))
+  }))
+
+  // Домашні завдання
+  router.get('/homework', handle(async (req, res) => {
+    const pagination = getPagination(req.query)
+    const { courseId, cohortId } = await resolveFilters(req.query)
+    const telegramId = req.query.telegram_id ? parseTelegramId(req.query.telegram_id) : null
+    const status = req.query.status || null
+    if (status && !HOMEWORK_STATUSES.includes(status)) {
+      throw new ApiError(400, `status має бути одним з: ${HOMEWORK_STATUSES.join(', ')}`)
+    }
+
+    const result = await queryPage(`
+      SELECT h.*, c.slug AS course_slug, ch.name AS cohort_name
+      FROM homework_submissions h
+      JOIN enrollments e ON e.id = h.enrollment_id
+      JOIN courses c ON c.id = h.course_id
+      LEFT JOIN cohorts ch ON ch.id = e.cohort_id
+      WHERE ($1::INTEGER IS NULL OR h.course_id = $1)
+        AND ($2::INTEGER IS NULL OR e.cohort_id = $2)
+        AND ($3::BIGINT IS NULL OR h.telegram_id = $3)
+        AND ($4::TEXT IS NULL OR h.status = $4)
+      ORDER BY h.id DESC
+    `, [courseId, cohortId, telegramId, status], pagination)
+
+    res.json(paginated(result, pagination, row => ({
+      id: row.id,
+      telegram_id: Number(row.telegram_id),
+      course: row.course_slug,
+      cohort: row.cohort_name,
+      lesson: row.lesson_position,
+      kind: row.kind,
+      content: row.content,
+      has_file: Boolean(row.file_id),
+      status: row.status,
+      review_comment: row.review_comment,
+      reviewed_at: row.reviewed_at,
+      created_at: row.created_at
+    })))
+  }))
+
+  router.use((req, res) => res.status(404).json({ error: 'Не знайдено' }))
+
+  return router
+}
+
+module.exports = { createApi }
@@ -0,0 +1,64 @@
+const { pool } = require('./db')
+
+// Архів проходжень курсу (course_attempts). Перед тим як прогрес починається
+// заново — учнем через /restart або адміном через /reset — поточний стан запису
+// на курс зберігається знімком, щоб адміністратор бачив попередні спроби.
+// ДЗ, спроби тестів та журнал подій при цьому не видаляються.
+
+const REASON_LABELS = {
+  restart: 'перезапуск учеником',
+  reset: 'сброс администратором'
+}
+
+// Зберігає поточне проходження. client — транзакція, в якій прогрес обнуляється.
+async function archiveAttempt(enrollment, { reason, actorId }, client) {
+  const result = await client.query(`
+    INSERT INTO course_attempts (
+      enrollment_id, telegram_id, course_id, course_version_id, attempt,
+      current_lesson, last_lesson_date, lessons_count, completed, started_at, reason, actor_telegram_id
+    )
+    SELECT
+      e.id, e.telegram_id, e.course_id, e.course_version_id,
+      (SELECT COUNT(*) FROM course_attempts a WHERE a.enrollment_id = e.id) + 1,
+      e.current_lesson, e.last_lesson_date, l.count, e.current_lesson > l.count,
+      COALESCE((SELECT MAX(a.archived_at) FROM course_attempts a WHERE a.enrollment_id = e.id), e.created_at),
+      $2, $3
+    FROM enrollments e
+    CROSS JOIN LATERAL (
+      SELECT COUNT(*)::INTEGER AS count FROM lessons WHERE course_version_id = e.course_version_id
+    ) l
+    WHERE e.id = $1
+    RETURNING *
+  `, [enrollment.id, reason, actorId || null])
+  return result.rows[0]
+}
+
+// Попередні проходження користувача від нових до старих
+async function listAttempts(telegramId) {
+  const result = await pool.query(`
+    SELECT a.*, c.slug AS course_slug, c.title AS course_title
+    FROM course_attempts a
+    JOIN courses c ON c.id = a.course_id
+    WHERE a.telegram_id = $1
+    ORDER BY a.archived_at DESC, a.id DESC
+  `, [telegramId])
+  return result.rows
+}
+
+function formatDate(date) {
+  return date ? date.toISOString().split('T')[0] : '—'
+}
+
+function formatAttempt(attempt) {
+  const progress = attempt.completed
+    ? 'пройден 🎓'
+    : `урок ${attempt.current_lesson} из ${attempt.lessons_count}`
+  return `#${attempt.attempt} ${attempt.course_slug}: ${progress}, ` +
+    `${formatDate(attempt.started_at)} — ${formatDate(attempt.archived_at)} (${REASON_LABELS[attempt.reason]})`
+}
+
+module.exports = {
+  archiveAttempt,
+  listAttempts,
+  formatAttempt
+}
@@ -0,0 +1,503 @@
+const { pool, withTransaction } = require('./db')
+const defaultLessons = require('./default-lessons')
+const { saveQuiz, copyQuizzes } = require('./quiz')
+const { recordEvent } = require('./events')
+
+// Каталог курсів: версії контенту, уроки та матеріали зберігаються в БД.
+// Нові учні отримують останню опубліковану версію курсу, а ті, хто вже навчається,
+// залишаються на своїй версії (enrollments.course_version_id), поки адмін їх не перенесе.
+// Текст уроку в lessons — мовою курсу (courses.default_language), переклади
+// на інші мови — в lesson_translations; чого немає в перекладі, береться з уроку.
+
+// Курс за замовчуванням — теоретичний курс, з якого починалась школа
+const DEFAULT_COURSE_SLUG = 'theory'
+// Опубліковані версії не змінюються (див. getEditableVersion)
+const PUBLISHED_LESSON_ERROR = 'Урок опублікованої версії не змінюється: внеси правки в чернетку'
+
+// Перетворює рядок з БД у формат уроку, з яким працюють обробники бота
+function mapLesson(row, materials, attachments = []) {
+  return {
+    id: row.id,
+    position: row.position,
+    title: row.title,
+    text: row.text,
+    materials,
+    attachments,
+    homeworkUrl: row.homework_url,
+    homeworkText: row.homework_text,
+    additionalText: row.additional_text,
+    quiz: row.quiz_id
+      ? { id: row.quiz_id, passMark: row.quiz_pass_mark, required: row.quiz_required }
+      : null
+  }
+}
+
+// Записує уроки з матеріалами у вказану версію
+async function insertLessons(client, versionId, lessons) {
+  for (const [index, lesson] of lessons.entries()) {
+    const lessonResult = await client.query(`
+      INSERT INTO lessons (course_version_id, position, title, text, homework_url, homework_text, additional_text)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `, [
+      versionId,
+      index + 1,
+      lesson.title,
+      lesson.text,
+      lesson.homeworkUrl || null,
+      lesson.homeworkText || null,
+      lesson.additionalText || null
+    ])
+
+    const materials = lesson.materials || []
+    for (const [materialIndex, material] of materials.entries()) {
+      await client.query(
+        'INSERT INTO lesson_materials (lesson_id, position, title, url) VALUES ($1, $2, $3, $4)',
+        [lessonResult.rows[0].id, materialIndex + 1, material.title, material.url]
+      )
+    }
+  }
+}
+
+// Створює курс за замовчуванням і заповнює його початковим контентом,
+// якщо в БД ще немає жодної версії цього курсу
+async function seedCatalog() {
+  const courseResult = await pool.query(`
+    INSERT INTO courses (slug, title)
+    VALUES ($1, $2)
+    ON CONFLICT (slug) DO UPDATE SET slug = EXCLUDED.slug
+    RETURNING id
+  `, [DEFAULT_COURSE_SLUG, 'Теоретический курс'])
+  const courseId = courseResult.rows[0].id
+
+  // Версії, створені до появи курсів, належать курсу за замовчуванням
+  await pool.query(
+    'UPDATE course_versions SET course_id = $1 WHERE course_id IS NULL',
+    [courseId]
+  )
+
+  const existing = await pool.query(
+    'SELECT id FROM course_versions WHERE course_id = $1 LIMIT 1',
+    [courseId]
+  )
+  if (existing.rows.length) {
+    return
+  }
+
+  await withTransaction(async (client) => {
+    const versionResult = await client.query(`
+      INSERT INTO course_versions (course_id, version, is_published, published_at, note)
+      VALUES ($1, 1, TRUE, NOW(), $2)
+      RETURNING id
+    `, [courseId, 'Початковий контент курсу'])
+    const versionId = versionResult.rows[0].id
+
+    await insertLessons(client, versionId, defaultLessons)
+
+    // Учні, які почали навчання до появи каталогу, залишаються на версії 1
+    await client.query(
+      'UPDATE users SET course_version_id = $1 WHERE course_version_id IS NULL',
+      [versionId]
+    )
+  })
+
+  console.log(`✅ Каталог уроків заповнено початковим контентом (${defaultLessons.length} уроків, версія 1)`)
+}
+
+// Остання опублікована версія курсу — її отримують нові учні
+async function getPublishedVersion(courseId) {
+  const result = await pool.query(
+    'SELECT * FROM course_versions WHERE course_id = $1 AND is_published = TRUE ORDER BY version DESC LIMIT 1',
+    [courseId]
+  )
+  return result.rows[0] || null
+}
+
+async function getVersion(courseId, version) {
+  const result = await pool.query(
+    'SELECT * FROM course_versions WHERE course_id = $1 AND version = $2',
+    [courseId, version]
+  )
+  return result.rows[0] || null
+}
+
+// Остання чернетка курсу (неопублікована версія з найбільшим номером)
+async function getDraftVersion(courseId) {
+  const result = await pool.query(
+    'SELECT * FROM course_versions WHERE course_id = $1 AND NOT is_published ORDER BY version DESC LIMIT 1',
+    [courseId]
+  )
+  return result.rows[0] || null
+}
+
+// Версія, в яку можна вносити правки: вказана явно або остання чернетка.
+// Опубліковані версії не змінюються — учні вже проходять їх (а заміна тесту
+// видалила б їхні спроби). Правки йдуть у чернетку, її публікують і переводять
+// на неї учнів (migrateEnrollments).
+async function getEditableVersion(courseId, version) {
+  const target = version ? await getVersion(courseId, version) : await getDraftVersion(courseId)
+  if (!target) {
+    throw new Error(version ? `Версію ${version} не знайдено` : 'Немає чернетки: створи її командою draft')
+  }
+  if (target.is_published) {
+    throw new Error(`Версія v${target.version} опублікована і не змінюється: внеси правки в чернетку (draft), опублікуй її та перенеси учнів (migrate)`)
+  }
+  return target
+}
+
+async function listVersions(courseId) {
+  const result = await pool.query(`
+    SELECT
+      v.*,
+      (SELECT COUNT(*) FROM lessons l WHERE l.course_version_id = v.id) AS lessons_count,
+      (SELECT COUNT(*) FROM enrollments e WHERE e.course_version_id = v.id) AS users_count
+    FROM course_versions v
+    WHERE v.course_id = $1
+    ORDER BY v.version
+  `, [courseId])
+  return result.rows
+}
+
+// Уроки версії в порядку проходження. language — мова учня: перекладені поля
+// підставляються з lesson_translations, решта — мовою курсу.
+async function getLessons(versionId, language = null) {
+  const lessonsResult = await pool.query(`
+    SELECT
+      l.id,
+      l.course_version_id,
+      l.position,
+      l.homework_url,
+      COALESCE(tr.title, l.title) AS title,
+      COALESCE(tr.text, l.text) AS text,
+      COALESCE(tr.homework_text, l.homework_text) AS homework_text,
+      COALESCE(tr.additional_text, l.additional_text) AS additional_text,
+      q.id AS quiz_id, q.pass_mark AS quiz_pass_mark, q.is_required AS quiz_required
+    FROM lessons l
+    LEFT JOIN lesson_translations tr ON tr.lesson_id = l.id AND tr.language = $2
+    LEFT JOIN quizzes q ON q.lesson_id = l.id
+    WHERE l.course_version_id = $1
+    ORDER BY l.position
+  `, [versionId, language])
+  if (!lessonsResult.rows.length) {
+    return []
+  }
+
+  const materialsResult = await pool.query(`
+    SELECT m.*
+    FROM lesson_materials m
+    JOIN lessons l ON l.id = m.lesson_id
+    WHERE l.course_version_id = $1
+    ORDER BY m.lesson_id, m.position
+  `, [versionId])
+
+  const materialsByLesson = new Map()
+  for (const material of materialsResult.rows) {
+    if (!materialsByLesson.has(material.lesson_id)) {
+      materialsByLesson.set(material.lesson_id, [])
+    }
+    materialsByLesson.get(material.lesson_id).push({ title: material.title, url: material.url })
+  }
+
+  // Вкладення (відео, аудіо, документи, фото) — рядки lesson_attachments як є
+  const attachmentsResult = await pool.query(`
+    SELECT a.*
+    FROM lesson_attachments a
+    JOIN lessons l ON l.id = a.lesson_id
+    WHERE l.course_version_id = $1
+    ORDER BY a.lesson_id, a.position, a.id
+  `, [versionId])
+
+  const attachmentsByLesson = new Map()
+  for (const attachment of attachmentsResult.rows) {
+    if (!attachmentsByLesson.has(attachment.lesson_id)) {
+      attachmentsByLesson.set(attachment.lesson_id, [])
+    }
+    attachmentsByLesson.get(attachment.lesson_id).push(attachment)
+  }
+
+  return lessonsResult.rows.map(row => mapLesson(
+    row,
+    materialsByLesson.get(row.id) || [],
+    attachmentsByLesson.get(row.id) || []
+  ))
+}
+
+// Урок за id разом з версією та матеріалами (для редагування у веб-панелі)
+async function getLesson(lessonId) {
+  const result = await pool.query(`
+    SELECT l.*, v.course_id, v.version, v.is_published
+    FROM lessons l
+    JOIN course_versions v ON v.id = l.course_version_id
+    WHERE l.id = $1
+  `, [lessonId])
+  if (!result.rows.length) {
+    return null
+  }
+
+  const row = result.rows[0]
+  const materials = await pool.query(
+    'SELECT title, url FROM lesson_materials WHERE lesson_id = $1 ORDER BY position',
+    [lessonId]
+  )
+  return {
+    ...mapLesson(row, materials.rows),
+    courseId: row.course_id,
+    versionId: row.course_version_id,
+    version: row.version,
+    isPublished: row.is_published
+  }
+}
+
+// Оновлює текст уроку та замінює його матеріали (лише в чернетці, див. getEditableVersion)
+async function updateLesson(lessonId, lesson) {
+  await withTransaction(async (client) => {
+    const result = await client.query(`
+      UPDATE lessons l
+      SET title = $2, text = $3, homework_url = $4, homework_text = $5, additional_text = $6
+      FROM course_versions v
+      WHERE l.id = $1 AND v.id = l.course_version_id AND NOT v.is_published
+    `, [
+      lessonId,
+      lesson.title,
+      lesson.text,
+      lesson.homeworkUrl || null,
+      lesson.homeworkText || null,
+      lesson.additionalText || null
+    ])
+    if (!result.rowCount) {
+      throw new Error(PUBLISHED_LESSON_ERROR)
+    }
+
+    await client.query('DELETE FROM lesson_materials WHERE lesson_id = $1', [lessonId])
+    for (const [index, material] of (lesson.materials || []).entries()) {
+      await client.query(
+        'INSERT INTO lesson_materials (lesson_id, position, title, url) VALUES ($1, $2, $3, $4)',
+        [lessonId, index + 1, material.title, material.url]
+      )
+    }
+  })
+}
+
+// Уроки тієї версії курсу, на якій навчається учень (language — мова учня).
+// Якщо версія ще не закріплена — закріплюємо поточну опубліковану.
+async function getLessonsForEnrollment(enrollment, language = null) {
+  if (!enrollment.course_version_id) {
+    const published = await getPublishedVersion(enrollment.course_id)
+    if (!published) {
+      return []
+    }
+    await pool.query(
+      'UPDATE enrollments SET course_version_id = $1 WHERE id = $2',
+      [published.id, enrollment.id]
+    )
+    enrollment.course_version_id = published.id
+  }
+
+  return getLessons(enrollment.course_version_id, language)
+}
+
+// Записує (замінює) переклад уроку чернетки. Порожні поля — без перекладу, береться текст уроку.
+async function saveTranslation(lessonId, language, translation) {
+  const result = await pool.query(`
+    INSERT INTO lesson_translations (lesson_id, language, title, text, homework_text, additional_text)
+    SELECT l.id, $2, $3, $4, $5, $6
+    FROM lessons l
+    JOIN course_versions v ON v.id = l.course_version_id
+    WHERE l.id = $1 AND NOT v.is_published
+    ON CONFLICT (lesson_id, language) DO UPDATE
+    SET title = EXCLUDED.title, text = EXCLUDED.text,
+        homework_text = EXCLUDED.homework_text, additional_text = EXCLUDED.additional_text
+    RETURNING *
+  `, [
+    lessonId,
+    language,
+    translation.title || null,
+    translation.text || null,
+    translation.homeworkText || null,
+    translation.additionalText || null
+  ])
+  if (!result.rows.length) {
+    throw new Error(PUBLISHED_LESSON_ERROR)
+  }
+  return result.rows[0]
+}
+
+// Мови, на які перекладено уроки версії: [{ language, lessons_count }]
+async function listTranslations(versionId) {
+  const result = await pool.query(`
+    SELECT tr.language, COUNT(*) AS lessons_count
+    FROM lesson_translations tr
+    JOIN lessons l ON l.id = tr.lesson_id
+    WHERE l.course_version_id = $1
+    GROUP BY tr.language
+    ORDER BY tr.language
+  `, [versionId])
+  return result.rows
+}
+
+// Створює чернетку нової версії як копію існуючої (за замовчуванням — опублікованої)
+async function createDraftVersion(courseId, fromVersion) {
+  const source = fromVersion ? await getVersion(courseId, fromVersion) : await getPublishedVersion(courseId)
+  if (!source) {
+    throw new Error(fromVersion ? `Версію ${fromVersion} не знайдено` : 'Немає опублікованої версії')
+  }
+
+  const lessons = await getLessons(source.id)
+
+  return withTransaction(async (client) => {
+    const versionResult = await client.query(`
+      INSERT INTO course_versions (course_id, version, is_published, note)
+      SELECT $1, COALESCE(MAX(version), 0) + 1, FALSE, $2 FROM course_versions WHERE course_id = $1
+      RETURNING *
+    `, [courseId, `Копія версії ${source.version}`])
+    const draft = versionResult.rows[0]
+
+    await insertLessons(client, draft.id, lessons)
+    await copyQuizzes(client, source.id, draft.id)
+    await copyAttachments(client, source.id, draft.id)
+    await copyTranslations(client, source.id, draft.id)
+    return draft
+  })
+}
+
+// Створює чернетку нової версії з імпортованого контенту (уроки з тестами).
+// Вкладення та переклади переносяться з опублікованої версії за номером уроку;
+// переклади змінених уроків варто перевірити (імпорт показує, які мови перенесено).
+async function createVersionFromContent(courseId, lessons, note) {
+  const published = await getPublishedVersion(courseId)
+
+  return withTransaction(async (client) => {
+    const versionResult = await client.query(`
+      INSERT INTO course_versions (course_id, version, is_published, note)
+      SELECT $1, COALESCE(MAX(version), 0) + 1, FALSE, $2 FROM course_versions WHERE course_id = $1
+      RETURNING *
+    `, [courseId, note || 'Імпорт контенту'])
+    const draft = versionResult.rows[0]
+
+    await insertLessons(client, draft.id, lessons)
+
+    const lessonsResult = await client.query(
+      'SELECT id, position FROM lessons WHERE course_version_id = $1 ORDER BY position',
+      [draft.id]
+    )
+    for (const row of lessonsResult.rows) {
+      const quiz = lessons[row.position - 1].quiz
+      if (quiz) {
+        await saveQuiz(client, row.id, quiz)
+      }
+    }
+
+    if (published) {
+      await copyAttachments(client, published.id, draft.id)
+      await copyTranslations(client, published.id, draft.id)
+    }
+    return draft
+  })
+}
+
+// Копіює вкладення уроків у нову версію (уроки зіставляються за номером).
+// file_id переноситься, тож повторно завантажувати файли не потрібно.
+async function copyAttachments(client, fromVersionId, toVersionId) {
+  await client.query(`
+    INSERT INTO lesson_attachments (lesson_id, position, kind, file_id, file_unique_id, source_url, caption)
+    SELECT nl.id, a.position, a.kind, a.file_id, a.file_unique_id, a.source_url, a.caption
+    FROM lesson_attachments a
+    JOIN lessons ol ON ol.id = a.lesson_id
+    JOIN lessons nl ON nl.course_version_id = $2 AND nl.position = ol.position
+    WHERE ol.course_version_id = $1
+    ORDER BY a.lesson_id, a.position, a.id
+  `, [fromVersionId, toVersionId])
+}
+
+// Копіює переклади уроків у нову версію (уроки зіставляються за номером)
+async function copyTranslations(client, fromVersionId, toVersionId) {
+  await client.query(`
+    INSERT INTO lesson_translations (lesson_id, language, title, text, homework_text, additional_text)
+    SELECT nl.id, tr.language, tr.title, tr.text, tr.homework_text, tr.additional_text
+    FROM lesson_translations tr
+    JOIN lessons ol ON ol.id = tr.lesson_id
+    JOIN lessons nl ON nl.course_version_id = $2 AND nl.position = ol.position
+    WHERE ol.course_version_id = $1
+  `, [fromVersionId, toVersionId])
+}
+
+async function publishVersion(courseId, version) {
+  const target = await getVersion(courseId, version)
+  if (!target) {
+    throw new Error(`Версію ${version} не знайдено`)
+  }
+
+  const lessons = await getLessons(target.id)
+  if (!lessons.length) {
+    throw new Error(`Версія ${version} не містить уроків`)
+  }
+
+  const result = await pool.query(`
+    UPDATE course_versions
+    SET is_published = TRUE, published_at = COALESCE(published_at, NOW())
+    WHERE id = $1
+    RETURNING *
+  `, [target.id])
+  return result.rows[0]
+}
+
+// Переводить учнів курсу з однієї версії на іншу, зберігаючи номер поточного уроку.
+// Якщо в новій версії менше уроків, прогрес обрізається до її кінця.
+// Кожен перехід записується в журнал подій (enrollment_migrated) у тій самій транзакції.
+async function migrateEnrollments(courseId, fromVersion, toVersion) {
+  const source = await getVersion(courseId, fromVersion)
+  const target = await getVersion(courseId, toVersion)
+  if (!source || !target) {
+    throw new Error(`Версію ${!source ? fromVersion : toVersion} не знайдено`)
+  }
+  if (!target.is_published) {
+    throw new Error(`Версія ${toVersion} ще не опублікована`)
+  }
+
+  const lessons = await getLessons(target.id)
+  return withTransaction(async (client) => {
+    // moved — стан до оновлення, щоб записати в журнал, з якого уроку переведено учня
+    const result = await client.query(`
+      WITH moved AS (
+        SELECT id, current_lesson FROM enrollments WHERE course_version_id = $2 FOR UPDATE
+      )
+      UPDATE enrollments e
+      SET course_version_id = $1, current_lesson = LEAST(e.current_lesson, $3)
+      FROM moved
+      WHERE e.id = moved.id
+      RETURNING e.id, e.telegram_id, e.current_lesson, moved.current_lesson AS from_lesson
+    `, [target.id, source.id, lessons.length + 1])
+
+    for (const row of result.rows) {
+      await recordEvent({
+        type: 'enrollment_migrated',
+        telegramId: row.telegram_id,
+        enrollmentId: row.id,
+        courseId,
+        lessonPosition: row.current_lesson,
+        metadata: { from_version: source.version, to_version: target.version, from_lesson: row.from_lesson }
+      }, client)
+    }
+    return result.rowCount
+  })
+}
+
+module.exports = {
+  DEFAULT_COURSE_SLUG,
+  seedCatalog,
+  getPublishedVersion,
+  getVersion,
+  getDraftVersion,
+  getEditableVersion,
+  listVersions,
+  getLessons,
+  getLesson,
+  updateLesson,
+  getLessonsForEnrollment,
+  saveTranslation,
+  listTranslations,
+  createDraftVersion,
+  createVersionFromContent,
+  publishVersion,
+  migrateEnrollments
+}
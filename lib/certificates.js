@@ -0,0 +1,322 @@
+const crypto = require('crypto')
+const path = require('path')
+const express = require('express')
+const PDFDocument = require('pdfkit')
+const { pool, withTransaction } = require('./db')
+const { getLessonsForEnrollment } = require('./catalog')
+const { getActiveEnrollment } = require('./courses')
+const { recordEvent } = require('./events')
+const { escapeHtml } = require('./lesson-renderer')
+const { DEFAULT_LANGUAGE, t } = require('./i18n')
+
+// Сертифікати про проходження курсу. Видаються один раз на запис на курс
+// (після /restart і повторного проходження лишається перший сертифікат),
+// PDF генерується локально (pdfkit, шрифти DejaVu з кирилицею та грузинською)
+// мовою учня і надсилається документом; file_id кешується для повторної відправки.
+// Ім'я та назва курсу зберігаються в сертифікаті, тож перевірка за кодом
+// (/certificates/КОД) не залежить від подальших змін профілю чи курсу.
+
+const CERTIFICATE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789' // Без 0, O, I, 1, як у кодах доступу
+const FONTS_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf')
+const MAX_NAME_LENGTH = 100
+const DATE_LOCALES = { ru: 'ru-RU', uk: 'uk-UA', en: 'en-GB', ka: 'ka-GE' }
+
+// Код перевірки: CERT-XXXX-XXXX-XXXX (60 біт випадковості)
+function generateVerificationId() {
+  const groups = []
+  for (let group = 0; group < 3; group++) {
+    let part = ''
+    for (let i = 0; i < 4; i++) {
+      part += CERTIFICATE_ALPHABET[crypto.randomInt(CERTIFICATE_ALPHABET.length)]
+    }
+    groups.push(part)
+  }
+  return `CERT-${groups.join('-')}`
+}
+
+function normalizeVerificationId(value) {
+  return String(value || '').trim().toUpperCase()
+}
+
+// Посилання на перевірку сертифіката (WEBHOOK_URL — публічна адреса сервера бота)
+function verificationUrl(verificationId) {
+  return process.env.WEBHOOK_URL ? `${process.env.WEBHOOK_URL.replace(/\/$/, '')}/certificates/${verificationId}` : null
+}
+
+async function getCertificateByEnrollment(enrollmentId) {
+  const result = await pool.query('SELECT * FROM certificates WHERE enrollment_id = $1', [enrollmentId])
+  return result.rows[0] || null
+}
+
+async function getCertificate(verificationId) {
+  const result = await pool.query(`
+    SELECT cert.*, c.slug AS course_slug
+    FROM certificates cert
+    LEFT JOIN courses c ON c.id = cert.course_id
+    WHERE cert.verification_id = $1
+  `, [normalizeVerificationId(verificationId)])
+  return result.rows[0] || null
+}
+
+// Сертифікат запису на курс; якщо його ще немає — створює (completedOn — дата
+// завершення YYYY-MM-DD за часовим поясом курсу). Ім'я — з профілю Telegram.
+async function issueCertificate(enrollmentId, completedOn) {
+  const existing = await getCertificateByEnrollment(enrollmentId)
+  if (existing) {
+    return existing
+  }
+
+  const result = await pool.query(`
+    SELECT e.id, e.telegram_id, e.course_id, u.first_name, u.username, c.title AS course_title
+    FROM enrollments e
+    JOIN users u ON u.telegram_id = e.telegram_id
+    JOIN courses c ON c.id = e.course_id
+    WHERE e.id = $1
+  `, [enrollmentId])
+  const enrollment = result.rows[0]
+  if (!enrollment) {
+    throw new Error(`Запис на курс ${enrollmentId} не знайдено`)
+  }
+  const learnerName = enrollment.first_name || (enrollment.username ? `@${enrollment.username}` : String(enrollment.telegram_id))
+
+  // Конфлікт — паралельна видача для того ж запису або (малоймовірний) повтор коду
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const certificate = await withTransaction(async (client) => {
+      const inserted = await client.query(`
+        INSERT INTO certificates (verification_id, enrollment_id, telegram_id, course_id, learner_name, course_title, completed_on)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT DO NOTHING
+        RETURNING *
+      `, [
+        generateVerificationId(),
+        enrollment.id,
+        enrollment.telegram_id,
+        enrollment.course_id,
+        learnerName.slice(0, MAX_NAME_LENGTH),
+        enrollment.course_title,
+        completedOn
+      ])
+      if (!inserted.rows.length) {
+        return null
+      }
+
+      const row = inserted.rows[0]
+      await recordEvent({
+        type: 'certificate_issued',
+        telegramId: enrollment.telegram_id,
+        enrollmentId: enrollment.id,
+        courseId: enrollment.course_id,
+        metadata: { certificate_id: row.id, verification_id: row.verification_id }
+      }, client)
+      return row
+    })
+    if (certificate) {
+      console.log(`🎓 Сертифікат ${certificate.verification_id} видано користувачу ${certificate.telegram_id} (${enrollment.course_title})`)
+      return certificate
+    }
+
+    const concurrent = await getCertificateByEnrollment(enrollmentId)
+    if (concurrent) {
+      return concurrent
+    }
+  }
+  throw new Error('Не вдалося згенерувати унікальний код сертифіката')
+}
+
+// Виправлення імені учнем (/certificate Ім'я Прізвище); PDF буде згенеровано заново
+async function renameCertificate(certificateId, learnerName) {
+  const result = await pool.query(
+    'UPDATE certificates SET learner_name = $2, file_id = NULL, file_language = NULL WHERE id = $1 RETURNING *',
+    [certificateId, learnerName]
+  )
+  return result.rows[0]
+}
+
+function formatDate(date, lang) {
+  return new Intl.DateTimeFormat(DATE_LOCALES[lang] || DATE_LOCALES[DEFAULT_LANGUAGE], {
+    dateStyle: 'long',
+    timeZone: 'UTC'
+  }).format(new Date(`${date}T00:00:00Z`))
+}
+
+// PDF сертифіката (A4, альбомна орієнтація). Повертає Buffer.
+function renderCertificate(certificate, lang = DEFAULT_LANGUAGE) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margin: 60,
+    info: { Title: `${t(lang, 'certificate.pdf_title')} ${certificate.verification_id}`, Author: 'PON School' }
+  })
+  const chunks = []
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+  })
+
+  doc.registerFont('regular', path.join(FONTS_DIR, 'DejaVuSans.ttf'))
+  doc.registerFont('title', path.join(FONTS_DIR, 'DejaVuSerif-Bold.ttf'))
+
+  const { width, height } = doc.page
+  const textWidth = width - 120
+  doc.lineWidth(3).strokeColor('#1f3a5f').rect(25, 25, width - 50, height - 50).stroke()
+  doc.lineWidth(1).rect(35, 35, width - 70, height - 70).stroke()
+
+  doc.fillColor('#1f3a5f').font('regular').fontSize(14)
+    .text('PON SCHOOL · PON ESTATE', 60, 70, { width: textWidth, align: 'center', characterSpacing: 2 })
+  doc.font('title').fontSize(40)
+    .text(t(lang, 'certificate.pdf_title'), 60, 110, { width: textWidth, align: 'center' })
+  doc.font('regular').fontSize(16).fillColor('#444444')
+    .text(t(lang, 'certificate.pdf_certifies'), 60, 190, { width: textWidth, align: 'center' })
+  doc.font('title').fontSize(32).fillColor('#222222')
+    .text(certificate.learner_name, 60, 225, { width: textWidth, align: 'center' })
+  doc.font('regular').fontSize(16).fillColor('#444444')
+    .text(t(lang, 'certificate.pdf_completed'), 60, 290, { width: textWidth, align: 'center' })
+  doc.font('title').fontSize(22).fillColor('#1f3a5f')
+    .text(`«${certificate.course_title}»`, 60, 320, { width: textWidth, align: 'center' })
+
+  const url = verificationUrl(certificate.verification_id)
+  doc.font('regular').fontSize(12).fillColor('#444444')
+    .text(t(lang, 'certificate.pdf_date', { date: formatDate(certificate.completed_on, lang) }), 60, height - 150, { width: textWidth, align: 'center' })
+    .text(t(lang, 'certificate.pdf_verification', { id: certificate.verification_id }), { width: textWidth, align: 'center' })
+  if (url) {
+    doc.fillColor('#1f3a5f').text(url, { width: textWidth, align: 'center', link: url })
+  }
+
+  doc.end()
+  return done
+}
+
+// Надсилає сертифікат документом. send — обгортка запиту (sendWithRetry у розсилці).
+// PDF генерується лише для першої відправки цією мовою, далі — кешований file_id.
+async function sendCertificate(telegram, chatId, certificate, lang = DEFAULT_LANGUAGE, send = fn => fn()) {
+  const caption = t(lang, 'certificate.caption', {
+    course: certificate.course_title,
+    id: certificate.verification_id
+  })
+  if (certificate.file_id && certificate.file_language === lang) {
+    return send(() => telegram.sendDocument(chatId, certificate.file_id, { caption }))
+  }
+
+  const pdf = await renderCertificate(certificate, lang)
+  const sent = await send(() => telegram.sendDocument(chatId, {
+    source: pdf,
+    filename: `certificate-${certificate.verification_id}.pdf`
+  }, { caption }))
+  if (sent && sent.document) {
+    await pool.query(
+      'UPDATE certificates SET file_id = $2, file_language = $3 WHERE id = $1',
+      [certificate.id, sent.document.file_id, lang]
+    )
+  }
+  return sent
+}
+
+// Видає та надсилає сертифікат одразу після завершення курсу (кнопка або розсилка).
+// Помилка не скасовує завершення: учень може отримати сертифікат командою /certificate.
+async function awardCertificate(telegram, enrollment, completedOn, lang = DEFAULT_LANGUAGE, send = fn => fn()) {
+  try {
+    const certificate = await issueCertificate(enrollment.id, completedOn)
+    await sendCertificate(telegram, enrollment.telegram_id, certificate, lang, send)
+    await send(() => telegram.sendMessage(enrollment.telegram_id, t(lang, 'certificate.name_hint', { name: certificate.learner_name })))
+  } catch (err) {
+    console.error(`❌ Сертифікат: не вдалося видати користувачу ${enrollment.telegram_id}:`, err.description || err.message)
+  }
+}
+
+function registerCertificateHandlers(bot) {
+  // /certificate [Ім'я Прізвище] — сертифікат активного курсу (з виправленням імені)
+  bot.command('certificate', async (ctx) => {
+    try {
+      const result = await pool.query('SELECT * FROM users WHERE telegram_id = $1', [ctx.from.id])
+      if (!result.rows.length) {
+        return ctx.reply(ctx.t('start_first'))
+      }
+      const user = result.rows[0]
+      const enrollment = user.has_access ? await getActiveEnrollment(user) : null
+      if (!enrollment) {
+        return ctx.reply(ctx.t('enrollment.none'))
+      }
+
+      const lessons = await getLessonsForEnrollment(enrollment)
+      if (!lessons.length || enrollment.current_lesson <= lessons.length) {
+        return ctx.reply(ctx.t('certificate.not_completed'))
+      }
+
+      const name = ctx.message.text.split(' ').slice(1).join(' ').trim()
+      if (name.length > MAX_NAME_LENGTH) {
+        return ctx.reply(ctx.t('certificate.name_invalid', { max: MAX_NAME_LENGTH }))
+      }
+
+      let certificate = await issueCertificate(enrollment.id, enrollment.last_lesson_date)
+      if (name && name !== certificate.learner_name) {
+        certificate = await renameCertificate(certificate.id, name)
+        console.log(`🎓 Сертифікат ${certificate.verification_id}: ім'я змінено на "${name}"`)
+      }
+
+      await sendCertificate(ctx.telegram, ctx.chat.id, certificate, ctx.lang)
+      if (!name) {
+        await ctx.reply(ctx.t('certificate.name_hint', { name: certificate.learner_name }))
+      }
+    } catch (error) {
+      console.error('Помилка в /certificate:', error)
+      ctx.reply(ctx.t('error.retry'))
+    }
+  })
+}
+
+// Публічна перевірка сертифіката: GET /certificates/КОД (HTML або JSON за заголовком Accept)
+function createCertificateRouter() {
+  const router = express.Router()
+
+  router.get('/:verificationId', (req, res) => {
+    getCertificate(req.params.verificationId).then(certificate => {
+      const status = certificate ? 200 : 404
+      res.status(status).format({
+        json: () => res.json(certificate
+          ? {
+              valid: true,
+              verification_id: certificate.verification_id,
+              learner_name: certificate.learner_name,
+              course: certificate.course_title,
+              course_slug: certificate.course_slug,
+              completed_on: certificate.completed_on
+            }
+          : { valid: false }),
+        html: () => res.send(`<!DOCTYPE html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Проверка сертификата — PON School</title>
+  <style>body { font-family: system-ui, sans-serif; margin: 40px auto; max-width: 640px; padding: 0 16px; color: #222; }</style>
+</head>
+<body>
+  ${certificate
+    ? `<h1>✅ Сертификат действителен</h1>
+  <p><b>${escapeHtml(certificate.learner_name)}</b> прошел(а) курс «${escapeHtml(certificate.course_title)}» ${escapeHtml(certificate.completed_on)}.</p>
+  <p>Код проверки: ${escapeHtml(certificate.verification_id)}</p>`
+    : `<h1>❌ Сертификат не найден</h1>
+  <p>Проверьте код: ${escapeHtml(normalizeVerificationId(req.params.verificationId))}</p>`}
+</body>
+</html>`)
+      })
+    }).catch(err => {
+      console.error('Помилка при перевірці сертифіката:', err)
+      res.status(500).json({ error: 'internal_error' })
+    })
+  })
+
+  return router
+}
+
+module.exports = {
+  issueCertificate,
+  renameCertificate,
+  getCertificate,
+  renderCertificate,
+  sendCertificate,
+  awardCertificate,
+  registerCertificateHandlers,
+  createCertificateRouter
+}
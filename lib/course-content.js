@@ -0,0 +1,485 @@
+const yaml = require('js-yaml')
+const { pool } = require('./db')
+const { getLessons } = require('./catalog')
+const { validateQuizDefinition } = require('./quiz')
+
+// Імпорт та експорт контенту курсу: уроки, матеріали, ДЗ і тести у YAML, JSON
+// або CSV (експорт таблиці Google Sheets). Файл імпорту перевіряється (посилання,
+// незаповнені шаблони на кшталт YOUR_DOC_ID, тести), порівнюється з опублікованою
+// версією і записується в нову чернетку — публікація окремим кроком.
+// Вкладення (file_id Telegram) та переклади у файл не входять.
+
+const CONTENT_FORMATS = ['yaml', 'json', 'csv']
+
+// Колонки CSV: один рядок на урок, матеріал, тест або питання тесту (колонка type)
+const CSV_COLUMNS = [
+  'lesson', 'type', 'title', 'text', 'url', 'homework_text', 'additional_text',
+  'pass_mark', 'required', 'kind', 'options', 'correct', 'points'
+]
+const CSV_TYPES = ['lesson', 'material', 'quiz', 'question']
+
+// Незаповнені шаблони з прикладів: YOUR_DOC_ID, YOUR_FORM_ID, example.com тощо
+const PLACEHOLDER_PATTERN = /YOUR_[A-Z0-9_]+|\bTODO\b|\bTBD\b|example\.(com|org)|lorem ipsum/i
+const MAX_TITLE_LENGTH = 255
+const LINK_CHECK_TIMEOUT_MS = 10000
+
+// Формат за розширенням файлу (course.yml → yaml)
+function detectFormat(filename) {
+  const extension = String(filename || '').toLowerCase().split('.').pop()
+  if (extension === 'yml') {
+    return 'yaml'
+  }
+  return CONTENT_FORMATS.includes(extension) ? extension : null
+}
+
+// CSV за RFC 4180: лапки, коми й переноси рядків усередині комірок
+function parseCsv(content) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  const text = content.replace(/^\uFEFF/, '')
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++
+      }
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()))
+}
+
+function toCsv(rows) {
+  return rows
+    .map(cells => cells.map(value => {
+      const cell = value === null || value === undefined ? '' : String(value)
+      return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell
+    }).join(','))
+    .join('\r\n') + '\r\n'
+}
+
+function splitLines(value) {
+  return (value || '').split('\n').map(line => line.trim()).filter(Boolean)
+}
+
+function toBoolean(value) {
+  return ['1', 'true', 'yes', 'да', 'так'].includes(String(value || '').trim().toLowerCase())
+}
+
+// Рядки таблиці → { lessons }. Номери правильних варіантів у CSV — з 1, як у таблиці;
+// для текстових питань correct — прийнятні відповіді, по одній у рядку комірки.
+function parseCsvContent(content) {
+  const [header, ...rows] = parseCsv(content)
+  if (!header) {
+    throw new Error('Файл порожній')
+  }
+  const columns = header.map(name => name.trim().toLowerCase())
+  const missing = ['lesson', 'type', 'title'].filter(name => !columns.includes(name))
+  if (missing.length) {
+    throw new Error(`У першому рядку немає колонок: ${missing.join(', ')}`)
+  }
+
+  const lessons = new Map()
+  rows.forEach((cells, index) => {
+    const row = Object.fromEntries(columns.map((name, column) => [name, (cells[column] || '').trim()]))
+    const line = index + 2
+    const number = parseInt(row.lesson, 10)
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error(`Рядок ${line}: lesson має бути номером уроку`)
+    }
+    const type = row.type.toLowerCase() || 'lesson'
+    if (!CSV_TYPES.includes(type)) {
+      throw new Error(`Рядок ${line}: type має бути одним з ${CSV_TYPES.join(', ')}`)
+    }
+
+    if (!lessons.has(number)) {
+      lessons.set(number, { materials: [] })
+    }
+    const lesson = lessons.get(number)
+
+    if (type === 'lesson') {
+      Object.assign(lesson, {
+        title: row.title,
+        text: row.text,
+        homeworkUrl: row.url || null,
+        homeworkText: row.homework_text || null,
+        additionalText: row.additional_text || null
+      })
+    } else if (type === 'material') {
+      lesson.materials.push({ title: row.title, url: row.url })
+    } else if (type === 'quiz') {
+      lesson.quiz = {
+        ...lesson.quiz,
+        title: row.title || null,
+        passMark: row.pass_mark ? Number(row.pass_mark) : undefined,
+        required: toBoolean(row.required)
+      }
+    } else {
+      lesson.quiz = lesson.quiz || { questions: [] }
+      lesson.quiz.questions = lesson.quiz.questions || []
+      const kind = row.kind || 'single'
+      lesson.quiz.questions.push({
+        kind,
+        prompt: row.text || row.title,
+        options: kind === 'text' ? [] : splitLines(row.options),
+        correct: kind === 'text'
+          ? splitLines(row.correct)
+          : row.correct.split(/[,;\s]+/).filter(Boolean).map(value => Number(value) - 1),
+        points: row.points ? Number(row.points) : 1
+      })
+    }
+  })
+
+  const numbers = [...lessons.keys()].sort((a, b) => a - b)
+  numbers.forEach((number, index) => {
+    if (number !== index + 1) {
+      throw new Error(`Уроки мають йти по порядку: після ${index} очікується урок ${index + 1}, а не ${number}`)
+    }
+  })
+  return { lessons: numbers.map(number => lessons.get(number)) }
+}
+
+function trimmed(value) {
+  return value === null || value === undefined ? '' : String(value).trim()
+}
+
+// Урок з файлу у форматі insertLessons (поля в camelCase або snake_case)
+function normalizeLesson(lesson) {
+  const source = lesson || {}
+  const materials = Array.isArray(source.materials) ? source.materials : []
+  return {
+    title: trimmed(source.title),
+    text: trimmed(source.text),
+    materials: materials.map(m => ({ title: trimmed(m && m.title), url: trimmed(m && m.url) })),
+    homeworkUrl: trimmed(source.homeworkUrl || source.homework_url) || null,
+    homeworkText: trimmed(source.homeworkText || source.homework_text) || null,
+    additionalText: trimmed(source.additionalText || source.additional_text) || null,
+    quiz: source.quiz || null
+  }
+}
+
+// Розбирає файл курсу. Повертає { title, lessons } або кидає помилку формату.
+function parseCourseContent(content, format) {
+  let document
+  if (format === 'csv') {
+    document = parseCsvContent(content)
+  } else if (format === 'json') {
+    document = JSON.parse(content)
+  } else if (format === 'yaml') {
+    document = yaml.load(content)
+  } else {
+    throw new Error(`Формат має бути одним з: ${CONTENT_FORMATS.join(', ')}`)
+  }
+
+  const lessons = Array.isArray(document) ? document : document && document.lessons
+  if (!Array.isArray(lessons)) {
+    throw new Error('Файл має містити список уроків (lessons)')
+  }
+  return {
+    title: (document && document.title) || null,
+    lessons: lessons.map(normalizeLesson)
+  }
+}
+
+function isValidUrl(value) {
+  if (!/^https?:\/\//i.test(value || '')) {
+    return false
+  }
+  try {
+    new URL(value)
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+// Посилання уроку з підписами для звіту
+function lessonLinks(lesson) {
+  const links = lesson.materials.map(m => ({ label: `матеріал «${m.title}»`, url: m.url }))
+  if (lesson.homeworkUrl) {
+    links.push({ label: 'посилання на ДЗ', url: lesson.homeworkUrl })
+  }
+  return links
+}
+
+// Перевірка контенту перед записом. errors блокують імпорт, warnings — лише попередження.
+function validateCourseContent(content) {
+  const errors = []
+  const warnings = []
+
+  if (!content.lessons.length) {
+    errors.push('Немає жодного уроку')
+  }
+
+  content.lessons.forEach((lesson, index) => {
+    const label = `Урок ${index + 1}`
+    if (!lesson.title) {
+      errors.push(`${label}: немає заголовка (title)`)
+    } else if (lesson.title.length > MAX_TITLE_LENGTH) {
+      errors.push(`${label}: заголовок довший за ${MAX_TITLE_LENGTH} символів`)
+    }
+    if (!lesson.text) {
+      errors.push(`${label}: немає тексту (text)`)
+    }
+
+    lesson.materials.forEach((material, materialIndex) => {
+      if (!material.title) {
+        errors.push(`${label}: матеріал ${materialIndex + 1} без назви`)
+      }
+    })
+    for (const link of lessonLinks(lesson)) {
+      if (!isValidUrl(link.url)) {
+        errors.push(`${label}: ${link.label} — неправильне посилання: ${link.url || '(порожнє)'}`)
+      }
+    }
+
+    const fields = [lesson.title, lesson.text, lesson.homeworkText, lesson.additionalText]
+      .concat(lessonLinks(lesson).map(link => link.url))
+    const placeholders = [...new Set(fields.map(value => (PLACEHOLDER_PATTERN.exec(value || '') || [])[0]).filter(Boolean))]
+    if (placeholders.length) {
+      warnings.push(`${label}: незаповнений шаблон ${placeholders.join(', ')}`)
+    }
+
+    if (lesson.quiz) {
+      validateQuizDefinition(lesson.quiz).forEach(error => errors.push(`${label}, тест: ${error}`))
+    }
+  })
+
+  return { errors, warnings }
+}
+
+// Перевіряє, що посилання відкриваються без входу в акаунт. Повертає попередження.
+// Google Docs без доступу за посиланням перенаправляє на accounts.google.com.
+async function checkLinks(content) {
+  const warnings = []
+  for (const [index, lesson] of content.lessons.entries()) {
+    for (const link of lessonLinks(lesson).filter(l => isValidUrl(l.url))) {
+      const label = `Урок ${index + 1}: ${link.label}`
+      try {
+        const response = await fetch(link.url, {
+          redirect: 'follow',
+          signal: AbortSignal.timeout(LINK_CHECK_TIMEOUT_MS)
+        })
+        if (!response.ok) {
+          warnings.push(`${label} — HTTP ${response.status}`)
+        } else if (/accounts\.google\.com\//.test(response.url)) {
+          warnings.push(`${label} — потрібен вхід у Google, відкрий доступ за посиланням`)
+        }
+      } catch (err) {
+        warnings.push(`${label} — не відкривається (${err.message})`)
+      }
+    }
+  }
+  return warnings
+}
+
+function quizSignature(quiz) {
+  if (!quiz) {
+    return null
+  }
+  return JSON.stringify({
+    title: quiz.title || null,
+    passMark: quiz.passMark ?? 70,
+    required: Boolean(quiz.required),
+    questions: (quiz.questions || []).map(q => [q.kind, q.prompt, q.options || [], q.correct, q.points || 1])
+  })
+}
+
+// Порівняння з поточними уроками (зіставлення за номером).
+// Повертає список змін: { position, change: added|removed|changed, title, fields }.
+function diffCourseContent(currentLessons, content) {
+  const changes = []
+  const count = Math.max(currentLessons.length, content.lessons.length)
+
+  for (let index = 0; index < count; index++) {
+    const current = currentLessons[index]
+    const next = content.lessons[index]
+    const position = index + 1
+
+    if (!current) {
+      changes.push({ position, change: 'added', title: next.title, fields: [] })
+      continue
+    }
+    if (!next) {
+      changes.push({ position, change: 'removed', title: current.title, fields: [] })
+      continue
+    }
+
+    const fields = ['title', 'text', 'homeworkUrl', 'homeworkText', 'additionalText']
+      .filter(field => (current[field] || null) !== (next[field] || null))
+    const materials = m => m.map(({ title, url }) => `${title}|${url}`).join('\n')
+    if (materials(current.materials) !== materials(next.materials)) {
+      fields.push('materials')
+    }
+    if (quizSignature(current.quiz) !== quizSignature(next.quiz)) {
+      fields.push('quiz')
+    }
+    if (fields.length) {
+      changes.push({ position, change: 'changed', title: next.title, previousTitle: current.title, fields })
+    }
+  }
+
+  return changes
+}
+
+function formatChange(change) {
+  if (change.change === 'added') {
+    return `+ Урок ${change.position}: «${change.title}» (новий)`
+  }
+  if (change.change === 'removed') {
+    return `− Урок ${change.position}: «${change.title}» (видалено)`
+  }
+  const renamed = change.fields.includes('title') ? ` (було «${change.previousTitle}»)` : ''
+  return `~ Урок ${change.position}: «${change.title}»${renamed} — змінено: ${change.fields.join(', ')}`
+}
+
+// Контент версії курсу разом з тестами — у тому ж вигляді, що й parseCourseContent
+async function getCourseContent(versionId) {
+  const lessons = await getLessons(versionId)
+
+  const quizzesResult = await pool.query(`
+    SELECT q.*, l.position AS lesson_position
+    FROM quizzes q
+    JOIN lessons l ON l.id = q.lesson_id
+    WHERE l.course_version_id = $1
+  `, [versionId])
+  const questionsResult = await pool.query(`
+    SELECT qq.*
+    FROM quiz_questions qq
+    JOIN quizzes q ON q.id = qq.quiz_id
+    JOIN lessons l ON l.id = q.lesson_id
+    WHERE l.course_version_id = $1
+    ORDER BY qq.quiz_id, qq.position
+  `, [versionId])
+
+  const quizzes = new Map(quizzesResult.rows.map(quiz => [quiz.lesson_position, {
+    title: quiz.title,
+    passMark: quiz.pass_mark,
+    required: quiz.is_required,
+    questions: questionsResult.rows
+      .filter(question => question.quiz_id === quiz.id)
+      .map(question => ({
+        kind: question.kind,
+        prompt: question.prompt,
+        options: question.options,
+        correct: question.correct,
+        points: question.points
+      }))
+  }]))
+
+  return {
+    lessons: lessons.map(lesson => ({
+      title: lesson.title,
+      text: lesson.text,
+      materials: lesson.materials,
+      homeworkUrl: lesson.homeworkUrl,
+      homeworkText: lesson.homeworkText,
+      additionalText: lesson.additionalText,
+      quiz: quizzes.get(lesson.position) || null
+    }))
+  }
+}
+
+function toCsvRows(content) {
+  const rows = [CSV_COLUMNS]
+  const row = values => CSV_COLUMNS.map(column => values[column] ?? '')
+
+  content.lessons.forEach((lesson, index) => {
+    const number = index + 1
+    rows.push(row({
+      lesson: number,
+      type: 'lesson',
+      title: lesson.title,
+      text: lesson.text,
+      url: lesson.homeworkUrl,
+      homework_text: lesson.homeworkText,
+      additional_text: lesson.additionalText
+    }))
+    lesson.materials.forEach(material => {
+      rows.push(row({ lesson: number, type: 'material', title: material.title, url: material.url }))
+    })
+    if (lesson.quiz) {
+      rows.push(row({
+        lesson: number,
+        type: 'quiz',
+        title: lesson.quiz.title,
+        pass_mark: lesson.quiz.passMark,
+        required: lesson.quiz.required ? 'yes' : 'no'
+      }))
+      lesson.quiz.questions.forEach(question => {
+        rows.push(row({
+          lesson: number,
+          type: 'question',
+          text: question.prompt,
+          kind: question.kind,
+          options: (question.options || []).join('\n'),
+          correct: question.kind === 'text'
+            ? question.correct.join('\n')
+            : question.correct.map(value => value + 1).join(','),
+          points: question.points
+        }))
+      })
+    }
+  })
+  return rows
+}
+
+// Серіалізує контент у формат файлу. Порожні поля в YAML/JSON не виводяться.
+function serializeCourseContent(content, format) {
+  if (format === 'csv') {
+    return toCsv(toCsvRows(content))
+  }
+
+  const document = {
+    ...(content.title ? { title: content.title } : {}),
+    lessons: content.lessons.map(lesson => Object.fromEntries(
+      Object.entries(lesson).filter(([, value]) => value !== null && value !== undefined && value !== '')
+    ))
+  }
+  if (format === 'json') {
+    return JSON.stringify(document, null, 2) + '\n'
+  }
+  if (format === 'yaml') {
+    return yaml.dump(document, { lineWidth: -1, noRefs: true })
+  }
+  throw new Error(`Формат має бути одним з: ${CONTENT_FORMATS.join(', ')}`)
+}
+
+module.exports = {
+  CONTENT_FORMATS,
+  detectFormat,
+  parseCourseContent,
+  validateCourseContent,
+  checkLinks,
+  diffCourseContent,
+  formatChange,
+  getCourseContent,
+  serializeCourseContent
+}
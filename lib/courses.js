@@ -0,0 +1,226 @@
+const { pool } = require('./db')
+const { DEFAULT_COURSE_SLUG, getPublishedVersion } = require('./catalog')
+const { recordEvent } = require('./events')
+
+// Курси, потоки (cohorts) та записи учнів на курси (enrollments).
+// Прогрес зберігається окремо для кожного курсу, а users.active_course_id
+// визначає, з яким курсом зараз працюють "Продолжить ▶️" та /status.
+
+async function listCourses() {
+  const result = await pool.query('SELECT * FROM courses ORDER BY id')
+  return result.rows
+}
+
+async function getCourseById(courseId) {
+  const result = await pool.query('SELECT * FROM courses WHERE id = $1', [courseId])
+  return result.rows[0] || null
+}
+
+async function getCourseBySlug(slug) {
+  const result = await pool.query('SELECT * FROM courses WHERE slug = $1', [slug])
+  return result.rows[0] || null
+}
+
+async function getDefaultCourse() {
+  return getCourseBySlug(DEFAULT_COURSE_SLUG)
+}
+
+// Створює курс з порожньою чернеткою v1, яку потім заповнюють уроками
+async function createCourse({ slug, title, description }) {
+  const result = await pool.query(`
+    INSERT INTO courses (slug, title, description)
+    VALUES ($1, $2, $3)
+    RETURNING *
+  `, [slug, title, description || null])
+  const course = result.rows[0]
+
+  await pool.query(
+    'INSERT INTO course_versions (course_id, version, is_published, note) VALUES ($1, 1, FALSE, $2)',
+    [course.id, 'Нова чернетка']
+  )
+  return course
+}
+
+async function listCohorts(courseId) {
+  const result = await pool.query(
+    'SELECT * FROM cohorts WHERE course_id = $1 ORDER BY starts_on NULLS LAST, id',
+    [courseId]
+  )
+  return result.rows
+}
+
+async function getCohort(courseId, name) {
+  const result = await pool.query(
+    'SELECT * FROM cohorts WHERE course_id = $1 AND name = $2',
+    [courseId, name]
+  )
+  return result.rows[0] || null
+}
+
+// Налаштування відкриття уроків для курсу або потоку.
+// null в полі потоку означає "як у курсі".
+async function setUnlockPolicy({ courseId, cohortId, timezone, days, hour }) {
+  const table = cohortId ? 'cohorts' : 'courses'
+  const result = await pool.query(`
+    UPDATE ${table}
+    SET timezone = COALESCE($2, timezone),
+        unlock_days = COALESCE($3, unlock_days),
+        unlock_hour = COALESCE($4, unlock_hour)
+    WHERE id = $1
+    RETURNING *
+  `, [cohortId || courseId, timezone ?? null, days ?? null, hour ?? null])
+  return result.rows[0]
+}
+
+// Година автоматичної розсилки уроків для курсу або потоку (null — вимкнено / як у курсі)
+async function setDeliveryHour({ courseId, cohortId, hour }) {
+  const table = cohortId ? 'cohorts' : 'courses'
+  const result = await pool.query(
+    `UPDATE ${table} SET delivery_hour = $2 WHERE id = $1 RETURNING *`,
+    [cohortId || courseId, hour]
+  )
+  return result.rows[0]
+}
+
+// Чи потрібне схвалення ДЗ ментором для переходу до наступного уроку
+async function setHomeworkRequired(courseId, required) {
+  const result = await pool.query(
+    'UPDATE courses SET homework_required = $2 WHERE id = $1 RETURNING *',
+    [courseId, required]
+  )
+  return result.rows[0]
+}
+
+// Мова, якою написані уроки курсу (переклади — в lesson_translations)
+async function setDefaultLanguage(courseId, language) {
+  const result = await pool.query(
+    'UPDATE courses SET default_language = $2 WHERE id = $1 RETURNING *',
+    [courseId, language]
+  )
+  return result.rows[0]
+}
+
+async function createCohort({ courseId, name, startsOn }) {
+  const result = await pool.query(`
+    INSERT INTO cohorts (course_id, name, starts_on)
+    VALUES ($1, $2, $3)
+    RETURNING *
+  `, [courseId, name, startsOn || null])
+  return result.rows[0]
+}
+
+// Записує користувача на курс та робить курс активним.
+// Повторний запис не скидає прогрес — лише оновлює потік, якщо його вказано.
+async function enroll({ telegramId, courseId, cohortId, accessCodeId }, db = pool) {
+  const published = await getPublishedVersion(courseId)
+
+  const result = await db.query(`
+    INSERT INTO enrollments (telegram_id, course_id, cohort_id, course_version_id, access_code_id, current_lesson)
+    VALUES ($1, $2, $3, $4, $5, 1)
+    ON CONFLICT (telegram_id, course_id)
+    DO UPDATE SET cohort_id = COALESCE(EXCLUDED.cohort_id, enrollments.cohort_id)
+    RETURNING *
+  `, [telegramId, courseId, cohortId || null, published ? published.id : null, accessCodeId || null])
+
+  await db.query(
+    'UPDATE users SET active_course_id = $1 WHERE telegram_id = $2',
+    [courseId, telegramId]
+  )
+
+  return result.rows[0]
+}
+
+// Усі курси користувача разом з назвами та налаштуваннями відкриття уроків
+async function getEnrollments(telegramId) {
+  const result = await pool.query(`
+    SELECT
+      e.*,
+      c.slug AS course_slug,
+      c.title AS course_title,
+      c.timezone AS course_timezone,
+      c.unlock_days AS course_unlock_days,
+      c.unlock_hour AS course_unlock_hour,
+      c.homework_required AS course_homework_required,
+      h.name AS cohort_name,
+      h.timezone AS cohort_timezone,
+      h.unlock_days AS cohort_unlock_days,
+      h.unlock_hour AS cohort_unlock_hour
+    FROM enrollments e
+    JOIN courses c ON c.id = e.course_id
+    LEFT JOIN cohorts h ON h.id = e.cohort_id
+    WHERE e.telegram_id = $1
+    ORDER BY e.created_at, e.id
+  `, [telegramId])
+  return result.rows
+}
+
+// Запис на курс, з яким зараз працює користувач.
+// Користувачі, які отримали доступ до появи курсів, автоматично
+// записуються на курс за замовчуванням зі збереженням прогресу.
+async function getActiveEnrollment(user) {
+  const enrollments = await getEnrollments(user.telegram_id)
+
+  if (!enrollments.length) {
+    if (!user.has_access) {
+      return null
+    }
+
+    const course = await getDefaultCourse()
+    if (!course) {
+      return null
+    }
+
+    const inserted = await pool.query(`
+      INSERT INTO enrollments (telegram_id, course_id, course_version_id, current_lesson, last_lesson_date)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (telegram_id, course_id) DO NOTHING
+      RETURNING *
+    `, [user.telegram_id, course.id, user.course_version_id, user.current_lesson || 1, user.last_lesson_date])
+    if (inserted.rows.length) {
+      const enrollment = inserted.rows[0]
+      await recordEvent({
+        type: 'state_imported',
+        telegramId: user.telegram_id,
+        enrollmentId: enrollment.id,
+        courseId: course.id,
+        lessonPosition: enrollment.current_lesson,
+        metadata: { current_lesson: enrollment.current_lesson, last_lesson_date: enrollment.last_lesson_date }
+      })
+    }
+    await pool.query(
+      'UPDATE users SET active_course_id = $1 WHERE telegram_id = $2',
+      [course.id, user.telegram_id]
+    )
+    user.active_course_id = course.id
+
+    return (await getEnrollments(user.telegram_id))[0] || null
+  }
+
+  return enrollments.find(e => e.course_id === user.active_course_id) || enrollments[0]
+}
+
+async function setActiveCourse(telegramId, courseId) {
+  await pool.query(
+    'UPDATE users SET active_course_id = $1 WHERE telegram_id = $2',
+    [courseId, telegramId]
+  )
+}
+
+module.exports = {
+  listCourses,
+  getCourseById,
+  getCourseBySlug,
+  getDefaultCourse,
+  createCourse,
+  listCohorts,
+  getCohort,
+  createCohort,
+  setUnlockPolicy,
+  setHomeworkRequired,
+  setDefaultLanguage,
+  setDeliveryHour,
+  enroll,
+  getEnrollments,
+  getActiveEnrollment,
+  setActiveCourse
+}
@@ -0,0 +1,36 @@
+const { Pool, types } = require('pg')
+
+if (!process.env.DATABASE_URL) {
+  console.error('❌ DATABASE_URL не встановлено!')
+  process.exit(1)
+}
+
+// Поля DATE повертаємо рядком YYYY-MM-DD, без перетворення в Date
+// у часовому поясі сервера (інакше дата може зсунутися на день)
+types.setTypeParser(1082, value => value)
+
+// Підключення до PostgreSQL (спільне для бота та CLI-скриптів)
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL.includes('localhost')
+    ? false
+    : { rejectUnauthorized: false }
+})
+
+// Виконує fn(client) в транзакції на одному виділеному з'єднанні
+async function withTransaction(fn) {
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+    const result = await fn(client)
+    await client.query('COMMIT')
+    return result
+  } catch (err) {
+    await client.query('ROLLBACK')
+    throw err
+  } finally {
+    client.release()
+  }
+}
+
+module.exports = { pool, withTransaction }
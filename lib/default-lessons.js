@@ -0,0 +1,382 @@
+// Початковий контент теоретичного курсу (10 уроків)
+// Використовується лише для першого заповнення БД (версія 1 каталогу).
+// Подальші зміни уроків робляться в БД — див. README, розділ "Налаштування уроків".
+const defaultLessons = [
+  {
+    title: 'ДЕНЬ 1 - Введение в профессию',
+    text: `Добро пожаловать в школу PON Estate! 🎓
+
+Сегодня ты узнаешь:
+• Кто такой агент недвижимости
+• Как зарабатывают агенты в Батуми
+• Структура работы в PON Estate
+• Цели обучения и правила курса
+• Знакомство с руководителем компании Андреем Пономаренко`,
+    materials: [
+      {
+        title: 'Кто такой агент недвижимости',
+        url: 'https://docs.google.com/document/d/1kPVAowcRpHKklw8pqBtvjvxtnO5xn8C5Jvd8s6ZFNj4/edit?tab=t.0'
+      },
+      {
+        title: 'Как зарабатывают агенты в Батуми',
+        url: 'https://docs.google.com/document/d/1kPVAowcRpHKklw8pqBtvjvxtnO5xn8C5Jvd8s6ZFNj4/edit?tab=t.f3gau11buy43#heading=h.qlflok8aouf3'
+      },
+      {
+        title: 'Структура работы в PON Estate',
+        url: 'https://docs.google.com/document/d/1kPVAowcRpHKklw8pqBtvjvxtnO5xn8C5Jvd8s6ZFNj4/edit?tab=t.wshq4anvgeav'
+      },
+      {
+        title: 'Цели обучения и правила курса',
+        url: 'https://docs.google.com/document/d/1kPVAowcRpHKklw8pqBtvjvxtnO5xn8C5Jvd8s6ZFNj4/edit?tab=t.9tfoxz9ptwgi#heading=h.s04kszwhknit'
+      }
+    ],
+    homeworkUrl: 'https://forms.gle/51zvGQH7waJT52XdA',
+    homeworkText: `Домашнее задание:
+• Написать, почему вы решили работать в недвижимости
+• Сформулировать личную цель на время обучения и на ближайшие 6 месяцев
+• Изучить Intourist Palace Hotel (Мы направим материалы по объекту, после чего будет тест по нему + дз)`,
+    additionalText: `Оставляю тебе всю информацию по проекту BATMSHENI INTOURIST 📚 и ссылку на него https://docs.google.com/document/d/1kPVAowcRpHKklw8pqBtvjvxtnO5xn8C5Jvd8s6ZFNj4/edit?tab=t.rowiuij0gzqr`
+  },
+  {
+    title: 'ДЕНЬ 2 - Рынок недвижимости Батуми',
+    text: `Сегодня ты узнаешь:
+• Типы объектов недвижимости
+• Застройщики и проекты
+• Первичный и вторичный рынок
+• Инвестиции и жизнь
+
+Понимание рынка — основа успеха!`,
+    materials: [
+      {
+        title: 'Типы объектов',
+        url: 'https://docs.google.com/document/d/1M5_BdAznd0VlvFZ8xiERY-Ks8nIj0DsKL3n3oRZyZec/edit?tab=t.0'
+      },
+      {
+        title: 'Застройщики и проекты',
+        url: 'https://docs.google.com/document/d/1M5_BdAznd0VlvFZ8xiERY-Ks8nIj0DsKL3n3oRZyZec/edit?tab=t.2dife1keycw9'
+      },
+      {
+        title: 'Первичка / вторичка',
+        url: 'https://docs.google.com/document/d/1M5_BdAznd0VlvFZ8xiERY-Ks8nIj0DsKL3n3oRZyZec/edit?tab=t.isc9iikas0i'
+      },
+      {
+        title: 'Инвестиции и жизнь',
+        url: 'https://docs.google.com/document/d/1M5_BdAznd0VlvFZ8xiERY-Ks8nIj0DsKL3n3oRZyZec/edit?tab=t.d7qzm4ob1fg7#heading=h.ccxn31g9jkss'
+      }
+    ],
+    homeworkUrl: 'https://docs.google.com/forms/d/e/1FAIpQLSda-eFMYysVAJpa33H7p-6RA2RDW9Sm2fJoHACxPiu5WECE9Q/viewform?usp=header',
+    homeworkText: `Домашнее задание:
+• Выписать основные типы объектов недвижимости в Батуми
+• Назвать минимум 5 застройщиков и 5 проектов
+• Кратко описать разницу между первичным и вторичным рынком
+• Почему вы хотите работать именно в недвижимости и что для вас важнее: быстрый доход или долгосрочные отношения с клиентом? Почему?
+• Изучить проект Metropol OVAL + ТЕСТ`,
+    additionalText: `Оставляю тебе всю информацию по проекту METROPOL OVAL 📚 - https://docs.google.com/document/d/1M5_BdAznd0VlvFZ8xiERY-Ks8nIj0DsKL3n3oRZyZec/edit?tab=t.osdxzbkkccv7`
+  },
+  {
+    title: 'ДЕНЬ 3 - Клиенты и лиды',
+    text: `Сегодня ты узнаешь:
+• Кто такой лид
+• Откуда приходят клиенты
+• Холодные, тёплые и горячие лиды
+• Правила работы с лидами
+
+Инструкция по обработке лидов есть в базе знаний.`,
+    materials: [
+      {
+        title: 'Кто такой лид',
+        url: 'https://docs.google.com/document/d/1EPxx6phfSSAnnZ9GeXN6mrvAhDcXTvTuVZfs0-ZQyS0/edit?tab=t.0#heading=h.26x3j6qnwix7'
+      },
+      {
+        title: 'Откуда приходят клиенты',
+        url: 'https://docs.google.com/document/d/1EPxx6phfSSAnnZ9GeXN6mrvAhDcXTvTuVZfs0-ZQyS0/edit?tab=t.ogbr38nve0k9#heading=h.tqlzn1nt6cct'
+      },
+      {
+        title: 'Холодные, тёплые и горячие лиды',
+        url: 'https://docs.google.com/document/d/1EPxx6phfSSAnnZ9GeXN6mrvAhDcXTvTuVZfs0-ZQyS0/edit?tab=t.11yg0hd7rzpg#heading=h.dvqovm74ap4o'
+      },
+      {
+        title: 'Правила работы с лидами',
+        url: 'https://docs.google.com/document/d/1EPxx6phfSSAnnZ9GeXN6mrvAhDcXTvTuVZfs0-ZQyS0/edit?tab=t.iqjhkagqmnt4#heading=h.88uj9h9iqfu'
+      }
+    ],
+    homeworkUrl: 'https://forms.gle/a9vTP9aD4dfBvyVF7',
+    homeworkText: `Домашнее задание:
+• Описать разницу между холодными, тёплыми и горячими лидами
+• Выписать основные ошибки новичков при работе с лидами
+• Кратко описать алгоритм работы с лидом
+• Как вы реагируете, когда клиент говорит "нет" несколько раз подряд? Что вы делаете дальше?
+• Изучить проект Next Group Address + ТЕСТ`,
+    additionalText: `Оставляю тебе всю информацию по проекту NEXT GROUP ADDRESS 📚 - https://docs.google.com/document/d/1EPxx6phfSSAnnZ9GeXN6mrvAhDcXTvTuVZfs0-ZQyS0/edit?tab=t.320226ujhzr6`
+  },
+  {
+    title: 'ДЕНЬ 4 - Сообщения клиенту и коммуникация',
+    text: `Сегодня ты узнаешь:
+• Как писать первое сообщение клиенту
+• WhatsApp / Telegram / Instagram: особенности общения
+• Этику общения с клиентом
+• Зачем и как выводить клиента на Zoom и личные встречи
+• Шаблоны сообщений
+• Чего нельзя писать и говорить клиенту
+
+Этика общения с клиентом и шаблоны сообщений есть в базе знаний.`,
+    materials: [
+      {
+        title: 'Как писать первое сообщение клиенту',
+        url: 'https://docs.google.com/document/d/1BDCNDZcYRk92RXfvjSGGugTN_UeplcvgG7skhPAqWpM/edit?tab=t.0#heading=h.ri6h7p5b13yu'
+      },
+      {
+        title: 'Особенности общения',
+        url: 'https://docs.google.com/document/d/1BDCNDZcYRk92RXfvjSGGugTN_UeplcvgG7skhPAqWpM/edit?tab=t.l5o4h5enfd91#heading=h.iy9kpg8dmcr1'
+      },
+      {
+        title: 'Этика общения с клиентом',
+        url: 'https://docs.google.com/document/d/1BDCNDZcYRk92RXfvjSGGugTN_UeplcvgG7skhPAqWpM/edit?tab=t.l6hv9ds355rp#heading=h.o597rqpcyk4t'
+      },
+      {
+        title: 'Шаблоны сообщений',
+        url: 'https://docs.google.com/document/d/1BDCNDZcYRk92RXfvjSGGugTN_UeplcvgG7skhPAqWpM/edit?tab=t.n53x4nrvf3lp'
+      },
+      {
+        title: 'Чего нельзя писать и говорить клиенту',
+        url: 'https://docs.google.com/document/d/1BDCNDZcYRk92RXfvjSGGugTN_UeplcvgG7skhPAqWpM/edit?tab=t.gkok157u1tz8#heading=h.1hzjpv5je7uy'
+      }
+    ],
+    homeworkUrl: 'https://forms.gle/63k8QNfiKwNy1ahK6',
+    homeworkText: `Домашнее задание:
+• Написать 3 варианта первого сообщения клиенту
+• Написать сообщение для вывода клиента на Zoom
+• Что такое этика общения с клиентом
+• Представьте, что клиент недоволен и раздражён. Как вы будете с ним общаться?
+• Изучить проект One Development Stay&Rent + ТЕСТ`,
+    additionalText: `Оставляю тебе всю информацию по проекту ONE DEVELOPMENT Stay&Rent 📚 - https://docs.google.com/document/d/1BDCNDZcYRk92RXfvjSGGugTN_UeplcvgG7skhPAqWpM/edit?tab=t.dyzh0s1ch7u`
+  },
+  {
+    title: 'ДЕНЬ 5 - Звонки',
+    text: `Сегодня ты узнаешь:
+• Как выходить на звонок
+• Структуру звонка
+• Первые скрипты
+• Страхи и возражения
+
+Фишки: Живые звонки с клиентами
+Ученики присутствуют на реальных звонках топ-агентов и слушают, как закрываются сделки вживую или делают записи для прослушивания (надо показать пример, не только по скриптам).`,
+    materials: [
+      {
+        title: 'Как выходить на звонок',
+        url: 'https://docs.google.com/document/d/1FkTQ-qN7IorpYrG7T1wigXRtUyFYiSG14E77Lqi4tKs/edit?tab=t.0'
+      },
+      {
+        title: 'Структура звонка',
+        url: 'https://docs.google.com/document/d/1FkTQ-qN7IorpYrG7T1wigXRtUyFYiSG14E77Lqi4tKs/edit?tab=t.9nz94zacf5be'
+      },
+      {
+        title: 'Первые скрипты',
+        url: 'https://docs.google.com/document/d/1FkTQ-qN7IorpYrG7T1wigXRtUyFYiSG14E77Lqi4tKs/edit?tab=t.hr9rq6tgu79s'
+      },
+      {
+        title: 'Страхи и возражения',
+        url: 'https://docs.google.com/document/d/1FkTQ-qN7IorpYrG7T1wigXRtUyFYiSG14E77Lqi4tKs/edit?tab=t.x3ptbuukciky'
+      }
+    ],
+    homeworkUrl: 'https://docs.google.com/forms/d/e/1FAIpQLSfyr5smdXx1UoLXYeVIq288XMD7qh2lI2Xhd-g6eZOBAkJLPQ/viewform?usp=header',
+    homeworkText: `Домашнее задание:
+• Выписать структуру идеального звонка
+• Написать короткий скрипт первого звонка клиенту
+• Перечислить основные страхи клиентов и варианты ответов на них
+• Опишите ситуацию, в которой вам пришлось взять ответственность. Чем всё закончилось?
+• Подготовить 3 примера возражений и способы их отработки
+• Изучить проект Smart Development Summer 365 + ТЕСТ`
+  },
+  {
+    title: 'ДЕНЬ 6 - Воронка продаж и работа с возражениями',
+    text: `Сегодня ты узнаешь:
+• Что такое воронка продаж в недвижимости
+• Этапы воронки: лид → контакт → интерес → решение → сделка
+• Технику СПВ (свойство – преимущество – выгода)
+• Отработку ключевых возражений клиента: «дорого», «я подумаю», «я сравниваю», «мне не срочно»
+
+Техника СПВ есть в базе знаний.`,
+    materials: [
+      {
+        title: 'Что такое воронка продаж в недвижимости',
+        url: 'https://docs.google.com/document/d/YOUR_DOC_ID_6_1'
+      },
+      {
+        title: 'Этапы воронки',
+        url: 'https://docs.google.com/document/d/YOUR_DOC_ID_6_2'
+      },
+      {
+        title: 'Техника СПВ (свойство – преимущество – выгода)',
+        url: 'https://docs.google.com/document/d/YOUR_DOC_ID_6_3'
+      },
+      {
+        title: 'Отработка возражений',
+        url: 'https://docs.google.com/document/d/YOUR_DOC_ID_6_4'
+      }
+    ],
+    homeworkUrl: 'https://forms.gle/mG3RHbaMdmeh6QmH6',
+    homeworkText: `Домашнее задание:
+• Выписать этапы воронки продаж и роль агента на каждом этапе
+• Разобрать одно возражение по технике СПВ (на выбор)
+• Написать пример ответа клиенту на возражение «дорого»
+• Подготовить вариант следующего шага для клиента после отказа
+• Как вы планируете развиваться в профессии в первые 3–6 месяцев работы?
+• Изучить проект SILK: Silk Towers - Green Cape Botanico + ТЕСТ`
+  },
+  {
+    title: 'ДЕНЬ 7 - Отработка возражений и этапы сделки',
+    text: `Сегодня ты узнаешь:
+• Работу с возражениями клиента
+• Документы по сделке
+• Этапы сделки
+• Бронирование
+• Договоры
+
+Работа с возражениями клиента есть в базе знаний.`,
+    materials: [
+      {
+        title: 'Работа с возражениями клиента',
+        url: 'https://docs.google.com/document/d/16LbJ32XC_PCpIwBXhwYCfJY23kpiHFnz5UxWUfR-IVI/edit?tab=t.gw7jr0g0jvjo'
+      },
+      {
+        title: 'Документы по сделке',
+        url: 'https://docs.google.com/document/d/16LbJ32XC_PCpIwBXhwYCfJY23kpiHFnz5UxWUfR-IVI/edit?tab=t.gw7jr0g0jvjo'
+      },
+      {
+        title: 'Этапы сделки',
+        url: 'https://docs.google.com/document/d/16LbJ32XC_PCpIwBXhwYCfJY23kpiHFnz5UxWUfR-IVI/edit?tab=t.gw7jr0g0jvjo'
+      },
+      {
+        title: 'Бронирование',
+        url: 'https://docs.google.com/document/d/16LbJ32XC_PCpIwBXhwYCfJY23kpiHFnz5UxWUfR-IVI/edit?tab=t.ija76gadxnv9'
+      },
+      {
+        title: 'Договоры',
+        url: 'https://docs.google.com/document/d/16LbJ32XC_PCpIwBXhwYCfJY23kpiHFnz5UxWUfR-IVI/edit?tab=t.6y9slqffocy5'
+      }
+    ],
+    homeworkUrl: 'https://docs.google.com/forms/d/e/1FAIpQLScmcBLgDfq6vju-D4A8mfZ-jYPI56tY1BVaH6Kmkt0kYQNm6A/viewform?usp=header',
+    homeworkText: `Домашнее задание:
+• Выписать основные этапы сделки от первого контакта до подписания договора
+• Перечислить документы, необходимые для сделки
+• Описать процесс бронирования объекта
+• Если вы не знаете ответ на вопрос клиента, как вы поступите?
+• Подготовить 3 возражения клиента и варианты их отработки
+• Изучить проект Pontus Rotana + ТЕСТ`
+  },
+  {
+    title: 'ДЕНЬ 8 - Психотипы клиентов и показы',
+    text: `Сегодня ты узнаешь:
+• Психотипы клиентов
+• Разбор целевой аудитории
+• Подготовку к показу объекта
+• Как вести клиента на показе
+• Типовые ошибки при показах
+
+Знакомство с РОПом Василием Каракезиди: запись видео-знакомства или проведение Zoom-встречи (мотивационный блок). Обсуждение психотипов клиентов.
+
+Разбор целевой аудитории есть в базе знаний.`,
+    materials: [
+      {
+        title: 'Психотипы клиентов',
+        url: 'https://docs.google.com/document/d/YOUR_DOC_ID_8_1'
+      },
+      {
+        title: 'Разбор целевой аудитории',
+        url: 'https://docs.google.com/document/d/1JIHhJVjWAw_luE8czJqKn7ru5UTIvRRN9K8n18_v1BE/edit?tab=t.v6twkus3zx7b'
+      },
+      {
+        title: 'Подготовка к показу объекта',
+        url: 'https://docs.google.com/document/d/YOUR_DOC_ID_8_3'
+      },
+      {
+        title: 'Как вести клиента на показе',
+        url: 'https://docs.google.com/document/d/YOUR_DOC_ID_8_4'
+      },
+      {
+        title: 'Типовые ошибки при показах',
+        url: 'https://docs.google.com/document/d/YOUR_DOC_ID_8_5'
+      }
+    ],
+    homeworkUrl: 'https://forms.gle/noHwcAbF1rJxGU8D8',
+    homeworkText: `Домашнее задание:
+• Описать основные психотипы клиентов и их особенности
+• Определить целевую аудиторию для разных типов объектов
+• Выписать этапы подготовки к показу
+• Перечислить типовые ошибки агентов на показах
+• Что для вас значит профессиональная этика в работе с клиентами?
+• Изучить проект Symbol Monogram + ТЕСТ`
+  },
+  {
+    title: 'ДЕНЬ 9 - Чек-листы агента',
+    text: `Сегодня ты узнаешь:
+• Чек-лист звонка
+• Чек-лист встречи
+• Чек-лист сделки
+
+Эти инструменты помогут тебе структурировать работу и ничего не упустить!`,
+    materials: [
+      {
+        title: 'Чек-лист звонка',
+        url: 'https://docs.google.com/document/d/10DNi9qd4AseI-sswsUKWdJLbKI1_DRukZL_ZGzArKao/edit?tab=t.0'
+      },
+      {
+        title: 'Чек-лист встречи',
+        url: 'https://docs.google.com/document/d/10DNi9qd4AseI-sswsUKWdJLbKI1_DRukZL_ZGzArKao/edit?tab=t.s2c0d5n0o5mz'
+      },
+      {
+        title: 'Чек-лист сделки',
+        url: 'https://docs.google.com/document/d/10DNi9qd4AseI-sswsUKWdJLbKI1_DRukZL_ZGzArKao/edit?tab=t.oshrtcvv96yp'
+      }
+    ],
+    homeworkUrl: 'https://forms.gle/6KN3ujeuyQCxovU27',
+    homeworkText: `Домашнее задание:
+• Составить чек-лист первого звонка клиенту
+• Составить чек-лист личной встречи или Zoom-встречи
+• Составить чек-лист сопровождения сделки
+• Готовы ли вы работать с большим количеством информации, учиться ежедневно и выполнять план? Почему?
+• Изучить проект Queen's Residence + ТЕСТ`
+  },
+  {
+    title: 'ДЕНЬ 10 - Итог теории',
+    text: `Поздравляем! Ты завершил теоретический курс! 🎓
+
+Сегодня:
+• Разбор вопросов
+• Тестирование
+• Допуск к практике
+
+Знакомство с РОПом Андреем Бабучем: запись видео-знакомства или проведение Zoom-встречи (мотивационный блок).
+
+Теперь ты готов применить все знания на практике!
+
+Успехов! 🚀`,
+    materials: [
+      {
+        title: 'Разбор вопросов',
+        url: 'https://docs.google.com/document/d/YOUR_DOC_ID_10_1'
+      },
+      {
+        title: 'Тестирование',
+        url: 'https://docs.google.com/document/d/YOUR_DOC_ID_10_2'
+      },
+      {
+        title: 'Допуск к практике',
+        url: 'https://docs.google.com/document/d/YOUR_DOC_ID_10_3'
+      }
+    ],
+    homeworkUrl: 'https://forms.gle/mGkCSHcv2YS9Hs666',
+    homeworkText: `Домашнее задание:
+• Расскажите своими словами: что вы вынесли из обучения, чем оно было полезно лично для вас и какие цели ставите перед собой дальше?
+• Опишите, как обучение повлияло на ваше понимание проектов и работы с клиентами. Что вы уже готовы применять на практике?
+• Как бы вы описали это обучение? Какие знания вы получили и какие навыки хотели бы развить дальше?
+• Поделитесь своими впечатлениями от обучения: что нового вы узнали, что изменилось в вашем понимании продукта и какие шаги вы планируете сделать дальше?
+• Что из пройденного обучения оказалось для вас наиболее полезным? Какие инструменты или подходы вы планируете использовать в ближайшее время?
+• Опишите, пожалуйста: как вы оцениваете обучение, какие знания или инсайты были для вас самыми ценными и как вы планируете применять их в работе?
+• Рассматриваете ли вы возможность дальнейшего профессионального развития в сфере недвижимости совместно с компанией Pon Estate?
+• Изучить проект Ambassadori Island + ТЕСТ`
+  }
+]
+
+module.exports = defaultLessons
@@ -0,0 +1,168 @@
+const { pool } = require('./db')
+const { enqueueWebhooks } = require('./webhooks')
+
+// Журнал подій учня (learner_events): записи лише додаються і ніколи не змінюються.
+// Кожна зміна прогресу пишеться в тій самій транзакції, що й оновлення
+// enrollments, тому стан учня можна перевірити або відновити з журналу (replayProgress).
+// Там само ставляться в чергу вихідні вебхуки (lib/webhooks.js).
+
+const EVENT_TYPES = [
+  'code_activated',     // активовано код доступу: { code, access_code_id, cohort_id }
+  'course_enrolled',    // запис на курс без коду (REST API): { source, cohort_id }
+  'lesson_delivered',   // видано урок lesson_position: { source, lesson_date, delivery_id }
+  'course_completed',   // пройдено всі уроки: { source, lesson_date }
+  'certificate_issued', // видано сертифікат: { certificate_id, verification_id }
+  'lesson_reopened',    // учень повторно відкрив урок (/lessons, /resume): { source }; прогрес не змінюється
+  'quiz_attempt',       // завершено спробу тесту: { quiz_id, attempt_id, score, max_score, percent, passed }
+  'exam_finished',      // завершено спробу підсумкового екзамену: { exam_id, attempt_id, score, max_score, percent, passed, status }
+  'homework_submitted', // здано ДЗ: { submission_id, kind }
+  'homework_reviewed',  // вердикт ментора: { submission_id, status }
+  'lesson_set',         // адмін встановив поточний урок: { from }
+  'enrollment_migrated', // учня переведено на іншу версію курсу: { from_version, to_version, from_lesson }
+  'exam_retry_granted', // адмін дав додаткову спробу екзамену: { extra_attempts }
+  'progress_reset',     // прогрес обнулено (/restart або адмін): { from, source, attempt_id }
+  'access_granted',     // адмін надав доступ
+  'access_revoked',     // адмін забрав доступ
+  'state_imported'      // знімок прогресу, записаний до появи журналу: { current_lesson, last_lesson_date }
+]
+
+// Записує подію і ставить у чергу вебхуки на неї. db — pool або client транзакції, в якій змінюється стан.
+async function recordEvent({ type, telegramId, enrollmentId, courseId, lessonPosition, metadata, actorId }, db = pool) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Невідомий тип події: ${type}`)
+  }
+
+  const result = await db.query(`
+    INSERT INTO learner_events (telegram_id, enrollment_id, course_id, type, lesson_position, metadata, actor_telegram_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [
+    telegramId,
+    enrollmentId || null,
+    courseId || null,
+    type,
+    lessonPosition || null,
+    JSON.stringify(metadata || {}),
+    actorId || null
+  ])
+
+  const event = result.rows[0]
+  await enqueueWebhooks(event, db)
+  return event
+}
+
+// Події учня від нових до старих (для адмін-команди /history)
+async function getUserEvents(telegramId, limit = 20) {
+  const result = await pool.query(`
+    SELECT ev.*, c.slug AS course_slug
+    FROM learner_events ev
+    LEFT JOIN courses c ON c.id = ev.course_id
+    WHERE ev.telegram_id = $1
+    ORDER BY ev.id DESC
+    LIMIT $2
+  `, [telegramId, limit])
+  return result.rows
+}
+
+// Усі події запису на курс у хронологічному порядку
+async function getEnrollmentEvents(enrollmentId) {
+  const result = await pool.query(
+    'SELECT * FROM learner_events WHERE enrollment_id = $1 ORDER BY id',
+    [enrollmentId]
+  )
+  return result.rows
+}
+
+// Відновлює current_lesson та last_lesson_date з подій запису на курс
+function replayProgress(events) {
+  const state = { current_lesson: 1, last_lesson_date: null }
+
+  for (const event of events) {
+    switch (event.type) {
+      case 'state_imported':
+        state.current_lesson = event.metadata.current_lesson
+        state.last_lesson_date = event.metadata.last_lesson_date
+        break
+      case 'lesson_delivered':
+      case 'course_completed':
+        state.current_lesson = event.lesson_position
+        state.last_lesson_date = event.metadata.lesson_date
+        break
+      case 'lesson_set':
+      case 'enrollment_migrated':
+        state.current_lesson = event.lesson_position
+        break
+      case 'progress_reset':
+        state.current_lesson = 1
+        state.last_lesson_date = null
+        break
+    }
+  }
+
+  return state
+}
+
+// Записи на курс, у яких збережений прогрес розходиться з журналом подій
+async function findProgressMismatches(courseId) {
+  const result = await pool.query(
+    'SELECT * FROM enrollments WHERE course_id = $1 ORDER BY id',
+    [courseId]
+  )
+
+  const mismatches = []
+  for (const enrollment of result.rows) {
+    const replayed = replayProgress(await getEnrollmentEvents(enrollment.id))
+    if (replayed.current_lesson !== enrollment.current_lesson ||
+        replayed.last_lesson_date !== enrollment.last_lesson_date) {
+      mismatches.push({ enrollment, replayed })
+    }
+  }
+  return mismatches
+}
+
+// Записує в enrollments прогрес, відновлений з журналу
+async function restoreProgress(enrollmentId, state) {
+  await pool.query(
+    'UPDATE enrollments SET current_lesson = $1, last_lesson_date = $2, updated_at = NOW() WHERE id = $3',
+    [state.current_lesson, state.last_lesson_date, enrollmentId]
+  )
+}
+
+// Знімок прогресу для записів на курс, у яких ще немає подій (перший запуск з журналом)
+async function importMissingState() {
+  const result = await pool.query(`
+    INSERT INTO learner_events (telegram_id, enrollment_id, course_id, type, lesson_position, metadata, created_at)
+    SELECT
+      e.telegram_id, e.id, e.course_id, 'state_imported', e.current_lesson,
+      jsonb_build_object('current_lesson', e.current_lesson, 'last_lesson_date', e.last_lesson_date),
+      e.updated_at
+    FROM enrollments e
+    WHERE NOT EXISTS (SELECT 1 FROM learner_events ev WHERE ev.enrollment_id = e.id)
+    RETURNING id
+  `)
+  return result.rows.length
+}
+
+function formatEvent(event) {
+  const time = new Date(event.created_at).toISOString().slice(0, 16).replace('T', ' ')
+  const lesson = event.lesson_position ? ` урок ${event.lesson_position}` : ''
+  const course = event.course_slug ? ` (${event.course_slug})` : ''
+  const details = Object.entries(event.metadata || {})
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(', ')
+  const actor = event.actor_telegram_id ? ` — админ ${event.actor_telegram_id}` : ''
+  return `${time} ${event.type}${lesson}${course}${details ? `: ${details}` : ''}${actor}`
+}
+
+module.exports = {
+  EVENT_TYPES,
+  recordEvent,
+  getUserEvents,
+  getEnrollmentEvents,
+  replayProgress,
+  findProgressMismatches,
+  restoreProgress,
+  importMissingState,
+  formatEvent
+}
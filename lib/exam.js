@@ -0,0 +1,743 @@
+const crypto = require('crypto')
+const { Markup } = require('telegraf')
+const { pool, withTransaction } = require('./db')
+const { getLessonsForEnrollment } = require('./catalog')
+const { getActiveEnrollment } = require('./courses')
+const { recordEvent } = require('./events')
+const { summarizeAttempt, validateQuizDefinition } = require('./quiz')
+const { DEFAULT_LANGUAGE, t } = require('./i18n')
+
+// Підсумковий екзамен курсу (/exam) після проходження всіх уроків.
+// Питання згруповані в теми (зазвичай одна тема — один день курсу); для кожної
+// спроби з пулу теми випадково береться draw питань, а варіанти відповідей
+// перемішуються. Витягнуті питання зберігаються в exam_attempts.questions.
+// Спроба обмежена часом і кількістю; успішна спроба дає допуск до практики
+// (enrollments.practice_admitted_at). Питання та тексти відповідей — як їх записав автор.
+
+const ATTEMPT_STATUSES = ['in_progress', 'finished', 'expired']
+const DEFAULT_TIME_LIMIT_MINUTES = 30
+const DEFAULT_MAX_ATTEMPTS = 3
+const DEFAULT_PASS_MARK = 80
+
+// Випадкова перестановка (Фішер — Єйтс), вихідний масив не змінюється
+function shuffle(items) {
+  const result = [...items]
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1)
+    const item = result[i]
+    result[i] = result[j]
+    result[j] = item
+  }
+  return result
+}
+
+// Перевірка опису екзамену перед записом в БД. Повертає список помилок.
+function validateExamDefinition(definition) {
+  const errors = []
+  const topics = definition && definition.topics
+
+  if (!Array.isArray(topics) || !topics.length) {
+    return ['Екзамен повинен містити хоча б одну тему (topics)']
+  }
+  if (definition.passMark !== undefined && !(definition.passMark >= 0 && definition.passMark <= 100)) {
+    errors.push('passMark має бути від 0 до 100')
+  }
+  if (definition.timeLimit !== undefined && !(Number.isInteger(definition.timeLimit) && definition.timeLimit > 0)) {
+    errors.push('timeLimit має бути додатним цілим числом (хвилини)')
+  }
+  if (definition.maxAttempts !== undefined && !(Number.isInteger(definition.maxAttempts) && definition.maxAttempts > 0)) {
+    errors.push('maxAttempts має бути додатним цілим числом')
+  }
+
+  topics.forEach((topic, index) => {
+    const label = `Тема ${index + 1}`
+    if (!topic.title) {
+      errors.push(`${label}: немає назви (title)`)
+    }
+    if (topic.lesson !== undefined && !(Number.isInteger(topic.lesson) && topic.lesson > 0)) {
+      errors.push(`${label}: lesson має бути номером уроку`)
+    }
+
+    const questionErrors = validateQuizDefinition({ questions: topic.questions })
+    errors.push(...questionErrors.map(error => `${label}: ${error}`))
+
+    const poolSize = Array.isArray(topic.questions) ? topic.questions.length : 0
+    if (topic.draw !== undefined && !(Number.isInteger(topic.draw) && topic.draw > 0 && topic.draw <= poolSize)) {
+      errors.push(`${label}: draw має бути від 1 до кількості питань у темі (${poolSize})`)
+    }
+  })
+
+  return errors
+}
+
+// Записує екзамен курсу (замінює теми та питання; початі спроби не змінюються)
+async function saveExam(client, courseId, definition) {
+  const examResult = await client.query(`
+    INSERT INTO exams (course_id, title, time_limit_minutes, max_attempts, pass_mark, is_active)
+    VALUES ($1, $2, $3, $4, $5, TRUE)
+    ON CONFLICT (course_id) DO UPDATE SET
+      title = EXCLUDED.title,
+      time_limit_minutes = EXCLUDED.time_limit_minutes,
+      max_attempts = EXCLUDED.max_attempts,
+      pass_mark = EXCLUDED.pass_mark,
+      is_active = TRUE,
+      updated_at = NOW()
+    RETURNING *
+  `, [
+    courseId,
+    definition.title || null,
+    definition.timeLimit || DEFAULT_TIME_LIMIT_MINUTES,
+    definition.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    definition.passMark ?? DEFAULT_PASS_MARK
+  ])
+  const exam = examResult.rows[0]
+
+  await client.query('DELETE FROM exam_topics WHERE exam_id = $1', [exam.id])
+  for (const [topicIndex, topic] of definition.topics.entries()) {
+    const topicResult = await client.query(`
+      INSERT INTO exam_topics (exam_id, position, title, lesson_position, draw_count)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id
+    `, [exam.id, topicIndex + 1, topic.title, topic.lesson || null, topic.draw || topic.questions.length])
+
+    for (const [index, question] of topic.questions.entries()) {
+      await client.query(`
+        INSERT INTO exam_questions (topic_id, position, kind, prompt, options, correct, points)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [
+        topicResult.rows[0].id,
+        index + 1,
+        question.kind,
+        question.prompt,
+        JSON.stringify(question.options || []),
+        JSON.stringify(question.correct),
+        question.points || 1
+      ])
+    }
+  }
+
+  return exam
+}
+
+async function getExam(courseId) {
+  const result = await pool.query('SELECT * FROM exams WHERE course_id = $1', [courseId])
+  return result.rows[0] || null
+}
+
+async function setExamActive(courseId, isActive) {
+  const result = await pool.query(
+    'UPDATE exams SET is_active = $2, updated_at = NOW() WHERE course_id = $1 RETURNING *',
+    [courseId, isActive]
+  )
+  return result.rows[0] || null
+}
+
+// Теми екзамену з розміром пулу питань
+async function getExamTopics(examId) {
+  const result = await pool.query(`
+    SELECT t.*, COUNT(q.id)::INT AS pool_size
+    FROM exam_topics t
+    LEFT JOIN exam_questions q ON q.topic_id = t.id
+    WHERE t.exam_id = $1
+    GROUP BY t.id
+    ORDER BY t.position
+  `, [examId])
+  return result.rows
+}
+
+// Питання для нової спроби: draw_count випадкових з кожної теми, загальний порядок
+// і порядок варіантів теж випадкові (номери правильних варіантів перераховуються)
+async function drawQuestions(examId) {
+  const result = await pool.query(`
+    SELECT q.*, t.id AS topic_id, t.title AS topic_title, t.draw_count
+    FROM exam_questions q
+    JOIN exam_topics t ON t.id = q.topic_id
+    WHERE t.exam_id = $1
+    ORDER BY t.position, q.position
+  `, [examId])
+
+  const topics = new Map()
+  for (const question of result.rows) {
+    if (!topics.has(question.topic_id)) {
+      topics.set(question.topic_id, [])
+    }
+    topics.get(question.topic_id).push(question)
+  }
+
+  const drawn = []
+  for (const questions of topics.values()) {
+    for (const question of shuffle(questions).slice(0, questions[0].draw_count)) {
+      const order = question.kind === 'text' ? [] : shuffle(question.options.map((option, index) => index))
+      drawn.push({
+        topic: question.topic_title,
+        kind: question.kind,
+        prompt: question.prompt,
+        options: order.map(index => question.options[index]),
+        correct: question.kind === 'text' ? question.correct : question.correct.map(value => order.indexOf(value)),
+        points: question.points
+      })
+    }
+  }
+  return shuffle(drawn)
+}
+
+// Спроба з параметрами екзамену; max_attempts — з урахуванням додаткових спроб учня
+const ATTEMPT_QUERY = `
+  SELECT
+    a.*, x.course_id, x.pass_mark,
+    x.max_attempts + COALESCE(e.exam_extra_attempts, 0) AS max_attempts,
+    a.deadline_at <= NOW() AS is_overdue,
+    GREATEST(0, CEIL(EXTRACT(EPOCH FROM a.deadline_at - NOW()) / 60))::INT AS minutes_left,
+    u.language
+  FROM exam_attempts a
+  JOIN exams x ON x.id = a.exam_id
+  JOIN users u ON u.telegram_id = a.telegram_id
+  LEFT JOIN enrollments e ON e.id = a.enrollment_id
+`
+
+async function getAttempt(attemptId) {
+  const result = await pool.query(`
+    ${ATTEMPT_QUERY}
+    WHERE a.id = $1
+  `, [attemptId])
+  return result.rows[0] || null
+}
+
+// Незавершена спроба користувача (будь-якого курсу)
+async function getOpenAttempt(telegramId) {
+  const result = await pool.query(`
+    ${ATTEMPT_QUERY}
+    WHERE a.telegram_id = $1 AND a.status = 'in_progress'
+    ORDER BY a.started_at DESC
+    LIMIT 1
+  `, [telegramId])
+  return result.rows[0] || null
+}
+
+// Спроби користувача з екзамену від перших до останніх
+async function getUserAttempts(telegramId, examId) {
+  const result = await pool.query(`
+    ${ATTEMPT_QUERY}
+    WHERE a.telegram_id = $1 AND a.exam_id = $2
+    ORDER BY a.id
+  `, [telegramId, examId])
+  return result.rows
+}
+
+// Чи може учень скласти екзамен активного курсу. Повертає { error, params } з ключем
+// перекладу або { enrollment, exam, attempts, openAttempt }.
+async function getExamAccess(telegramId) {
+  const userResult = await pool.query('SELECT * FROM users WHERE telegram_id = $1', [telegramId])
+  const user = userResult.rows[0]
+  if (!user) {
+    return { error: 'start_first' }
+  }
+  const enrollment = user.has_access ? await getActiveEnrollment(user) : null
+  if (!enrollment) {
+    return { error: 'enrollment.none' }
+  }
+
+  const exam = await getExam(enrollment.course_id)
+  if (!exam || !exam.is_active) {
+    return { error: 'exam.unavailable' }
+  }
+
+  const lessons = await getLessonsForEnrollment(enrollment)
+  if (!lessons.length || enrollment.current_lesson <= lessons.length) {
+    return { error: 'exam.not_completed' }
+  }
+
+  const attempts = await getUserAttempts(telegramId, exam.id)
+  const openAttempt = attempts.find(attempt => attempt.status === 'in_progress') || null
+  if (openAttempt) {
+    return { enrollment, exam, attempts, openAttempt }
+  }
+
+  const passed = attempts.find(attempt => attempt.passed)
+  if (passed) {
+    return { error: 'exam.already_passed', params: { percent: passed.percent } }
+  }
+  const maxAttempts = exam.max_attempts + enrollment.exam_extra_attempts
+  if (attempts.length >= maxAttempts) {
+    return { error: 'exam.no_attempts', params: { max: maxAttempts } }
+  }
+  return { enrollment, exam, attempts, openAttempt: null }
+}
+
+// Завершує спробу: оцінка, допуск до практики та подія журналу в одній транзакції.
+// status — 'finished' (відповіді на всі питання) або 'expired' (вийшов час; питання
+// без відповіді дають 0 балів). Повертає оновлену спробу або null, якщо її вже завершено.
+async function finishAttempt(attempt, answers, status) {
+  const summary = summarizeAttempt(attempt.questions, answers, attempt.pass_mark)
+
+  const finished = await withTransaction(async (client) => {
+    const result = await client.query(`
+      UPDATE exam_attempts
+      SET answers = $1, current_question = $2, selection = '[]', status = $3,
+          score = $4, max_score = $5, percent = $6, passed = $7, finished_at = NOW()
+      WHERE id = $8 AND current_question = $9 AND status = 'in_progress'
+      RETURNING *
+    `, [
+      JSON.stringify(answers),
+      answers.length,
+      status,
+      summary.score,
+      summary.maxScore,
+      summary.percent,
+      summary.passed,
+      attempt.id,
+      attempt.current_question
+    ])
+    if (!result.rows.length) {
+      return null
+    }
+
+    if (summary.passed && attempt.enrollment_id) {
+      await client.query(
+        'UPDATE enrollments SET practice_admitted_at = COALESCE(practice_admitted_at, NOW()) WHERE id = $1',
+        [attempt.enrollment_id]
+      )
+    }
+
+    await recordEvent({
+      type: 'exam_finished',
+      telegramId: attempt.telegram_id,
+      enrollmentId: attempt.enrollment_id,
+      courseId: attempt.course_id,
+      metadata: {
+        exam_id: attempt.exam_id,
+        attempt_id: attempt.id,
+        score: summary.score,
+        max_score: summary.maxScore,
+        percent: summary.percent,
+        passed: summary.passed,
+        status
+      }
+    }, client)
+    return { ...attempt, ...result.rows[0] }
+  })
+
+  if (finished) {
+    console.log(`🎓 Екзамен ${attempt.exam_id}: ${attempt.telegram_id} — ${summary.score}/${summary.maxScore} (${summary.percent}%), ${summary.passed ? 'складено' : 'не складено'}${status === 'expired' ? ', час вийшов' : ''}`)
+  }
+  return finished
+}
+
+// Текст з результатом завершеної спроби
+async function resultText(lang, attempt) {
+  const usedResult = await pool.query(
+    'SELECT COUNT(*)::INT AS used FROM exam_attempts WHERE telegram_id = $1 AND exam_id = $2',
+    [attempt.telegram_id, attempt.exam_id]
+  )
+  const left = Math.max(0, attempt.max_attempts - usedResult.rows[0].used)
+  const score = { score: attempt.score, max: attempt.max_score, percent: attempt.percent }
+
+  const lines = []
+  if (attempt.status === 'expired') {
+    lines.push(t(lang, 'exam.time_up'))
+  }
+  if (attempt.passed) {
+    lines.push(t(lang, 'exam.passed', score))
+  } else {
+    lines.push(t(lang, 'exam.failed', { ...score, passMark: attempt.pass_mark }))
+    lines.push(t(lang, left ? 'exam.attempts_left' : 'exam.no_attempts', { left, max: attempt.max_attempts }))
+  }
+  return lines.join('\n\n')
+}
+
+// Завершує прострочену спробу і повідомляє учня
+async function expireAttempt(ctx, attempt) {
+  const finished = await finishAttempt(attempt, attempt.answers, 'expired')
+  if (finished) {
+    await ctx.reply(await resultText(ctx.lang, finished))
+  }
+}
+
+// Відправляє питання спроби з відповідною клавіатурою
+async function sendQuestion(ctx, attempt) {
+  const index = attempt.current_question
+  const question = attempt.questions[index]
+  const header = `${ctx.t('exam.question', {
+    number: index + 1,
+    total: attempt.questions.length,
+    minutes: attempt.minutes_left
+  })}\n\n${question.prompt}`
+
+  if (question.kind === 'text') {
+    return ctx.reply(`${header}\n\n${ctx.t('quiz.answer_text')}`)
+  }
+
+  if (question.kind === 'single') {
+    return ctx.reply(header, Markup.inlineKeyboard(
+      question.options.map((option, optionIndex) => [
+        Markup.button.callback(option, `exam:a:${attempt.id}:${index}:${optionIndex}`)
+      ])
+    ))
+  }
+
+  return ctx.reply(`${header}\n\n${ctx.t('quiz.answer_multiple')}`, multipleChoiceKeyboard(ctx, attempt, question, []))
+}
+
+function multipleChoiceKeyboard(ctx, attempt, question, selection) {
+  const index = attempt.current_question
+  return Markup.inlineKeyboard([
+    ...question.options.map((option, optionIndex) => [
+      Markup.button.callback(
+        `${selection.includes(optionIndex) ? '☑️' : '⬜️'} ${option}`,
+        `exam:t:${attempt.id}:${index}:${optionIndex}`
+      )
+    ]),
+    [Markup.button.callback(ctx.t('quiz.done_button'), `exam:d:${attempt.id}:${index}`)]
+  ])
+}
+
+// Записує відповідь на поточне питання та переходить до наступного або завершує спробу
+async function submitAnswer(ctx, attempt, answer) {
+  const answers = [...attempt.answers, answer]
+  const nextQuestion = attempt.current_question + 1
+
+  if (nextQuestion < attempt.questions.length) {
+    const result = await pool.query(`
+      UPDATE exam_attempts
+      SET answers = $1, current_question = $2, selection = '[]'
+      WHERE id = $3 AND current_question = $4 AND status = 'in_progress'
+      RETURNING *
+    `, [JSON.stringify(answers), nextQuestion, attempt.id, attempt.current_question])
+    if (!result.rows.length) {
+      return
+    }
+    return sendQuestion(ctx, { ...attempt, ...result.rows[0] })
+  }
+
+  const finished = await finishAttempt(attempt, answers, 'finished')
+  if (finished) {
+    await ctx.reply(await resultText(ctx.lang, finished))
+  }
+}
+
+// Спроба з callback-кнопки: належить користувачу і чекає відповіді саме на це питання.
+// Якщо час вийшов — спроба завершується з тими відповідями, що вже є.
+async function getAttemptForCallback(ctx) {
+  const attempt = await getAttempt(parseInt(ctx.match[1], 10))
+  const questionIndex = parseInt(ctx.match[2], 10)
+
+  if (!attempt || String(attempt.telegram_id) !== String(ctx.from.id) ||
+      attempt.status !== 'in_progress' || attempt.current_question !== questionIndex) {
+    await ctx.answerCbQuery(ctx.t('exam.stale'))
+    return null
+  }
+  if (attempt.is_overdue) {
+    await ctx.answerCbQuery()
+    await ctx.editMessageReplyMarkup(undefined).catch(() => {})
+    await expireAttempt(ctx, attempt)
+    return null
+  }
+  return attempt
+}
+
+// Запрошення скласти екзамен після завершення курсу (кнопка або розсилка)
+async function inviteToExam(telegram, enrollment, lang = DEFAULT_LANGUAGE, send = fn => fn()) {
+  try {
+    const exam = await getExam(enrollment.course_id)
+    if (!exam || !exam.is_active) {
+      return
+    }
+    await send(() => telegram.sendMessage(enrollment.telegram_id, t(lang, 'exam.invite', {
+      passMark: exam.pass_mark,
+      minutes: exam.time_limit_minutes,
+      attempts: exam.max_attempts
+    })))
+  } catch (err) {
+    console.error(`❌ Екзамен: не вдалося надіслати запрошення користувачу ${enrollment.telegram_id}:`, err.description || err.message)
+  }
+}
+
+// Додаткова спроба екзамену для учня, який вичерпав спроби (адмін-команда /examretry)
+async function grantExamAttempt(enrollment, actorId) {
+  const updated = await withTransaction(async (client) => {
+    const result = await client.query(
+      'UPDATE enrollments SET exam_extra_attempts = exam_extra_attempts + 1, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [enrollment.id]
+    )
+    await recordEvent({
+      type: 'exam_retry_granted',
+      telegramId: enrollment.telegram_id,
+      enrollmentId: enrollment.id,
+      courseId: enrollment.course_id,
+      metadata: { extra_attempts: result.rows[0].exam_extra_attempts },
+      actorId
+    }, client)
+    return result.rows[0]
+  })
+  console.log(`🔄 Екзамен: додаткова спроба для ${enrollment.telegram_id} (${enrollment.course_slug}), адмін ${actorId || 'веб-панель'}`)
+  return updated
+}
+
+// Завершує спроби, у яких вийшов час, і повідомляє учнів (викликається з розсилки).
+// Повертає кількість завершених спроб.
+async function expireExamAttempts(telegram, send = fn => fn()) {
+  const result = await pool.query(`
+    ${ATTEMPT_QUERY}
+    WHERE a.status = 'in_progress' AND a.deadline_at <= NOW()
+    ORDER BY a.deadline_at
+  `)
+
+  let expired = 0
+  for (const attempt of result.rows) {
+    try {
+      const finished = await finishAttempt(attempt, attempt.answers, 'expired')
+      if (!finished) {
+        continue
+      }
+      expired++
+      const text = await resultText(attempt.language || DEFAULT_LANGUAGE, finished)
+      await send(() => telegram.sendMessage(attempt.telegram_id, text))
+    } catch (err) {
+      console.error(`❌ Екзамен: не вдалося завершити спробу ${attempt.id}:`, err.description || err.message)
+    }
+  }
+  return expired
+}
+
+// Спроби для адміністратора (нові спершу) з номером спроби учня
+async function listExamAttempts({ courseId = null, telegramId = null, status = null, limit = 50 } = {}) {
+  const result = await pool.query(`
+    SELECT * FROM (
+      SELECT
+        a.id, a.exam_id, a.telegram_id, a.status, a.score, a.max_score, a.percent, a.passed,
+        a.started_at, a.finished_at, jsonb_array_length(a.questions) AS questions_count,
+        ROW_NUMBER() OVER (PARTITION BY a.exam_id, a.telegram_id ORDER BY a.id)::INT AS attempt_number,
+        x.course_id, x.max_attempts + COALESCE(e.exam_extra_attempts, 0) AS max_attempts,
+        c.slug AS course_slug, u.username, u.first_name
+      FROM exam_attempts a
+      JOIN exams x ON x.id = a.exam_id
+      JOIN courses c ON c.id = x.course_id
+      JOIN users u ON u.telegram_id = a.telegram_id
+      LEFT JOIN enrollments e ON e.id = a.enrollment_id
+    ) attempts
+    WHERE ($1::INT IS NULL OR course_id = $1)
+      AND ($2::BIGINT IS NULL OR telegram_id = $2)
+      AND ($3::TEXT IS NULL OR status = $3)
+    ORDER BY id DESC
+    LIMIT $4
+  `, [courseId, telegramId, status, limit])
+  return result.rows
+}
+
+// Підсумок по екзаменах курсів: учні, які складали, склали, спроби та середній бал
+async function getExamSummaries() {
+  const result = await pool.query(`
+    SELECT
+      x.*, c.slug AS course_slug,
+      COUNT(DISTINCT a.telegram_id)::INT AS learners,
+      COUNT(DISTINCT a.telegram_id) FILTER (WHERE a.passed)::INT AS passed,
+      COUNT(a.id) FILTER (WHERE a.status <> 'in_progress')::INT AS attempts,
+      COUNT(a.id) FILTER (WHERE a.status = 'in_progress')::INT AS in_progress,
+      ROUND(AVG(a.percent))::INT AS average_percent
+    FROM exams x
+    JOIN courses c ON c.id = x.course_id
+    LEFT JOIN exam_attempts a ON a.exam_id = x.id
+    GROUP BY x.id, c.slug
+    ORDER BY c.slug
+  `)
+  return result.rows
+}
+
+function formatExamSummary(summary) {
+  return `🎓 ${summary.course_slug}${summary.title ? ` «${summary.title}»` : ''}${summary.is_active ? '' : ' (выключен)'}: ` +
+    `сдали ${summary.passed} из ${summary.learners}, попыток ${summary.attempts}` +
+    `${summary.in_progress ? `, сейчас сдают ${summary.in_progress}` : ''}` +
+    `${summary.average_percent !== null ? `, средний балл ${summary.average_percent}%` : ''}`
+}
+
+function formatExamAttempt(attempt) {
+  const time = new Date(attempt.started_at).toISOString().slice(0, 16).replace('T', ' ')
+  const user = attempt.username ? `@${attempt.username}` : (attempt.first_name || attempt.telegram_id)
+  const result = attempt.status === 'in_progress'
+    ? '⏳ сдает'
+    : `${attempt.score}/${attempt.max_score} (${attempt.percent}%) ${attempt.passed ? '✅ сдал' : '❌ не сдал'}${attempt.status === 'expired' ? ', время вышло' : ''}`
+  return `${time} ${user} ${attempt.course_slug}, попытка ${attempt.attempt_number}/${attempt.max_attempts}: ${result}`
+}
+
+function registerExamHandlers(bot) {
+  // /exam — підсумковий екзамен активного курсу
+  bot.command('exam', async (ctx) => {
+    try {
+      const access = await getExamAccess(ctx.from.id)
+      if (access.error) {
+        return ctx.reply(ctx.t(access.error, access.params))
+      }
+
+      const { exam, attempts, openAttempt } = access
+      if (openAttempt) {
+        if (openAttempt.is_overdue) {
+          return expireAttempt(ctx, openAttempt)
+        }
+        await ctx.reply(ctx.t('exam.resume'))
+        return sendQuestion(ctx, openAttempt)
+      }
+
+      const topics = await getExamTopics(exam.id)
+      await ctx.reply(ctx.t('exam.intro', {
+        title: exam.title ? ` «${exam.title}»` : '',
+        count: topics.reduce((sum, topic) => sum + topic.draw_count, 0),
+        topics: topics.length,
+        minutes: exam.time_limit_minutes,
+        passMark: exam.pass_mark,
+        attempt: attempts.length + 1,
+        max: exam.max_attempts + access.enrollment.exam_extra_attempts
+      }), Markup.inlineKeyboard([
+        [Markup.button.callback(ctx.t('exam.start_button'), `exam:start:${exam.id}`)]
+      ]))
+    } catch (error) {
+      console.error('Помилка в /exam:', error)
+      ctx.reply(ctx.t('error.retry'))
+    }
+  })
+
+  // Початок спроби: з цього моменту йде час
+  bot.action(/^exam:start:(\d+)$/, async (ctx) => {
+    try {
+      const access = await getExamAccess(ctx.from.id)
+      if (access.error) {
+        return ctx.answerCbQuery(ctx.t(access.error, access.params), { show_alert: true })
+      }
+      if (access.exam.id !== parseInt(ctx.match[1], 10) || access.openAttempt) {
+        return ctx.answerCbQuery(ctx.t('exam.stale'))
+      }
+
+      const { exam, enrollment } = access
+      const questions = await drawQuestions(exam.id)
+      if (!questions.length) {
+        return ctx.answerCbQuery(ctx.t('quiz.no_questions'))
+      }
+
+      // Унікальний індекс не дає почати дві спроби одночасно (подвійне натискання)
+      const inserted = await pool.query(`
+        INSERT INTO exam_attempts (exam_id, telegram_id, enrollment_id, questions, deadline_at)
+        VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))
+        ON CONFLICT (exam_id, telegram_id) WHERE status = 'in_progress' DO NOTHING
+        RETURNING id
+      `, [exam.id, ctx.from.id, enrollment.id, JSON.stringify(questions), exam.time_limit_minutes])
+      if (!inserted.rows.length) {
+        return ctx.answerCbQuery(ctx.t('exam.stale'))
+      }
+
+      console.log(`🎓 Екзамен ${exam.id}: ${ctx.from.id} почав спробу ${access.attempts.length + 1}`)
+      await ctx.answerCbQuery()
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {})
+      await sendQuestion(ctx, await getAttempt(inserted.rows[0].id))
+    } catch (error) {
+      console.error('Помилка при старті екзамену:', error)
+      ctx.answerCbQuery(ctx.t('error'))
+    }
+  })
+
+  // Відповідь на питання з одним варіантом
+  bot.action(/^exam:a:(\d+):(\d+):(\d+)$/, async (ctx) => {
+    try {
+      const attempt = await getAttemptForCallback(ctx)
+      if (!attempt) {
+        return
+      }
+      await ctx.answerCbQuery()
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {})
+      await submitAnswer(ctx, attempt, parseInt(ctx.match[3], 10))
+    } catch (error) {
+      console.error('Помилка при відповіді на екзамен:', error)
+      ctx.answerCbQuery(ctx.t('error'))
+    }
+  })
+
+  // Вибір/зняття варіанта в питанні з кількома відповідями
+  bot.action(/^exam:t:(\d+):(\d+):(\d+)$/, async (ctx) => {
+    try {
+      const attempt = await getAttemptForCallback(ctx)
+      if (!attempt) {
+        return
+      }
+
+      const option = parseInt(ctx.match[3], 10)
+      const selection = attempt.selection.includes(option)
+        ? attempt.selection.filter(value => value !== option)
+        : [...attempt.selection, option]
+
+      await pool.query(
+        'UPDATE exam_attempts SET selection = $1 WHERE id = $2',
+        [JSON.stringify(selection), attempt.id]
+      )
+
+      await ctx.answerCbQuery()
+      await ctx.editMessageReplyMarkup(
+        multipleChoiceKeyboard(ctx, attempt, attempt.questions[attempt.current_question], selection).reply_markup
+      )
+    } catch (error) {
+      console.error('Помилка при виборі варіанта:', error)
+      ctx.answerCbQuery(ctx.t('error'))
+    }
+  })
+
+  // Підтвердження відповіді з кількома варіантами
+  bot.action(/^exam:d:(\d+):(\d+)$/, async (ctx) => {
+    try {
+      const attempt = await getAttemptForCallback(ctx)
+      if (!attempt) {
+        return
+      }
+      if (!attempt.selection.length) {
+        return ctx.answerCbQuery(ctx.t('quiz.select_one'))
+      }
+      await ctx.answerCbQuery()
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {})
+      await submitAnswer(ctx, attempt, attempt.selection)
+    } catch (error) {
+      console.error('Помилка при відповіді на екзамен:', error)
+      ctx.answerCbQuery(ctx.t('error'))
+    }
+  })
+
+  // Текстова відповідь — тільки якщо поточне питання незавершеної спроби текстове
+  bot.on('text', async (ctx, next) => {
+    if (ctx.message.text.startsWith('/')) {
+      return next()
+    }
+
+    try {
+      const attempt = await getOpenAttempt(ctx.from.id)
+      if (!attempt) {
+        return next()
+      }
+
+      const question = attempt.questions[attempt.current_question]
+      if (!question || question.kind !== 'text') {
+        return next()
+      }
+      if (attempt.is_overdue) {
+        return expireAttempt(ctx, attempt)
+      }
+
+      await submitAnswer(ctx, attempt, ctx.message.text)
+    } catch (error) {
+      console.error('Помилка при текстовій відповіді на екзамен:', error)
+      ctx.reply(ctx.t('error'))
+    }
+  })
+}
+
+module.exports = {
+  ATTEMPT_STATUSES,
+  validateExamDefinition,
+  saveExam,
+  getExam,
+  setExamActive,
+  getExamTopics,
+  drawQuestions,
+  inviteToExam,
+  grantExamAttempt,
+  expireExamAttempts,
+  listExamAttempts,
+  getExamSummaries,
+  formatExamSummary,
+  formatExamAttempt,
+  registerExamHandlers
+}
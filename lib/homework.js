@@ -0,0 +1,356 @@
+const { Markup } = require('telegraf')
+const { pool } = require('./db')
+const { isAdmin } = require('./admin')
+const { getActiveEnrollment } = require('./courses')
+const { getLessonsForEnrollment } = require('./catalog')
+const { recordEvent } = require('./events')
+const { DEFAULT_LANGUAGE, t, getUserLanguage } = require('./i18n')
+
+// Домашні завдання: учень надсилає відповідь через /homework (текст, файл,
+// фото або голосове), бот зберігає її в homework_submissions і пересилає
+// в чат менторів (MENTOR_CHAT_ID) з кнопками "Принять" / "На доработку".
+// Очікування відповіді зберігається в users.pending_action, бо між
+// запитами webhook стану в пам'яті немає.
+// Учню бот відповідає його мовою, в чаті менторів тексти російською.
+
+const STATUS_LABELS = {
+  pending: '⏳ на проверке',
+  approved: '✅ принято',
+  changes_requested: '🔄 на доработке'
+}
+
+function getMentorChatId() {
+  return process.env.MENTOR_CHAT_ID || null
+}
+
+function isFromMentorChat(ctx) {
+  const mentorChatId = getMentorChatId()
+  return Boolean(mentorChatId) && String(ctx.chat && ctx.chat.id) === String(mentorChatId)
+}
+
+// Остання здача домашнього завдання до уроку в межах запису на курс
+async function getLatestSubmission(enrollmentId, lessonPosition) {
+  const result = await pool.query(`
+    SELECT * FROM homework_submissions
+    WHERE enrollment_id = $1 AND lesson_position = $2
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+  `, [enrollmentId, lessonPosition])
+  return result.rows[0] || null
+}
+
+// Чи можна перейти до наступного уроку, якщо курс вимагає схвалення ДЗ.
+// Якщо перехід заблоковано, повертає { status } (стан останньої здачі:
+// missing, pending або changes_requested; текст — homework.gate_<status>), інакше null.
+async function checkHomeworkGate(enrollment, lesson) {
+  if (!enrollment.course_homework_required || !lesson.homeworkText) {
+    return null
+  }
+
+  const submission = await getLatestSubmission(enrollment.id, lesson.position)
+  if (!submission) {
+    return { status: 'missing' }
+  }
+  if (submission.status === 'pending' || submission.status === 'changes_requested') {
+    return { status: submission.status }
+  }
+  return null
+}
+
+// Тип і вміст повідомлення з відповіддю учня
+function extractSubmission(message) {
+  if (message.text) {
+    return { kind: 'text', content: message.text, fileId: null }
+  }
+  if (message.document) {
+    return { kind: 'document', content: message.caption || message.document.file_name || null, fileId: message.document.file_id }
+  }
+  if (message.photo) {
+    // Telegram надсилає кілька розмірів фото — беремо найбільший
+    const photo = message.photo[message.photo.length - 1]
+    return { kind: 'photo', content: message.caption || null, fileId: photo.file_id }
+  }
+  if (message.voice) {
+    return { kind: 'voice', content: message.caption || null, fileId: message.voice.file_id }
+  }
+  return null
+}
+
+// Картка для ментора з даними учня та кнопками вердикту
+function formatMentorCard(submission, from, lessonTitle) {
+  const name = [from.first_name, from.last_name].filter(Boolean).join(' ')
+  const status = submission.status !== 'pending'
+    ? `\n\nСтатус: ${STATUS_LABELS[submission.status]}`
+    : ''
+
+  return `📥 Домашнее задание #${submission.id}\n\n` +
+    `Ученик: ${name}${from.username ? ` (@${from.username})` : ''}, ID ${submission.telegram_id}\n` +
+    `Курс: ${submission.course_title}\n` +
+    `Урок ${submission.lesson_position}: ${lessonTitle}` +
+    status
+}
+
+// Повідомлення учню його мовою (ментор пише з іншого чату, ctx.t — мова ментора)
+async function notifyLearner(telegram, telegramId, key, params) {
+  const language = (await getUserLanguage(telegramId)) || DEFAULT_LANGUAGE
+  return telegram.sendMessage(telegramId, t(language, key, params))
+}
+
+function reviewKeyboard(submissionId) {
+  return Markup.inlineKeyboard([[
+    Markup.button.callback('✅ Принять', `hw:approve:${submissionId}`),
+    Markup.button.callback('🔄 На доработку', `hw:changes:${submissionId}`)
+  ]])
+}
+
+// Копіює відповідь учня в чат менторів і додає картку з кнопками
+async function sendToMentors(ctx, submission, lessonTitle) {
+  const mentorChatId = getMentorChatId()
+  if (!mentorChatId) {
+    console.log(`⚠️  MENTOR_CHAT_ID не встановлено, ДЗ #${submission.id} збережено без відправки ментору`)
+    return
+  }
+
+  const copy = await ctx.telegram.copyMessage(mentorChatId, ctx.chat.id, ctx.message.message_id)
+  const card = await ctx.telegram.sendMessage(
+    mentorChatId,
+    formatMentorCard(submission, ctx.from, lessonTitle),
+    { reply_to_message_id: copy.message_id, ...reviewKeyboard(submission.id) }
+  )
+
+  await pool.query(
+    'UPDATE homework_submissions SET mentor_chat_id = $1, mentor_message_id = $2 WHERE id = $3',
+    [mentorChatId, card.message_id, submission.id]
+  )
+}
+
+// Вердикт ментора: змінюється тільки ДЗ, яке ще чекає на перевірку
+async function reviewSubmission(ctx, status) {
+  const submissionId = parseInt(ctx.match[1], 10)
+
+  if (!isFromMentorChat(ctx) && !(await isAdmin(ctx.from.id))) {
+    return ctx.answerCbQuery('❌ Недостаточно прав')
+  }
+
+  const result = await pool.query(`
+    UPDATE homework_submissions
+    SET status = $1, reviewer_telegram_id = $2, reviewed_at = NOW()
+    WHERE id = $3 AND status = 'pending'
+    RETURNING *
+  `, [status, ctx.from.id, submissionId])
+
+  if (!result.rows.length) {
+    return ctx.answerCbQuery('Это задание уже проверено')
+  }
+
+  const submission = result.rows[0]
+  await recordEvent({
+    type: 'homework_reviewed',
+    telegramId: submission.telegram_id,
+    enrollmentId: submission.enrollment_id,
+    courseId: submission.course_id,
+    lessonPosition: submission.lesson_position,
+    metadata: { submission_id: submission.id, status },
+    actorId: ctx.from.id
+  })
+  console.log(`📝 ДЗ #${submission.id} (${submission.telegram_id}, урок ${submission.lesson_position}): ${status} (ментор ${ctx.from.id})`)
+
+  await ctx.answerCbQuery(status === 'approved' ? '✅ Принято' : '🔄 Отправлено на доработку')
+
+  const reviewer = ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name
+  const text = ctx.callbackQuery.message.text
+  await ctx.editMessageText(
+    `${text}\n\nСтатус: ${STATUS_LABELS[status]} (${reviewer})` +
+    (status === 'changes_requested' ? '\n💬 Ответьте на это сообщение, чтобы передать ученику комментарий.' : '')
+  ).catch(() => {})
+
+  const notice = status === 'approved' ? 'homework.approved' : 'homework.changes_requested'
+  await notifyLearner(ctx.telegram, submission.telegram_id, notice, { position: submission.lesson_position }).catch(err => {
+    console.error(`Помилка при повідомленні учня ${submission.telegram_id}:`, err.message)
+  })
+}
+
+function registerHomeworkHandlers(bot) {
+  // /homework — учень здає домашнє завдання до поточного уроку
+  bot.command('homework', async (ctx) => {
+    try {
+      const telegramId = ctx.from.id
+      const userResult = await pool.query(
+        'SELECT * FROM users WHERE telegram_id = $1',
+        [telegramId]
+      )
+
+      if (!userResult.rows.length || !userResult.rows[0].has_access) {
+        return ctx.reply(ctx.t('enrollment.none_short'))
+      }
+
+      const enrollment = await getActiveEnrollment(userResult.rows[0])
+      if (!enrollment) {
+        return ctx.reply(ctx.t('enrollment.none_short'))
+      }
+
+      const lessons = await getLessonsForEnrollment(enrollment, ctx.lang)
+      const lessonNumber = Math.min(enrollment.current_lesson, lessons.length)
+      const lesson = lessons[lessonNumber - 1]
+
+      if (!lesson || !lesson.homeworkText) {
+        return ctx.reply(ctx.t('homework.none'))
+      }
+
+      const latest = await getLatestSubmission(enrollment.id, lesson.position)
+      if (latest && latest.status === 'approved') {
+        return ctx.reply(ctx.t('homework.already_approved', { position: lesson.position }))
+      }
+
+      await pool.query(
+        'UPDATE users SET pending_action = $1 WHERE telegram_id = $2',
+        [`homework:${enrollment.id}:${lesson.position}`, telegramId]
+      )
+
+      await ctx.reply(ctx.t('homework.prompt', {
+        position: lesson.position,
+        title: lesson.title,
+        task: lesson.homeworkText
+      }))
+    } catch (error) {
+      console.error('Помилка в /homework:', error)
+      ctx.reply(ctx.t('error.retry'))
+    }
+  })
+
+  // /cancel — скасовує очікування відповіді
+  bot.command('cancel', async (ctx) => {
+    try {
+      const result = await pool.query(
+        'UPDATE users SET pending_action = NULL WHERE telegram_id = $1 AND pending_action IS NOT NULL RETURNING id',
+        [ctx.from.id]
+      )
+      await ctx.reply(ctx.t(result.rows.length ? 'cancel.done' : 'cancel.nothing'))
+    } catch (error) {
+      console.error('Помилка в /cancel:', error)
+      ctx.reply(ctx.t('error'))
+    }
+  })
+
+  bot.action(/^hw:approve:(\d+)$/, async (ctx) => {
+    try {
+      await reviewSubmission(ctx, 'approved')
+    } catch (error) {
+      console.error('Помилка при перевірці ДЗ:', error)
+      ctx.answerCbQuery('❌ Произошла ошибка')
+    }
+  })
+
+  bot.action(/^hw:changes:(\d+)$/, async (ctx) => {
+    try {
+      await reviewSubmission(ctx, 'changes_requested')
+    } catch (error) {
+      console.error('Помилка при перевірці ДЗ:', error)
+      ctx.answerCbQuery('❌ Произошла ошибка')
+    }
+  })
+
+  // Відповідь учня на /homework або коментар ментора (reply на картку ДЗ)
+  bot.on(['text', 'document', 'photo', 'voice'], async (ctx, next) => {
+    const message = ctx.message
+    if (message.text && message.text.startsWith('/')) {
+      return next()
+    }
+
+    try {
+      if (isFromMentorChat(ctx)) {
+        if (!message.text || !message.reply_to_message) {
+          return next()
+        }
+
+        const result = await pool.query(`
+          UPDATE homework_submissions
+          SET review_comment = $1
+          WHERE mentor_chat_id = $2 AND mentor_message_id = $3
+          RETURNING *
+        `, [message.text, String(ctx.chat.id), message.reply_to_message.message_id])
+        if (!result.rows.length) {
+          return next()
+        }
+
+        const submission = result.rows[0]
+        await notifyLearner(ctx.telegram, submission.telegram_id, 'homework.comment', {
+          position: submission.lesson_position,
+          comment: message.text
+        })
+        return ctx.reply('✅ Комментарий отправлен ученику.', { reply_to_message_id: message.message_id })
+      }
+
+      const userResult = await pool.query(
+        'SELECT pending_action FROM users WHERE telegram_id = $1',
+        [ctx.from.id]
+      )
+      const pendingAction = userResult.rows[0] && userResult.rows[0].pending_action
+      const match = /^homework:(\d+):(\d+)$/.exec(pendingAction || '')
+      if (!match) {
+        return next()
+      }
+
+      const submission = extractSubmission(message)
+      const enrollmentId = parseInt(match[1], 10)
+      const lessonPosition = parseInt(match[2], 10)
+
+      // Знімаємо очікування до збереження, щоб повторне повідомлення не створило дубль
+      const claimed = await pool.query(
+        'UPDATE users SET pending_action = NULL WHERE telegram_id = $1 AND pending_action = $2 RETURNING id',
+        [ctx.from.id, pendingAction]
+      )
+      if (!claimed.rows.length) {
+        return
+      }
+
+      const inserted = await pool.query(`
+        INSERT INTO homework_submissions (telegram_id, enrollment_id, course_id, lesson_position, kind, content, file_id)
+        SELECT $1, e.id, e.course_id, $3, $4, $5, $6
+        FROM enrollments e
+        WHERE e.id = $2 AND e.telegram_id = $1
+        RETURNING *
+      `, [ctx.from.id, enrollmentId, lessonPosition, submission.kind, submission.content, submission.fileId])
+      if (!inserted.rows.length) {
+        return ctx.reply(ctx.t('homework.enrollment_missing'))
+      }
+
+      const details = await pool.query(`
+        SELECT h.*, c.title AS course_title, l.title AS lesson_title
+        FROM homework_submissions h
+        JOIN enrollments e ON e.id = h.enrollment_id
+        JOIN courses c ON c.id = h.course_id
+        LEFT JOIN lessons l ON l.course_version_id = e.course_version_id AND l.position = h.lesson_position
+        WHERE h.id = $1
+      `, [inserted.rows[0].id])
+      const saved = details.rows[0]
+      await recordEvent({
+        type: 'homework_submitted',
+        telegramId: saved.telegram_id,
+        enrollmentId: saved.enrollment_id,
+        courseId: saved.course_id,
+        lessonPosition: saved.lesson_position,
+        metadata: { submission_id: saved.id, kind: saved.kind }
+      })
+      console.log(`📝 ДЗ #${saved.id}: ${ctx.from.id}, урок ${lessonPosition} (${submission.kind})`)
+
+      // ДЗ вже збережено: збій пересилання не повинен спонукати учня здати його повторно.
+      // Неперіслане ДЗ (без mentor_message_id) лишається в адмін-панелі на сторінці ДЗ
+      try {
+        await sendToMentors(ctx, saved, saved.lesson_title || '')
+      } catch (error) {
+        console.error(`Помилка пересилання ДЗ #${saved.id} менторам:`, error)
+      }
+      await ctx.reply(ctx.t('homework.sent'))
+    } catch (error) {
+      console.error('Помилка при здачі ДЗ:', error)
+      ctx.reply(ctx.t('error.retry'))
+    }
+  })
+}
+
+module.exports = {
+  getLatestSubmission,
+  checkHomeworkGate,
+  registerHomeworkHandlers
+}
@@ -0,0 +1,138 @@
+const { Markup } = require('telegraf')
+const { pool } = require('./db')
+
+// Переклади текстів бота для учнів (каталоги повідомлень у lib/locales/).
+// Мова учня зберігається в users.language: обирається після активації коду
+// або командою /language. Поки мову не обрано — береться language_code з Telegram.
+// Ключа, якого немає в каталозі мови, шукаємо в каталозі за замовчуванням.
+// Адмін-команди та повідомлення в чаті менторів залишаються російською.
+
+const LANGUAGES = ['ru', 'uk', 'en', 'ka']
+const DEFAULT_LANGUAGE = 'ru'
+
+const LANGUAGE_NAMES = {
+  ru: '🇷🇺 Русский',
+  uk: '🇺🇦 Українська',
+  en: '🇬🇧 English',
+  ka: '🇬🇪 ქართული'
+}
+
+const catalogs = {
+  ru: require('./locales/ru'),
+  uk: require('./locales/uk'),
+  en: require('./locales/en'),
+  ka: require('./locales/ka')
+}
+
+function isLanguage(value) {
+  return LANGUAGES.includes(value)
+}
+
+// Мова з language_code Telegram ("en-US" → "en"); непідтримувана — за замовчуванням
+function resolveLanguage(code) {
+  const language = String(code || '').toLowerCase().split('-')[0]
+  return isLanguage(language) ? language : DEFAULT_LANGUAGE
+}
+
+// Текст за ключем з підстановкою {параметрів}
+function t(language, key, params = {}) {
+  const catalog = catalogs[language] || catalogs[DEFAULT_LANGUAGE]
+  const template = catalog[key] ?? catalogs[DEFAULT_LANGUAGE][key]
+  if (template === undefined) {
+    throw new Error(`Немає перекладу для ключа: ${key}`)
+  }
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match))
+}
+
+// Текст ключа всіма мовами (для bot.hears: у учня може лишитися клавіатура іншою мовою)
+function allTranslations(key) {
+  return [...new Set(LANGUAGES.map(language => t(language, key)))]
+}
+
+// Збережена мова користувача або null, якщо ще не обрана
+async function getUserLanguage(telegramId) {
+  const result = await pool.query('SELECT language FROM users WHERE telegram_id = $1', [telegramId])
+  return (result.rows[0] && result.rows[0].language) || null
+}
+
+async function setUserLanguage(from, language) {
+  await pool.query(`
+    INSERT INTO users (telegram_id, username, first_name, language)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (telegram_id) DO UPDATE SET language = EXCLUDED.language
+  `, [from.id, from.username || null, from.first_name || null, language])
+}
+
+// Middleware Telegraf: ctx.lang — мова учня, ctx.t(key, params) — переклад
+function i18n() {
+  return async (ctx, next) => {
+    let language = null
+    if (ctx.from) {
+      try {
+        language = await getUserLanguage(ctx.from.id)
+      } catch (err) {
+        console.error('Помилка при визначенні мови:', err.message)
+      }
+    }
+
+    ctx.lang = language || resolveLanguage(ctx.from && ctx.from.language_code)
+    ctx.t = (key, params) => t(ctx.lang, key, params)
+    return next()
+  }
+}
+
+function languageKeyboard() {
+  return Markup.inlineKeyboard(
+    LANGUAGES.map(language => [Markup.button.callback(LANGUAGE_NAMES[language], `lang:set:${language}`)])
+  )
+}
+
+function registerLanguageHandlers(bot) {
+  // /language — вибір мови інтерфейсу
+  bot.command('language', async (ctx) => {
+    try {
+      await ctx.reply(ctx.t('language.current', { language: LANGUAGE_NAMES[ctx.lang] }), languageKeyboard())
+    } catch (error) {
+      console.error('Помилка в /language:', error)
+      ctx.reply(ctx.t('error'))
+    }
+  })
+
+  bot.action(/^lang:set:(\w+)$/, async (ctx) => {
+    try {
+      const language = ctx.match[1]
+      if (!isLanguage(language)) {
+        return ctx.answerCbQuery()
+      }
+
+      await setUserLanguage(ctx.from, language)
+      ctx.lang = language
+      console.log(`🌐 ${ctx.from.id}: мова ${language}`)
+
+      await ctx.answerCbQuery()
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {})
+      // Нова клавіатура "Продолжить" — вже обраною мовою
+      await ctx.reply(
+        ctx.t('language.set', { language: LANGUAGE_NAMES[language] }),
+        Markup.keyboard([[ctx.t('button.continue')]]).resize()
+      )
+    } catch (error) {
+      console.error('Помилка при зміні мови:', error)
+      ctx.answerCbQuery(ctx.t('error'))
+    }
+  })
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_NAMES,
+  isLanguage,
+  resolveLanguage,
+  t,
+  allTranslations,
+  getUserLanguage,
+  languageKeyboard,
+  registerLanguageHandlers,
+  i18n
+}
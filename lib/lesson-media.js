@@ -0,0 +1,292 @@
+const { pool } = require('./db')
+const { getCourseBySlug, getDefaultCourse } = require('./courses')
+const { getDraftVersion } = require('./catalog')
+const { isAdmin, adminCommand } = require('./admin')
+
+// Вкладення уроків: відео, кружечки, аудіо, голосові, PDF та інші документи, фото.
+// Зберігається file_id Telegram, тому повторна відправка миттєва. Вкладення,
+// додане за URL (manage-course.js attach), завантажується в Telegram при першій
+// відправці, після чого його file_id кешується в lesson_attachments.
+// Адміністратор додає вкладення, надіславши файл боту після /attach N.
+
+// Порядок важливий для attachmentFromMessage: animation перевіряється раніше за document
+const ATTACHMENT_KINDS = ['video', 'video_note', 'audio', 'voice', 'animation', 'document', 'photo']
+
+// Метод Bot API для кожного типу вкладення
+const SEND_METHODS = {
+  video: 'sendVideo',
+  video_note: 'sendVideoNote',
+  audio: 'sendAudio',
+  voice: 'sendVoice',
+  document: 'sendDocument',
+  photo: 'sendPhoto',
+  animation: 'sendAnimation'
+}
+
+// Фото та відео йдуть альбомом (sendMediaGroup) — до 10 елементів
+const ALBUM_KINDS = ['photo', 'video']
+const MAX_ALBUM_SIZE = 10
+
+const KIND_LABELS = {
+  video: '🎬 Видео',
+  video_note: '⏺ Видеосообщение',
+  audio: '🎧 Аудио',
+  voice: '🎙 Голосовое',
+  document: '📎 Документ',
+  photo: '🖼 Фото',
+  animation: '🎞 GIF'
+}
+
+// Вкладення з повідомлення адміністратора або null
+function attachmentFromMessage(message) {
+  // Для GIF Telegram заповнює і animation, і document — animation має пріоритет
+  for (const kind of ATTACHMENT_KINDS.filter(kind => kind !== 'photo')) {
+    if (message[kind]) {
+      return {
+        kind,
+        fileId: message[kind].file_id,
+        fileUniqueId: message[kind].file_unique_id,
+        caption: message.caption || message[kind].file_name || null
+      }
+    }
+  }
+  if (message.photo) {
+    // Telegram надсилає кілька розмірів фото — беремо найбільший
+    const photo = message.photo[message.photo.length - 1]
+    return { kind: 'photo', fileId: photo.file_id, fileUniqueId: photo.file_unique_id, caption: message.caption || null }
+  }
+  return null
+}
+
+// file_id з повідомлення, яке повернув Telegram після відправки
+function sentFileId(kind, message) {
+  if (kind === 'photo') {
+    return message.photo[message.photo.length - 1].file_id
+  }
+  return message[kind] ? message[kind].file_id : null
+}
+
+async function listAttachments(lessonId) {
+  const result = await pool.query(
+    'SELECT * FROM lesson_attachments WHERE lesson_id = $1 ORDER BY position, id',
+    [lessonId]
+  )
+  return result.rows
+}
+
+// Додає вкладення до уроку чернетки. null — урок не знайдено або його версію вже опубліковано.
+async function addAttachment(lessonId, { kind, fileId, fileUniqueId, sourceUrl, caption }) {
+  const result = await pool.query(`
+    INSERT INTO lesson_attachments (lesson_id, position, kind, file_id, file_unique_id, source_url, caption)
+    SELECT
+      l.id,
+      COALESCE((SELECT MAX(position) FROM lesson_attachments WHERE lesson_id = l.id), 0) + 1,
+      $2, $3, $4, $5, $6
+    FROM lessons l
+    JOIN course_versions v ON v.id = l.course_version_id
+    WHERE l.id = $1 AND NOT v.is_published
+    RETURNING *
+  `, [lessonId, kind, fileId || null, fileUniqueId || null, sourceUrl || null, caption || null])
+  return result.rows[0] || null
+}
+
+// Видаляє вкладення уроку чернетки. null — не знайдено, { published: true } — урок опублікованої версії
+async function deleteAttachment(attachmentId) {
+  const result = await pool.query(`
+    DELETE FROM lesson_attachments a
+    USING lessons l, course_versions v
+    WHERE a.id = $1 AND l.id = a.lesson_id AND v.id = l.course_version_id AND NOT v.is_published
+    RETURNING a.*
+  `, [attachmentId])
+  if (result.rows.length) {
+    return result.rows[0]
+  }
+  const exists = await pool.query('SELECT 1 FROM lesson_attachments WHERE id = $1', [attachmentId])
+  return exists.rows.length ? { published: true } : null
+}
+
+async function cacheFileId(attachmentId, fileId) {
+  await pool.query('UPDATE lesson_attachments SET file_id = $2 WHERE id = $1', [attachmentId, fileId])
+}
+
+// Файл для Bot API: кешований file_id або URL для першого завантаження
+function inputFile(attachment) {
+  return attachment.file_id || { url: attachment.source_url }
+}
+
+// Сусідні фото/відео об'єднуються в альбоми, решта надсилається поодинці
+function groupAttachments(attachments) {
+  const groups = []
+  for (const attachment of attachments) {
+    const last = groups[groups.length - 1]
+    if (ALBUM_KINDS.includes(attachment.kind) && last && last.album && last.items.length < MAX_ALBUM_SIZE) {
+      last.items.push(attachment)
+    } else {
+      groups.push({ album: ALBUM_KINDS.includes(attachment.kind), items: [attachment] })
+    }
+  }
+  return groups
+}
+
+// Надсилає вкладення уроку по черзі. send — обгортка для кожного запиту
+// (наприклад, sendWithRetry у розсилці).
+async function sendAttachments(telegram, chatId, attachments, send = fn => fn()) {
+  for (const group of groupAttachments(attachments)) {
+    if (group.album && group.items.length > 1) {
+      const sent = await send(() => telegram.sendMediaGroup(chatId, group.items.map(item => ({
+        type: item.kind,
+        media: inputFile(item),
+        caption: item.caption || undefined
+      }))))
+      for (const [index, item] of group.items.entries()) {
+        if (!item.file_id && sent[index]) {
+          await cacheFileId(item.id, sentFileId(item.kind, sent[index]))
+        }
+      }
+      continue
+    }
+
+    const [item] = group.items
+    // Кружечки не підтримують підпис
+    const extra = item.caption && item.kind !== 'video_note' ? { caption: item.caption } : {}
+    const sent = await send(() => telegram[SEND_METHODS[item.kind]](chatId, inputFile(item), extra))
+    if (!item.file_id) {
+      await cacheFileId(item.id, sentFileId(item.kind, sent))
+    }
+  }
+}
+
+function formatAttachment(attachment) {
+  const source = attachment.file_id ? '' : ' (ещё не загружено)'
+  return `#${attachment.id} ${KIND_LABELS[attachment.kind]}${attachment.caption ? `: ${attachment.caption}` : ''}${source}`
+}
+
+// Урок N чернетки курсу (slug або курс за замовчуванням): опубліковані версії
+// не змінюються, вкладення потрапляють до учнів після публікації чернетки
+async function resolveDraftLesson(number, slug) {
+  const course = slug ? await getCourseBySlug(slug.toLowerCase()) : await getDefaultCourse()
+  if (!course) {
+    return { error: `❌ Курс «${slug}» не найден.` }
+  }
+  const version = await getDraftVersion(course.id)
+  if (!version) {
+    return { error: `❌ У курса ${course.slug} нет черновика. Создайте его в веб-панели (Уроки) или командой npm run course -- draft --course ${course.slug}.` }
+  }
+  const result = await pool.query(
+    'SELECT * FROM lessons WHERE course_version_id = $1 AND position = $2',
+    [version.id, number]
+  )
+  if (!result.rows.length) {
+    return { error: `❌ Урок ${number} не найден в черновике v${version.version} курса ${course.slug}.` }
+  }
+  return { course, version, lesson: result.rows[0] }
+}
+
+function registerAttachmentHandlers(bot) {
+  // /attach N [КУРС] — наступні файли адміністратора додаються до уроку N
+  adminCommand(bot, 'attach', async (ctx, [number, slug]) => {
+    if (!/^\d+$/.test(number || '')) {
+      return ctx.reply('Использование: /attach N [КУРС]')
+    }
+
+    const { course, version, lesson, error } = await resolveDraftLesson(parseInt(number, 10), slug)
+    if (error) {
+      return ctx.reply(error)
+    }
+
+    // Адміністратор з ADMIN_IDS може ще не мати запису в users
+    await pool.query(`
+      INSERT INTO users (telegram_id, username, first_name, pending_action)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (telegram_id) DO UPDATE SET pending_action = EXCLUDED.pending_action
+    `, [ctx.from.id, ctx.from.username || null, ctx.from.first_name || null, `attach:${lesson.id}`])
+    await ctx.reply(
+      `📎 Урок ${lesson.position} «${lesson.title}» (${course.slug}, черновик v${version.version})\n\n` +
+      'Отправьте видео, кружочки, аудио, голосовые, PDF или фото (можно альбомом). ' +
+      'Подпись к файлу станет подписью в уроке.\n\n' +
+      'Закончить: /done'
+    )
+  })
+
+  adminCommand(bot, 'done', async (ctx) => {
+    const result = await pool.query(`
+      UPDATE users SET pending_action = NULL
+      WHERE telegram_id = $1 AND pending_action LIKE 'attach:%'
+      RETURNING id
+    `, [ctx.from.id])
+    await ctx.reply(result.rows.length ? '✅ Вложения сохранены.' : 'Нечего завершать.')
+  })
+
+  // /attachments N [КУРС] — вкладення уроку
+  adminCommand(bot, 'attachments', async (ctx, [number, slug]) => {
+    if (!/^\d+$/.test(number || '')) {
+      return ctx.reply('Использование: /attachments N [КУРС]')
+    }
+
+    const { version, lesson, error } = await resolveDraftLesson(parseInt(number, 10), slug)
+    if (error) {
+      return ctx.reply(error)
+    }
+
+    const attachments = await listAttachments(lesson.id)
+    await ctx.reply(attachments.length
+      ? `📎 Вложения урока ${lesson.position} (черновик v${version.version}):\n\n${attachments.map(formatAttachment).join('\n')}\n\nУдалить: /detach ID`
+      : `📭 У урока ${lesson.position} нет вложений. Добавить: /attach ${lesson.position}`)
+  })
+
+  adminCommand(bot, 'detach', async (ctx, [id]) => {
+    if (!/^\d+$/.test(id || '')) {
+      return ctx.reply('Использование: /detach ID')
+    }
+
+    const attachment = await deleteAttachment(parseInt(id, 10))
+    if (!attachment) {
+      return ctx.reply('❌ Вложение не найдено.')
+    }
+    if (attachment.published) {
+      return ctx.reply('❌ Вложение относится к опубликованной версии. Удалите его в черновике: /attachments N')
+    }
+    console.log(`📎 Вкладення #${attachment.id} видалено з уроку ${attachment.lesson_id} (адмін ${ctx.from.id})`)
+    await ctx.reply(`🗑 Вложение #${attachment.id} удалено.`)
+  })
+
+  // Файли адміністратора в режимі /attach
+  bot.on(['video', 'video_note', 'audio', 'voice', 'document', 'photo', 'animation'], async (ctx, next) => {
+    if (ctx.chat.type !== 'private') {
+      return next()
+    }
+
+    try {
+      const userResult = await pool.query(
+        'SELECT pending_action FROM users WHERE telegram_id = $1',
+        [ctx.from.id]
+      )
+      const match = /^attach:(\d+)$/.exec((userResult.rows[0] && userResult.rows[0].pending_action) || '')
+      if (!match || !(await isAdmin(ctx.from.id))) {
+        return next()
+      }
+
+      const attachment = await addAttachment(parseInt(match[1], 10), attachmentFromMessage(ctx.message))
+      if (!attachment) {
+        // Чернетку опублікували, поки адміністратор надсилав файли
+        await pool.query('UPDATE users SET pending_action = NULL WHERE telegram_id = $1', [ctx.from.id])
+        return ctx.reply('❌ Черновик уже опубликован — вложение не сохранено. Создайте новый черновик и повторите /attach.')
+      }
+      console.log(`📎 Вкладення #${attachment.id} (${attachment.kind}) додано до уроку ${attachment.lesson_id} (адмін ${ctx.from.id})`)
+      await ctx.reply(`✅ ${formatAttachment(attachment)}`, { reply_to_message_id: ctx.message.message_id })
+    } catch (error) {
+      console.error('Помилка при додаванні вкладення:', error)
+      ctx.reply('❌ Произошла ошибка')
+    }
+  })
+}
+
+module.exports = {
+  ATTACHMENT_KINDS,
+  attachmentFromMessage,
+  listAttachments,
+  addAttachment,
+  deleteAttachment,
+  sendAttachments,
+  registerAttachmentHandlers
+}
@@ -0,0 +1,173 @@
+const { Markup } = require('telegraf')
+const { DEFAULT_LANGUAGE, t } = require('./i18n')
+
+// Єдиний рендер уроку для /start, кнопки "Продолжить ▶️" та розсилки.
+// Текст уроку зберігається як звичайний текст і екранується під parse_mode HTML.
+// Матеріали та посилання на тест — inline-кнопки з URL. Задовгий урок ділиться
+// на кілька повідомлень по межах абзаців, рядків або слів (ліміт Telegram — 4096).
+// Результат — масив [text, extra] для послідовної відправки через ctx.reply / sendMessage.
+// Службові підписи (матеріали, підказка, кнопка тесту) — мовою учня (lang).
+
+const MAX_MESSAGE_LENGTH = 4096
+// Telegram обрізає довгі підписи кнопок — скорочуємо самі
+const MAX_BUTTON_TEXT = 60
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+}
+
+function isButtonUrl(url) {
+  return /^https?:\/\/\S+$/i.test(url || '')
+}
+
+function buttonText(text) {
+  return text.length > MAX_BUTTON_TEXT ? `${text.slice(0, MAX_BUTTON_TEXT - 1)}…` : text
+}
+
+// Ділить звичайний текст на шматки, які після екранування вміщаються в limit.
+// Ріже спершу по рядках, потім по пробілах і лише в крайньому разі — посеред слова.
+function splitPlain(text, limit) {
+  if (escapeHtml(text).length <= limit) {
+    return [text]
+  }
+
+  for (const separator of ['\n', ' ']) {
+    const pieces = text.split(separator)
+    if (pieces.length < 2) {
+      continue
+    }
+    const chunks = []
+    let current = ''
+    for (const piece of pieces) {
+      const candidate = current ? `${current}${separator}${piece}` : piece
+      if (escapeHtml(candidate).length <= limit) {
+        current = candidate
+        continue
+      }
+      if (current) {
+        chunks.push(current)
+      }
+      current = piece
+    }
+    chunks.push(current)
+    return chunks.flatMap(chunk => splitPlain(chunk, limit))
+  }
+
+  // Одне довге "слово": ріжемо по символах (з урахуванням сурогатних пар)
+  const chars = Array.from(text)
+  const chunks = []
+  let current = ''
+  for (const char of chars) {
+    if (escapeHtml(current + char).length > limit) {
+      chunks.push(current)
+      current = ''
+    }
+    current += char
+  }
+  chunks.push(current)
+  return chunks
+}
+
+// Пакує HTML-блоки (вже екрановані абзаци) у повідомлення не довші за limit
+function packBlocks(blocks, limit = MAX_MESSAGE_LENGTH) {
+  const messages = []
+  let current = ''
+  for (const block of blocks) {
+    const candidate = current ? `${current}\n\n${block}` : block
+    if (candidate.length <= limit) {
+      current = candidate
+      continue
+    }
+    if (current) {
+      messages.push(current)
+    }
+    current = block
+  }
+  if (current) {
+    messages.push(current)
+  }
+  return messages
+}
+
+// Звичайний текст → екрановані абзаци, кожен не довший за ліміт повідомлення
+function toBlocks(text) {
+  return String(text || '')
+    .split(/\n{2,}/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .flatMap(paragraph => splitPlain(paragraph, MAX_MESSAGE_LENGTH))
+    .map(escapeHtml)
+}
+
+// Повідомлення уроку. intro — звичайний текст перед уроком (привітання /start).
+// Клавіатура "Продолжить ▶️" (replyKeyboard) йде з останнім повідомленням; якщо
+// в уроку є кнопки-посилання або вкладення, підказка з клавіатурою надсилається
+// окремим останнім повідомленням (вкладення відправляються перед нею).
+// continueHint: false — без підказки (повторний перегляд пройденого уроку).
+function renderLesson(lesson, { intro, replyKeyboard, continueHint = true, lang = DEFAULT_LANGUAGE } = {}) {
+  const blocks = [
+    ...toBlocks(intro),
+    `📘 <b>${escapeHtml(lesson.title)}</b>`,
+    ...toBlocks(lesson.text)
+  ]
+
+  const buttons = []
+  const materials = lesson.materials || []
+  const materialLinks = []
+  materials.forEach((material, index) => {
+    if (isButtonUrl(material.url)) {
+      buttons.push([Markup.button.url(buttonText(`📄 ${material.title}`), material.url)])
+    } else {
+      materialLinks.push(`${index + 1}. ${material.title}\n${material.url}`)
+    }
+  })
+  if (materials.length) {
+    blocks.push(materialLinks.length
+      ? `📄 <b>${escapeHtml(t(lang, 'lesson.materials'))}:</b>\n${materialLinks.map(escapeHtml).join('\n')}`
+      : `📄 <b>${escapeHtml(t(lang, 'lesson.materials'))}</b> — ${escapeHtml(t(lang, 'lesson.materials_below'))}.`)
+  }
+
+  if (lesson.homeworkText) {
+    blocks.push(...toBlocks(lesson.homeworkText), escapeHtml(t(lang, 'lesson.homework_submit')))
+  }
+  if (lesson.homeworkUrl) {
+    if (isButtonUrl(lesson.homeworkUrl)) {
+      buttons.push([Markup.button.url(t(lang, 'lesson.test_button'), lesson.homeworkUrl)])
+    } else {
+      blocks.push(`${escapeHtml(t(lang, 'lesson.test_link'))}\n${escapeHtml(lesson.homeworkUrl)}`)
+    }
+  }
+
+  blocks.push(...toBlocks(lesson.additionalText))
+  const hintText = escapeHtml(t(lang, 'lesson.continue_hint'))
+  const separateHint = continueHint && (buttons.length > 0 || (lesson.attachments || []).length > 0)
+  if (continueHint && !separateHint) {
+    blocks.push(hintText)
+  }
+
+  const texts = packBlocks(blocks)
+  const messages = texts.map(text => [text, { parse_mode: 'HTML', disable_web_page_preview: true }])
+
+  const last = messages[messages.length - 1][1]
+  if (buttons.length) {
+    Object.assign(last, Markup.inlineKeyboard(buttons))
+  }
+  if (separateHint) {
+    messages.push([hintText, { parse_mode: 'HTML', ...replyKeyboard }])
+  } else if (continueHint) {
+    Object.assign(last, replyKeyboard)
+  }
+
+  return messages
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  escapeHtml,
+  buttonText,
+  splitPlain,
+  renderLesson
+}
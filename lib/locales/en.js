@@ -0,0 +1,156 @@
+// Тексти бота англійською
+module.exports = {
+  // Загальні
+  'error': '❌ Something went wrong',
+  'error.retry': '❌ Something went wrong. Please try again later.',
+  'error.unexpected': '❌ An unexpected error occurred. Please try again later.',
+  'rate_limited': '⏳ Too many requests. Please wait a few seconds.',
+  'start_first': '❌ Please send /start first',
+  'button.continue': 'Continue ▶️',
+
+  // Доступ і запис на курс
+  'access.required_bot': '🔒 To use the bot, activate an access code.\n\nUse the command: /activate YOUR_CODE\n\nIf you do not have a code, contact the administrator.',
+  'access.required_lessons': '🔒 To access the lessons, activate an access code.\n\nUse the command: /activate YOUR_CODE\n\nIf you do not have a code, contact the administrator.',
+  'enrollment.none': '🔒 You are not enrolled in any course.\n\nUse the command: /activate YOUR_CODE',
+  'enrollment.none_short': '❌ You are not enrolled in any course. Use /activate YOUR_CODE',
+  'enrollment.other_course': '❌ You are not enrolled in this course. Your courses: /courses',
+  'enrollment.other_course_short': '❌ You are not enrolled in this course',
+  'lessons.not_published': '⏳ The course lessons have not been published yet. Please try again later.',
+  'course.not_started': '📚 You have not started the course yet. Send /start to get the first lesson.',
+  'course.completed': '🎓 Course completed.\nThank you for studying with us.',
+
+  // Сертифікати
+  'certificate.caption': '🎓 Certificate of completion: «{course}»\nVerification code: {id}',
+  'certificate.name_hint': 'Name on the certificate: {name}\nTo use your full name, send: /certificate First Last',
+  'certificate.name_invalid': '❌ The name is too long (at most {max} characters)',
+  'certificate.not_completed': '📜 The certificate is issued once you complete all lessons of the course.',
+  'certificate.pdf_title': 'CERTIFICATE',
+  'certificate.pdf_certifies': 'This is to certify that',
+  'certificate.pdf_completed': 'has successfully completed the course',
+  'certificate.pdf_date': 'Completion date: {date}',
+  'certificate.pdf_verification': 'Verification code: {id}',
+
+  // /activate
+  'activate.usage': '❌ Please specify an access code.\n\nUsage: /activate YOUR_CODE',
+  'activate.not_found': '❌ Access code not found. Please check that it is correct.',
+  'activate.no_course': '❌ No course was found for this code. Please contact the administrator.',
+  'activate.success': '✅ Access code activated! You are enrolled in «{course}».\n\nSend /start to begin.',
+  'activate.revoked': '❌ This access code has been revoked.',
+  'activate.expired': '❌ This code has expired.',
+  'activate.already_redeemed': '❌ You have already activated this code.',
+  'activate.used': '❌ This code has already been used.',
+  'activate.already_enrolled': '✅ You are already enrolled in «{course}». Continue learning: /start',
+  'activate.locked': '⛔ Too many failed attempts. Please try again in {minutes} min.',
+
+  // Мова
+  'language.choose': '🌐 Choose the interface language:',
+  'language.current': '🌐 Interface language: {language}\n\nChoose a language:',
+  'language.set': '✅ Interface language: {language}',
+
+  // /start
+  'start.welcome': 'Welcome, {name}! 👋\n📚 Course: {course}',
+  'start.welcome_back': 'Welcome back, {name}! 👋\n📚 Course: {course}',
+  'start.resume': 'You stopped at lesson {position} of {total}. All lessons: /lessons, start the course over: /restart',
+  'start.completed': 'All course lessons: /lessons\nTake the course again: /restart\nCertificate: /certificate',
+
+  // /restart
+  'restart.confirm': '🔄 Start «{course}» over?\n\nNow: {progress}. You will start again from the first lesson; your current attempt will be kept in the history.',
+  'restart.progress_lesson': 'lesson {position} of {total}',
+  'restart.progress_completed': 'course completed',
+  'restart.button_confirm': '✅ Start over',
+  'restart.button_cancel': '❌ Cancel',
+  'restart.cancelled': '👌 Your progress is kept. Continue with the "Continue ▶️" button.',
+  'restart.stale': 'Your progress has already changed. Send /restart again',
+  'restart.no_lessons': '⏳ The course lessons have not been published yet',
+  'restart.done': '🔄 «{course}» has been started over.',
+
+  // Урок
+  'lesson.continue_hint': 'When you are done, come back tomorrow and press "Continue".',
+  'lesson.materials': 'Materials',
+  'lesson.materials_below': 'see the buttons below',
+  'lesson.homework_submit': '✍️ Submit your homework: /homework',
+  'lesson.test_link': '📝 Test link:',
+  'lesson.test_button': '📝 Take the test',
+
+  // Відкриття уроків
+  'unlock.tomorrow': '⏳ The next lesson will be available tomorrow.',
+  'unlock.today': '⏳ The next lesson will be available today at {time} ({timezone}).',
+  'unlock.date': '⏳ The next lesson will be available on {date} at {time} ({timezone}).',
+
+  // /status, /courses
+  'status.message': '📊 Your progress:\n\nCourse: {course}\nLesson: {position} of {total}\nProgress: {percent}%\nLast lesson: {last}',
+  'status.not_yet': 'not yet',
+  'status.other_courses': 'Other courses: {courses}\nSwitch: /courses',
+  'courses.list': '📚 Your courses:\n\n{courses}\n\nChoose a course to switch to:',
+  'courses.cohort': 'group {cohort}',
+  'courses.switched': '✅ Active course: «{course}»\nLesson: {position} of {total}\n\nPress "Continue ▶️" to keep learning.',
+  'course.usage': 'Usage: /course COURSE\n\nYour courses: /courses',
+
+  // /lessons, /resume
+  'nav.title': '📚 {course}',
+  'nav.unlocked': 'Lessons unlocked: {unlocked} of {total}.',
+  'nav.locked': '{count} more will unlock as you progress.',
+  'nav.completed': 'Course completed: {total} of {total} lessons.',
+  'nav.legend': '✅ — completed, 📍 — current.',
+  'nav.choose': 'Choose a lesson:',
+  'nav.lesson_current': '📖 Lesson {position} of {total} — current.\nNext lesson: the "Continue ▶️" button.',
+  'nav.lesson_done': '📖 Lesson {position} of {total} — completed.',
+  'nav.back': '⬅️ Back',
+  'nav.next': 'Next ➡️',
+  'nav.all': '📚 All lessons',
+  'nav.not_unlocked': '🔒 This lesson is not unlocked yet',
+  'nav.all_lessons': 'All course lessons: /lessons',
+
+  // Тести
+  'quiz.invite_required': '📝 This lesson has a test. Score at least {passMark}% to unlock the next lesson.',
+  'quiz.invite_optional': '📝 This lesson has a self-check test (pass mark {passMark}%).',
+  'quiz.intro': '📝 Test{title}: {count} questions, pass mark {passMark}%.',
+  'quiz.question': '❓ Question {number} of {total}',
+  'quiz.answer_text': '✍️ Send your answer as a message.',
+  'quiz.answer_multiple': 'Select all options that apply and press "Done".',
+  'quiz.done_button': '✅ Done',
+  'quiz.select_one': 'Select at least one option',
+  'quiz.passed': '✅ Test passed!\n\nScore: {score} of {max} ({percent}%)\n\nPress "Continue ▶️" when the next lesson unlocks.',
+  'quiz.failed': '❌ Test not passed.\n\nScore: {score} of {max} ({percent}%), at least {passMark}% is required.',
+  'quiz.retry_button': '🔄 Try again',
+  'quiz.stale': 'This question is no longer active',
+  'quiz.unavailable': '❌ The test is not available',
+  'quiz.no_questions': '❌ The test has no questions yet',
+
+  // Підсумковий екзамен
+  'exam.invite': '🎓 One step left: the final exam covering all course topics. {minutes} min per attempt, pass mark {passMark}%, attempts: {attempts}.\nPassing the exam admits you to practice.\n\nStart: /exam',
+  'exam.intro': '🎓 Final exam{title}\n\nQuestions: {count} (topics: {topics})\nTime: {minutes} min\nPass mark: {passMark}%\nAttempt {attempt} of {max}\n\nQuestions are drawn at random. The timer starts when you press the button.',
+  'exam.start_button': '▶️ Start the exam',
+  'exam.question': '❓ Question {number} of {total} · ⏱ {minutes} min left',
+  'exam.resume': '⏱ You have an unfinished exam. Continuing:',
+  'exam.time_up': '⏰ Time is up. Answers given before the deadline have been counted.',
+  'exam.passed': '✅ Exam passed!\n\nScore: {score} of {max} ({percent}%)\n\n🚀 You are admitted to practice.',
+  'exam.failed': '❌ Exam not passed.\n\nScore: {score} of {max} ({percent}%), at least {passMark}% required.',
+  'exam.attempts_left': 'Attempts left: {left}. Try again: /exam',
+  'exam.no_attempts': '❌ No exam attempts left ({max}). Please contact your curator.',
+  'exam.already_passed': '✅ You have already passed the final exam ({percent}%) and are admitted to practice.',
+  'exam.not_completed': '🎓 The final exam becomes available after you complete all lessons of the course.',
+  'exam.unavailable': '❌ This course has no final exam.',
+  'exam.stale': 'This question is no longer active',
+
+  // Домашні завдання
+  'homework.gate_missing': '📝 To unlock the next lesson, submit your homework: /homework',
+  'homework.gate_pending': '⏳ Your homework is being reviewed by a mentor. The next lesson will unlock after the review.',
+  'homework.gate_changes_requested': '🔄 The mentor asked you to improve your homework. Send a new version: /homework',
+  'homework.none': '📭 The current lesson has no homework.',
+  'homework.already_approved': '✅ Your homework for lesson {position} has already been accepted.',
+  'homework.prompt': '📝 Homework for lesson {position} «{title}»\n\n{task}\n\nSend your answer in one message: text, file, photo or voice message.\nCancel: /cancel',
+  'homework.enrollment_missing': '❌ Course enrollment not found. Please try again: /homework',
+  'homework.sent': '✅ Your homework has been sent to the mentor. We will let you know when it is reviewed.',
+  'homework.approved': '✅ Your homework for lesson {position} has been accepted by the mentor!',
+  'homework.changes_requested': '🔄 The mentor asked you to improve your homework for lesson {position}.\n\nSend a new version: /homework',
+  'homework.comment': '💬 Mentor comment on your homework (lesson {position}):\n\n{comment}',
+  'cancel.done': '👌 Cancelled.',
+  'cancel.nothing': 'Nothing to cancel.',
+
+  // /reminders
+  'reminders.status_on': '🔔 Reminders are on.\n\nTurn on: /reminders on\nTurn off: /reminders off',
+  'reminders.status_off': '🔔 Reminders are off.\n\nTurn on: /reminders on\nTurn off: /reminders off',
+  'reminders.turned_on': '🔔 Reminders are on.',
+  'reminders.turned_off': '🔕 Reminders are off. Turn them back on: /reminders on'
+}
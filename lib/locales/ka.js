@@ -0,0 +1,156 @@
+// Тексти бота грузинською
+module.exports = {
+  // Загальні
+  'error': '❌ მოხდა შეცდომა',
+  'error.retry': '❌ მოხდა შეცდომა. სცადეთ მოგვიანებით.',
+  'error.unexpected': '❌ მოხდა გაუთვალისწინებელი შეცდომა. სცადეთ მოგვიანებით.',
+  'rate_limited': '⏳ ძალიან ბევრი მოთხოვნაა. დაელოდეთ რამდენიმე წამს.',
+  'start_first': '❌ ჯერ გამოაგზავნეთ /start',
+  'button.continue': 'გაგრძელება ▶️',
+
+  // Доступ і запис на курс
+  'access.required_bot': '🔒 ბოტით სარგებლობისთვის გაააქტიურეთ წვდომის კოდი.\n\nგამოიყენეთ ბრძანება: /activate თქვენი_კოდი\n\nთუ კოდი არ გაქვთ, მიმართეთ ადმინისტრატორს.',
+  'access.required_lessons': '🔒 გაკვეთილებზე წვდომისთვის გაააქტიურეთ წვდომის კოდი.\n\nგამოიყენეთ ბრძანება: /activate თქვენი_კოდი\n\nთუ კოდი არ გაქვთ, მიმართეთ ადმინისტრატორს.',
+  'enrollment.none': '🔒 თქვენ არ ხართ ჩაწერილი არცერთ კურსზე.\n\nგამოიყენეთ ბრძანება: /activate თქვენი_კოდი',
+  'enrollment.none_short': '❌ თქვენ არ ხართ ჩაწერილი არცერთ კურსზე. გამოიყენეთ /activate თქვენი_კოდი',
+  'enrollment.other_course': '❌ თქვენ არ ხართ ჩაწერილი ამ კურსზე. თქვენი კურსები: /courses',
+  'enrollment.other_course_short': '❌ თქვენ არ ხართ ჩაწერილი ამ კურსზე',
+  'lessons.not_published': '⏳ კურსის გაკვეთილები ჯერ არ გამოქვეყნებულა. სცადეთ მოგვიანებით.',
+  'course.not_started': '📚 კურსი ჯერ არ დაგიწყიათ. გამოაგზავნეთ /start, რომ მიიღოთ პირველი გაკვეთილი.',
+  'course.completed': '🎓 კურსი დასრულებულია.\nგმადლობთ, რომ ჩვენთან ისწავლეთ.',
+
+  // Сертифікати
+  'certificate.caption': '🎓 სერტიფიკატი კურსის გავლის შესახებ: «{course}»\nშემოწმების კოდი: {id}',
+  'certificate.name_hint': 'სახელი სერტიფიკატზე: {name}\nსრული სახელის მისათითებლად გამოგზავნეთ: /certificate სახელი გვარი',
+  'certificate.name_invalid': '❌ სახელი ძალიან გრძელია (მაქსიმუმ {max} სიმბოლო)',
+  'certificate.not_completed': '📜 სერტიფიკატი გაიცემა კურსის ყველა გაკვეთილის გავლის შემდეგ.',
+  'certificate.pdf_title': 'სერტიფიკატი',
+  'certificate.pdf_certifies': 'ამით დასტურდება, რომ',
+  'certificate.pdf_completed': 'წარმატებით დაასრულა კურსი',
+  'certificate.pdf_date': 'დასრულების თარიღი: {date}',
+  'certificate.pdf_verification': 'შემოწმების კოდი: {id}',
+
+  // /activate
+  'activate.usage': '❌ გთხოვთ, მიუთითოთ წვდომის კოდი.\n\nგამოყენება: /activate თქვენი_კოდი',
+  'activate.not_found': '❌ წვდომის კოდი ვერ მოიძებნა. შეამოწმეთ, სწორად შეიყვანეთ თუ არა.',
+  'activate.no_course': '❌ ამ კოდისთვის კურსი ვერ მოიძებნა. მიმართეთ ადმინისტრატორს.',
+  'activate.success': '✅ წვდომის კოდი გააქტიურებულია! თქვენ ჩაიწერეთ კურსზე «{course}».\n\nსწავლის დასაწყებად გამოაგზავნეთ /start.',
+  'activate.revoked': '❌ ეს წვდომის კოდი გაუქმებულია.',
+  'activate.expired': '❌ ამ კოდის მოქმედების ვადა ამოიწურა.',
+  'activate.already_redeemed': '❌ ეს კოდი უკვე გაააქტიურეთ.',
+  'activate.used': '❌ ეს კოდი უკვე გამოყენებულია.',
+  'activate.already_enrolled': '✅ თქვენ უკვე ჩაწერილი ხართ კურსზე «{course}». გააგრძელეთ სწავლა: /start',
+  'activate.locked': '⛔ ძალიან ბევრი წარუმატებელი მცდელობა. სცადეთ ხელახლა {minutes} წუთში.',
+
+  // Мова
+  'language.choose': '🌐 აირჩიეთ ინტერფეისის ენა:',
+  'language.current': '🌐 ინტერფეისის ენა: {language}\n\nაირჩიეთ ენა:',
+  'language.set': '✅ ინტერფეისის ენა: {language}',
+
+  // /start
+  'start.welcome': 'კეთილი იყოს თქვენი მობრძანება, {name}! 👋\n📚 კურსი: {course}',
+  'start.welcome_back': 'მოგესალმებით ისევ, {name}! 👋\n📚 კურსი: {course}',
+  'start.resume': 'თქვენ გაჩერდით გაკვეთილზე {position} / {total}. ყველა გაკვეთილი: /lessons, კურსის თავიდან დაწყება: /restart',
+  'start.completed': 'კურსის ყველა გაკვეთილი: /lessons\nკურსის თავიდან გავლა: /restart\nსერტიფიკატი: /certificate',
+
+  // /restart
+  'restart.confirm': '🔄 დავიწყოთ კურსი «{course}» თავიდან?\n\nახლა: {progress}. სწავლა დაიწყება პირველი გაკვეთილიდან, მიმდინარე გავლა შეინახება ისტორიაში.',
+  'restart.progress_lesson': 'გაკვეთილი {position} / {total}',
+  'restart.progress_completed': 'კურსი გავლილია',
+  'restart.button_confirm': '✅ თავიდან დაწყება',
+  'restart.button_cancel': '❌ გაუქმება',
+  'restart.cancelled': '👌 პროგრესი შენახულია. გააგრძელეთ სწავლა ღილაკით "გაგრძელება ▶️".',
+  'restart.stale': 'პროგრესი უკვე შეიცვალა. გაიმეორეთ /restart',
+  'restart.no_lessons': '⏳ კურსის გაკვეთილები ჯერ არ გამოქვეყნებულა',
+  'restart.done': '🔄 კურსი «{course}» თავიდან დაიწყო.',
+
+  // Урок
+  'lesson.continue_hint': 'შესრულების შემდეგ დაბრუნდით ხვალ და დააჭირეთ "გაგრძელება".',
+  'lesson.materials': 'მასალები',
+  'lesson.materials_below': 'ქვემოთ მოცემულ ღილაკებზე',
+  'lesson.homework_submit': '✍️ საშინაო დავალების ჩაბარება: /homework',
+  'lesson.test_link': '📝 ტესტის ბმული:',
+  'lesson.test_button': '📝 ტესტის გავლა',
+
+  // Відкриття уроків
+  'unlock.tomorrow': '⏳ შემდეგი გაკვეთილი ხელმისაწვდომი იქნება ხვალ.',
+  'unlock.today': '⏳ შემდეგი გაკვეთილი ხელმისაწვდომი იქნება დღეს {time}-ზე ({timezone}).',
+  'unlock.date': '⏳ შემდეგი გაკვეთილი ხელმისაწვდომი იქნება {date}, {time}-ზე ({timezone}).',
+
+  // /status, /courses
+  'status.message': '📊 თქვენი პროგრესი:\n\nკურსი: {course}\nგაკვეთილი: {position} / {total}\nპროგრესი: {percent}%\nბოლო გაკვეთილი: {last}',
+  'status.not_yet': 'ჯერ არ გავლილა',
+  'status.other_courses': 'სხვა კურსები: {courses}\nგადართვა: /courses',
+  'courses.list': '📚 თქვენი კურსები:\n\n{courses}\n\nაირჩიეთ კურსი გადასართავად:',
+  'courses.cohort': 'ნაკადი {cohort}',
+  'courses.switched': '✅ აქტიური კურსი: «{course}»\nგაკვეთილი: {position} / {total}\n\nსწავლის გასაგრძელებლად დააჭირეთ "გაგრძელება ▶️".',
+  'course.usage': 'გამოყენება: /course კურსი\n\nთქვენი კურსები: /courses',
+
+  // /lessons, /resume
+  'nav.title': '📚 {course}',
+  'nav.unlocked': 'გახსნილი გაკვეთილები: {unlocked} / {total}.',
+  'nav.locked': 'კიდევ {count} გაიხსნება სწავლის პროცესში.',
+  'nav.completed': 'კურსი გავლილია: {total} / {total} გაკვეთილი.',
+  'nav.legend': '✅ — გავლილი, 📍 — მიმდინარე.',
+  'nav.choose': 'აირჩიეთ გაკვეთილი:',
+  'nav.lesson_current': '📖 გაკვეთილი {position} / {total} — მიმდინარე.\nშემდეგი გაკვეთილი: ღილაკი "გაგრძელება ▶️".',
+  'nav.lesson_done': '📖 გაკვეთილი {position} / {total} — გავლილი.',
+  'nav.back': '⬅️ უკან',
+  'nav.next': 'შემდეგი ➡️',
+  'nav.all': '📚 ყველა გაკვეთილი',
+  'nav.not_unlocked': '🔒 ეს გაკვეთილი ჯერ არ გახსნილა',
+  'nav.all_lessons': 'კურსის ყველა გაკვეთილი: /lessons',
+
+  // Тести
+  'quiz.invite_required': '📝 გაკვეთილს აქვს ტესტი. შემდეგი გაკვეთილის გასახსნელად დააგროვეთ არანაკლებ {passMark}%.',
+  'quiz.invite_optional': '📝 გაკვეთილს აქვს თვითშემოწმების ტესტი (გამსვლელი ქულა {passMark}%).',
+  'quiz.intro': '📝 ტესტი{title}: {count} კითხვა, გამსვლელი ქულა {passMark}%.',
+  'quiz.question': '❓ კითხვა {number} / {total}',
+  'quiz.answer_text': '✍️ დაწერეთ პასუხი შეტყობინებით.',
+  'quiz.answer_multiple': 'აირჩიეთ ყველა შესაბამისი ვარიანტი და დააჭირეთ "მზადაა".',
+  'quiz.done_button': '✅ მზადაა',
+  'quiz.select_one': 'აირჩიეთ ერთი ვარიანტი მაინც',
+  'quiz.passed': '✅ ტესტი ჩაბარებულია!\n\nშედეგი: {score} / {max} ({percent}%)\n\nდააჭირეთ "გაგრძელება ▶️", როცა შემდეგი გაკვეთილი გაიხსნება.',
+  'quiz.failed': '❌ ტესტი ვერ ჩაბარდა.\n\nშედეგი: {score} / {max} ({percent}%), საჭიროა არანაკლებ {passMark}%.',
+  'quiz.retry_button': '🔄 ხელახლა ცდა',
+  'quiz.stale': 'ეს კითხვა აღარ არის აქტუალური',
+  'quiz.unavailable': '❌ ტესტი მიუწვდომელია',
+  'quiz.no_questions': '❌ ტესტში ჯერ კითხვები არ არის',
+
+  // Підсумковий екзамен
+  'exam.invite': '🎓 დარჩა საფინალო გამოცდა კურსის ყველა თემაზე: {minutes} წთ თითო მცდელობაზე, გამსვლელი ქულა {passMark}%, მცდელობები: {attempts}.\nგამოცდის ჩაბარების შემდეგ დაიშვებით პრაქტიკაზე.\n\nდაწყება: /exam',
+  'exam.intro': '🎓 საფინალო გამოცდა{title}\n\nკითხვები: {count} (თემები: {topics})\nდრო: {minutes} წთ\nგამსვლელი ქულა: {passMark}%\nმცდელობა {attempt} / {max}\n\nკითხვები შემთხვევით შეირჩევა. დრო დაიწყება ღილაკზე დაჭერის შემდეგ.',
+  'exam.start_button': '▶️ გამოცდის დაწყება',
+  'exam.question': '❓ კითხვა {number} / {total} · ⏱ დარჩა {minutes} წთ',
+  'exam.resume': '⏱ გაქვთ დაუსრულებელი გამოცდა. ვაგრძელებთ:',
+  'exam.time_up': '⏰ გამოცდის დრო ამოიწურა. ჩაითვალა დრომდე გაცემული პასუხები.',
+  'exam.passed': '✅ გამოცდა ჩაბარებულია!\n\nშედეგი: {score} / {max} ({percent}%)\n\n🚀 თქვენ დაშვებული ხართ პრაქტიკაზე.',
+  'exam.failed': '❌ გამოცდა ვერ ჩაბარდა.\n\nშედეგი: {score} / {max} ({percent}%), საჭიროა მინიმუმ {passMark}%.',
+  'exam.attempts_left': 'დარჩენილი მცდელობები: {left}. ხელახლა ცდა: /exam',
+  'exam.no_attempts': '❌ გამოცდის მცდელობები ამოიწურა ({max}). მიმართეთ კურატორს.',
+  'exam.already_passed': '✅ თქვენ უკვე ჩააბარეთ საფინალო გამოცდა ({percent}%) და დაშვებული ხართ პრაქტიკაზე.',
+  'exam.not_completed': '🎓 საფინალო გამოცდა ხელმისაწვდომია კურსის ყველა გაკვეთილის გავლის შემდეგ.',
+  'exam.unavailable': '❌ ამ კურსს საფინალო გამოცდა არ აქვს.',
+  'exam.stale': 'ეს კითხვა აღარ არის აქტუალური',
+
+  // Домашні завдання
+  'homework.gate_missing': '📝 შემდეგი გაკვეთილის გასახსნელად ჩააბარეთ საშინაო დავალება: /homework',
+  'homework.gate_pending': '⏳ საშინაო დავალებას მენტორი ამოწმებს. შემდეგი გაკვეთილი შემოწმების შემდეგ გაიხსნება.',
+  'homework.gate_changes_requested': '🔄 მენტორმა გთხოვათ საშინაო დავალების გადაკეთება. გამოაგზავნეთ ახალი ვერსია: /homework',
+  'homework.none': '📭 მიმდინარე გაკვეთილს საშინაო დავალება არ აქვს.',
+  'homework.already_approved': '✅ გაკვეთილის {position} საშინაო დავალება უკვე მიღებულია.',
+  'homework.prompt': '📝 საშინაო დავალება გაკვეთილისთვის {position} «{title}»\n\n{task}\n\nგამოაგზავნეთ პასუხი ერთი შეტყობინებით: ტექსტი, ფაილი, ფოტო ან ხმოვანი შეტყობინება.\nგაუქმება: /cancel',
+  'homework.enrollment_missing': '❌ კურსზე ჩანაწერი ვერ მოიძებნა. სცადეთ ხელახლა: /homework',
+  'homework.sent': '✅ საშინაო დავალება გაეგზავნა მენტორს. შემოწმების შემდეგ შეგატყობინებთ.',
+  'homework.approved': '✅ გაკვეთილის {position} საშინაო დავალება მენტორმა მიიღო!',
+  'homework.changes_requested': '🔄 მენტორმა გთხოვათ გაკვეთილის {position} საშინაო დავალების გადაკეთება.\n\nგამოაგზავნეთ ახალი ვერსია: /homework',
+  'homework.comment': '💬 მენტორის კომენტარი საშინაო დავალებაზე (გაკვეთილი {position}):\n\n{comment}',
+  'cancel.done': '👌 გაუქმებულია.',
+  'cancel.nothing': 'გასაუქმებელი არაფერია.',
+
+  // /reminders
+  'reminders.status_on': '🔔 შეხსენებები ჩართულია.\n\nჩართვა: /reminders on\nგამორთვა: /reminders off',
+  'reminders.status_off': '🔔 შეხსენებები გამორთულია.\n\nჩართვა: /reminders on\nგამორთვა: /reminders off',
+  'reminders.turned_on': '🔔 შეხსენებები ჩართულია.',
+  'reminders.turned_off': '🔕 შეხსენებები გამორთულია. ხელახლა ჩართვა: /reminders on'
+}
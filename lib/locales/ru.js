@@ -0,0 +1,156 @@
+// Тексти бота російською (мова за замовчуванням: ключі, яких немає в інших каталогах, беруться звідси)
+module.exports = {
+  // Загальні
+  'error': '❌ Произошла ошибка',
+  'error.retry': '❌ Произошла ошибка. Попробуйте позже.',
+  'error.unexpected': '❌ Произошла непредвиденная ошибка. Попробуйте позже.',
+  'rate_limited': '⏳ Слишком много запросов. Подождите несколько секунд.',
+  'start_first': '❌ Сначала напишите /start',
+  'button.continue': 'Продолжить ▶️',
+
+  // Доступ і запис на курс
+  'access.required_bot': '🔒 Для доступа к боту необходимо активировать код доступа.\n\nИспользуйте команду: /activate ВАШ_КОД\n\nЕсли у вас нет кода, обратитесь к администратору.',
+  'access.required_lessons': '🔒 Для доступа к урокам необходимо активировать код доступа.\n\nИспользуйте команду: /activate ВАШ_КОД\n\nЕсли у вас нет кода, обратитесь к администратору.',
+  'enrollment.none': '🔒 Вы не записаны ни на один курс.\n\nИспользуйте команду: /activate ВАШ_КОД',
+  'enrollment.none_short': '❌ Вы не записаны ни на один курс. Используйте /activate ВАШ_КОД',
+  'enrollment.other_course': '❌ Вы не записаны на этот курс. Список ваших курсов: /courses',
+  'enrollment.other_course_short': '❌ Вы не записаны на этот курс',
+  'lessons.not_published': '⏳ Уроки курса еще не опубликованы. Попробуйте позже.',
+  'course.not_started': '📚 Курс еще не начат. Напишите /start, чтобы получить первый урок.',
+  'course.completed': '🎓 Курс завершен.\nСпасибо за прохождение обучения.',
+
+  // Сертифікати
+  'certificate.caption': '🎓 Сертификат о прохождении курса «{course}»\nКод проверки: {id}',
+  'certificate.name_hint': 'Имя в сертификате: {name}\nЧтобы указать полное имя, отправьте: /certificate Имя Фамилия',
+  'certificate.name_invalid': '❌ Имя слишком длинное (не более {max} символов)',
+  'certificate.not_completed': '📜 Сертификат выдается после прохождения всех уроков курса.',
+  'certificate.pdf_title': 'СЕРТИФИКАТ',
+  'certificate.pdf_certifies': 'Настоящим подтверждается, что',
+  'certificate.pdf_completed': 'успешно завершил(а) обучение по курсу',
+  'certificate.pdf_date': 'Дата завершения: {date}',
+  'certificate.pdf_verification': 'Код проверки: {id}',
+
+  // /activate
+  'activate.usage': '❌ Пожалуйста, укажите код доступа.\n\nИспользование: /activate ВАШ_КОД',
+  'activate.not_found': '❌ Код доступа не найден. Проверьте правильность ввода.',
+  'activate.no_course': '❌ Курс для этого кода не найден. Обратитесь к администратору.',
+  'activate.success': '✅ Код доступа активирован! Вы записаны на курс «{course}».\n\nНапишите /start для начала обучения.',
+  'activate.revoked': '❌ Этот код доступа отозван.',
+  'activate.expired': '❌ Срок действия этого кода истек.',
+  'activate.already_redeemed': '❌ Вы уже активировали этот код.',
+  'activate.used': '❌ Этот код уже был использован.',
+  'activate.already_enrolled': '✅ Вы уже записаны на курс «{course}». Продолжайте обучение: /start',
+  'activate.locked': '⛔ Слишком много неверных попыток. Попробуйте снова через {minutes} мин.',
+
+  // Мова
+  'language.choose': '🌐 Выберите язык интерфейса:',
+  'language.current': '🌐 Язык интерфейса: {language}\n\nВыберите язык:',
+  'language.set': '✅ Язык интерфейса: {language}',
+
+  // /start
+  'start.welcome': 'Добро пожаловать, {name}! 👋\n📚 Курс: {course}',
+  'start.welcome_back': 'С возвращением, {name}! 👋\n📚 Курс: {course}',
+  'start.resume': 'Вы остановились на уроке {position} из {total}. Все уроки: /lessons, начать курс заново: /restart',
+  'start.completed': 'Все уроки курса: /lessons\nПройти курс заново: /restart\nСертификат: /certificate',
+
+  // /restart
+  'restart.confirm': '🔄 Начать курс «{course}» заново?\n\nСейчас: {progress}. Обучение начнется с первого урока, текущее прохождение сохранится в истории.',
+  'restart.progress_lesson': 'урок {position} из {total}',
+  'restart.progress_completed': 'курс пройден',
+  'restart.button_confirm': '✅ Начать заново',
+  'restart.button_cancel': '❌ Отмена',
+  'restart.cancelled': '👌 Прогресс сохранен. Продолжайте обучение кнопкой "Продолжить ▶️".',
+  'restart.stale': 'Прогресс уже изменился. Повторите /restart',
+  'restart.no_lessons': '⏳ Уроки курса еще не опубликованы',
+  'restart.done': '🔄 Курс «{course}» начат заново.',
+
+  // Урок
+  'lesson.continue_hint': 'После выполнения вернитесь завтра и нажмите "Продолжить".',
+  'lesson.materials': 'Материалы',
+  'lesson.materials_below': 'по кнопкам ниже',
+  'lesson.homework_submit': '✍️ Сдать домашнее задание: /homework',
+  'lesson.test_link': '📝 Ссылка на тест:',
+  'lesson.test_button': '📝 Пройти тест',
+
+  // Відкриття уроків
+  'unlock.tomorrow': '⏳ Следующий урок будет доступен завтра.',
+  'unlock.today': '⏳ Следующий урок будет доступен сегодня в {time} ({timezone}).',
+  'unlock.date': '⏳ Следующий урок будет доступен {date} в {time} ({timezone}).',
+
+  // /status, /courses
+  'status.message': '📊 Ваш прогресс:\n\nКурс: {course}\nУрок: {position} из {total}\nПрогресс: {percent}%\nПоследний урок: {last}',
+  'status.not_yet': 'еще не пройден',
+  'status.other_courses': 'Другие курсы: {courses}\nПереключиться: /courses',
+  'courses.list': '📚 Ваши курсы:\n\n{courses}\n\nВыберите курс, чтобы переключиться:',
+  'courses.cohort': 'поток {cohort}',
+  'courses.switched': '✅ Активный курс: «{course}»\nУрок: {position} из {total}\n\nНажмите "Продолжить ▶️", чтобы продолжить обучение.',
+  'course.usage': 'Использование: /course КУРС\n\nСписок ваших курсов: /courses',
+
+  // /lessons, /resume
+  'nav.title': '📚 {course}',
+  'nav.unlocked': 'Открыто уроков: {unlocked} из {total}.',
+  'nav.locked': 'Еще {count} откроются по мере прохождения.',
+  'nav.completed': 'Курс пройден: {total} из {total} уроков.',
+  'nav.legend': '✅ — пройден, 📍 — текущий.',
+  'nav.choose': 'Выберите урок:',
+  'nav.lesson_current': '📖 Урок {position} из {total} — текущий.\nСледующий урок: кнопка "Продолжить ▶️".',
+  'nav.lesson_done': '📖 Урок {position} из {total} — пройден.',
+  'nav.back': '⬅️ Назад',
+  'nav.next': 'Далее ➡️',
+  'nav.all': '📚 Все уроки',
+  'nav.not_unlocked': '🔒 Этот урок еще не открыт',
+  'nav.all_lessons': 'Все уроки курса: /lessons',
+
+  // Тести
+  'quiz.invite_required': '📝 К уроку есть тест. Чтобы открыть следующий урок, наберите не менее {passMark}%.',
+  'quiz.invite_optional': '📝 К уроку есть тест для самопроверки (проходной балл {passMark}%).',
+  'quiz.intro': '📝 Тест{title}: {count} вопр., проходной балл {passMark}%.',
+  'quiz.question': '❓ Вопрос {number} из {total}',
+  'quiz.answer_text': '✍️ Напишите ответ сообщением.',
+  'quiz.answer_multiple': 'Выберите все подходящие варианты и нажмите "Готово".',
+  'quiz.done_button': '✅ Готово',
+  'quiz.select_one': 'Выберите хотя бы один вариант',
+  'quiz.passed': '✅ Тест пройден!\n\nРезультат: {score} из {max} ({percent}%)\n\nНажмите "Продолжить ▶️", когда откроется следующий урок.',
+  'quiz.failed': '❌ Тест не пройден.\n\nРезультат: {score} из {max} ({percent}%), нужно не менее {passMark}%.',
+  'quiz.retry_button': '🔄 Пройти еще раз',
+  'quiz.stale': 'Этот вопрос уже неактуален',
+  'quiz.unavailable': '❌ Тест недоступен',
+  'quiz.no_questions': '❌ В тесте пока нет вопросов',
+
+  // Підсумковий екзамен
+  'exam.invite': '🎓 Остался итоговый экзамен по всем темам курса: {minutes} мин на попытку, проходной балл {passMark}%, попыток: {attempts}.\nПосле сдачи экзамена вы получите допуск к практике.\n\nНачать: /exam',
+  'exam.intro': '🎓 Итоговый экзамен{title}\n\nВопросов: {count} (тем: {topics})\nВремя: {minutes} мин\nПроходной балл: {passMark}%\nПопытка {attempt} из {max}\n\nВопросы выбираются случайно. Время пойдет после нажатия кнопки.',
+  'exam.start_button': '▶️ Начать экзамен',
+  'exam.question': '❓ Вопрос {number} из {total} · ⏱ осталось {minutes} мин',
+  'exam.resume': '⏱ У вас есть незавершенный экзамен. Продолжаем:',
+  'exam.time_up': '⏰ Время экзамена истекло. Засчитаны ответы, данные до окончания времени.',
+  'exam.passed': '✅ Экзамен сдан!\n\nРезультат: {score} из {max} ({percent}%)\n\n🚀 Вы допущены к практике.',
+  'exam.failed': '❌ Экзамен не сдан.\n\nРезультат: {score} из {max} ({percent}%), нужно не менее {passMark}%.',
+  'exam.attempts_left': 'Осталось попыток: {left}. Попробовать еще раз: /exam',
+  'exam.no_attempts': '❌ Попытки сдачи экзамена закончились ({max}). Обратитесь к куратору.',
+  'exam.already_passed': '✅ Вы уже сдали итоговый экзамен ({percent}%) и допущены к практике.',
+  'exam.not_completed': '🎓 Итоговый экзамен доступен после прохождения всех уроков курса.',
+  'exam.unavailable': '❌ Для этого курса нет итогового экзамена.',
+  'exam.stale': 'Этот вопрос уже неактуален',
+
+  // Домашні завдання
+  'homework.gate_missing': '📝 Чтобы открыть следующий урок, сдайте домашнее задание: /homework',
+  'homework.gate_pending': '⏳ Домашнее задание на проверке у ментора. Следующий урок откроется после проверки.',
+  'homework.gate_changes_requested': '🔄 Ментор попросил доработать домашнее задание. Отправьте новую версию: /homework',
+  'homework.none': '📭 К текущему уроку нет домашнего задания.',
+  'homework.already_approved': '✅ Домашнее задание к уроку {position} уже принято.',
+  'homework.prompt': '📝 Домашнее задание к уроку {position} «{title}»\n\n{task}\n\nОтправьте ответ одним сообщением: текст, файл, фото или голосовое.\nОтменить: /cancel',
+  'homework.enrollment_missing': '❌ Запись на курс не найдена. Попробуйте еще раз: /homework',
+  'homework.sent': '✅ Домашнее задание отправлено ментору. Мы сообщим, когда оно будет проверено.',
+  'homework.approved': '✅ Домашнее задание к уроку {position} принято ментором!',
+  'homework.changes_requested': '🔄 Ментор попросил доработать домашнее задание к уроку {position}.\n\nОтправьте новую версию: /homework',
+  'homework.comment': '💬 Комментарий ментора к домашнему заданию (урок {position}):\n\n{comment}',
+  'cancel.done': '👌 Отменено.',
+  'cancel.nothing': 'Нечего отменять.',
+
+  // /reminders
+  'reminders.status_on': '🔔 Напоминания включены.\n\nВключить: /reminders on\nВыключить: /reminders off',
+  'reminders.status_off': '🔔 Напоминания выключены.\n\nВключить: /reminders on\nВыключить: /reminders off',
+  'reminders.turned_on': '🔔 Напоминания включены.',
+  'reminders.turned_off': '🔕 Напоминания выключены. Включить снова: /reminders on'
+}
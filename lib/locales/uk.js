@@ -0,0 +1,156 @@
+// Тексти бота українською
+module.exports = {
+  // Загальні
+  'error': '❌ Сталася помилка',
+  'error.retry': '❌ Сталася помилка. Спробуйте пізніше.',
+  'error.unexpected': '❌ Сталася непередбачена помилка. Спробуйте пізніше.',
+  'rate_limited': '⏳ Забагато запитів. Зачекайте кілька секунд.',
+  'start_first': '❌ Спочатку напишіть /start',
+  'button.continue': 'Продовжити ▶️',
+
+  // Доступ і запис на курс
+  'access.required_bot': '🔒 Щоб користуватися ботом, активуйте код доступу.\n\nВикористайте команду: /activate ВАШ_КОД\n\nЯкщо у вас немає коду, зверніться до адміністратора.',
+  'access.required_lessons': '🔒 Щоб отримати доступ до уроків, активуйте код доступу.\n\nВикористайте команду: /activate ВАШ_КОД\n\nЯкщо у вас немає коду, зверніться до адміністратора.',
+  'enrollment.none': '🔒 Ви не записані на жоден курс.\n\nВикористайте команду: /activate ВАШ_КОД',
+  'enrollment.none_short': '❌ Ви не записані на жоден курс. Використайте /activate ВАШ_КОД',
+  'enrollment.other_course': '❌ Ви не записані на цей курс. Список ваших курсів: /courses',
+  'enrollment.other_course_short': '❌ Ви не записані на цей курс',
+  'lessons.not_published': '⏳ Уроки курсу ще не опубліковані. Спробуйте пізніше.',
+  'course.not_started': '📚 Курс ще не розпочато. Напишіть /start, щоб отримати перший урок.',
+  'course.completed': '🎓 Курс завершено.\nДякуємо за проходження навчання.',
+
+  // Сертифікати
+  'certificate.caption': '🎓 Сертифікат про проходження курсу «{course}»\nКод перевірки: {id}',
+  'certificate.name_hint': "Ім'я в сертифікаті: {name}\nЩоб вказати повне ім'я, надішліть: /certificate Ім'я Прізвище",
+  'certificate.name_invalid': "❌ Ім'я задовге (не більше {max} символів)",
+  'certificate.not_completed': '📜 Сертифікат видається після проходження всіх уроків курсу.',
+  'certificate.pdf_title': 'СЕРТИФІКАТ',
+  'certificate.pdf_certifies': 'Цим підтверджується, що',
+  'certificate.pdf_completed': 'успішно завершив(ла) навчання за курсом',
+  'certificate.pdf_date': 'Дата завершення: {date}',
+  'certificate.pdf_verification': 'Код перевірки: {id}',
+
+  // /activate
+  'activate.usage': '❌ Будь ласка, вкажіть код доступу.\n\nВикористання: /activate ВАШ_КОД',
+  'activate.not_found': '❌ Код доступу не знайдено. Перевірте правильність введення.',
+  'activate.no_course': '❌ Курс для цього коду не знайдено. Зверніться до адміністратора.',
+  'activate.success': '✅ Код доступу активовано! Вас записано на курс «{course}».\n\nНапишіть /start, щоб почати навчання.',
+  'activate.revoked': '❌ Цей код доступу відкликано.',
+  'activate.expired': '❌ Термін дії цього коду минув.',
+  'activate.already_redeemed': '❌ Ви вже активували цей код.',
+  'activate.used': '❌ Цей код уже використано.',
+  'activate.already_enrolled': '✅ Ви вже записані на курс «{course}». Продовжуйте навчання: /start',
+  'activate.locked': '⛔ Забагато невдалих спроб. Спробуйте знову через {minutes} хв.',
+
+  // Мова
+  'language.choose': '🌐 Оберіть мову інтерфейсу:',
+  'language.current': '🌐 Мова інтерфейсу: {language}\n\nОберіть мову:',
+  'language.set': '✅ Мова інтерфейсу: {language}',
+
+  // /start
+  'start.welcome': 'Ласкаво просимо, {name}! 👋\n📚 Курс: {course}',
+  'start.welcome_back': 'З поверненням, {name}! 👋\n📚 Курс: {course}',
+  'start.resume': 'Ви зупинилися на уроці {position} з {total}. Усі уроки: /lessons, почати курс заново: /restart',
+  'start.completed': 'Усі уроки курсу: /lessons\nПройти курс заново: /restart\nСертифікат: /certificate',
+
+  // /restart
+  'restart.confirm': '🔄 Почати курс «{course}» заново?\n\nЗараз: {progress}. Навчання почнеться з першого уроку, поточне проходження збережеться в історії.',
+  'restart.progress_lesson': 'урок {position} з {total}',
+  'restart.progress_completed': 'курс пройдено',
+  'restart.button_confirm': '✅ Почати заново',
+  'restart.button_cancel': '❌ Скасувати',
+  'restart.cancelled': '👌 Прогрес збережено. Продовжуйте навчання кнопкою "Продовжити ▶️".',
+  'restart.stale': 'Прогрес уже змінився. Повторіть /restart',
+  'restart.no_lessons': '⏳ Уроки курсу ще не опубліковані',
+  'restart.done': '🔄 Курс «{course}» розпочато заново.',
+
+  // Урок
+  'lesson.continue_hint': 'Після виконання поверніться завтра й натисніть "Продовжити".',
+  'lesson.materials': 'Матеріали',
+  'lesson.materials_below': 'за кнопками нижче',
+  'lesson.homework_submit': '✍️ Здати домашнє завдання: /homework',
+  'lesson.test_link': '📝 Посилання на тест:',
+  'lesson.test_button': '📝 Пройти тест',
+
+  // Відкриття уроків
+  'unlock.tomorrow': '⏳ Наступний урок буде доступний завтра.',
+  'unlock.today': '⏳ Наступний урок буде доступний сьогодні о {time} ({timezone}).',
+  'unlock.date': '⏳ Наступний урок буде доступний {date} о {time} ({timezone}).',
+
+  // /status, /courses
+  'status.message': '📊 Ваш прогрес:\n\nКурс: {course}\nУрок: {position} з {total}\nПрогрес: {percent}%\nОстанній урок: {last}',
+  'status.not_yet': 'ще не пройдено',
+  'status.other_courses': 'Інші курси: {courses}\nПерейти: /courses',
+  'courses.list': '📚 Ваші курси:\n\n{courses}\n\nОберіть курс, щоб перейти до нього:',
+  'courses.cohort': 'потік {cohort}',
+  'courses.switched': '✅ Активний курс: «{course}»\nУрок: {position} з {total}\n\nНатисніть "Продовжити ▶️", щоб продовжити навчання.',
+  'course.usage': 'Використання: /course КУРС\n\nСписок ваших курсів: /courses',
+
+  // /lessons, /resume
+  'nav.title': '📚 {course}',
+  'nav.unlocked': 'Відкрито уроків: {unlocked} з {total}.',
+  'nav.locked': 'Ще {count} відкриються в міру проходження.',
+  'nav.completed': 'Курс пройдено: {total} з {total} уроків.',
+  'nav.legend': '✅ — пройдено, 📍 — поточний.',
+  'nav.choose': 'Оберіть урок:',
+  'nav.lesson_current': '📖 Урок {position} з {total} — поточний.\nНаступний урок: кнопка "Продовжити ▶️".',
+  'nav.lesson_done': '📖 Урок {position} з {total} — пройдено.',
+  'nav.back': '⬅️ Назад',
+  'nav.next': 'Далі ➡️',
+  'nav.all': '📚 Усі уроки',
+  'nav.not_unlocked': '🔒 Цей урок ще не відкрито',
+  'nav.all_lessons': 'Усі уроки курсу: /lessons',
+
+  // Тести
+  'quiz.invite_required': '📝 До уроку є тест. Щоб відкрити наступний урок, наберіть не менше {passMark}%.',
+  'quiz.invite_optional': '📝 До уроку є тест для самоперевірки (прохідний бал {passMark}%).',
+  'quiz.intro': '📝 Тест{title}: {count} пит., прохідний бал {passMark}%.',
+  'quiz.question': '❓ Питання {number} з {total}',
+  'quiz.answer_text': '✍️ Напишіть відповідь повідомленням.',
+  'quiz.answer_multiple': 'Оберіть усі відповідні варіанти й натисніть "Готово".',
+  'quiz.done_button': '✅ Готово',
+  'quiz.select_one': 'Оберіть хоча б один варіант',
+  'quiz.passed': '✅ Тест пройдено!\n\nРезультат: {score} з {max} ({percent}%)\n\nНатисніть "Продовжити ▶️", коли відкриється наступний урок.',
+  'quiz.failed': '❌ Тест не пройдено.\n\nРезультат: {score} з {max} ({percent}%), потрібно не менше {passMark}%.',
+  'quiz.retry_button': '🔄 Пройти ще раз',
+  'quiz.stale': 'Це питання вже неактуальне',
+  'quiz.unavailable': '❌ Тест недоступний',
+  'quiz.no_questions': '❌ У тесті поки немає питань',
+
+  // Підсумковий екзамен
+  'exam.invite': '🎓 Залишився підсумковий екзамен з усіх тем курсу: {minutes} хв на спробу, прохідний бал {passMark}%, спроб: {attempts}.\nПісля складання екзамену ви отримаєте допуск до практики.\n\nПочати: /exam',
+  'exam.intro': '🎓 Підсумковий екзамен{title}\n\nПитань: {count} (тем: {topics})\nЧас: {minutes} хв\nПрохідний бал: {passMark}%\nСпроба {attempt} з {max}\n\nПитання обираються випадково. Час піде після натискання кнопки.',
+  'exam.start_button': '▶️ Почати екзамен',
+  'exam.question': '❓ Питання {number} з {total} · ⏱ залишилось {minutes} хв',
+  'exam.resume': '⏱ У вас є незавершений екзамен. Продовжуємо:',
+  'exam.time_up': '⏰ Час екзамену вийшов. Зараховано відповіді, надані до його закінчення.',
+  'exam.passed': '✅ Екзамен складено!\n\nРезультат: {score} з {max} ({percent}%)\n\n🚀 Вас допущено до практики.',
+  'exam.failed': '❌ Екзамен не складено.\n\nРезультат: {score} з {max} ({percent}%), потрібно не менше {passMark}%.',
+  'exam.attempts_left': 'Залишилось спроб: {left}. Спробувати ще раз: /exam',
+  'exam.no_attempts': '❌ Спроби складання екзамену закінчились ({max}). Зверніться до куратора.',
+  'exam.already_passed': '✅ Ви вже склали підсумковий екзамен ({percent}%) і допущені до практики.',
+  'exam.not_completed': '🎓 Підсумковий екзамен доступний після проходження всіх уроків курсу.',
+  'exam.unavailable': '❌ Для цього курсу немає підсумкового екзамену.',
+  'exam.stale': 'Це питання вже неактуальне',
+
+  // Домашні завдання
+  'homework.gate_missing': '📝 Щоб відкрити наступний урок, здайте домашнє завдання: /homework',
+  'homework.gate_pending': '⏳ Домашнє завдання на перевірці в ментора. Наступний урок відкриється після перевірки.',
+  'homework.gate_changes_requested': '🔄 Ментор попросив доопрацювати домашнє завдання. Надішліть нову версію: /homework',
+  'homework.none': '📭 До поточного уроку немає домашнього завдання.',
+  'homework.already_approved': '✅ Домашнє завдання до уроку {position} уже прийнято.',
+  'homework.prompt': '📝 Домашнє завдання до уроку {position} «{title}»\n\n{task}\n\nНадішліть відповідь одним повідомленням: текст, файл, фото або голосове.\nСкасувати: /cancel',
+  'homework.enrollment_missing': '❌ Запис на курс не знайдено. Спробуйте ще раз: /homework',
+  'homework.sent': '✅ Домашнє завдання надіслано ментору. Ми повідомимо, коли його перевірять.',
+  'homework.approved': '✅ Домашнє завдання до уроку {position} прийнято ментором!',
+  'homework.changes_requested': '🔄 Ментор попросив доопрацювати домашнє завдання до уроку {position}.\n\nНадішліть нову версію: /homework',
+  'homework.comment': '💬 Коментар ментора до домашнього завдання (урок {position}):\n\n{comment}',
+  'cancel.done': '👌 Скасовано.',
+  'cancel.nothing': 'Нічого скасовувати.',
+
+  // /reminders
+  'reminders.status_on': '🔔 Нагадування увімкнені.\n\nУвімкнути: /reminders on\nВимкнути: /reminders off',
+  'reminders.status_off': '🔔 Нагадування вимкнені.\n\nУвімкнути: /reminders on\nВимкнути: /reminders off',
+  'reminders.turned_on': '🔔 Нагадування увімкнені.',
+  'reminders.turned_off': '🔕 Нагадування вимкнені. Увімкнути знову: /reminders on'
+}
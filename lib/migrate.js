@@ -0,0 +1,193 @@
+const fs = require('fs')
+const path = require('path')
+const { pool } = require('./db')
+
+// Версійовані міграції схеми БД. Кожен файл migrations/NNN_назва.js експортує
+// up(db) та down(db); застосовані версії записуються в schema_migrations.
+// Міграції виконуються при запуску бота та CLI-скриптів або командою npm run migrate,
+// кожна — в окремій транзакції. Одночасно мігрує лише один процес (pg_advisory_lock).
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations')
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/
+// Ключ pg_advisory_lock (розсилка уроків використовує 724001)
+const LOCK_KEY = 724002
+
+// Міграції з каталогу, відсортовані за версією
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => {
+      const match = file.match(FILE_PATTERN)
+      if (!match) {
+        return null
+      }
+      return { version: parseInt(match[1], 10), name: match[2], file }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version)
+
+  migrations.forEach((migration, index) => {
+    if (index && migration.version === migrations[index - 1].version) {
+      throw new Error(`Дві міграції з версією ${migration.version}: ${migrations[index - 1].file}, ${migration.file}`)
+    }
+  })
+  return migrations
+}
+
+function loadMigration(migration, dir = MIGRATIONS_DIR) {
+  const definition = require(path.join(dir, migration.file))
+  if (typeof definition.up !== 'function' || typeof definition.down !== 'function') {
+    throw new Error(`Міграція ${migration.file} має експортувати up(db) та down(db)`)
+  }
+  return definition
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT NOW()
+    )
+  `)
+}
+
+async function getAppliedVersions(db) {
+  const result = await db.query('SELECT version FROM schema_migrations ORDER BY version')
+  return result.rows.map(row => row.version)
+}
+
+// Виконує fn(client) під advisory-блокуванням міграцій
+async function withMigrationLock(fn) {
+  const client = await pool.connect()
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY])
+    try {
+      await ensureMigrationsTable(client)
+      return await fn(client)
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY])
+    }
+  } finally {
+    client.release()
+  }
+}
+
+// Одна міграція в транзакції разом із записом у schema_migrations
+async function runMigration(client, migration, direction) {
+  const definition = loadMigration(migration)
+  await client.query('BEGIN')
+  try {
+    await definition[direction](client)
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      )
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version])
+    }
+    await client.query('COMMIT')
+  } catch (err) {
+    await client.query('ROLLBACK')
+    err.message = `Міграція ${migration.file} (${direction}): ${err.message}`
+    throw err
+  }
+}
+
+// Застосовує всі незастосовані міграції (або до версії to включно). Повертає застосовані.
+async function migrate({ to } = {}) {
+  const migrations = loadMigrations()
+
+  return withMigrationLock(async (client) => {
+    const applied = new Set(await getAppliedVersions(client))
+    const pending = migrations.filter(m => !applied.has(m.version) && (to === undefined || m.version <= to))
+
+    for (const migration of pending) {
+      await runMigration(client, migration, 'up')
+      console.log(`🗄 Міграція ${migration.file} застосована`)
+    }
+    return pending
+  })
+}
+
+// Відкочує останні steps міграцій (або всі новіші за версію to). Повертає відкочені.
+async function rollback({ steps = 1, to } = {}) {
+  const migrations = loadMigrations()
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client)
+    if (to === undefined && !(Number.isInteger(steps) && steps >= 1)) {
+      throw new Error('Кількість кроків відкату має бути не менше 1')
+    }
+    // Відкат усієї схеми (з 001 і DROP TABLE users) — лише явно через --to 0
+    if (to === undefined && applied.length && steps >= applied.length) {
+      throw new Error(`Відкат ${steps} кроків видалить усі застосовані міграції. Щоб відкотити схему повністю, вкажи --to 0`)
+    }
+    const versions = to === undefined
+      ? applied.slice(-steps)
+      : applied.filter(version => version > to)
+
+    const rolledBack = []
+    for (const version of versions.reverse()) {
+      const migration = migrations.find(m => m.version === version)
+      if (!migration) {
+        throw new Error(`Файл міграції ${version} не знайдено — відкат неможливий`)
+      }
+      await runMigration(client, migration, 'down')
+      console.log(`↩️ Міграція ${migration.file} відкочена`)
+      rolledBack.push(migration)
+    }
+    return rolledBack
+  })
+}
+
+// Стан усіх міграцій: застосовані (з датою), очікують, або записані в БД без файлу
+async function getMigrationStatus() {
+  const migrations = loadMigrations()
+  await ensureMigrationsTable(pool)
+  const result = await pool.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version')
+  const applied = new Map(result.rows.map(row => [row.version, row]))
+
+  const status = migrations.map(m => ({
+    ...m,
+    appliedAt: applied.has(m.version) ? applied.get(m.version).applied_at : null
+  }))
+  for (const row of result.rows) {
+    if (!migrations.some(m => m.version === row.version)) {
+      status.push({ version: row.version, name: row.name, file: null, appliedAt: row.applied_at })
+    }
+  }
+  return status.sort((a, b) => a.version - b.version)
+}
+
+// Створює файл наступної міграції з порожніми up/down: поки їх не заповнили,
+// міграція нічого не змінює. Повертає шлях до файлу.
+function createMigration(name) {
+  const slug = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')
+  if (!slug) {
+    throw new Error('Вкажи назву міграції латиницею, наприклад: add_certificates')
+  }
+
+  const migrations = loadMigrations()
+  const version = migrations.length ? migrations[migrations.length - 1].version + 1 : 1
+  const file = path.join(MIGRATIONS_DIR, `${String(version).padStart(3, '0')}_${slug}.js`)
+  const description = slug.replace(/_/g, ' ')
+  fs.writeFileSync(file, `// ${description.charAt(0).toUpperCase()}${description.slice(1)}
+module.exports = {
+  async up(db) {
+  },
+
+  async down(db) {
+  }
+}
+`, 'utf8')
+  return file
+}
+
+module.exports = {
+  loadMigrations,
+  migrate,
+  rollback,
+  getMigrationStatus,
+  createMigration
+}
@@ -0,0 +1,194 @@
+const { Markup } = require('telegraf')
+const { pool } = require('./db')
+const { getLessonsForEnrollment } = require('./catalog')
+const { getEnrollments, getActiveEnrollment } = require('./courses')
+const { sendLesson } = require('./progress')
+const { buttonText } = require('./lesson-renderer')
+const { recordEvent } = require('./events')
+
+// Навігація по вже відкритих уроках: зміст (/lessons), повторний перегляд
+// пройденого уроку з кнопками "Назад / Далее" та /resume — повтор поточного уроку.
+// Прогрес (current_lesson, last_lesson_date) тут ніколи не змінюється: новий урок
+// видається лише кнопкою "Продолжить ▶️" або розсилкою. Перегляди пишуться
+// в журнал подією lesson_reopened.
+
+// Кількість відкритих уроків: усі до поточного включно (після завершення — всі)
+function unlockedCount(enrollment, lessons) {
+  return Math.min(enrollment.current_lesson, lessons.length)
+}
+
+function isCompleted(enrollment, lessons) {
+  return enrollment.current_lesson > lessons.length
+}
+
+// Активний запис на курс з уроками (мовою учня) або ключ тексту відмови.
+// courseId — курс з кнопки (учень міг відтоді перемкнути активний курс).
+async function loadProgress(ctx, courseId) {
+  const telegramId = ctx.from.id
+  const result = await pool.query('SELECT * FROM users WHERE telegram_id = $1', [telegramId])
+  if (!result.rows.length) {
+    return { error: 'start_first' }
+  }
+
+  const user = result.rows[0]
+  if (!user.has_access) {
+    return { error: 'enrollment.none' }
+  }
+
+  const enrollment = courseId
+    ? (await getEnrollments(telegramId)).find(e => e.course_id === courseId)
+    : await getActiveEnrollment(user)
+  if (!enrollment) {
+    return { error: 'enrollment.other_course' }
+  }
+
+  const lessons = await getLessonsForEnrollment(enrollment, ctx.lang)
+  if (!lessons.length) {
+    return { error: 'lessons.not_published' }
+  }
+  if (!enrollment.last_lesson_date) {
+    return { error: 'course.not_started' }
+  }
+
+  return { enrollment, lessons }
+}
+
+function lessonStatus(enrollment, position) {
+  return position < enrollment.current_lesson ? '✅' : '📍'
+}
+
+function lessonsMenu(ctx, enrollment, lessons) {
+  const unlocked = unlockedCount(enrollment, lessons)
+  const locked = lessons.length - unlocked
+  const completed = isCompleted(enrollment, lessons)
+
+  let text = `${ctx.t('nav.title', { course: enrollment.course_title })}\n\n`
+  text += completed
+    ? ctx.t('nav.completed', { total: lessons.length })
+    : ctx.t('nav.unlocked', { unlocked, total: lessons.length })
+  if (locked > 0) {
+    text += `\n${ctx.t('nav.locked', { count: locked })}`
+  }
+  text += completed
+    ? `\n\n${ctx.t('nav.choose')}`
+    : `\n\n${ctx.t('nav.legend')}\n${ctx.t('nav.choose')}`
+
+  const buttons = lessons.slice(0, unlocked).map(lesson => [
+    Markup.button.callback(
+      buttonText(`${lessonStatus(enrollment, lesson.position)} ${lesson.position}. ${lesson.title}`),
+      `nav:open:${enrollment.course_id}:${lesson.position}`
+    )
+  ])
+  return [text, Markup.inlineKeyboard(buttons)]
+}
+
+// Підсумок під повторно відкритим уроком: "Назад / Далее" в межах відкритих уроків
+function navigationFooter(ctx, enrollment, lessons, position) {
+  const unlocked = unlockedCount(enrollment, lessons)
+  const courseId = enrollment.course_id
+
+  const text = ctx.t(position === enrollment.current_lesson ? 'nav.lesson_current' : 'nav.lesson_done', {
+    position,
+    total: lessons.length
+  })
+
+  const row = []
+  if (position > 1) {
+    row.push(Markup.button.callback(ctx.t('nav.back'), `nav:open:${courseId}:${position - 1}`))
+  }
+  if (position < unlocked) {
+    row.push(Markup.button.callback(ctx.t('nav.next'), `nav:open:${courseId}:${position + 1}`))
+  }
+  const rows = row.length ? [row] : []
+  rows.push([Markup.button.callback(ctx.t('nav.all'), `nav:menu:${courseId}`)])
+
+  return [text, Markup.inlineKeyboard(rows)]
+}
+
+async function recordReopen(ctx, enrollment, position, source) {
+  await recordEvent({
+    type: 'lesson_reopened',
+    telegramId: ctx.from.id,
+    enrollmentId: enrollment.id,
+    courseId: enrollment.course_id,
+    lessonPosition: position,
+    metadata: { source }
+  })
+}
+
+function registerNavigationHandlers(bot) {
+  // /lessons — зміст відкритих уроків активного курсу
+  bot.command('lessons', async (ctx) => {
+    try {
+      const { enrollment, lessons, error } = await loadProgress(ctx)
+      if (error) {
+        return ctx.reply(ctx.t(error))
+      }
+      await ctx.reply(...lessonsMenu(ctx, enrollment, lessons))
+    } catch (error) {
+      console.error('Помилка в /lessons:', error)
+      ctx.reply(ctx.t('error'))
+    }
+  })
+
+  bot.action(/^nav:menu:(\d+)$/, async (ctx) => {
+    try {
+      const { enrollment, lessons, error } = await loadProgress(ctx, parseInt(ctx.match[1], 10))
+      if (error) {
+        return ctx.answerCbQuery(ctx.t(error))
+      }
+      await ctx.answerCbQuery()
+      await ctx.reply(...lessonsMenu(ctx, enrollment, lessons))
+    } catch (error) {
+      console.error('Помилка при відкритті змісту:', error)
+      ctx.answerCbQuery(ctx.t('error'))
+    }
+  })
+
+  // Повторний перегляд відкритого уроку — прогрес не змінюється
+  bot.action(/^nav:open:(\d+):(\d+)$/, async (ctx) => {
+    try {
+      const { enrollment, lessons, error } = await loadProgress(ctx, parseInt(ctx.match[1], 10))
+      if (error) {
+        return ctx.answerCbQuery(ctx.t(error))
+      }
+
+      const position = parseInt(ctx.match[2], 10)
+      if (position < 1 || position > unlockedCount(enrollment, lessons)) {
+        return ctx.answerCbQuery(ctx.t('nav.not_unlocked'))
+      }
+
+      await ctx.answerCbQuery()
+      await sendLesson(ctx.telegram, ctx.chat.id, lessons[position - 1], { continueHint: false, lang: ctx.lang })
+      await ctx.reply(...navigationFooter(ctx, enrollment, lessons, position))
+      await recordReopen(ctx, enrollment, position, 'menu')
+      console.log(`📖 ${ctx.from.id} переглядає урок ${position} (${enrollment.course_slug})`)
+    } catch (error) {
+      console.error('Помилка при перегляді уроку:', error)
+      ctx.answerCbQuery(ctx.t('error'))
+    }
+  })
+
+  // /resume — повторно надсилає поточний урок з кнопкою "Продолжить ▶️"
+  bot.command('resume', async (ctx) => {
+    try {
+      const { enrollment, lessons, error } = await loadProgress(ctx)
+      if (error) {
+        return ctx.reply(ctx.t(error))
+      }
+
+      if (isCompleted(enrollment, lessons)) {
+        return ctx.reply(`${ctx.t('course.completed')}\n\n${ctx.t('nav.all_lessons')}`)
+      }
+
+      const position = enrollment.current_lesson
+      await sendLesson(ctx.telegram, ctx.chat.id, lessons[position - 1], { lang: ctx.lang })
+      await recordReopen(ctx, enrollment, position, 'resume')
+    } catch (error) {
+      console.error('Помилка в /resume:', error)
+      ctx.reply(ctx.t('error'))
+    }
+  })
+}
+
+module.exports = { registerNavigationHandlers }
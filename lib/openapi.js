@@ -0,0 +1,263 @@
+// Опис REST API (/api/v1/openapi.json) у форматі OpenAPI 3.0
+
+const paginationParams = [
+  { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+  { name: 'per_page', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } }
+]
+
+const filterParams = [
+  { name: 'course', in: 'query', description: 'Slug курсу', schema: { type: 'string' } },
+  { name: 'cohort', in: 'query', description: 'Назва потоку (без course — потік курсу theory)', schema: { type: 'string' } }
+]
+
+const telegramIdParam = { name: 'telegram_id', in: 'query', schema: { type: 'integer' } }
+
+function listOf(schema) {
+  return {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: { $ref: `#/components/schemas/${schema}` } },
+      pagination: { $ref: '#/components/schemas/Pagination' }
+    }
+  }
+}
+
+function jsonResponse(description, schema) {
+  return { description, content: { 'application/json': { schema } } }
+}
+
+const errors = {
+  400: { $ref: '#/components/responses/Error' },
+  401: { $ref: '#/components/responses/Error' },
+  404: { $ref: '#/components/responses/Error' }
+}
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'PON School Bot API',
+    version: '1.0.0',
+    description: 'Учні, прогрес, коди доступу, результати тестів і ДЗ для інтеграції з CRM'
+  },
+  servers: [{ url: '/api/v1' }],
+  security: [{ bearerAuth: [] }],
+  paths: {
+    '/users': {
+      get: {
+        summary: 'Користувачі з прогресом по курсах',
+        parameters: [
+          ...filterParams,
+          { name: 'has_access', in: 'query', schema: { type: 'boolean' } },
+          ...paginationParams
+        ],
+        responses: { 200: jsonResponse('Список користувачів', listOf('User')), ...errors }
+      }
+    },
+    '/users/{telegramId}': {
+      get: {
+        summary: 'Користувач з прогресом',
+        parameters: [{ name: 'telegramId', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: { 200: jsonResponse('Користувач', { $ref: '#/components/schemas/User' }), ...errors }
+      }
+    },
+    '/users/{telegramId}/enrollments': {
+      post: {
+        summary: 'Записати на курс без коду (користувач створюється з доступом, якщо його ще немає)',
+        parameters: [{ name: 'telegramId', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  course: { type: 'string', default: 'theory' },
+                  cohort: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        responses: { 201: jsonResponse('Користувач після запису', { $ref: '#/components/schemas/User' }), ...errors }
+      }
+    },
+    '/codes': {
+      get: {
+        summary: 'Коди доступу',
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['active', 'used', 'expired', 'revoked'] } },
+          { name: 'label', in: 'query', schema: { type: 'string' } },
+          ...filterParams,
+          ...paginationParams
+        ],
+        responses: { 200: jsonResponse('Список кодів', listOf('Code')), ...errors }
+      },
+      post: {
+        summary: 'Створити партію кодів',
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  count: { type: 'integer', default: 30, maximum: 500 },
+                  course: { type: 'string', default: 'theory' },
+                  cohort: { type: 'string' },
+                  expires_on: { type: 'string', format: 'date' },
+                  max_uses: { type: 'integer', default: 1 },
+                  prefix: { type: 'string', default: 'PON' },
+                  label: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: jsonResponse('Створені коди', {
+            type: 'object',
+            properties: {
+              data: { type: 'array', items: { type: 'object', properties: { code: { type: 'string' } } } }
+            }
+          }),
+          ...errors
+        }
+      }
+    },
+    '/codes/revoke': {
+      post: {
+        summary: 'Відкликати код або всі коди з міткою',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: { code: { type: 'string' }, label: { type: 'string' } }
+              }
+            }
+          }
+        },
+        responses: {
+          200: jsonResponse('Кількість відкликаних кодів', {
+            type: 'object',
+            properties: { revoked: { type: 'integer' } }
+          }),
+          ...errors
+        }
+      }
+    },
+    '/quiz-attempts': {
+      get: {
+        summary: 'Завершені спроби тестів',
+        parameters: [...filterParams, telegramIdParam, ...paginationParams],
+        responses: { 200: jsonResponse('Спроби тестів', listOf('QuizAttempt')), ...errors }
+      }
+    },
+    '/homework': {
+      get: {
+        summary: 'Здані домашні завдання',
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['pending', 'approved', 'changes_requested'] } },
+          ...filterParams,
+          telegramIdParam,
+          ...paginationParams
+        ],
+        responses: { 200: jsonResponse('Домашні завдання', listOf('Homework')), ...errors }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Значення змінної API_TOKEN' }
+    },
+    responses: {
+      Error: jsonResponse('Помилка', {
+        type: 'object',
+        properties: { error: { type: 'string' } }
+      })
+    },
+    schemas: {
+      Pagination: {
+        type: 'object',
+        properties: {
+          page: { type: 'integer' },
+          per_page: { type: 'integer' },
+          total: { type: 'integer' }
+        }
+      },
+      Enrollment: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          course: { type: 'string' },
+          cohort: { type: 'string', nullable: true },
+          current_lesson: { type: 'integer' },
+          lessons_count: { type: 'integer' },
+          completed: { type: 'boolean' },
+          last_lesson_date: { type: 'string', format: 'date', nullable: true },
+          enrolled_at: { type: 'string', format: 'date-time' }
+        }
+      },
+      User: {
+        type: 'object',
+        properties: {
+          telegram_id: { type: 'integer' },
+          username: { type: 'string', nullable: true },
+          first_name: { type: 'string', nullable: true },
+          has_access: { type: 'boolean' },
+          role: { type: 'string' },
+          created_at: { type: 'string', format: 'date-time' },
+          enrollments: { type: 'array', items: { $ref: '#/components/schemas/Enrollment' } }
+        }
+      },
+      Code: {
+        type: 'object',
+        properties: {
+          code: { type: 'string' },
+          status: { type: 'string', enum: ['active', 'used', 'expired', 'revoked'] },
+          course: { type: 'string', nullable: true },
+          cohort: { type: 'string', nullable: true },
+          label: { type: 'string', nullable: true },
+          max_uses: { type: 'integer' },
+          uses_count: { type: 'integer' },
+          expires_on: { type: 'string', format: 'date', nullable: true },
+          revoked_at: { type: 'string', format: 'date-time', nullable: true },
+          created_at: { type: 'string', format: 'date-time' }
+        }
+      },
+      QuizAttempt: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          telegram_id: { type: 'integer' },
+          course: { type: 'string', nullable: true },
+          cohort: { type: 'string', nullable: true },
+          lesson: { type: 'integer' },
+          quiz_id: { type: 'integer' },
+          score: { type: 'integer' },
+          max_score: { type: 'integer' },
+          percent: { type: 'integer' },
+          passed: { type: 'boolean' },
+          started_at: { type: 'string', format: 'date-time' },
+          finished_at: { type: 'string', format: 'date-time' }
+        }
+      },
+      Homework: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          telegram_id: { type: 'integer' },
+          course: { type: 'string' },
+          cohort: { type: 'string', nullable: true },
+          lesson: { type: 'integer' },
+          kind: { type: 'string', enum: ['text', 'document', 'photo', 'voice'] },
+          content: { type: 'string', nullable: true },
+          has_file: { type: 'boolean' },
+          status: { type: 'string', enum: ['pending', 'approved', 'changes_requested'] },
+          review_comment: { type: 'string', nullable: true },
+          reviewed_at: { type: 'string', format: 'date-time', nullable: true },
+          created_at: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  }
+}
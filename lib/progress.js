@@ -0,0 +1,191 @@
+const { Markup } = require('telegraf')
+const { pool, withTransaction } = require('./db')
+const { hasPassedQuiz, quizInvite } = require('./quiz')
+const { checkHomeworkGate } = require('./homework')
+const { renderLesson } = require('./lesson-renderer')
+const { sendAttachments } = require('./lesson-media')
+const { resolveUnlockPolicy, checkUnlock, localNow } = require('./unlock')
+const { recordEvent } = require('./events')
+const { DEFAULT_LANGUAGE, t } = require('./i18n')
+
+// Перехід до наступного уроку — спільний для кнопки "Продолжить ▶️"
+// та автоматичної розсилки (lib/scheduler.js).
+
+// Чи можна видати наступний урок:
+//   completed — курс вже завершено
+//   quiz      — не пройдено обов'язковий тест до поточного уроку
+//   homework  — ДЗ до поточного уроку ще не схвалене ментором
+//               (homeworkStatus: missing, pending або changes_requested)
+//   locked    — наступний урок ще не відкрився за політикою курсу
+//   ready     — можна видавати (або завершувати курс, якщо урок останній)
+async function checkNextLesson(enrollment, lessons, now = new Date()) {
+  if (enrollment.current_lesson > lessons.length) {
+    return { status: 'completed' }
+  }
+
+  const currentLesson = lessons[enrollment.current_lesson - 1]
+  if (currentLesson.quiz && currentLesson.quiz.required &&
+      !(await hasPassedQuiz(enrollment.telegram_id, currentLesson.quiz.id))) {
+    return { status: 'quiz', quiz: currentLesson.quiz }
+  }
+
+  const homework = await checkHomeworkGate(enrollment, currentLesson)
+  if (homework) {
+    return { status: 'homework', homeworkStatus: homework.status }
+  }
+
+  const policy = resolveUnlockPolicy(enrollment)
+  const unlock = checkUnlock(policy, enrollment.last_lesson_date, now)
+  return {
+    status: unlock.unlocked ? 'ready' : 'locked',
+    policy,
+    unlock,
+    today: localNow(policy.timezone, now).date
+  }
+}
+
+// Переводить учня на наступний урок (або завершує курс після останнього).
+// Оновлення умовне: якщо прогрес тим часом змінився (паралельна кнопка,
+// інший процес розсилки), повертає null і урок не видається вдруге.
+async function advanceEnrollment(enrollment, lessons, today, source) {
+  const nextLessonNumber = enrollment.current_lesson + 1
+
+  return withTransaction(async (client) => {
+    const updated = await client.query(`
+      UPDATE enrollments
+      SET current_lesson = $1, last_lesson_date = $2
+      WHERE id = $3 AND current_lesson = $4
+      RETURNING *
+    `, [nextLessonNumber, today, enrollment.id, enrollment.current_lesson])
+    if (!updated.rows.length) {
+      return null
+    }
+
+    const event = {
+      telegramId: enrollment.telegram_id,
+      enrollmentId: enrollment.id,
+      courseId: enrollment.course_id,
+      lessonPosition: nextLessonNumber
+    }
+
+    if (nextLessonNumber > lessons.length) {
+      await recordEvent({ ...event, type: 'course_completed', metadata: { source, lesson_date: today } }, client)
+      return { lessonNumber: nextLessonNumber, deliveryId: null }
+    }
+
+    const delivery = await client.query(`
+      INSERT INTO lesson_deliveries (enrollment_id, telegram_id, lesson_position, source)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id
+    `, [enrollment.id, enrollment.telegram_id, nextLessonNumber, source])
+    const deliveryId = delivery.rows[0].id
+
+    await recordEvent({
+      ...event,
+      type: 'lesson_delivered',
+      metadata: { source, lesson_date: today, delivery_id: deliveryId }
+    }, client)
+
+    return { lessonNumber: nextLessonNumber, deliveryId }
+  })
+}
+
+// Учень уже почав поточне проходження курсу (рядок enrollments e): є прогрес або
+// видані після останнього архівування уроки. /setlesson змінює лише current_lesson,
+// тож одного last_lesson_date замало; архівні проходження (/restart, /reset) не рахуються.
+const STARTED_CONDITION = `(
+  e.current_lesson > 1
+  OR e.last_lesson_date IS NOT NULL
+  OR EXISTS (
+    SELECT 1 FROM lesson_deliveries d
+    WHERE d.enrollment_id = e.id
+      AND d.created_at > COALESCE(
+        (SELECT MAX(a.archived_at) FROM course_attempts a WHERE a.enrollment_id = e.id),
+        '-infinity'
+      )
+  )
+)`
+
+// Чи почав учень курс. lock — заблокувати ще не початий запис до кінця транзакції db,
+// щоб паралельний /start не почав курс удруге.
+async function isEnrollmentStarted(enrollmentId, db = pool, { lock = false } = {}) {
+  const result = await db.query(
+    `SELECT e.id FROM enrollments e WHERE e.id = $1 AND NOT ${STARTED_CONDITION}${lock ? ' FOR UPDATE' : ''}`,
+    [enrollmentId]
+  )
+  return result.rows.length === 0
+}
+
+// Починає курс з першого уроку (перший /start або перезапуск через /restart).
+// client — транзакція, в якій, наприклад, архівується попереднє проходження.
+async function startEnrollment(enrollment, today, source, client) {
+  await client.query(
+    'UPDATE enrollments SET current_lesson = 1, last_lesson_date = $2 WHERE id = $1',
+    [enrollment.id, today]
+  )
+
+  const delivery = await client.query(`
+    INSERT INTO lesson_deliveries (enrollment_id, telegram_id, lesson_position, source, sent_at)
+    VALUES ($1, $2, 1, $3, NOW())
+    RETURNING id
+  `, [enrollment.id, enrollment.telegram_id, source])
+
+  await recordEvent({
+    telegramId: enrollment.telegram_id,
+    enrollmentId: enrollment.id,
+    courseId: enrollment.course_id,
+    type: 'lesson_delivered',
+    lessonPosition: 1,
+    metadata: { source, lesson_date: today, delivery_id: delivery.rows[0].id }
+  }, client)
+}
+
+// Результат відправки уроку: sent_at або текст помилки
+async function markDelivery(deliveryId, error) {
+  if (!deliveryId) {
+    return
+  }
+  await pool.query(
+    'UPDATE lesson_deliveries SET sent_at = CASE WHEN $2::TEXT IS NULL THEN NOW() END, error = $2 WHERE id = $1',
+    [deliveryId, error || null]
+  )
+}
+
+// Надсилає урок: текст, вкладення, підказку з кнопкою "Продолжить ▶️" та
+// запрошення на тест, якщо він є. intro — текст перед уроком (привітання /start),
+// send — обгортка для кожного запиту (sendWithRetry у розсилці),
+// continueHint: false — без підказки (повторний перегляд, lib/navigation.js),
+// lang — мова службових підписів і кнопки.
+async function sendLesson(telegram, chatId, lesson, { intro, send = fn => fn(), continueHint = true, lang = DEFAULT_LANGUAGE } = {}) {
+  const messages = renderLesson(lesson, {
+    intro,
+    continueHint,
+    lang,
+    replyKeyboard: Markup.keyboard([[t(lang, 'button.continue')]]).resize()
+  })
+  const attachments = lesson.attachments || []
+  // З вкладеннями останнє повідомлення — окрема підказка, вона йде після файлів
+  const hint = attachments.length && continueHint ? messages.pop() : null
+
+  for (const [text, extra] of messages) {
+    await send(() => telegram.sendMessage(chatId, text, extra))
+  }
+  if (attachments.length) {
+    await sendAttachments(telegram, chatId, attachments, send)
+  }
+  if (hint) {
+    await send(() => telegram.sendMessage(chatId, ...hint))
+  }
+  if (lesson.quiz) {
+    await send(() => telegram.sendMessage(chatId, ...quizInvite(lesson.quiz, lang)))
+  }
+}
+
+module.exports = {
+  checkNextLesson,
+  advanceEnrollment,
+  isEnrollmentStarted,
+  startEnrollment,
+  markDelivery,
+  sendLesson
+}
@@ -0,0 +1,488 @@
+const { Markup } = require('telegraf')
+const { pool } = require('./db')
+const { recordEvent } = require('./events')
+const { DEFAULT_LANGUAGE, t } = require('./i18n')
+
+// Тести до уроків: питання з одним або кількома варіантами відповіді
+// та з короткою текстовою відповіддю. Кожна спроба зберігається в quiz_attempts,
+// тому стан тесту не втрачається між запитами webhook.
+// Службові тексти — мовою учня; питання та варіанти — як їх записав автор курсу.
+
+const QUESTION_KINDS = ['single', 'multiple', 'text']
+
+// Нормалізація текстової відповіді: регістр, зайві пробіли, ё → е
+function normalizeAnswer(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+// Бали за відповідь на питання (0 або question.points)
+function scoreAnswer(question, answer) {
+  const correct = question.correct || []
+
+  if (question.kind === 'text') {
+    const accepted = correct.map(normalizeAnswer)
+    return accepted.includes(normalizeAnswer(answer)) ? question.points : 0
+  }
+
+  const given = [...new Set(Array.isArray(answer) ? answer : [answer])].sort()
+  const expected = [...new Set(correct)].sort()
+  const isCorrect = given.length === expected.length && given.every((value, index) => value === expected[index])
+  return isCorrect ? question.points : 0
+}
+
+// Підсумок спроби: бали, відсоток та чи пройдено тест
+function summarizeAttempt(questions, answers, passMark) {
+  const maxScore = questions.reduce((sum, question) => sum + question.points, 0)
+  const score = questions.reduce((sum, question, index) => sum + scoreAnswer(question, answers[index]), 0)
+  const percent = maxScore ? Math.round((score / maxScore) * 100) : 0
+  return { score, maxScore, percent, passed: percent >= passMark }
+}
+
+// Перевірка опису тесту перед записом в БД. Повертає список помилок.
+function validateQuizDefinition(definition) {
+  const errors = []
+  const questions = definition && definition.questions
+
+  if (!Array.isArray(questions) || !questions.length) {
+    return ['Тест повинен містити хоча б одне питання (questions)']
+  }
+  if (definition.passMark !== undefined && !(definition.passMark >= 0 && definition.passMark <= 100)) {
+    errors.push('passMark має бути від 0 до 100')
+  }
+
+  questions.forEach((question, index) => {
+    const label = `Питання ${index + 1}`
+    if (!QUESTION_KINDS.includes(question.kind)) {
+      errors.push(`${label}: kind має бути одним з ${QUESTION_KINDS.join(', ')}`)
+      return
+    }
+    if (!question.prompt) {
+      errors.push(`${label}: немає тексту питання (prompt)`)
+    }
+    if (!Array.isArray(question.correct) || !question.correct.length) {
+      errors.push(`${label}: немає правильної відповіді (correct)`)
+      return
+    }
+    if (question.kind !== 'text') {
+      const options = question.options || []
+      if (options.length < 2) {
+        errors.push(`${label}: потрібно щонайменше два варіанти (options)`)
+      }
+      if (question.correct.some(value => !Number.isInteger(value) || value < 0 || value >= options.length)) {
+        errors.push(`${label}: correct має містити номери варіантів, починаючи з 0`)
+      }
+      if (question.kind === 'single' && question.correct.length !== 1) {
+        errors.push(`${label}: для single потрібна рівно одна правильна відповідь`)
+      }
+    }
+  })
+
+  return errors
+}
+
+// Записує тест до уроку чернетки (замінює існуючий тест цього уроку).
+// В опублікованій версії заміна видалила б і спроби учнів, тому вона заборонена.
+async function saveQuiz(client, lessonId, definition) {
+  const editable = await client.query(`
+    SELECT 1 FROM lessons l
+    JOIN course_versions v ON v.id = l.course_version_id
+    WHERE l.id = $1 AND NOT v.is_published
+  `, [lessonId])
+  if (!editable.rows.length) {
+    throw new Error('Тест уроку опублікованої версії не змінюється: внеси правки в чернетку')
+  }
+
+  await client.query('DELETE FROM quizzes WHERE lesson_id = $1', [lessonId])
+
+  const quizResult = await client.query(`
+    INSERT INTO quizzes (lesson_id, title, pass_mark, is_required)
+    VALUES ($1, $2, $3, $4)
+    RETURNING *
+  `, [lessonId, definition.title || null, definition.passMark ?? 70, Boolean(definition.required)])
+  const quiz = quizResult.rows[0]
+
+  for (const [index, question] of definition.questions.entries()) {
+    await client.query(`
+      INSERT INTO quiz_questions (quiz_id, position, kind, prompt, options, correct, points)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [
+      quiz.id,
+      index + 1,
+      question.kind,
+      question.prompt,
+      JSON.stringify(question.options || []),
+      JSON.stringify(question.correct),
+      question.points || 1
+    ])
+  }
+
+  return quiz
+}
+
+// Копіює тести між версіями курсу (уроки зіставляються за номером)
+async function copyQuizzes(client, fromVersionId, toVersionId) {
+  const quizzes = await client.query(`
+    SELECT q.*, nl.id AS new_lesson_id
+    FROM quizzes q
+    JOIN lessons ol ON ol.id = q.lesson_id
+    JOIN lessons nl ON nl.course_version_id = $2 AND nl.position = ol.position
+    WHERE ol.course_version_id = $1
+  `, [fromVersionId, toVersionId])
+
+  for (const quiz of quizzes.rows) {
+    const questions = await client.query(
+      'SELECT * FROM quiz_questions WHERE quiz_id = $1 ORDER BY position',
+      [quiz.id]
+    )
+    await saveQuiz(client, quiz.new_lesson_id, {
+      title: quiz.title,
+      passMark: quiz.pass_mark,
+      required: quiz.is_required,
+      questions: questions.rows
+    })
+  }
+}
+
+async function getQuestions(quizId) {
+  const result = await pool.query(
+    'SELECT * FROM quiz_questions WHERE quiz_id = $1 ORDER BY position',
+    [quizId]
+  )
+  return result.rows
+}
+
+// Чи пройдено тест користувачем (хоча б одна успішна спроба).
+// Кожна версія курсу має власні копії тестів, тож зараховується й успішна спроба
+// тесту до уроку з тим самим номером в іншій версії курсу — інакше після
+// migrateEnrollments обов'язкові тести довелося б проходити повторно.
+async function hasPassedQuiz(telegramId, quizId) {
+  const result = await pool.query(`
+    SELECT 1
+    FROM quizzes target
+    JOIN lessons tl ON tl.id = target.lesson_id
+    JOIN course_versions tv ON tv.id = tl.course_version_id
+    JOIN course_versions v ON v.course_id = tv.course_id
+    JOIN lessons l ON l.course_version_id = v.id AND l.position = tl.position
+    JOIN quizzes q ON q.lesson_id = l.id
+    JOIN quiz_attempts a ON a.quiz_id = q.id
+    WHERE target.id = $2 AND a.telegram_id = $1 AND a.passed = TRUE
+    LIMIT 1
+  `, [telegramId, quizId])
+  return result.rows.length > 0
+}
+
+// Незавершена спроба користувача (не більше однієї одночасно)
+async function getOpenAttempt(telegramId) {
+  const result = await pool.query(`
+    SELECT a.*, q.pass_mark, l.position AS lesson_position, e.course_id
+    FROM quiz_attempts a
+    JOIN quizzes q ON q.id = a.quiz_id
+    JOIN lessons l ON l.id = q.lesson_id
+    LEFT JOIN enrollments e ON e.id = a.enrollment_id
+    WHERE a.telegram_id = $1 AND a.finished_at IS NULL
+    ORDER BY a.started_at DESC
+    LIMIT 1
+  `, [telegramId])
+  return result.rows[0] || null
+}
+
+async function getAttempt(attemptId) {
+  const result = await pool.query(`
+    SELECT a.*, q.pass_mark, l.position AS lesson_position, e.course_id
+    FROM quiz_attempts a
+    JOIN quizzes q ON q.id = a.quiz_id
+    JOIN lessons l ON l.id = q.lesson_id
+    LEFT JOIN enrollments e ON e.id = a.enrollment_id
+    WHERE a.id = $1
+  `, [attemptId])
+  return result.rows[0] || null
+}
+
+// Запрошення пройти тест після уроку: [текст, клавіатура]
+function quizInvite(quiz, lang = DEFAULT_LANGUAGE) {
+  const text = t(lang, quiz.required ? 'quiz.invite_required' : 'quiz.invite_optional', { passMark: quiz.passMark })
+
+  return [text, Markup.inlineKeyboard([
+    [Markup.button.callback(t(lang, 'lesson.test_button'), `quiz:start:${quiz.id}`)]
+  ])]
+}
+
+async function sendQuizInvite(ctx, quiz) {
+  return ctx.reply(...quizInvite(quiz, ctx.lang))
+}
+
+// Відправляє питання спроби з відповідною клавіатурою
+async function sendQuestion(ctx, attempt, questions) {
+  const index = attempt.current_question
+  const question = questions[index]
+  const header = `${ctx.t('quiz.question', { number: index + 1, total: questions.length })}\n\n${question.prompt}`
+
+  if (question.kind === 'text') {
+    return ctx.reply(`${header}\n\n${ctx.t('quiz.answer_text')}`)
+  }
+
+  if (question.kind === 'single') {
+    return ctx.reply(header, Markup.inlineKeyboard(
+      question.options.map((option, optionIndex) => [
+        Markup.button.callback(option, `quiz:a:${attempt.id}:${index}:${optionIndex}`)
+      ])
+    ))
+  }
+
+  return ctx.reply(`${header}\n\n${ctx.t('quiz.answer_multiple')}`, multipleChoiceKeyboard(ctx, attempt, question, []))
+}
+
+function multipleChoiceKeyboard(ctx, attempt, question, selection) {
+  const index = attempt.current_question
+  return Markup.inlineKeyboard([
+    ...question.options.map((option, optionIndex) => [
+      Markup.button.callback(
+        `${selection.includes(optionIndex) ? '☑️' : '⬜️'} ${option}`,
+        `quiz:t:${attempt.id}:${index}:${optionIndex}`
+      )
+    ]),
+    [Markup.button.callback(ctx.t('quiz.done_button'), `quiz:d:${attempt.id}:${index}`)]
+  ])
+}
+
+// Записує відповідь на поточне питання та переходить до наступного або завершує тест
+async function submitAnswer(ctx, attempt, answer) {
+  const questions = await getQuestions(attempt.quiz_id)
+  const answers = [...attempt.answers, answer]
+  const nextQuestion = attempt.current_question + 1
+
+  if (nextQuestion < questions.length) {
+    const result = await pool.query(`
+      UPDATE quiz_attempts
+      SET answers = $1, current_question = $2, selection = '[]'
+      WHERE id = $3 AND current_question = $4 AND finished_at IS NULL
+      RETURNING *
+    `, [JSON.stringify(answers), nextQuestion, attempt.id, attempt.current_question])
+    if (!result.rows.length) {
+      return
+    }
+    return sendQuestion(ctx, result.rows[0], questions)
+  }
+
+  const summary = summarizeAttempt(questions, answers, attempt.pass_mark)
+  const result = await pool.query(`
+    UPDATE quiz_attempts
+    SET answers = $1, current_question = $2, selection = '[]',
+        score = $3, max_score = $4, percent = $5, passed = $6, finished_at = NOW()
+    WHERE id = $7 AND current_question = $8 AND finished_at IS NULL
+    RETURNING *
+  `, [
+    JSON.stringify(answers),
+    nextQuestion,
+    summary.score,
+    summary.maxScore,
+    summary.percent,
+    summary.passed,
+    attempt.id,
+    attempt.current_question
+  ])
+  if (!result.rows.length) {
+    return
+  }
+
+  await recordEvent({
+    type: 'quiz_attempt',
+    telegramId: attempt.telegram_id,
+    enrollmentId: attempt.enrollment_id,
+    courseId: attempt.course_id,
+    lessonPosition: attempt.lesson_position,
+    metadata: {
+      quiz_id: attempt.quiz_id,
+      attempt_id: attempt.id,
+      score: summary.score,
+      max_score: summary.maxScore,
+      percent: summary.percent,
+      passed: summary.passed
+    }
+  })
+
+  console.log(`📝 Тест ${attempt.quiz_id}: ${attempt.telegram_id} — ${summary.score}/${summary.maxScore} (${summary.percent}%), ${summary.passed ? 'пройдено' : 'не пройдено'}`)
+
+  const score = { score: summary.score, max: summary.maxScore, percent: summary.percent }
+  if (summary.passed) {
+    return ctx.reply(ctx.t('quiz.passed', score))
+  }
+
+  return ctx.reply(
+    ctx.t('quiz.failed', { ...score, passMark: attempt.pass_mark }),
+    Markup.inlineKeyboard([[Markup.button.callback(ctx.t('quiz.retry_button'), `quiz:start:${attempt.quiz_id}`)]])
+  )
+}
+
+// Спроба з callback-кнопки: належить користувачу і чекає відповіді саме на це питання
+async function getAttemptForCallback(ctx) {
+  const attempt = await getAttempt(parseInt(ctx.match[1], 10))
+  const questionIndex = parseInt(ctx.match[2], 10)
+
+  if (!attempt || String(attempt.telegram_id) !== String(ctx.from.id) ||
+      attempt.finished_at || attempt.current_question !== questionIndex) {
+    await ctx.answerCbQuery(ctx.t('quiz.stale'))
+    return null
+  }
+  return attempt
+}
+
+function registerQuizHandlers(bot) {
+  // Початок спроби
+  bot.action(/^quiz:start:(\d+)$/, async (ctx) => {
+    try {
+      const telegramId = ctx.from.id
+      const quizId = parseInt(ctx.match[1], 10)
+
+      // Тест доступний, якщо користувач навчається на цій версії курсу і вже відкрив урок
+      const result = await pool.query(`
+        SELECT q.*, l.position AS lesson_position, e.id AS enrollment_id, e.current_lesson, u.has_access
+        FROM quizzes q
+        JOIN lessons l ON l.id = q.lesson_id
+        JOIN enrollments e ON e.course_version_id = l.course_version_id AND e.telegram_id = $2
+        JOIN users u ON u.telegram_id = e.telegram_id
+        WHERE q.id = $1
+      `, [quizId, telegramId])
+      const quiz = result.rows[0]
+
+      if (!quiz || !quiz.has_access || quiz.current_lesson < quiz.lesson_position) {
+        return ctx.answerCbQuery(ctx.t('quiz.unavailable'))
+      }
+
+      const questions = await getQuestions(quizId)
+      if (!questions.length) {
+        return ctx.answerCbQuery(ctx.t('quiz.no_questions'))
+      }
+
+      // Попередня незавершена спроба закривається без оцінки
+      await pool.query(
+        'UPDATE quiz_attempts SET finished_at = NOW() WHERE telegram_id = $1 AND finished_at IS NULL',
+        [telegramId]
+      )
+
+      const attemptResult = await pool.query(`
+        INSERT INTO quiz_attempts (quiz_id, telegram_id, enrollment_id)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `, [quizId, telegramId, quiz.enrollment_id])
+
+      await ctx.answerCbQuery()
+      await ctx.reply(ctx.t('quiz.intro', {
+        title: quiz.title ? ` «${quiz.title}»` : '',
+        count: questions.length,
+        passMark: quiz.pass_mark
+      }))
+      await sendQuestion(ctx, attemptResult.rows[0], questions)
+    } catch (error) {
+      console.error('Помилка при старті тесту:', error)
+      ctx.answerCbQuery(ctx.t('error'))
+    }
+  })
+
+  // Відповідь на питання з одним варіантом
+  bot.action(/^quiz:a:(\d+):(\d+):(\d+)$/, async (ctx) => {
+    try {
+      const attempt = await getAttemptForCallback(ctx)
+      if (!attempt) {
+        return
+      }
+      await ctx.answerCbQuery()
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {})
+      await submitAnswer(ctx, attempt, parseInt(ctx.match[3], 10))
+    } catch (error) {
+      console.error('Помилка при відповіді на тест:', error)
+      ctx.answerCbQuery(ctx.t('error'))
+    }
+  })
+
+  // Вибір/зняття варіанта в питанні з кількома відповідями
+  bot.action(/^quiz:t:(\d+):(\d+):(\d+)$/, async (ctx) => {
+    try {
+      const attempt = await getAttemptForCallback(ctx)
+      if (!attempt) {
+        return
+      }
+
+      const option = parseInt(ctx.match[3], 10)
+      const selection = attempt.selection.includes(option)
+        ? attempt.selection.filter(value => value !== option)
+        : [...attempt.selection, option]
+
+      await pool.query(
+        'UPDATE quiz_attempts SET selection = $1 WHERE id = $2',
+        [JSON.stringify(selection), attempt.id]
+      )
+
+      const questions = await getQuestions(attempt.quiz_id)
+      await ctx.answerCbQuery()
+      await ctx.editMessageReplyMarkup(
+        multipleChoiceKeyboard(ctx, attempt, questions[attempt.current_question], selection).reply_markup
+      )
+    } catch (error) {
+      console.error('Помилка при виборі варіанта:', error)
+      ctx.answerCbQuery(ctx.t('error'))
+    }
+  })
+
+  // Підтвердження відповіді з кількома варіантами
+  bot.action(/^quiz:d:(\d+):(\d+)$/, async (ctx) => {
+    try {
+      const attempt = await getAttemptForCallback(ctx)
+      if (!attempt) {
+        return
+      }
+      if (!attempt.selection.length) {
+        return ctx.answerCbQuery(ctx.t('quiz.select_one'))
+      }
+      await ctx.answerCbQuery()
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {})
+      await submitAnswer(ctx, attempt, attempt.selection)
+    } catch (error) {
+      console.error('Помилка при відповіді на тест:', error)
+      ctx.answerCbQuery(ctx.t('error'))
+    }
+  })
+
+  // Текстова відповідь — тільки якщо поточне питання спроби текстове
+  bot.on('text', async (ctx, next) => {
+    if (ctx.message.text.startsWith('/')) {
+      return next()
+    }
+
+    try {
+      const attempt = await getOpenAttempt(ctx.from.id)
+      if (!attempt) {
+        return next()
+      }
+
+      const questions = await getQuestions(attempt.quiz_id)
+      const question = questions[attempt.current_question]
+      if (!question || question.kind !== 'text') {
+        return next()
+      }
+
+      await submitAnswer(ctx, attempt, ctx.message.text)
+    } catch (error) {
+      console.error('Помилка при текстовій відповіді на тест:', error)
+      ctx.reply(ctx.t('error'))
+    }
+  })
+}
+
+module.exports = {
+  normalizeAnswer,
+  scoreAnswer,
+  summarizeAttempt,
+  validateQuizDefinition,
+  saveQuiz,
+  copyQuizzes,
+  getQuestions,
+  hasPassedQuiz,
+  quizInvite,
+  sendQuizInvite,
+  registerQuizHandlers
+}
@@ -0,0 +1,72 @@
+// Обмеження частоти оновлень від одного користувача (захист від спаму кнопками).
+// Не більше RATE_LIMIT_MAX оновлень за RATE_LIMIT_WINDOW_SECONDS; 0 — вимкнено.
+// Лічильники в пам'яті процесу: після перезапуску обмеження починається заново.
+
+const { t, resolveLanguage } = require('./i18n')
+
+const LIMIT = parseInt(process.env.RATE_LIMIT_MAX || '10', 10)
+const WINDOW_MS = (parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS, 10) || 10) * 1000
+// Коли лічильників стає більше, прибираємо ті, чиє вікно вже минуло
+const SWEEP_THRESHOLD = 5000
+
+const counters = new Map()
+
+function sweep(now) {
+  for (const [userId, counter] of counters) {
+    if (now - counter.startedAt >= WINDOW_MS) {
+      counters.delete(userId)
+    }
+  }
+}
+
+// Чи перевищено ліміт. Повертає 'ok', 'limited' (перше перевищення у вікні) або 'silent'.
+function hit(userId, now = Date.now()) {
+  let counter = counters.get(userId)
+  if (!counter || now - counter.startedAt >= WINDOW_MS) {
+    if (counters.size >= SWEEP_THRESHOLD) {
+      sweep(now)
+    }
+    counter = { startedAt: now, count: 0, warned: false }
+    counters.set(userId, counter)
+  }
+
+  counter.count++
+  if (counter.count <= LIMIT) {
+    return 'ok'
+  }
+  if (counter.warned) {
+    return 'silent'
+  }
+  counter.warned = true
+  return 'limited'
+}
+
+// Middleware Telegraf: зайві оновлення не обробляються, користувач отримує одне попередження за вікно
+function rateLimit() {
+  return async (ctx, next) => {
+    if (!LIMIT || !ctx.from) {
+      return next()
+    }
+
+    const result = hit(ctx.from.id)
+    if (result === 'ok') {
+      return next()
+    }
+
+    // Без запиту до БД: мова з профілю Telegram
+    const message = t(resolveLanguage(ctx.from.language_code), 'rate_limited')
+
+    if (ctx.callbackQuery) {
+      // На натискання кнопки треба відповісти завжди, інакше кнопка "зависне"
+      return ctx.answerCbQuery(result === 'limited' ? message : undefined).catch(() => {})
+    }
+    if (result === 'limited') {
+      console.log(`⏳ Ліміт запитів: ${ctx.from.id}`)
+      if (ctx.chat && ctx.chat.type === 'private') {
+        await ctx.reply(message).catch(() => {})
+      }
+    }
+  }
+}
+
+module.exports = { rateLimit }
@@ -0,0 +1,224 @@
+const { pool } = require('./db')
+const { getLessonsForEnrollment } = require('./catalog')
+const { localNow, resolveUnlockPolicy } = require('./unlock')
+const { checkNextLesson } = require('./progress')
+const { sendWithRetry } = require('./send')
+
+// Нагадування неактивним учням. Правило (reminder_rules) спрацьовує, коли
+// учень не отримував новий урок after_days днів (enrollments.last_lesson_date
+// в часовому поясі курсу), і надсилає шаблон учню або куратору (CURATOR_CHAT_ID).
+// Кожне правило спрацьовує один раз за період неактивності: reminder_log
+// унікальний за (правило, запис на курс, дата останнього уроку).
+
+const TARGETS = ['learner', 'curator']
+
+function getCuratorChatId() {
+  return process.env.CURATOR_CHAT_ID || process.env.MENTOR_CHAT_ID || null
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000))
+}
+
+// Тиха година: вікно [quiet_from, quiet_to) може переходити через північ (22 → 9)
+function isQuietHour(rule, hour) {
+  if (rule.quiet_from === null || rule.quiet_to === null || rule.quiet_from === rule.quiet_to) {
+    return false
+  }
+  return rule.quiet_from < rule.quiet_to
+    ? hour >= rule.quiet_from && hour < rule.quiet_to
+    : hour >= rule.quiet_from || hour < rule.quiet_to
+}
+
+// Підстановка {name}, {user}, {course}, {lesson}, {days} у шаблон
+function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match))
+}
+
+async function listRules() {
+  const result = await pool.query(`
+    SELECT r.*, c.slug AS course_slug
+    FROM reminder_rules r
+    LEFT JOIN courses c ON c.id = r.course_id
+    ORDER BY r.after_days, r.id
+  `)
+  return result.rows
+}
+
+async function createRule({ courseId, afterDays, target, template, quietFrom, quietTo }) {
+  const result = await pool.query(`
+    INSERT INTO reminder_rules (course_id, after_days, target, template, quiet_from, quiet_to)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [courseId || null, afterDays, target, template, quietFrom ?? null, quietTo ?? null])
+  return result.rows[0]
+}
+
+async function setRuleActive(ruleId, isActive) {
+  const result = await pool.query(
+    'UPDATE reminder_rules SET is_active = $2 WHERE id = $1 RETURNING *',
+    [ruleId, isActive]
+  )
+  return result.rows[0] || null
+}
+
+async function deleteRule(ruleId) {
+  const result = await pool.query('DELETE FROM reminder_rules WHERE id = $1 RETURNING id', [ruleId])
+  return result.rows.length > 0
+}
+
+// Учні, які ще не завершили курс (поля як у getEnrollments)
+async function getReminderCandidates() {
+  const result = await pool.query(`
+    SELECT
+      e.*,
+      u.username,
+      u.first_name,
+      u.reminders_opt_out,
+      c.slug AS course_slug,
+      c.title AS course_title,
+      c.timezone AS course_timezone,
+      c.unlock_days AS course_unlock_days,
+      c.unlock_hour AS course_unlock_hour,
+      c.homework_required AS course_homework_required,
+      h.name AS cohort_name,
+      h.timezone AS cohort_timezone,
+      h.unlock_days AS cohort_unlock_days,
+      h.unlock_hour AS cohort_unlock_hour
+    FROM enrollments e
+    JOIN users u ON u.telegram_id = e.telegram_id
+    JOIN courses c ON c.id = e.course_id
+    LEFT JOIN cohorts h ON h.id = e.cohort_id
+    WHERE u.has_access = TRUE
+      AND e.last_lesson_date IS NOT NULL
+      AND e.current_lesson <= (SELECT COUNT(*) FROM lessons l WHERE l.course_version_id = e.course_version_id)
+    ORDER BY e.id
+  `)
+  return result.rows
+}
+
+async function sendReminder(telegram, rule, enrollment, values) {
+  const chatId = rule.target === 'curator' ? getCuratorChatId() : enrollment.telegram_id
+  if (!chatId) {
+    return 'CURATOR_CHAT_ID не встановлено'
+  }
+
+  try {
+    await sendWithRetry(() => telegram.sendMessage(chatId, renderTemplate(rule.template, values)))
+    return null
+  } catch (err) {
+    return err.description || err.message
+  }
+}
+
+// Один прохід нагадувань. Повертає кількість надісланих нагадувань.
+async function runReminderTick(telegram, now = new Date()) {
+  const rules = (await listRules()).filter(rule => rule.is_active)
+  if (!rules.length) {
+    return 0
+  }
+
+  const lessonsCache = new Map()
+  let sent = 0
+
+  for (const enrollment of await getReminderCandidates()) {
+    const matching = rules.filter(rule => !rule.course_id || rule.course_id === enrollment.course_id)
+    if (!matching.length) {
+      continue
+    }
+
+    if (!lessonsCache.has(enrollment.course_version_id)) {
+      lessonsCache.set(enrollment.course_version_id, await getLessonsForEnrollment(enrollment))
+    }
+    const lessons = lessonsCache.get(enrollment.course_version_id)
+
+    // Не нагадуємо, якщо наступний урок ще закритий або ДЗ чекає на ментора
+    const check = await checkNextLesson(enrollment, lessons, now)
+    if (check.status === 'completed' || check.status === 'locked' ||
+        (check.status === 'homework' && check.homeworkStatus === 'pending')) {
+      continue
+    }
+
+    const local = localNow(resolveUnlockPolicy(enrollment).timezone, now)
+    const days = daysBetween(enrollment.last_lesson_date, local.date)
+
+    for (const rule of matching) {
+      if (days < rule.after_days || isQuietHour(rule, local.hour)) {
+        continue
+      }
+      if (rule.target === 'learner' && enrollment.reminders_opt_out) {
+        continue
+      }
+
+      // Спершу фіксуємо нагадування в журналі, щоб паралельний прохід не надіслав його вдруге
+      const claimed = await pool.query(`
+        INSERT INTO reminder_log (rule_id, enrollment_id, telegram_id, inactive_since)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (rule_id, enrollment_id, inactive_since) DO NOTHING
+        RETURNING id
+      `, [rule.id, enrollment.id, enrollment.telegram_id, enrollment.last_lesson_date])
+      if (!claimed.rows.length) {
+        continue
+      }
+
+      const error = await sendReminder(telegram, rule, enrollment, {
+        name: enrollment.first_name || '',
+        user: enrollment.username ? `@${enrollment.username}` : `ID ${enrollment.telegram_id}`,
+        course: enrollment.course_title,
+        lesson: Math.min(enrollment.current_lesson, lessons.length),
+        days
+      })
+      await pool.query(
+        'UPDATE reminder_log SET sent_at = CASE WHEN $2::TEXT IS NULL THEN NOW() END, error = $2 WHERE id = $1',
+        [claimed.rows[0].id, error]
+      )
+
+      if (error) {
+        console.error(`❌ Нагадування #${rule.id} для ${enrollment.telegram_id}: ${error}`)
+      } else {
+        sent++
+        console.log(`🔔 Нагадування #${rule.id} (${rule.target}): ${enrollment.telegram_id}, ${days} дн. без прогресу`)
+      }
+    }
+  }
+
+  return sent
+}
+
+function registerReminderCommands(bot) {
+  // /reminders on|off — учень вмикає або вимикає нагадування
+  bot.command('reminders', async (ctx) => {
+    try {
+      const mode = ctx.message.text.split(/\s+/)[1]
+      if (!['on', 'off'].includes(mode)) {
+        const result = await pool.query(
+          'SELECT reminders_opt_out FROM users WHERE telegram_id = $1',
+          [ctx.from.id]
+        )
+        const optedOut = result.rows.length && result.rows[0].reminders_opt_out
+        return ctx.reply(ctx.t(optedOut ? 'reminders.status_off' : 'reminders.status_on'))
+      }
+
+      await pool.query(
+        'UPDATE users SET reminders_opt_out = $1 WHERE telegram_id = $2',
+        [mode === 'off', ctx.from.id]
+      )
+      await ctx.reply(ctx.t(mode === 'off' ? 'reminders.turned_off' : 'reminders.turned_on'))
+    } catch (error) {
+      console.error('Помилка в /reminders:', error)
+      ctx.reply(ctx.t('error'))
+    }
+  })
+}
+
+module.exports = {
+  TARGETS,
+  isQuietHour,
+  renderTemplate,
+  listRules,
+  createRule,
+  setRuleActive,
+  deleteRule,
+  runReminderTick,
+  registerReminderCommands
+}
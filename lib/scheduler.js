@@ -0,0 +1,171 @@
+const { pool } = require('./db')
+const { getLessonsForEnrollment } = require('./catalog')
+const { localNow } = require('./unlock')
+const {
+  checkNextLesson,
+  advanceEnrollment,
+  markDelivery,
+  sendLesson
+} = require('./progress')
+const { sendWithRetry } = require('./send')
+const { runReminderTick } = require('./reminders')
+const { awardCertificate } = require('./certificates')
+const { inviteToExam, expireExamAttempts } = require('./exam')
+const { DEFAULT_LANGUAGE, t } = require('./i18n')
+
+// Автоматична розсилка уроків: раз на DELIVERY_INTERVAL_MINUTES бот перевіряє
+// учнів, у яких для курсу або потоку задано delivery_hour, і надсилає наступний
+// урок, щойно він відкрився і настала година розсилки (в часовому поясі курсу).
+// Перевірка також виконується одразу після запуску, тож після сну Render
+// пропущені уроки доходять при першому пробудженні. Повторна відправка
+// неможлива: урок видається умовним оновленням enrollments (lib/progress.js).
+// У тому ж проході надсилаються нагадування неактивним учням (lib/reminders.js)
+// і завершуються спроби екзамену, у яких вийшов час (lib/exam.js).
+
+const INTERVAL_MS = (parseInt(process.env.DELIVERY_INTERVAL_MINUTES, 10) || 5) * 60 * 1000
+// Ключ pg_advisory_lock: лише один процес розсилає уроки одночасно
+const LOCK_KEY = 724001
+
+let timer = null
+let running = false
+
+// Учні з увімкненою розсилкою (поля як у getEnrollments + година розсилки та мова учня)
+async function getDeliveryCandidates() {
+  const result = await pool.query(`
+    SELECT
+      e.*,
+      c.slug AS course_slug,
+      c.title AS course_title,
+      c.timezone AS course_timezone,
+      c.unlock_days AS course_unlock_days,
+      c.unlock_hour AS course_unlock_hour,
+      c.homework_required AS course_homework_required,
+      h.name AS cohort_name,
+      h.timezone AS cohort_timezone,
+      h.unlock_days AS cohort_unlock_days,
+      h.unlock_hour AS cohort_unlock_hour,
+      COALESCE(h.delivery_hour, c.delivery_hour) AS delivery_hour,
+      u.language
+    FROM enrollments e
+    JOIN users u ON u.telegram_id = e.telegram_id
+    JOIN courses c ON c.id = e.course_id
+    LEFT JOIN cohorts h ON h.id = e.cohort_id
+    WHERE u.has_access = TRUE
+      AND COALESCE(h.delivery_hour, c.delivery_hour) IS NOT NULL
+      AND e.last_lesson_date IS NOT NULL
+      AND e.current_lesson <= (SELECT COUNT(*) FROM lessons l WHERE l.course_version_id = e.course_version_id)
+    ORDER BY e.id
+  `)
+  return result.rows
+}
+
+// Надсилає наступний урок одному учню, якщо настав час. Повертає true, якщо урок видано.
+async function deliverNext(telegram, enrollment, lessonsCache, now) {
+  const lang = enrollment.language || DEFAULT_LANGUAGE
+  const cacheKey = `${enrollment.course_version_id}:${lang}`
+  if (!lessonsCache.has(cacheKey)) {
+    lessonsCache.set(cacheKey, await getLessonsForEnrollment(enrollment, lang))
+  }
+  const lessons = lessonsCache.get(cacheKey)
+  if (!lessons.length) {
+    return false
+  }
+
+  const check = await checkNextLesson(enrollment, lessons, now)
+  if (check.status !== 'ready' || localNow(check.policy.timezone, now).hour < enrollment.delivery_hour) {
+    return false
+  }
+
+  const advanced = await advanceEnrollment(enrollment, lessons, check.today, 'scheduler')
+  if (!advanced) {
+    return false
+  }
+
+  try {
+    if (advanced.lessonNumber > lessons.length) {
+      await sendWithRetry(() => telegram.sendMessage(enrollment.telegram_id, t(lang, 'course.completed')))
+      await awardCertificate(telegram, enrollment, check.today, lang, sendWithRetry)
+      await inviteToExam(telegram, enrollment, lang, sendWithRetry)
+    } else {
+      await sendLesson(telegram, enrollment.telegram_id, lessons[advanced.lessonNumber - 1], { send: sendWithRetry, lang })
+    }
+    await markDelivery(advanced.deliveryId)
+    console.log(`📬 Розсилка: ${enrollment.telegram_id} отримав урок ${advanced.lessonNumber} (${enrollment.course_slug})`)
+  } catch (err) {
+    // Урок вже зараховано, тому лише фіксуємо помилку (наприклад, учень заблокував бота)
+    await markDelivery(advanced.deliveryId, err.description || err.message)
+    console.error(`❌ Розсилка: не вдалося надіслати урок ${advanced.lessonNumber} користувачу ${enrollment.telegram_id}:`, err.description || err.message)
+  }
+  return true
+}
+
+// Один прохід розсилки. Повертає кількість виданих уроків.
+async function runDeliveryTick(telegram, now = new Date()) {
+  if (running) {
+    return 0
+  }
+  running = true
+
+  const client = await pool.connect()
+  try {
+    const lock = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [LOCK_KEY])
+    if (!lock.rows[0].locked) {
+      return 0
+    }
+
+    try {
+      const lessonsCache = new Map()
+      let delivered = 0
+      for (const enrollment of await getDeliveryCandidates()) {
+        try {
+          if (await deliverNext(telegram, enrollment, lessonsCache, now)) {
+            delivered++
+          }
+        } catch (err) {
+          console.error(`❌ Розсилка: помилка для запису ${enrollment.id}:`, err.message)
+        }
+      }
+      if (delivered) {
+        console.log(`📬 Розсилка завершена: видано уроків ${delivered}`)
+      }
+
+      // Нагадування неактивним учням (після розсилки, щоб не нагадувати тим, хто щойно отримав урок)
+      await runReminderTick(telegram, now)
+
+      // Спроби екзамену, у яких вийшов час, а учень більше не відповідав
+      const expired = await expireExamAttempts(telegram, sendWithRetry)
+      if (expired) {
+        console.log(`⏰ Екзамен: завершено спроб за часом: ${expired}`)
+      }
+      return delivered
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY])
+    }
+  } finally {
+    client.release()
+    running = false
+  }
+}
+
+function startScheduler(bot) {
+  const tick = () => runDeliveryTick(bot.telegram).catch(err => {
+    console.error('❌ Помилка розсилки уроків:', err.message)
+  })
+
+  tick()
+  timer = setInterval(tick, INTERVAL_MS)
+  console.log(`✅ Розсилка уроків: перевірка кожні ${INTERVAL_MS / 60000} хв`)
+}
+
+function stopScheduler() {
+  if (timer) {
+    clearInterval(timer)
+    timer = null
+  }
+}
+
+module.exports = {
+  runDeliveryTick,
+  startScheduler,
+  stopScheduler
+}
@@ -0,0 +1,27 @@
+// Відправка повідомлень з урахуванням лімітів Telegram (масові розсилки)
+
+// Telegram дозволяє ~30 повідомлень на секунду — відправляємо не частіше 20
+const SEND_DELAY_MS = 50
+const MAX_SEND_ATTEMPTS = 3
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Відправка з повтором після 429 (Too Many Requests) через retry_after секунд
+async function sendWithRetry(send) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await send()
+      await sleep(SEND_DELAY_MS)
+      return result
+    } catch (err) {
+      const retryAfter = err.response && err.response.parameters && err.response.parameters.retry_after
+      if (err.code !== 429 || attempt >= MAX_SEND_ATTEMPTS) {
+        throw err
+      }
+      console.log(`⏳ Telegram просить зачекати ${retryAfter || 1} с`)
+      await sleep((retryAfter || 1) * 1000)
+    }
+  }
+}
+
+module.exports = { sleep, sendWithRetry }
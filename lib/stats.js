@@ -0,0 +1,331 @@
+const { pool } = require('./db')
+const { DEFAULT_COURSE_SLUG, getPublishedVersion, getLessons } = require('./catalog')
+const { getCourseBySlug, getCohort } = require('./courses')
+
+// Статистика проходження курсу: активації кодів по партіях, воронка по уроках,
+// медіана днів на урок (lesson_deliveries), результати тестів і ДЗ та точки відтоку.
+// Фільтри: курс, потік і період запису на курс (--from/--to, дати включно).
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/
+
+// Фільтри з аргументів ("--course practice --cohort Март --from 2026-03-01").
+// Спільні для команд бота /stats та /report.
+async function resolveStatsFilters(args) {
+  const getFlag = (name) => {
+    const index = args.indexOf(name)
+    return index !== -1 ? args[index + 1] : undefined
+  }
+
+  const from = getFlag('--from') || null
+  const to = getFlag('--to') || null
+  for (const [flag, value] of [['--from', from], ['--to', to]]) {
+    if (value && (!DATE_RE.test(value) || isNaN(Date.parse(value)))) {
+      throw new Error(`${flag} має бути датою у форматі YYYY-MM-DD`)
+    }
+  }
+
+  const slug = (getFlag('--course') || DEFAULT_COURSE_SLUG).toLowerCase()
+  const course = await getCourseBySlug(slug)
+  if (!course) {
+    throw new Error(`Курс "${slug}" не знайдено`)
+  }
+
+  const cohortName = getFlag('--cohort')
+  const cohort = cohortName ? await getCohort(course.id, cohortName) : null
+  if (cohortName && !cohort) {
+    throw new Error(`Потік "${cohortName}" не знайдено`)
+  }
+
+  return { course, cohort, from, to }
+}
+
+// Записи на курс з урахуванням фільтрів ($1 курс, $2 потік, $3–$4 період)
+const ENROLLMENTS_SQL = `
+  SELECT e.*
+  FROM enrollments e
+  WHERE e.course_id = $1
+    AND ($2::INTEGER IS NULL OR e.cohort_id = $2)
+    AND ($3::DATE IS NULL OR e.created_at >= $3::DATE)
+    AND ($4::DATE IS NULL OR e.created_at < $4::DATE + 1)
+`
+
+function filterParams({ course, cohort, from, to }) {
+  return [course.id, cohort ? cohort.id : null, from, to]
+}
+
+// Активації по партіях кодів (access_codes.label)
+async function getActivationStats(filters) {
+  const { course, cohort, from, to } = filters
+  const result = await pool.query(`
+    SELECT
+      a.label,
+      COUNT(DISTINCT a.id) AS codes,
+      COUNT(r.id) AS activations
+    FROM access_codes a
+    LEFT JOIN code_redemptions r ON r.access_code_id = a.id
+      AND ($3::DATE IS NULL OR r.redeemed_at >= $3::DATE)
+      AND ($4::DATE IS NULL OR r.redeemed_at < $4::DATE + 1)
+    WHERE (a.course_id = $1 OR (a.course_id IS NULL AND $5))
+      AND ($2::INTEGER IS NULL OR a.cohort_id = $2)
+    GROUP BY a.label
+    ORDER BY COUNT(r.id) DESC, a.label NULLS LAST
+  `, [course.id, cohort ? cohort.id : null, from, to, course.slug === DEFAULT_COURSE_SLUG])
+
+  return result.rows.map(row => ({
+    label: row.label,
+    codes: parseInt(row.codes, 10),
+    activations: parseInt(row.activations, 10)
+  }))
+}
+
+// Воронка рахується з журналів (lesson_deliveries, learner_events), а не з поточного
+// стану enrollments: /reset, /restart чи /setlesson не переписують її заднім числом.
+// Почав — отримав хоча б один урок, завершив — є подія course_completed.
+async function getEnrollmentTotals(filters) {
+  const result = await pool.query(`
+    SELECT
+      COUNT(*) AS enrolled,
+      COUNT(*) FILTER (WHERE EXISTS (
+        SELECT 1 FROM lesson_deliveries d WHERE d.enrollment_id = e.id
+      )) AS started,
+      COUNT(*) FILTER (WHERE EXISTS (
+        SELECT 1 FROM learner_events ev WHERE ev.enrollment_id = e.id AND ev.type = 'course_completed'
+      )) AS completed
+    FROM (${ENROLLMENTS_SQL}) e
+  `, filterParams(filters))
+
+  const row = result.rows[0]
+  return {
+    enrolled: parseInt(row.enrolled, 10),
+    started: parseInt(row.started, 10),
+    completed: parseInt(row.completed, 10)
+  }
+}
+
+// Скільки учнів дійшло до кожного уроку: найдальший коли-небудь виданий урок
+// (lesson_deliveries) не менший за номер уроку
+async function getReachedCounts(filters, lessonsCount) {
+  const result = await pool.query(`
+    WITH furthest AS (
+      SELECT d.enrollment_id, MAX(d.lesson_position) AS lesson_position
+      FROM lesson_deliveries d
+      JOIN (${ENROLLMENTS_SQL}) e ON e.id = d.enrollment_id
+      GROUP BY d.enrollment_id
+    )
+    SELECT p.position, COUNT(f.enrollment_id) AS reached
+    FROM generate_series(1, $5) AS p(position)
+    LEFT JOIN furthest f ON f.lesson_position >= p.position
+    GROUP BY p.position
+    ORDER BY p.position
+  `, [...filterParams(filters), lessonsCount])
+
+  return new Map(result.rows.map(row => [row.position, parseInt(row.reached, 10)]))
+}
+
+// Медіана днів між отриманням уроку та наступного уроку
+async function getMedianDays(filters) {
+  const result = await pool.query(`
+    WITH delivered AS (
+      SELECT d.enrollment_id, d.lesson_position, MIN(d.created_at) AS delivered_at
+      FROM lesson_deliveries d
+      JOIN (${ENROLLMENTS_SQL}) e ON e.id = d.enrollment_id
+      GROUP BY d.enrollment_id, d.lesson_position
+    ),
+    spans AS (
+      SELECT
+        lesson_position,
+        delivered_at,
+        LEAD(lesson_position) OVER w AS next_position,
+        LEAD(delivered_at) OVER w AS next_delivered_at
+      FROM delivered
+      WINDOW w AS (PARTITION BY enrollment_id ORDER BY lesson_position)
+    )
+    SELECT
+      lesson_position,
+      PERCENTILE_CONT(0.5) WITHIN GROUP (
+        ORDER BY EXTRACT(EPOCH FROM next_delivered_at - delivered_at) / 86400
+      ) AS median_days
+    FROM spans
+    WHERE next_position = lesson_position + 1
+    GROUP BY lesson_position
+  `, filterParams(filters))
+
+  return new Map(result.rows.map(row => [row.lesson_position, parseFloat(row.median_days)]))
+}
+
+// Тести: скільки учнів проходили тест уроку і скільки склали
+async function getQuizStats(filters) {
+  const result = await pool.query(`
+    SELECT
+      l.position,
+      COUNT(DISTINCT a.enrollment_id) AS attempted,
+      COUNT(DISTINCT a.enrollment_id) FILTER (WHERE a.passed) AS passed
+    FROM quiz_attempts a
+    JOIN (${ENROLLMENTS_SQL}) e ON e.id = a.enrollment_id
+    JOIN quizzes q ON q.id = a.quiz_id
+    JOIN lessons l ON l.id = q.lesson_id
+    WHERE a.finished_at IS NOT NULL
+    GROUP BY l.position
+  `, filterParams(filters))
+
+  return new Map(result.rows.map(row => [row.position, {
+    attempted: parseInt(row.attempted, 10),
+    passed: parseInt(row.passed, 10)
+  }]))
+}
+
+// ДЗ: скільки учнів здали домашнє завдання уроку і скільки з них схвалено
+async function getHomeworkStats(filters) {
+  const result = await pool.query(`
+    SELECT
+      h.lesson_position,
+      COUNT(DISTINCT h.enrollment_id) AS submitted,
+      COUNT(DISTINCT h.enrollment_id) FILTER (WHERE h.status = 'approved') AS approved
+    FROM homework_submissions h
+    JOIN (${ENROLLMENTS_SQL}) e ON e.id = h.enrollment_id
+    GROUP BY h.lesson_position
+  `, filterParams(filters))
+
+  return new Map(result.rows.map(row => [row.lesson_position, {
+    submitted: parseInt(row.submitted, 10),
+    approved: parseInt(row.approved, 10)
+  }]))
+}
+
+function percent(part, total) {
+  return total ? Math.round((part / total) * 100) : 0
+}
+
+// Повний звіт по курсу. Назви уроків — з опублікованої версії.
+async function getCourseStats(filters) {
+  const version = await getPublishedVersion(filters.course.id)
+  const lessons = version ? await getLessons(version.id) : []
+
+  const totals = await getEnrollmentTotals(filters)
+  const reached = await getReachedCounts(filters, lessons.length)
+  const medianDays = await getMedianDays(filters)
+  const quizzes = await getQuizStats(filters)
+  const homework = await getHomeworkStats(filters)
+
+  const funnel = lessons.map(lesson => {
+    const count = reached.get(lesson.position) || 0
+    // Для останнього уроку "пішли далі" — завершили курс
+    const next = lesson.position < lessons.length ? reached.get(lesson.position + 1) || 0 : totals.completed
+    return {
+      position: lesson.position,
+      title: lesson.title,
+      reached: count,
+      reachedPercent: percent(count, totals.started),
+      dropped: count - next,
+      dropPercent: percent(count - next, count),
+      medianDays: medianDays.has(lesson.position) ? medianDays.get(lesson.position) : null,
+      quiz: quizzes.get(lesson.position) || null,
+      homework: homework.get(lesson.position) || null
+    }
+  })
+
+  return {
+    filters,
+    activations: await getActivationStats(filters),
+    totals,
+    funnel
+  }
+}
+
+function describeFilters({ course, cohort, from, to }) {
+  return `${course.title} (${course.slug})` +
+    (cohort ? `, поток ${cohort.name}` : '') +
+    (from || to ? `, ${from || '…'} — ${to || '…'}` : '')
+}
+
+// Текст для /stats
+function formatStatsMessage(stats) {
+  const { activations, totals, funnel } = stats
+  const lines = [`📊 Статистика: ${describeFilters(stats.filters)}`, '']
+
+  lines.push('🔑 Активации по партиям:')
+  if (activations.length) {
+    activations.forEach(batch => {
+      lines.push(`${batch.label || 'без метки'}: ${batch.activations} (кодов: ${batch.codes})`)
+    })
+  } else {
+    lines.push('—')
+  }
+
+  lines.push('', `👥 Записано: ${totals.enrolled}, начали: ${totals.started}, завершили: ${totals.completed} (${percent(totals.completed, totals.started)}%)`)
+
+  lines.push('', '📉 Воронка по урокам:')
+  funnel.forEach(step => {
+    const parts = [`${step.position}. ${step.reached} (${step.reachedPercent}%)`]
+    if (step.medianDays !== null) {
+      parts.push(`медиана ${step.medianDays.toFixed(1)} дн.`)
+    }
+    if (step.quiz) {
+      parts.push(`тест ${step.quiz.passed}/${step.quiz.attempted}`)
+    }
+    if (step.homework) {
+      parts.push(`ДЗ ${step.homework.approved}/${step.homework.submitted}`)
+    }
+    lines.push(parts.join(' · '))
+  })
+
+  const dropOffs = funnel
+    .filter(step => step.dropped > 0)
+    .sort((a, b) => b.dropped - a.dropped)
+    .slice(0, 3)
+  if (dropOffs.length) {
+    lines.push('', '🚪 Где уходят чаще всего:')
+    dropOffs.forEach(step => {
+      lines.push(`${step.title}: ${step.dropped} (${step.dropPercent}%)`)
+    })
+  }
+
+  return lines.join('\n')
+}
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// CSV з BOM, щоб Excel коректно відкривав кирилицю
+function toCsv(header, rows) {
+  return '\uFEFF' + [header, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n'
+}
+
+// Файли для /report: воронка по уроках та активації по партіях
+function formatStatsCsv(stats) {
+  const lessons = toCsv(
+    [
+      'position', 'title', 'reached', 'reached_percent', 'dropped', 'drop_percent', 'median_days',
+      'quiz_attempted', 'quiz_passed', 'homework_submitted', 'homework_approved'
+    ],
+    stats.funnel.map(step => [
+      step.position,
+      step.title,
+      step.reached,
+      step.reachedPercent,
+      step.dropped,
+      step.dropPercent,
+      step.medianDays === null ? '' : step.medianDays.toFixed(2),
+      step.quiz ? step.quiz.attempted : '',
+      step.quiz ? step.quiz.passed : '',
+      step.homework ? step.homework.submitted : '',
+      step.homework ? step.homework.approved : ''
+    ])
+  )
+
+  const activations = toCsv(
+    ['label', 'codes', 'activations'],
+    stats.activations.map(batch => [batch.label || '', batch.codes, batch.activations])
+  )
+
+  return { lessons, activations }
+}
+
+module.exports = {
+  resolveStatsFilters,
+  getCourseStats,
+  formatStatsMessage,
+  formatStatsCsv
+}
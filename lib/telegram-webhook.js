@@ -0,0 +1,96 @@
+const crypto = require('crypto')
+const { pool } = require('./db')
+
+// Вхідний webhook Telegram. Шлях не містить токена бота: він виводиться з
+// секрету, а кожен запит перевіряється за заголовком
+// X-Telegram-Bot-Api-Secret-Token (secret_token у setWebhook).
+// Секрет — WEBHOOK_SECRET або, якщо його не задано, HMAC від BOT_TOKEN.
+// Повторно надіслані Telegram оновлення (той самий update_id) відкидаються:
+// доставка — не більше одного разу (at-most-once).
+
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token'
+// Скільки зберігаємо update_id для відсіювання повторів
+const UPDATE_TTL_HOURS = 24
+// Чистимо старі update_id приблизно раз на стільки оновлень
+const CLEANUP_EVERY = 500
+
+function getWebhookSecret() {
+  if (process.env.WEBHOOK_SECRET) {
+    return process.env.WEBHOOK_SECRET
+  }
+  return crypto.createHmac('sha256', process.env.BOT_TOKEN).update('telegram-webhook').digest('hex')
+}
+
+// Шлях webhook: незмінний між перезапусками, але не розкриває ні токен, ні секрет
+function getWebhookPath() {
+  const hash = crypto.createHash('sha256').update(`path:${getWebhookSecret()}`).digest('hex')
+  return `/telegram/${hash.slice(0, 32)}`
+}
+
+function isValidSecret(header) {
+  const provided = Buffer.from(header || '')
+  const expected = Buffer.from(getWebhookSecret())
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected)
+}
+
+// Фіксує update_id. false — оновлення вже оброблялося (повтор від Telegram).
+async function claimUpdate(updateId) {
+  const result = await pool.query(
+    'INSERT INTO telegram_updates (update_id) VALUES ($1) ON CONFLICT (update_id) DO NOTHING RETURNING update_id',
+    [updateId]
+  )
+  if (updateId % CLEANUP_EVERY === 0) {
+    await cleanupUpdates()
+  }
+  return result.rows.length > 0
+}
+
+async function cleanupUpdates() {
+  await pool.query(
+    'DELETE FROM telegram_updates WHERE received_at < NOW() - $1 * INTERVAL \'1 hour\'',
+    [UPDATE_TTL_HOURS]
+  )
+}
+
+// Express-обробник: відповідає Telegram лише після обробки оновлення.
+// Кожне оновлення обробляється не більше одного разу: помилки обробників перехоплює
+// bot.catch (учень отримує error.unexpected), а update_id лишається зафіксованим,
+// тож повтор від Telegram не виконає вже частково оброблене оновлення вдруге.
+function createWebhookHandler(bot) {
+  return async (req, res) => {
+    if (!isValidSecret(req.get(SECRET_HEADER))) {
+      return res.sendStatus(401)
+    }
+
+    const update = req.body
+    if (!update || !Number.isInteger(update.update_id)) {
+      return res.sendStatus(400)
+    }
+
+    try {
+      if (!(await claimUpdate(update.update_id))) {
+        console.log(`🔁 Повторне оновлення ${update.update_id} пропущено`)
+        return res.sendStatus(200)
+      }
+    } catch (err) {
+      // Оновлення ще не оброблялося — Telegram повторить його після 500
+      console.error('Помилка при реєстрації оновлення:', err.message)
+      return res.sendStatus(500)
+    }
+
+    try {
+      await bot.handleUpdate(update)
+    } catch (err) {
+      // Сюди доходить лише те, що не перехопив bot.catch
+      console.error(`Помилка обробки оновлення ${update.update_id}:`, err)
+    }
+    res.sendStatus(200)
+  }
+}
+
+module.exports = {
+  getWebhookSecret,
+  getWebhookPath,
+  cleanupUpdates,
+  createWebhookHandler
+}
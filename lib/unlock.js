@@ -0,0 +1,94 @@
+// Політика відкриття уроків: наступний урок відкривається через N днів
+// після попереднього о фіксованій місцевій годині в часовому поясі курсу.
+// Налаштування потоку (cohort) перевизначають налаштування курсу.
+
+const { t } = require('./i18n')
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Tbilisi'
+
+// Перевіряє, що часовий пояс відомий Intl (наприклад, Asia/Tbilisi)
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+// Місцеві дата (YYYY-MM-DD) та година в часовому поясі
+function localNow(timezone, now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now)
+  const get = (type) => parts.find(part => part.type === type).value
+
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    hour: parseInt(get('hour'), 10)
+  }
+}
+
+function localToday(timezone) {
+  return localNow(timezone).date
+}
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`)
+  result.setUTCDate(result.getUTCDate() + days)
+  return result.toISOString().split('T')[0]
+}
+
+// Політика для запису на курс (рядок з getEnrollments містить поля курсу та потоку)
+function resolveUnlockPolicy(enrollment) {
+  return {
+    timezone: enrollment.cohort_timezone || enrollment.course_timezone || DEFAULT_TIMEZONE,
+    days: enrollment.cohort_unlock_days ?? enrollment.course_unlock_days ?? 1,
+    hour: enrollment.cohort_unlock_hour ?? enrollment.course_unlock_hour ?? 0
+  }
+}
+
+// Чи відкрито наступний урок, і якщо ні — коли він відкриється
+function checkUnlock(policy, lastLessonDate, now = new Date()) {
+  if (!lastLessonDate || policy.days <= 0) {
+    return { unlocked: true }
+  }
+
+  const unlockDate = addDays(lastLessonDate, policy.days)
+  const local = localNow(policy.timezone, now)
+  const unlocked = local.date > unlockDate ||
+    (local.date === unlockDate && local.hour >= policy.hour)
+
+  return { unlocked, unlockDate, unlockHour: policy.hour, today: local.date }
+}
+
+// Повідомлення для учня, коли урок ще закритий (lang — мова учня)
+function formatUnlockMessage(policy, unlock, lang) {
+  if (unlock.unlockDate === addDays(unlock.today, 1) && unlock.unlockHour === 0) {
+    return t(lang, 'unlock.tomorrow')
+  }
+
+  const time = `${String(unlock.unlockHour).padStart(2, '0')}:00`
+  if (unlock.unlockDate === unlock.today) {
+    return t(lang, 'unlock.today', { time, timezone: policy.timezone })
+  }
+
+  const [year, month, day] = unlock.unlockDate.split('-')
+  return t(lang, 'unlock.date', { date: `${day}.${month}.${year}`, time, timezone: policy.timezone })
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  localNow,
+  localToday,
+  addDays,
+  resolveUnlockPolicy,
+  checkUnlock,
+  formatUnlockMessage
+}
@@ -0,0 +1,288 @@
+const crypto = require('crypto')
+const { pool } = require('./db')
+
+// Вихідні вебхуки: зовнішні системи (CRM тощо) отримують POST, коли учень
+// досягає етапу курсу. Доставка ставиться в чергу (webhook_deliveries) у тій
+// самій транзакції, що й подія журналу (recordEvent), тож відкочені зміни
+// не породжують вебхуків. Черга розбирається раз на WEBHOOK_INTERVAL_SECONDS
+// з повторами за експоненційною затримкою.
+//
+// Тіло запиту підписується HMAC-SHA256 секретом endpoint'а:
+//   X-Webhook-Signature: sha256=HEX(HMAC(secret, `${X-Webhook-Timestamp}.${body}`))
+
+const WEBHOOK_EVENTS = [
+  'code_activated',    // активовано код доступу
+  'lesson_reached',    // видано урок (можна обмежити номерами уроків)
+  'course_completed',  // 🎓 Курс завершено
+  'homework_approved', // ментор зарахував ДЗ
+  'exam_passed'        // складено підсумковий екзамен (допуск до практики)
+]
+
+const INTERVAL_MS = (parseInt(process.env.WEBHOOK_INTERVAL_SECONDS, 10) || 30) * 1000
+const REQUEST_TIMEOUT_MS = 10000
+const MAX_ATTEMPTS = 8
+const BATCH_SIZE = 20
+// Затримка перед повтором: 1, 2, 4 … 64 хв
+const BASE_DELAY_MINUTES = 1
+// Доставка, взята в роботу, не береться іншим процесом цей час
+const LEASE_MINUTES = 2
+
+let timer = null
+let running = false
+
+// Подія журналу → тип вебхука (null — подія не цікава зовнішнім системам)
+function toWebhookEvent(event) {
+  switch (event.type) {
+    case 'code_activated':
+      return 'code_activated'
+    case 'lesson_delivered':
+      return 'lesson_reached'
+    case 'course_completed':
+      return 'course_completed'
+    case 'homework_reviewed':
+      return event.metadata.status === 'approved' ? 'homework_approved' : null
+    case 'exam_finished':
+      return event.metadata.passed ? 'exam_passed' : null
+    default:
+      return null
+  }
+}
+
+async function listEndpoints() {
+  const result = await pool.query(`
+    SELECT w.*, c.slug AS course_slug
+    FROM webhook_endpoints w
+    LEFT JOIN courses c ON c.id = w.course_id
+    ORDER BY w.id
+  `)
+  return result.rows
+}
+
+// Новий endpoint із власним секретом підпису
+async function createEndpoint({ url, events, lessons, courseId }) {
+  const result = await pool.query(`
+    INSERT INTO webhook_endpoints (url, secret, events, lessons, course_id)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [url, crypto.randomBytes(24).toString('hex'), events, lessons && lessons.length ? lessons : null, courseId || null])
+  return result.rows[0]
+}
+
+async function setEndpointActive(endpointId, isActive) {
+  const result = await pool.query(
+    'UPDATE webhook_endpoints SET is_active = $2 WHERE id = $1 RETURNING *',
+    [endpointId, isActive]
+  )
+  return result.rows[0] || null
+}
+
+async function deleteEndpoint(endpointId) {
+  const result = await pool.query('DELETE FROM webhook_endpoints WHERE id = $1 RETURNING id', [endpointId])
+  return result.rows.length > 0
+}
+
+// Ставить у чергу доставки для подій журналу. db — client транзакції recordEvent.
+async function enqueueWebhooks(event, db = pool) {
+  const type = toWebhookEvent(event)
+  if (!type) {
+    return 0
+  }
+
+  const endpoints = await db.query(`
+    SELECT w.id
+    FROM webhook_endpoints w
+    WHERE w.is_active = TRUE
+      AND $1 = ANY(w.events)
+      AND (w.course_id IS NULL OR w.course_id = $2)
+      AND ($1 <> 'lesson_reached' OR w.lessons IS NULL OR $3 = ANY(w.lessons))
+  `, [type, event.course_id, event.lesson_position])
+  if (!endpoints.rows.length) {
+    return 0
+  }
+
+  const course = event.course_id
+    ? await db.query('SELECT slug FROM courses WHERE id = $1', [event.course_id])
+    : { rows: [] }
+  const payload = {
+    event: type,
+    event_id: Number(event.id),
+    occurred_at: event.created_at,
+    data: {
+      telegram_id: Number(event.telegram_id),
+      course: course.rows.length ? course.rows[0].slug : null,
+      lesson: type === 'course_completed' ? null : event.lesson_position,
+      ...event.metadata
+    }
+  }
+
+  await db.query(`
+    INSERT INTO webhook_deliveries (endpoint_id, learner_event_id, event_type, payload)
+    SELECT id, $2, $3, $4 FROM UNNEST($1::INTEGER[]) AS id
+  `, [endpoints.rows.map(row => row.id), event.id, type, JSON.stringify(payload)])
+  return endpoints.rows.length
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+}
+
+// Затримка перед наступною спробою (attempts — скільки спроб уже зроблено)
+function retryDelayMinutes(attempts) {
+  return BASE_DELAY_MINUTES * 2 ** (attempts - 1)
+}
+
+// Один POST. Повертає HTTP-статус; мережеві помилки та таймаут — виняток.
+async function postDelivery(delivery) {
+  const body = JSON.stringify({ id: Number(delivery.id), ...delivery.payload })
+  const timestamp = Math.floor(Date.now() / 1000)
+
+  const response = await fetch(delivery.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'PON-School-Bot-Webhooks',
+      'X-Webhook-Event': delivery.event_type,
+      'X-Webhook-Delivery': String(delivery.id),
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, body)}`
+    },
+    body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  })
+  // Тіло відповіді не потрібне, але його треба дочитати, щоб звільнити з'єднання
+  await response.text().catch(() => {})
+  return response.status
+}
+
+async function attemptDelivery(delivery) {
+  let status = null
+  let error = null
+  try {
+    status = await postDelivery(delivery)
+    if (status < 200 || status >= 300) {
+      error = `HTTP ${status}`
+    }
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `таймаут ${REQUEST_TIMEOUT_MS / 1000} с` : err.message
+  }
+
+  const attempts = delivery.attempts + 1
+  if (!error) {
+    await pool.query(`
+      UPDATE webhook_deliveries
+      SET status = 'delivered', attempts = $2, response_status = $3, last_error = NULL, delivered_at = NOW()
+      WHERE id = $1
+    `, [delivery.id, attempts, status])
+    return true
+  }
+
+  const failed = attempts >= MAX_ATTEMPTS
+  await pool.query(`
+    UPDATE webhook_deliveries
+    SET status = $2, attempts = $3, response_status = $4, last_error = $5,
+        next_attempt_at = NOW() + $6 * INTERVAL '1 minute'
+    WHERE id = $1
+  `, [delivery.id, failed ? 'failed' : 'pending', attempts, status, error, retryDelayMinutes(attempts)])
+  console.error(`❌ Вебхук #${delivery.id} (${delivery.event_type} → ${delivery.url}), спроба ${attempts}: ${error}` +
+    (failed ? ' — більше не повторюємо' : ''))
+  return false
+}
+
+// Один прохід черги. Доставки беруться з орендою (next_attempt_at зсувається
+// вперед), тому паралельні процеси не надсилають той самий вебхук. Поставлені доставки
+// вимкненого endpoint'а чекають у черзі й підуть після повторного увімкнення.
+async function runWebhookTick() {
+  if (running) {
+    return 0
+  }
+  running = true
+
+  try {
+    const result = await pool.query(`
+      WITH due AS (
+        SELECT d.id
+        FROM webhook_deliveries d
+        JOIN webhook_endpoints w ON w.id = d.endpoint_id
+        WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND w.is_active
+        ORDER BY d.id
+        LIMIT $1
+        FOR UPDATE OF d SKIP LOCKED
+      )
+      UPDATE webhook_deliveries d
+      SET next_attempt_at = NOW() + $2 * INTERVAL '1 minute'
+      FROM due, webhook_endpoints w
+      WHERE d.id = due.id AND w.id = d.endpoint_id
+      RETURNING d.*, w.url, w.secret
+    `, [BATCH_SIZE, LEASE_MINUTES])
+
+    let delivered = 0
+    for (const delivery of result.rows.sort((a, b) => a.id - b.id)) {
+      if (await attemptDelivery(delivery)) {
+        delivered++
+      }
+    }
+    if (delivered) {
+      console.log(`🔗 Вебхуки: доставлено ${delivered}`)
+    }
+    return delivered
+  } finally {
+    running = false
+  }
+}
+
+// Журнал доставок від нових до старих
+async function listDeliveries({ endpointId, status, limit = 20 } = {}) {
+  const result = await pool.query(`
+    SELECT d.*, w.url
+    FROM webhook_deliveries d
+    JOIN webhook_endpoints w ON w.id = d.endpoint_id
+    WHERE ($1::INTEGER IS NULL OR d.endpoint_id = $1)
+      AND ($2::TEXT IS NULL OR d.status = $2)
+    ORDER BY d.id DESC
+    LIMIT $3
+  `, [endpointId || null, status || null, limit])
+  return result.rows
+}
+
+// Повертає невдалі доставки в чергу (усі або одного endpoint'а). Повертає кількість.
+async function retryFailedDeliveries(endpointId) {
+  const result = await pool.query(`
+    UPDATE webhook_deliveries
+    SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+    WHERE status = 'failed' AND ($1::INTEGER IS NULL OR endpoint_id = $1)
+    RETURNING id
+  `, [endpointId || null])
+  return result.rows.length
+}
+
+function startWebhooks() {
+  const tick = () => runWebhookTick().catch(err => {
+    console.error('❌ Помилка доставки вебхуків:', err.message)
+  })
+
+  tick()
+  timer = setInterval(tick, INTERVAL_MS)
+  console.log(`✅ Вебхуки: перевірка черги кожні ${INTERVAL_MS / 1000} с`)
+}
+
+function stopWebhooks() {
+  if (timer) {
+    clearInterval(timer)
+    timer = null
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  listEndpoints,
+  createEndpoint,
+  setEndpointActive,
+  deleteEndpoint,
+  enqueueWebhooks,
+  signPayload,
+  runWebhookTick,
+  listDeliveries,
+  retryFailedDeliveries,
+  startWebhooks,
+  stopWebhooks
+}
@@ -0,0 +1,735 @@
+require('dotenv').config()
+const fs = require('fs')
+const path = require('path')
+const yaml = require('js-yaml')
+const { pool, withTransaction } = require('./lib/db')
+const { migrate } = require('./lib/migrate')
+const {
+  DEFAULT_COURSE_SLUG,
+  getPublishedVersion,
+  getVersion,
+  getEditableVersion,
+  listVersions,
+  saveTranslation,
+  listTranslations,
+  createDraftVersion,
+  createVersionFromContent,
+  publishVersion,
+  migrateEnrollments
+} = require('./lib/catalog')
+const {
+  listCourses,
+  getCourseBySlug,
+  createCourse,
+  listCohorts,
+  getCohort,
+  createCohort,
+  setUnlockPolicy,
+  setHomeworkRequired,
+  setDefaultLanguage,
+  setDeliveryHour
+} = require('./lib/courses')
+const { isValidTimezone } = require('./lib/unlock')
+const { validateQuizDefinition, saveQuiz } = require('./lib/quiz')
+const { validateExamDefinition, saveExam, getExam, setExamActive, getExamTopics } = require('./lib/exam')
+const { listRules, createRule, setRuleActive, deleteRule } = require('./lib/reminders')
+const { findProgressMismatches, restoreProgress } = require('./lib/events')
+const {
+  WEBHOOK_EVENTS,
+  listEndpoints,
+  createEndpoint,
+  setEndpointActive,
+  deleteEndpoint,
+  listDeliveries,
+  retryFailedDeliveries
+} = require('./lib/webhooks')
+const { ATTACHMENT_KINDS, addAttachment } = require('./lib/lesson-media')
+const { LANGUAGES, isLanguage } = require('./lib/i18n')
+const {
+  CONTENT_FORMATS,
+  detectFormat,
+  parseCourseContent,
+  validateCourseContent,
+  checkLinks,
+  diffCourseContent,
+  formatChange,
+  getCourseContent,
+  serializeCourseContent
+} = require('./lib/course-content')
+
+// Керування курсами, потоками та версіями каталогу уроків.
+// Команди версій працюють з курсом --course (за замовчуванням — theory).
+// set-quiz, translate та attach змінюють лише чернетку (за замовчуванням — останню):
+//   node manage-course.js courses
+//   node manage-course.js create-course --slug practice --title "Практический курс"
+//   node manage-course.js cohorts [--course slug]
+//   node manage-course.js create-cohort --name "Март" [--starts 2025-03-01] [--course slug]
+//   node manage-course.js set-unlock [--days N] [--hour H] [--timezone TZ] [--cohort NAME] [--course slug]
+//   node manage-course.js set-homework on|off [--course slug]
+//   node manage-course.js set-delivery --hour H|--off [--cohort NAME] [--course slug]
+//   node manage-course.js set-language --lang ru|uk|en|ka [--course slug]
+//   node manage-course.js list [--course slug]
+//   node manage-course.js draft [--from N] [--course slug]
+//   node manage-course.js publish N [--course slug]
+//   node manage-course.js migrate --from N --to M [--course slug]
+//   node manage-course.js import --file course.yaml|json|csv [--dry-run] [--check-links] [--publish] [--course slug]
+//   node manage-course.js export [--format yaml|json|csv] [--out файл] [--version V] [--course slug]
+//   node manage-course.js set-quiz --lesson N --file quiz.json [--version V] [--course slug]
+//   node manage-course.js set-exam --file exam.yaml|json [--course slug]
+//   node manage-course.js exam|exam-on|exam-off [--course slug]
+//   node manage-course.js translate --lesson N --lang uk|en|ka --file lesson.json [--version V] [--course slug]
+//   node manage-course.js attach --lesson N --kind video|audio|document|photo|... --url URL [--caption "..."] [--version V] [--course slug]
+//   node manage-course.js reminders
+//   node manage-course.js add-reminder --days N --text "..." [--curator] [--quiet 22-9] [--course slug]
+//   node manage-course.js reminder-on|reminder-off|remove-reminder ID
+//   node manage-course.js replay [--apply] [--course slug]
+//   node manage-course.js webhooks
+//   node manage-course.js add-webhook --url URL --events code_activated,lesson_reached,... [--lessons 3,5] [--course slug]
+//   node manage-course.js webhook-on|webhook-off|remove-webhook ID
+//   node manage-course.js webhook-log [--endpoint ID] [--status pending|delivered|failed]
+//   node manage-course.js retry-webhooks [--endpoint ID]
+
+function getFlag(args, name) {
+  const index = args.indexOf(name)
+  return index !== -1 ? args[index + 1] : undefined
+}
+
+function toPositiveInt(value, label) {
+  const number = parseInt(value, 10)
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Вкажи додатне ціле число: ${label}`)
+  }
+  return number
+}
+
+async function resolveCourse(args) {
+  const slug = getFlag(args, '--course') || DEFAULT_COURSE_SLUG
+  const course = await getCourseBySlug(slug)
+  if (!course) {
+    throw new Error(`Курс "${slug}" не знайдено`)
+  }
+  return course
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2)
+
+  // Схема БД та сама, що й у бота: незастосовані міграції виконуються до команди
+  await migrate()
+
+  switch (command) {
+    case 'courses': {
+      const courses = await listCourses()
+      console.log('📚 Курси:\n')
+      courses.forEach(c => console.log(`   ${c.slug} — ${c.title}`))
+      break
+    }
+
+    case 'create-course': {
+      const slug = getFlag(args, '--slug')
+      const title = getFlag(args, '--title')
+      if (!slug || !title) {
+        throw new Error('Вкажи --slug та --title')
+      }
+      const course = await createCourse({ slug: slug.toLowerCase(), title, description: getFlag(args, '--description') })
+      console.log(`✅ Курс "${course.slug}" створено з порожньою чернеткою v1`)
+      console.log('💡 Додай уроки в таблицю lessons і опублікуй:')
+      console.log(`   npm run course -- publish 1 --course ${course.slug}`)
+      break
+    }
+
+    case 'cohorts': {
+      const course = await resolveCourse(args)
+      const cohorts = await listCohorts(course.id)
+      console.log(`👥 Потоки курсу ${course.slug}:\n`)
+      cohorts.forEach(h => {
+        console.log(`   ${h.name}${h.starts_on ? ` (старт ${h.starts_on})` : ''}`)
+      })
+      break
+    }
+
+    case 'create-cohort': {
+      const course = await resolveCourse(args)
+      const name = getFlag(args, '--name')
+      if (!name) {
+        throw new Error('Вкажи --name')
+      }
+      const cohort = await createCohort({ courseId: course.id, name, startsOn: getFlag(args, '--starts') })
+      console.log(`✅ Потік "${cohort.name}" створено для курсу ${course.slug} (id=${cohort.id})`)
+      break
+    }
+
+    case 'set-unlock': {
+      const course = await resolveCourse(args)
+      const cohortName = getFlag(args, '--cohort')
+      const cohort = cohortName ? await getCohort(course.id, cohortName) : null
+      if (cohortName && !cohort) {
+        throw new Error(`Потік "${cohortName}" не знайдено`)
+      }
+
+      const timezone = getFlag(args, '--timezone')
+      const days = getFlag(args, '--days')
+      const hour = getFlag(args, '--hour')
+      if (timezone && !isValidTimezone(timezone)) {
+        throw new Error(`Невідомий часовий пояс: ${timezone}`)
+      }
+      if (days !== undefined && !/^\d+$/.test(days)) {
+        throw new Error('--days має бути цілим числом ≥ 0')
+      }
+      if (hour !== undefined && (!/^\d+$/.test(hour) || parseInt(hour, 10) > 23)) {
+        throw new Error('--hour має бути від 0 до 23')
+      }
+
+      const updated = await setUnlockPolicy({
+        courseId: course.id,
+        cohortId: cohort && cohort.id,
+        timezone,
+        days: days !== undefined ? parseInt(days, 10) : undefined,
+        hour: hour !== undefined ? parseInt(hour, 10) : undefined
+      })
+      const target = cohort ? `потоку "${cohort.name}"` : `курсу ${course.slug}`
+      console.log(`✅ Політику відкриття уроків ${target} оновлено:`)
+      console.log(`   Днів між уроками: ${updated.unlock_days ?? 'як у курсі'}`)
+      console.log(`   Година відкриття: ${updated.unlock_hour ?? 'як у курсі'}`)
+      console.log(`   Часовий пояс: ${updated.timezone ?? 'як у курсі'}`)
+      break
+    }
+
+    case 'set-homework': {
+      const course = await resolveCourse(args)
+      if (!['on', 'off'].includes(args[0])) {
+        throw new Error('Вкажи on або off')
+      }
+      await setHomeworkRequired(course.id, args[0] === 'on')
+      console.log(args[0] === 'on'
+        ? `✅ Курс ${course.slug}: наступний урок відкривається тільки після схвалення ДЗ ментором`
+        : `✅ Курс ${course.slug}: схвалення ДЗ для переходу до наступного уроку не потрібне`)
+      break
+    }
+
+    case 'set-delivery': {
+      const course = await resolveCourse(args)
+      const cohortName = getFlag(args, '--cohort')
+      const cohort = cohortName ? await getCohort(course.id, cohortName) : null
+      if (cohortName && !cohort) {
+        throw new Error(`Потік "${cohortName}" не знайдено`)
+      }
+
+      const hour = getFlag(args, '--hour')
+      if (!args.includes('--off') && (!/^\d+$/.test(hour || '') || parseInt(hour, 10) > 23)) {
+        throw new Error('Вкажи --hour від 0 до 23 або --off')
+      }
+
+      await setDeliveryHour({
+        courseId: course.id,
+        cohortId: cohort && cohort.id,
+        hour: args.includes('--off') ? null : parseInt(hour, 10)
+      })
+      const target = cohort ? `потоку "${cohort.name}"` : `курсу ${course.slug}`
+      console.log(args.includes('--off')
+        ? `✅ Автоматичну розсилку для ${target} вимкнено${cohort ? ' (діє налаштування курсу)' : ''}`
+        : `✅ Автоматична розсилка для ${target}: о ${hour}:00 за часовим поясом курсу, щойно урок відкриється`)
+      break
+    }
+
+    case 'set-language': {
+      const course = await resolveCourse(args)
+      const language = getFlag(args, '--lang')
+      if (!isLanguage(language)) {
+        throw new Error(`--lang має бути одним з: ${LANGUAGES.join(', ')}`)
+      }
+      await setDefaultLanguage(course.id, language)
+      console.log(`✅ Курс ${course.slug}: уроки написані мовою ${language}, переклади на інші мови — командою translate`)
+      break
+    }
+
+    case 'list': {
+      const course = await resolveCourse(args)
+      const versions = await listVersions(course.id)
+      if (!versions.length) {
+        console.log('⚠️  Версій ще немає. Запусти бота, щоб заповнити каталог.')
+        break
+      }
+      console.log(`📚 Версії курсу ${course.slug} (мова уроків: ${course.default_language}):\n`)
+      for (const v of versions) {
+        const status = v.is_published ? '✅ опублікована' : '📝 чернетка'
+        const translations = await listTranslations(v.id)
+        const translated = translations.length
+          ? `, переклади: ${translations.map(tr => `${tr.language} (${tr.lessons_count})`).join(', ')}`
+          : ''
+        console.log(`   v${v.version} — ${status}, уроків: ${v.lessons_count}, учнів: ${v.users_count}${translated}${v.note ? ` (${v.note})` : ''}`)
+      }
+      break
+    }
+
+    case 'draft': {
+      const course = await resolveCourse(args)
+      const from = getFlag(args, '--from')
+      const draft = await createDraftVersion(course.id, from ? toPositiveInt(from, '--from') : undefined)
+      console.log(`✅ Створено чернетку v${draft.version} (id=${draft.id})`)
+      console.log('\n💡 Відредагуй уроки чернетки в БД, наприклад:')
+      console.log(`   UPDATE lesson_materials SET url = '...' WHERE id = ...;`)
+      console.log(`   Після цього: npm run course -- publish ${draft.version} --course ${course.slug}`)
+      break
+    }
+
+    case 'publish': {
+      const course = await resolveCourse(args)
+      const version = await publishVersion(course.id, toPositiveInt(args[0], 'publish N'))
+      console.log(`✅ Версію v${version.version} опубліковано. Нові учні отримуватимуть її.`)
+      break
+    }
+
+    case 'migrate': {
+      const course = await resolveCourse(args)
+      const from = toPositiveInt(getFlag(args, '--from'), '--from')
+      const to = toPositiveInt(getFlag(args, '--to'), '--to')
+      const count = await migrateEnrollments(course.id, from, to)
+      console.log(`✅ Перенесено учнів з v${from} на v${to}: ${count}`)
+      break
+    }
+
+    case 'import': {
+      const course = await resolveCourse(args)
+      const file = getFlag(args, '--file')
+      if (!file) {
+        throw new Error(`Вкажи --file з контентом курсу (${CONTENT_FORMATS.join(', ')})`)
+      }
+      const format = getFlag(args, '--format') || detectFormat(file)
+      if (!CONTENT_FORMATS.includes(format)) {
+        throw new Error(`Не вдалося визначити формат файлу: вкажи --format ${CONTENT_FORMATS.join('|')}`)
+      }
+
+      const content = parseCourseContent(fs.readFileSync(file, 'utf8'), format)
+      const { errors, warnings } = validateCourseContent(content)
+      if (args.includes('--check-links')) {
+        warnings.push(...await checkLinks(content))
+      }
+      warnings.forEach(warning => console.log(`   ⚠️  ${warning}`))
+      if (errors.length) {
+        errors.forEach(error => console.error(`   ❌ ${error}`))
+        throw new Error('Файл містить помилки, нічого не імпортовано')
+      }
+
+      // Порівняння з опублікованою версією — до створення чернетки
+      const published = await getPublishedVersion(course.id)
+      const current = published ? (await getCourseContent(published.id)).lessons : []
+      const changes = diffCourseContent(current, content)
+      console.log(`\n📋 Зміни відносно ${published ? `v${published.version}` : 'порожнього курсу'} (уроків у файлі: ${content.lessons.length}):`)
+      changes.forEach(change => console.log(`   ${formatChange(change)}`))
+      if (!changes.length) {
+        console.log('   змін немає')
+      }
+      const translations = published ? await listTranslations(published.id) : []
+      if (translations.length) {
+        console.log(`\n🌐 Переклади перенесуться за номером уроку: ${translations.map(tr => `${tr.language} (${tr.lessons_count})`).join(', ')}. Перевір переклади змінених уроків (translate).`)
+      }
+
+      if (args.includes('--dry-run')) {
+        console.log('\n💡 Перевірка без запису. Щоб створити чернетку, запусти команду без --dry-run')
+        break
+      }
+
+      const draft = await createVersionFromContent(course.id, content.lessons, `Імпорт з ${path.basename(file)}`)
+      console.log(`\n✅ Створено чернетку v${draft.version} (id=${draft.id}) з ${content.lessons.length} уроків`)
+
+      if (!args.includes('--publish')) {
+        console.log(`💡 Після перевірки: npm run course -- publish ${draft.version} --course ${course.slug}`)
+      } else if (warnings.length) {
+        console.log(`⚠️  Є попередження — чернетку не опубліковано. Виправ файл або опублікуй вручну: npm run course -- publish ${draft.version} --course ${course.slug}`)
+      } else {
+        await publishVersion(course.id, draft.version)
+        console.log(`✅ Версію v${draft.version} опубліковано. Нові учні отримуватимуть її.`)
+      }
+      break
+    }
+
+    case 'export': {
+      const course = await resolveCourse(args)
+      const out = getFlag(args, '--out')
+      const format = getFlag(args, '--format') || detectFormat(out) || 'yaml'
+      if (!CONTENT_FORMATS.includes(format)) {
+        throw new Error(`--format має бути одним з: ${CONTENT_FORMATS.join(', ')}`)
+      }
+
+      const versionFlag = getFlag(args, '--version')
+      const version = versionFlag
+        ? await getVersion(course.id, toPositiveInt(versionFlag, '--version'))
+        : await getPublishedVersion(course.id)
+      if (!version) {
+        throw new Error('Версію не знайдено')
+      }
+
+      const content = await getCourseContent(version.id)
+      const output = serializeCourseContent({ title: course.title, ...content }, format)
+      if (!out) {
+        process.stdout.write(output)
+        break
+      }
+      fs.writeFileSync(out, output, 'utf8')
+      console.log(`✅ Курс ${course.slug} v${version.version} (${content.lessons.length} уроків) збережено в ${out}`)
+      break
+    }
+
+    case 'set-quiz': {
+      const course = await resolveCourse(args)
+      const lessonNumber = toPositiveInt(getFlag(args, '--lesson'), '--lesson')
+      const file = getFlag(args, '--file')
+      if (!file) {
+        throw new Error('Вкажи --file з описом тесту (JSON)')
+      }
+
+      const versionFlag = getFlag(args, '--version')
+      const version = await getEditableVersion(course.id, versionFlag && toPositiveInt(versionFlag, '--version'))
+
+      const definition = JSON.parse(fs.readFileSync(file, 'utf8'))
+      const errors = validateQuizDefinition(definition)
+      if (errors.length) {
+        errors.forEach(error => console.error(`   ❌ ${error}`))
+        throw new Error('Опис тесту містить помилки')
+      }
+
+      const lessonResult = await pool.query(
+        'SELECT id, title FROM lessons WHERE course_version_id = $1 AND position = $2',
+        [version.id, lessonNumber]
+      )
+      if (!lessonResult.rows.length) {
+        throw new Error(`Урок ${lessonNumber} не знайдено у версії v${version.version}`)
+      }
+
+      await withTransaction(client => saveQuiz(client, lessonResult.rows[0].id, definition))
+      console.log(`✅ Тест до уроку "${lessonResult.rows[0].title}" (v${version.version}) збережено: ${definition.questions.length} питань`)
+      break
+    }
+
+    case 'set-exam': {
+      const course = await resolveCourse(args)
+      const file = getFlag(args, '--file')
+      if (!file) {
+        throw new Error('Вкажи --file з описом екзамену (YAML або JSON)')
+      }
+
+      const source = fs.readFileSync(file, 'utf8')
+      const definition = file.endsWith('.json') ? JSON.parse(source) : yaml.load(source)
+      const errors = validateExamDefinition(definition)
+      if (errors.length) {
+        errors.forEach(error => console.error(`   ❌ ${error}`))
+        throw new Error('Опис екзамену містить помилки')
+      }
+
+      // Екзамен має охоплювати всі уроки опублікованої версії
+      const published = await getPublishedVersion(course.id)
+      if (published) {
+        const lessons = await pool.query('SELECT position FROM lessons WHERE course_version_id = $1 ORDER BY position', [published.id])
+        const covered = new Set(definition.topics.map(topic => topic.lesson))
+        const missing = lessons.rows.map(lesson => lesson.position).filter(position => !covered.has(position))
+        if (missing.length) {
+          console.log(`   ⚠️  Немає тем для уроків: ${missing.join(', ')}`)
+        }
+      }
+
+      const exam = await withTransaction(client => saveExam(client, course.id, definition))
+      const questions = definition.topics.reduce((sum, topic) => sum + (topic.draw || topic.questions.length), 0)
+      const poolSize = definition.topics.reduce((sum, topic) => sum + topic.questions.length, 0)
+      console.log(`✅ Екзамен курсу ${course.slug} збережено: тем ${definition.topics.length}, питань у спробі ${questions} з ${poolSize}, ` +
+        `${exam.time_limit_minutes} хв, спроб: ${exam.max_attempts}, прохідний бал ${exam.pass_mark}%`)
+      break
+    }
+
+    case 'exam': {
+      const course = await resolveCourse(args)
+      const exam = await getExam(course.id)
+      if (!exam) {
+        console.log(`⚠️  У курсу ${course.slug} немає екзамену. Завантаж його: npm run course -- set-exam --file exam.yaml --course ${course.slug}`)
+        break
+      }
+
+      console.log(`🎓 Екзамен курсу ${course.slug}${exam.title ? ` «${exam.title}»` : ''} — ${exam.is_active ? '✅ увімкнено' : '⏸ вимкнено'}`)
+      console.log(`   ${exam.time_limit_minutes} хв, спроб: ${exam.max_attempts}, прохідний бал ${exam.pass_mark}%\n`)
+      for (const topic of await getExamTopics(exam.id)) {
+        console.log(`   ${topic.position}. ${topic.title}${topic.lesson_position ? ` (урок ${topic.lesson_position})` : ''} — ${topic.draw_count} з ${topic.pool_size}`)
+      }
+      break
+    }
+
+    case 'exam-on':
+    case 'exam-off': {
+      const course = await resolveCourse(args)
+      const exam = await setExamActive(course.id, command === 'exam-on')
+      if (!exam) {
+        throw new Error(`У курсу ${course.slug} немає екзамену`)
+      }
+      console.log(`✅ Екзамен курсу ${course.slug} ${exam.is_active ? 'увімкнено' : 'вимкнено'}`)
+      break
+    }
+
+    case 'translate': {
+      const course = await resolveCourse(args)
+      const lessonNumber = toPositiveInt(getFlag(args, '--lesson'), '--lesson')
+      const language = getFlag(args, '--lang')
+      if (!isLanguage(language)) {
+        throw new Error(`--lang має бути одним з: ${LANGUAGES.join(', ')}`)
+      }
+      if (language === course.default_language) {
+        throw new Error(`${language} — мова курсу ${course.slug}, редагуй сам урок`)
+      }
+      const file = getFlag(args, '--file')
+      if (!file) {
+        throw new Error('Вкажи --file з перекладом уроку (JSON: title, text, homeworkText, additionalText)')
+      }
+
+      const versionFlag = getFlag(args, '--version')
+      const version = await getEditableVersion(course.id, versionFlag && toPositiveInt(versionFlag, '--version'))
+
+      const translation = JSON.parse(fs.readFileSync(file, 'utf8'))
+      if (!translation.title && !translation.text && !translation.homeworkText && !translation.additionalText) {
+        throw new Error('Переклад порожній: потрібне хоча б одне з полів title, text, homeworkText, additionalText')
+      }
+
+      const lessonResult = await pool.query(
+        'SELECT id, title FROM lessons WHERE course_version_id = $1 AND position = $2',
+        [version.id, lessonNumber]
+      )
+      if (!lessonResult.rows.length) {
+        throw new Error(`Урок ${lessonNumber} не знайдено у версії v${version.version}`)
+      }
+
+      await saveTranslation(lessonResult.rows[0].id, language, translation)
+      console.log(`✅ Переклад (${language}) уроку "${lessonResult.rows[0].title}" (v${version.version}) збережено`)
+      break
+    }
+
+    case 'attach': {
+      const course = await resolveCourse(args)
+      const lessonNumber = toPositiveInt(getFlag(args, '--lesson'), '--lesson')
+      const kind = getFlag(args, '--kind')
+      if (!ATTACHMENT_KINDS.includes(kind)) {
+        throw new Error(`--kind має бути одним з: ${ATTACHMENT_KINDS.join(', ')}`)
+      }
+      const url = getFlag(args, '--url')
+      if (!url || !/^https?:\/\//.test(url)) {
+        throw new Error('Вкажи --url (http:// або https://) — Telegram завантажить файл при першій відправці')
+      }
+
+      const versionFlag = getFlag(args, '--version')
+      const version = await getEditableVersion(course.id, versionFlag && toPositiveInt(versionFlag, '--version'))
+
+      const lessonResult = await pool.query(
+        'SELECT id, title FROM lessons WHERE course_version_id = $1 AND position = $2',
+        [version.id, lessonNumber]
+      )
+      if (!lessonResult.rows.length) {
+        throw new Error(`Урок ${lessonNumber} не знайдено у версії v${version.version}`)
+      }
+
+      const attachment = await addAttachment(lessonResult.rows[0].id, {
+        kind,
+        sourceUrl: url,
+        caption: getFlag(args, '--caption')
+      })
+      console.log(`✅ Вкладення #${attachment.id} (${kind}) додано до уроку "${lessonResult.rows[0].title}" (v${version.version})`)
+      break
+    }
+
+    case 'reminders': {
+      const rules = await listRules()
+      console.log('🔔 Правила нагадувань:\n')
+      rules.forEach(r => {
+        const quiet = r.quiet_from !== null ? `, тиша ${r.quiet_from}–${r.quiet_to}` : ''
+        console.log(`   #${r.id} ${r.is_active ? '✅' : '⏸'} ${r.after_days} дн. → ${r.target === 'curator' ? 'куратору' : 'учню'}` +
+          ` (${r.course_slug || 'всі курси'}${quiet}): ${r.template}`)
+      })
+      if (!rules.length) {
+        console.log('   —')
+      }
+      break
+    }
+
+    case 'add-reminder': {
+      const afterDays = toPositiveInt(getFlag(args, '--days'), '--days')
+      const template = getFlag(args, '--text')
+      if (!template) {
+        throw new Error('Вкажи --text (можна {name}, {user}, {course}, {lesson}, {days})')
+      }
+
+      const quiet = getFlag(args, '--quiet')
+      const quietMatch = quiet ? /^(\d{1,2})-(\d{1,2})$/.exec(quiet) : null
+      if (quiet && (!quietMatch || parseInt(quietMatch[1], 10) > 23 || parseInt(quietMatch[2], 10) > 23)) {
+        throw new Error('--quiet має бути у форматі ГОДИНА-ГОДИНА, наприклад 22-9')
+      }
+
+      const course = getFlag(args, '--course') ? await resolveCourse(args) : null
+      const rule = await createRule({
+        courseId: course && course.id,
+        afterDays,
+        target: args.includes('--curator') ? 'curator' : 'learner',
+        template,
+        quietFrom: quietMatch ? parseInt(quietMatch[1], 10) : null,
+        quietTo: quietMatch ? parseInt(quietMatch[2], 10) : null
+      })
+      console.log(`✅ Правило #${rule.id} створено: ${rule.after_days} дн. без прогресу → ${rule.target === 'curator' ? 'куратору' : 'учню'}`)
+      break
+    }
+
+    case 'reminder-on':
+    case 'reminder-off': {
+      const rule = await setRuleActive(toPositiveInt(args[0], 'ID правила'), command === 'reminder-on')
+      if (!rule) {
+        throw new Error('Правило не знайдено')
+      }
+      console.log(`✅ Правило #${rule.id} ${rule.is_active ? 'увімкнено' : 'вимкнено'}`)
+      break
+    }
+
+    case 'remove-reminder': {
+      if (!(await deleteRule(toPositiveInt(args[0], 'ID правила')))) {
+        throw new Error('Правило не знайдено')
+      }
+      console.log('✅ Правило видалено')
+      break
+    }
+
+    case 'replay': {
+      const course = await resolveCourse(args)
+      const mismatches = await findProgressMismatches(course.id)
+      if (!mismatches.length) {
+        console.log(`✅ Прогрес учнів курсу ${course.slug} збігається з журналом подій`)
+        break
+      }
+
+      console.log(`⚠️  Розбіжності з журналом подій (${course.slug}):\n`)
+      mismatches.forEach(({ enrollment, replayed }) => {
+        console.log(`   ${enrollment.telegram_id}: урок ${enrollment.current_lesson} (${enrollment.last_lesson_date || '—'})` +
+          ` → за журналом ${replayed.current_lesson} (${replayed.last_lesson_date || '—'})`)
+      })
+
+      if (!args.includes('--apply')) {
+        console.log(`\n💡 Щоб відновити прогрес з журналу: npm run course -- replay --apply --course ${course.slug}`)
+        break
+      }
+      for (const { enrollment, replayed } of mismatches) {
+        await restoreProgress(enrollment.id, replayed)
+      }
+      console.log(`\n✅ Відновлено прогрес: ${mismatches.length}`)
+      break
+    }
+
+    case 'webhooks': {
+      const endpoints = await listEndpoints()
+      console.log('🔗 Вихідні вебхуки:\n')
+      endpoints.forEach(w => {
+        const lessons = w.lessons ? ` (уроки ${w.lessons.join(', ')})` : ''
+        console.log(`   #${w.id} ${w.is_active ? '✅' : '⏸'} ${w.url} — ${w.events.join(', ')}${lessons}, ${w.course_slug || 'всі курси'}`)
+      })
+      if (!endpoints.length) {
+        console.log('   —')
+      }
+      break
+    }
+
+    case 'add-webhook': {
+      const url = getFlag(args, '--url')
+      if (!url || !/^https?:\/\//.test(url)) {
+        throw new Error('Вкажи --url (http:// або https://)')
+      }
+
+      const events = (getFlag(args, '--events') || '').split(',').map(e => e.trim()).filter(Boolean)
+      const unknown = events.filter(e => !WEBHOOK_EVENTS.includes(e))
+      if (!events.length || unknown.length) {
+        throw new Error(`--events: перелік через кому з ${WEBHOOK_EVENTS.join(', ')}`)
+      }
+
+      const lessonsFlag = getFlag(args, '--lessons')
+      const lessons = lessonsFlag ? lessonsFlag.split(',').map(n => toPositiveInt(n, '--lessons')) : null
+      const course = getFlag(args, '--course') ? await resolveCourse(args) : null
+
+      const endpoint = await createEndpoint({ url, events, lessons, courseId: course && course.id })
+      console.log(`✅ Вебхук #${endpoint.id} створено: ${endpoint.url}`)
+      console.log(`🔐 Секрет підпису (X-Webhook-Signature): ${endpoint.secret}`)
+      break
+    }
+
+    case 'webhook-on':
+    case 'webhook-off': {
+      const endpoint = await setEndpointActive(toPositiveInt(args[0], 'ID вебхука'), command === 'webhook-on')
+      if (!endpoint) {
+        throw new Error('Вебхук не знайдено')
+      }
+      console.log(`✅ Вебхук #${endpoint.id} ${endpoint.is_active ? 'увімкнено' : 'вимкнено'}`)
+      break
+    }
+
+    case 'remove-webhook': {
+      if (!(await deleteEndpoint(toPositiveInt(args[0], 'ID вебхука')))) {
+        throw new Error('Вебхук не знайдено')
+      }
+      console.log('✅ Вебхук видалено разом з журналом доставок')
+      break
+    }
+
+    case 'webhook-log': {
+      const endpointFlag = getFlag(args, '--endpoint')
+      const deliveries = await listDeliveries({
+        endpointId: endpointFlag ? toPositiveInt(endpointFlag, '--endpoint') : null,
+        status: getFlag(args, '--status') || null,
+        limit: 50
+      })
+      console.log('📜 Доставки вебхуків (нові спочатку):\n')
+      const icons = { pending: '⏳', delivered: '✅', failed: '❌' }
+      deliveries.forEach(d => {
+        const time = new Date(d.created_at).toISOString().slice(0, 16).replace('T', ' ')
+        const details = d.status === 'delivered' ? `HTTP ${d.response_status}` : d.last_error || 'ще не надсилався'
+        console.log(`   #${d.id} ${icons[d.status]} ${time} ${d.event_type} → ${d.url}, спроб ${d.attempts}: ${details}`)
+      })
+      if (!deliveries.length) {
+        console.log('   —')
+      }
+      break
+    }
+
+    case 'retry-webhooks': {
+      const endpointFlag = getFlag(args, '--endpoint')
+      const count = await retryFailedDeliveries(endpointFlag ? toPositiveInt(endpointFlag, '--endpoint') : null)
+      console.log(`✅ Повернуто в чергу доставок: ${count}`)
+      break
+    }
+
+    default:
+      console.log('Використання:')
+      console.log('   node manage-course.js courses')
+      console.log('   node manage-course.js create-course --slug SLUG --title "Назва"')
+      console.log('   node manage-course.js cohorts [--course SLUG]')
+      console.log('   node manage-course.js create-cohort --name "Назва" [--starts YYYY-MM-DD] [--course SLUG]')
+      console.log('   node manage-course.js set-unlock [--days N] [--hour H] [--timezone TZ] [--cohort НАЗВА] [--course SLUG]')
+      console.log('   node manage-course.js set-homework on|off [--course SLUG]')
+      console.log('   node manage-course.js set-delivery --hour H|--off [--cohort НАЗВА] [--course SLUG]')
+      console.log('   node manage-course.js set-language --lang ru|uk|en|ka [--course SLUG]')
+      console.log('   node manage-course.js list [--course SLUG]')
+      console.log('   node manage-course.js draft [--from N] [--course SLUG]')
+      console.log('   node manage-course.js publish N [--course SLUG]')
+      console.log('   node manage-course.js migrate --from N --to M [--course SLUG]')
+      console.log('   node manage-course.js import --file course.yaml|json|csv [--dry-run] [--check-links] [--publish] [--course SLUG]')
+      console.log('   node manage-course.js export [--format yaml|json|csv] [--out ФАЙЛ] [--version V] [--course SLUG]')
+      console.log('   node manage-course.js set-quiz --lesson N --file quiz.json [--version V] [--course SLUG]')
+      console.log('   node manage-course.js set-exam --file exam.yaml|json [--course SLUG]')
+      console.log('   node manage-course.js exam|exam-on|exam-off [--course SLUG]')
+      console.log('   node manage-course.js translate --lesson N --lang uk|en|ka --file lesson.json [--version V] [--course SLUG]')
+      console.log('   node manage-course.js attach --lesson N --kind video|video_note|audio|voice|document|photo|animation --url URL [--caption "..."] [--version V] [--course SLUG]')
+      console.log('   node manage-course.js reminders')
+      console.log('   node manage-course.js add-reminder --days N --text "..." [--curator] [--quiet 22-9] [--course SLUG]')
+      console.log('   node manage-course.js reminder-on|reminder-off|remove-reminder ID')
+      console.log('   node manage-course.js replay [--apply] [--course SLUG]')
+      console.log('   node manage-course.js webhooks')
+      console.log('   node manage-course.js add-webhook --url URL --events code_activated,lesson_reached,course_completed,homework_approved,exam_passed [--lessons 3,5] [--course SLUG]')
+      console.log('   node manage-course.js webhook-on|webhook-off|remove-webhook ID')
+      console.log('   node manage-course.js webhook-log [--endpoint ID] [--status pending|delivered|failed]')
+      console.log('   node manage-course.js retry-webhooks [--endpoint ID]')
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Помилка:', err.message)
+    process.exitCode = 1
+  })
+  .finally(() => pool.end())
@@ -0,0 +1,86 @@
+require('dotenv').config()
+const { pool } = require('./lib/db')
+const { migrate, rollback, getMigrationStatus, createMigration } = require('./lib/migrate')
+
+// Міграції схеми БД (бот також застосовує їх при запуску):
+//   node migrate.js [up] [--to N]              — застосувати незастосовані міграції
+//   node migrate.js down [--steps N | --to N]  — відкотити останні міграції (за замовчуванням одну)
+//   node migrate.js status                     — стан міграцій
+//   node migrate.js create назва               — новий файл migrations/NNN_назва.js
+
+function getFlag(args, name) {
+  const index = args.indexOf(name)
+  return index !== -1 ? args[index + 1] : undefined
+}
+
+function toVersion(value, label) {
+  const number = parseInt(value, 10)
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${label} має бути невід'ємним числом`)
+  }
+  return number
+}
+
+function toSteps(value) {
+  const number = parseInt(value, 10)
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error('--steps має бути додатним числом')
+  }
+  return number
+}
+
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2)
+
+  switch (command) {
+    case 'up': {
+      const toFlag = getFlag(args, '--to')
+      const applied = await migrate({ to: toFlag === undefined ? undefined : toVersion(toFlag, '--to') })
+      console.log(applied.length ? `✅ Застосовано міграцій: ${applied.length}` : '✅ Схема БД актуальна')
+      break
+    }
+
+    case 'down': {
+      const toFlag = getFlag(args, '--to')
+      const stepsFlag = getFlag(args, '--steps')
+      const rolledBack = await rollback({
+        to: toFlag === undefined ? undefined : toVersion(toFlag, '--to'),
+        steps: stepsFlag === undefined ? 1 : toSteps(stepsFlag)
+      })
+      console.log(rolledBack.length ? `✅ Відкочено міграцій: ${rolledBack.length}` : 'Немає міграцій для відкату')
+      break
+    }
+
+    case 'status': {
+      const status = await getMigrationStatus()
+      console.log('🗄 Міграції схеми БД:\n')
+      status.forEach(m => {
+        const state = m.appliedAt
+          ? `✅ ${m.appliedAt.toISOString().slice(0, 16).replace('T', ' ')}`
+          : '⏳ очікує'
+        console.log(`   ${String(m.version).padStart(3, '0')} ${m.name} — ${state}${m.file ? '' : ' (файл відсутній)'}`)
+      })
+      break
+    }
+
+    case 'create': {
+      const file = createMigration(args[0])
+      console.log(`✅ Створено ${file}`)
+      break
+    }
+
+    default:
+      console.log('Використання:')
+      console.log('   node migrate.js [up] [--to N]')
+      console.log('   node migrate.js down [--steps N | --to N]')
+      console.log('   node migrate.js status')
+      console.log('   node migrate.js create назва')
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Помилка:', err.message)
+    process.exitCode = 1
+  })
+  .finally(() => pool.end())
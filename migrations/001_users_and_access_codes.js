@@ -0,0 +1,80 @@
+// Користувачі та одноразові коди доступу (початкова схема бота).
+// Як і всі міграції, написана так, щоб на БД, створеній до появи міграцій,
+// вже наявні таблиці та колонки пропускались.
+module.exports = {
+  async up(db) {
+    // Створюємо таблицю users
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        telegram_id BIGINT UNIQUE NOT NULL,
+        has_access BOOLEAN DEFAULT FALSE,
+        current_lesson INTEGER DEFAULT 1,
+        last_lesson_date DATE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `)
+
+    // Створюємо індекс
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_users_telegram_id ON users(telegram_id)
+    `)
+
+    // Створюємо функцію для updated_at
+    await db.query(`
+      CREATE OR REPLACE FUNCTION update_updated_at_column()
+      RETURNS TRIGGER AS $$
+      BEGIN
+          NEW.updated_at = NOW();
+          RETURN NEW;
+      END;
+      $$ language 'plpgsql'
+    `)
+
+    // Створюємо тригер
+    await db.query(`
+      DROP TRIGGER IF EXISTS update_users_updated_at ON users;
+      CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
+          FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
+    `)
+
+    // has_access у БД, створених старим database.sql
+    await db.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS has_access BOOLEAN DEFAULT FALSE
+    `)
+
+    // Створюємо індекс для has_access
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_users_has_access ON users(has_access)
+    `)
+
+    // Створюємо таблицю access_codes для одноразових кодів
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS access_codes (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) UNIQUE NOT NULL,
+        is_used BOOLEAN DEFAULT FALSE,
+        used_by_telegram_id BIGINT,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `)
+
+    // Створюємо індекси для access_codes
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_access_codes_code ON access_codes(code)
+    `)
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_access_codes_used ON access_codes(is_used)
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP TABLE IF EXISTS access_codes CASCADE;
+      DROP TABLE IF EXISTS users CASCADE;
+      DROP FUNCTION IF EXISTS update_updated_at_column()
+    `)
+  }
+}
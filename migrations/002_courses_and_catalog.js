@@ -0,0 +1,79 @@
+// Курси та каталог уроків: версії контенту, уроки, матеріали
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS courses (
+        id SERIAL PRIMARY KEY,
+        slug VARCHAR(50) UNIQUE NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `)
+
+    // Створюємо таблиці каталогу уроків (версії контенту, уроки, матеріали)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS course_versions (
+        id SERIAL PRIMARY KEY,
+        course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        is_published BOOLEAN DEFAULT FALSE,
+        published_at TIMESTAMP,
+        note TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `)
+
+    // Номер версії унікальний в межах курсу
+    await db.query(`
+      ALTER TABLE course_versions ADD COLUMN IF NOT EXISTS course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE
+    `)
+    await db.query(`
+      ALTER TABLE course_versions DROP CONSTRAINT IF EXISTS course_versions_version_key
+    `)
+    await db.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_course_versions_course_version ON course_versions(course_id, version)
+    `)
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS lessons (
+        id SERIAL PRIMARY KEY,
+        course_version_id INTEGER NOT NULL REFERENCES course_versions(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        text TEXT NOT NULL,
+        homework_url TEXT,
+        homework_text TEXT,
+        additional_text TEXT,
+        UNIQUE (course_version_id, position)
+      )
+    `)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS lesson_materials (
+        id SERIAL PRIMARY KEY,
+        lesson_id INTEGER NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        url TEXT NOT NULL
+      )
+    `)
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_lesson_materials_lesson ON lesson_materials(lesson_id)
+    `)
+
+    // Версія курсу, на якій навчався користувач до появи enrollments
+    await db.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS course_version_id INTEGER REFERENCES course_versions(id)
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE users DROP COLUMN IF EXISTS course_version_id;
+      DROP TABLE IF EXISTS lesson_materials;
+      DROP TABLE IF EXISTS lessons CASCADE;
+      DROP TABLE IF EXISTS course_versions CASCADE;
+      DROP TABLE IF EXISTS courses CASCADE
+    `)
+  }
+}
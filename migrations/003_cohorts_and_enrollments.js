@@ -0,0 +1,63 @@
+// Потоки курсів, прив'язка кодів до курсу та записи на курси
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS cohorts (
+        id SERIAL PRIMARY KEY,
+        course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        starts_on DATE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (course_id, name)
+      )
+    `)
+
+    // Код доступу відкриває конкретний курс і (за бажанням) потік
+    await db.query(`
+      ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS course_id INTEGER REFERENCES courses(id)
+    `)
+    await db.query(`
+      ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS cohort_id INTEGER REFERENCES cohorts(id)
+    `)
+
+    // Створюємо таблицю записів на курси — прогрес ведеться окремо для кожного курсу
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS enrollments (
+        id SERIAL PRIMARY KEY,
+        telegram_id BIGINT NOT NULL REFERENCES users(telegram_id) ON DELETE CASCADE,
+        course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+        cohort_id INTEGER REFERENCES cohorts(id) ON DELETE SET NULL,
+        course_version_id INTEGER REFERENCES course_versions(id),
+        access_code_id INTEGER REFERENCES access_codes(id),
+        current_lesson INTEGER DEFAULT 1,
+        last_lesson_date DATE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (telegram_id, course_id)
+      )
+    `)
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_enrollments_course ON enrollments(course_id, cohort_id)
+    `)
+    await db.query(`
+      DROP TRIGGER IF EXISTS update_enrollments_updated_at ON enrollments;
+      CREATE TRIGGER update_enrollments_updated_at BEFORE UPDATE ON enrollments
+          FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
+    `)
+
+    // Курс, з яким зараз працює користувач
+    await db.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS active_course_id INTEGER REFERENCES courses(id)
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE users DROP COLUMN IF EXISTS active_course_id;
+      DROP TABLE IF EXISTS enrollments CASCADE;
+      ALTER TABLE access_codes DROP COLUMN IF EXISTS cohort_id;
+      ALTER TABLE access_codes DROP COLUMN IF EXISTS course_id;
+      DROP TABLE IF EXISTS cohorts CASCADE
+    `)
+  }
+}
@@ -0,0 +1,30 @@
+// Політика відкриття уроків курсу/потоку та тестовий режим
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE courses ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) DEFAULT 'Asia/Tbilisi';
+      ALTER TABLE courses ADD COLUMN IF NOT EXISTS unlock_days INTEGER DEFAULT 1;
+      ALTER TABLE courses ADD COLUMN IF NOT EXISTS unlock_hour INTEGER DEFAULT 0;
+      ALTER TABLE cohorts ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+      ALTER TABLE cohorts ADD COLUMN IF NOT EXISTS unlock_days INTEGER;
+      ALTER TABLE cohorts ADD COLUMN IF NOT EXISTS unlock_hour INTEGER
+    `)
+
+    // Тестовий режим: адмін вмикає його користувачу, щоб уроки відкривались без очікування
+    await db.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS test_mode BOOLEAN DEFAULT FALSE
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE users DROP COLUMN IF EXISTS test_mode;
+      ALTER TABLE cohorts DROP COLUMN IF EXISTS unlock_hour;
+      ALTER TABLE cohorts DROP COLUMN IF EXISTS unlock_days;
+      ALTER TABLE cohorts DROP COLUMN IF EXISTS timezone;
+      ALTER TABLE courses DROP COLUMN IF EXISTS unlock_hour;
+      ALTER TABLE courses DROP COLUMN IF EXISTS unlock_days;
+      ALTER TABLE courses DROP COLUMN IF EXISTS timezone
+    `)
+  }
+}
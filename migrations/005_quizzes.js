@@ -0,0 +1,58 @@
+// Тести до уроків: тести, питання та спроби учнів
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS quizzes (
+        id SERIAL PRIMARY KEY,
+        lesson_id INTEGER UNIQUE NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+        title VARCHAR(255),
+        pass_mark INTEGER DEFAULT 70,
+        is_required BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS quiz_questions (
+        id SERIAL PRIMARY KEY,
+        quiz_id INTEGER NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        kind VARCHAR(20) NOT NULL CHECK (kind IN ('single', 'multiple', 'text')),
+        prompt TEXT NOT NULL,
+        options JSONB DEFAULT '[]',
+        correct JSONB NOT NULL,
+        points INTEGER DEFAULT 1
+      )
+    `)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS quiz_attempts (
+        id SERIAL PRIMARY KEY,
+        quiz_id INTEGER NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+        telegram_id BIGINT NOT NULL REFERENCES users(telegram_id) ON DELETE CASCADE,
+        enrollment_id INTEGER REFERENCES enrollments(id) ON DELETE CASCADE,
+        current_question INTEGER DEFAULT 0,
+        answers JSONB DEFAULT '[]',
+        selection JSONB DEFAULT '[]',
+        score INTEGER,
+        max_score INTEGER,
+        percent INTEGER,
+        passed BOOLEAN,
+        started_at TIMESTAMP DEFAULT NOW(),
+        finished_at TIMESTAMP
+      )
+    `)
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_quiz_questions_quiz ON quiz_questions(quiz_id, position)
+    `)
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user ON quiz_attempts(telegram_id, quiz_id)
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP TABLE IF EXISTS quiz_attempts;
+      DROP TABLE IF EXISTS quiz_questions;
+      DROP TABLE IF EXISTS quizzes
+    `)
+  }
+}
@@ -0,0 +1,48 @@
+// Домашні завдання: здачі учнів, вердикти менторів, обов'язковість ДЗ для курсу
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS homework_submissions (
+        id SERIAL PRIMARY KEY,
+        telegram_id BIGINT NOT NULL REFERENCES users(telegram_id) ON DELETE CASCADE,
+        enrollment_id INTEGER NOT NULL REFERENCES enrollments(id) ON DELETE CASCADE,
+        course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+        lesson_position INTEGER NOT NULL,
+        kind VARCHAR(20) NOT NULL CHECK (kind IN ('text', 'document', 'photo', 'voice')),
+        content TEXT,
+        file_id TEXT,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'changes_requested')),
+        mentor_chat_id BIGINT,
+        mentor_message_id INTEGER,
+        reviewer_telegram_id BIGINT,
+        review_comment TEXT,
+        reviewed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `)
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_homework_submissions_enrollment ON homework_submissions(enrollment_id, lesson_position)
+    `)
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_homework_submissions_status ON homework_submissions(status)
+    `)
+
+    // Очікувана від користувача дія (наприклад, відповідь на /homework)
+    await db.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_action VARCHAR(100)
+    `)
+
+    // Курс може вимагати схвалення ДЗ ментором перед наступним уроком
+    await db.query(`
+      ALTER TABLE courses ADD COLUMN IF NOT EXISTS homework_required BOOLEAN DEFAULT FALSE
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE courses DROP COLUMN IF EXISTS homework_required;
+      ALTER TABLE users DROP COLUMN IF EXISTS pending_action;
+      DROP TABLE IF EXISTS homework_submissions
+    `)
+  }
+}
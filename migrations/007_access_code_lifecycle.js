@@ -0,0 +1,49 @@
+// Життєвий цикл кодів доступу: термін дії, кількість активацій, відкликання, мітки
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS expires_on DATE;
+      ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS max_uses INTEGER DEFAULT 1;
+      ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS uses_count INTEGER DEFAULT 0;
+      ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+      ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS label VARCHAR(100);
+      ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS created_by BIGINT
+    `)
+    // Коди, використані до появи лічильника
+    await db.query(`
+      UPDATE access_codes SET uses_count = 1 WHERE is_used = TRUE AND uses_count = 0
+    `)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS code_redemptions (
+        id SERIAL PRIMARY KEY,
+        access_code_id INTEGER NOT NULL REFERENCES access_codes(id) ON DELETE CASCADE,
+        telegram_id BIGINT NOT NULL,
+        redeemed_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (access_code_id, telegram_id)
+      )
+    `)
+    await db.query(`
+      INSERT INTO code_redemptions (access_code_id, telegram_id, redeemed_at)
+      SELECT id, used_by_telegram_id, COALESCE(used_at, NOW())
+      FROM access_codes
+      WHERE is_used = TRUE AND used_by_telegram_id IS NOT NULL
+      ON CONFLICT (access_code_id, telegram_id) DO NOTHING
+    `)
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_access_codes_label ON access_codes(label)
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP INDEX IF EXISTS idx_access_codes_label;
+      DROP TABLE IF EXISTS code_redemptions;
+      ALTER TABLE access_codes DROP COLUMN IF EXISTS created_by;
+      ALTER TABLE access_codes DROP COLUMN IF EXISTS label;
+      ALTER TABLE access_codes DROP COLUMN IF EXISTS revoked_at;
+      ALTER TABLE access_codes DROP COLUMN IF EXISTS uses_count;
+      ALTER TABLE access_codes DROP COLUMN IF EXISTS max_uses;
+      ALTER TABLE access_codes DROP COLUMN IF EXISTS expires_on
+    `)
+  }
+}
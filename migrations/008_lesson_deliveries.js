@@ -0,0 +1,33 @@
+// Автоматична розсилка уроків: година розсилки та журнал виданих уроків
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE courses ADD COLUMN IF NOT EXISTS delivery_hour INTEGER;
+      ALTER TABLE cohorts ADD COLUMN IF NOT EXISTS delivery_hour INTEGER
+    `)
+    // Журнал виданих уроків (кнопка, /start або розсилка)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS lesson_deliveries (
+        id SERIAL PRIMARY KEY,
+        enrollment_id INTEGER NOT NULL REFERENCES enrollments(id) ON DELETE CASCADE,
+        telegram_id BIGINT NOT NULL,
+        lesson_position INTEGER NOT NULL,
+        source VARCHAR(20) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        sent_at TIMESTAMP,
+        error TEXT
+      )
+    `)
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_lesson_deliveries_enrollment ON lesson_deliveries(enrollment_id, lesson_position)
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP TABLE IF EXISTS lesson_deliveries;
+      ALTER TABLE cohorts DROP COLUMN IF EXISTS delivery_hour;
+      ALTER TABLE courses DROP COLUMN IF EXISTS delivery_hour
+    `)
+  }
+}
@@ -0,0 +1,30 @@
+// Архів попередніх проходжень курсу
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS course_attempts (
+        id SERIAL PRIMARY KEY,
+        enrollment_id INTEGER NOT NULL REFERENCES enrollments(id) ON DELETE CASCADE,
+        telegram_id BIGINT NOT NULL,
+        course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+        course_version_id INTEGER REFERENCES course_versions(id),
+        attempt INTEGER NOT NULL,
+        current_lesson INTEGER NOT NULL,
+        last_lesson_date DATE,
+        lessons_count INTEGER NOT NULL,
+        completed BOOLEAN NOT NULL DEFAULT FALSE,
+        started_at TIMESTAMP,
+        archived_at TIMESTAMP DEFAULT NOW(),
+        reason VARCHAR(20) NOT NULL CHECK (reason IN ('restart', 'reset')),
+        actor_telegram_id BIGINT,
+        UNIQUE (enrollment_id, attempt)
+      )
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP TABLE IF EXISTS course_attempts
+    `)
+  }
+}
@@ -0,0 +1,42 @@
+// Нагадування неактивним учням: правила, журнал відправок та відмова учня
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS reminder_rules (
+        id SERIAL PRIMARY KEY,
+        course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE,
+        after_days INTEGER NOT NULL,
+        target VARCHAR(20) NOT NULL DEFAULT 'learner' CHECK (target IN ('learner', 'curator')),
+        template TEXT NOT NULL,
+        quiet_from INTEGER,
+        quiet_to INTEGER,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS reminder_log (
+        id SERIAL PRIMARY KEY,
+        rule_id INTEGER NOT NULL REFERENCES reminder_rules(id) ON DELETE CASCADE,
+        enrollment_id INTEGER NOT NULL REFERENCES enrollments(id) ON DELETE CASCADE,
+        telegram_id BIGINT NOT NULL,
+        inactive_since DATE NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        sent_at TIMESTAMP,
+        error TEXT,
+        UNIQUE (rule_id, enrollment_id, inactive_since)
+      )
+    `)
+    await db.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS reminders_opt_out BOOLEAN DEFAULT FALSE
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE users DROP COLUMN IF EXISTS reminders_opt_out;
+      DROP TABLE IF EXISTS reminder_log;
+      DROP TABLE IF EXISTS reminder_rules
+    `)
+  }
+}
@@ -0,0 +1,28 @@
+// Журнал подій учня (тільки додавання)
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS learner_events (
+        id BIGSERIAL PRIMARY KEY,
+        telegram_id BIGINT NOT NULL,
+        enrollment_id INTEGER REFERENCES enrollments(id) ON DELETE SET NULL,
+        course_id INTEGER REFERENCES courses(id) ON DELETE SET NULL,
+        type VARCHAR(50) NOT NULL,
+        lesson_position INTEGER,
+        metadata JSONB NOT NULL DEFAULT '{}',
+        actor_telegram_id BIGINT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `)
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_learner_events_user ON learner_events(telegram_id, id);
+      CREATE INDEX IF NOT EXISTS idx_learner_events_enrollment ON learner_events(enrollment_id, id)
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP TABLE IF EXISTS learner_events CASCADE
+    `)
+  }
+}
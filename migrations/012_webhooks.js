@@ -0,0 +1,43 @@
+// Вихідні вебхуки: endpoint'и зовнішніх систем та журнал доставок
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS webhook_endpoints (
+        id SERIAL PRIMARY KEY,
+        url TEXT NOT NULL,
+        secret VARCHAR(64) NOT NULL,
+        events TEXT[] NOT NULL,
+        lessons INTEGER[],
+        course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id BIGSERIAL PRIMARY KEY,
+        endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+        learner_event_id BIGINT REFERENCES learner_events(id) ON DELETE SET NULL,
+        event_type VARCHAR(50) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at TIMESTAMP DEFAULT NOW(),
+        response_status INTEGER,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        delivered_at TIMESTAMP
+      )
+    `)
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP TABLE IF EXISTS webhook_deliveries;
+      DROP TABLE IF EXISTS webhook_endpoints
+    `)
+  }
+}
@@ -0,0 +1,28 @@
+// Вкладення уроків з кешем file_id Telegram
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS lesson_attachments (
+        id SERIAL PRIMARY KEY,
+        lesson_id INTEGER NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        kind VARCHAR(20) NOT NULL CHECK (kind IN ('video', 'video_note', 'audio', 'voice', 'document', 'photo', 'animation')),
+        file_id TEXT,
+        file_unique_id TEXT,
+        source_url TEXT,
+        caption TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        CHECK (file_id IS NOT NULL OR source_url IS NOT NULL)
+      )
+    `)
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_lesson_attachments_lesson ON lesson_attachments(lesson_id, position)
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP TABLE IF EXISTS lesson_attachments
+    `)
+  }
+}
@@ -0,0 +1,17 @@
+// Отримані від Telegram update_id (відсіювання повторних доставок webhook)
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS telegram_updates (
+        update_id BIGINT PRIMARY KEY,
+        received_at TIMESTAMP DEFAULT NOW()
+      )
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP TABLE IF EXISTS telegram_updates
+    `)
+  }
+}
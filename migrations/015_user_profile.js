@@ -0,0 +1,22 @@
+// Профіль Telegram (для пошуку за @username) та роль адміністратора
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS username VARCHAR(64);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS first_name VARCHAR(255);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20)
+    `)
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_users_username ON users(LOWER(username))
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP INDEX IF EXISTS idx_users_username;
+      ALTER TABLE users DROP COLUMN IF EXISTS role;
+      ALTER TABLE users DROP COLUMN IF EXISTS first_name;
+      ALTER TABLE users DROP COLUMN IF EXISTS username
+    `)
+  }
+}
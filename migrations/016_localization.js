@@ -0,0 +1,28 @@
+// Локалізація: мова учня, мова уроків курсу та переклади уроків
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS language VARCHAR(5);
+      ALTER TABLE courses ADD COLUMN IF NOT EXISTS default_language VARCHAR(5) DEFAULT 'ru'
+    `)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS lesson_translations (
+        lesson_id INTEGER NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+        language VARCHAR(5) NOT NULL,
+        title VARCHAR(255),
+        text TEXT,
+        homework_text TEXT,
+        additional_text TEXT,
+        PRIMARY KEY (lesson_id, language)
+      )
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP TABLE IF EXISTS lesson_translations;
+      ALTER TABLE courses DROP COLUMN IF EXISTS default_language;
+      ALTER TABLE users DROP COLUMN IF EXISTS language
+    `)
+  }
+}
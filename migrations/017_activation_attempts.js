@@ -0,0 +1,24 @@
+// Журнал спроб активації кодів (аудит і блокування перебору)
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS activation_attempts (
+        id SERIAL PRIMARY KEY,
+        telegram_id BIGINT NOT NULL,
+        code VARCHAR(64) NOT NULL,
+        access_code_id INTEGER REFERENCES access_codes(id) ON DELETE SET NULL,
+        result VARCHAR(30) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `)
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_activation_attempts_user ON activation_attempts(telegram_id, created_at)
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP TABLE IF EXISTS activation_attempts
+    `)
+  }
+}
@@ -0,0 +1,26 @@
+// Сертифікати про проходження курсу з кодом перевірки
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS certificates (
+        id SERIAL PRIMARY KEY,
+        verification_id VARCHAR(20) UNIQUE NOT NULL,
+        enrollment_id INTEGER UNIQUE REFERENCES enrollments(id) ON DELETE SET NULL,
+        telegram_id BIGINT NOT NULL,
+        course_id INTEGER REFERENCES courses(id) ON DELETE SET NULL,
+        learner_name VARCHAR(255) NOT NULL,
+        course_title VARCHAR(255) NOT NULL,
+        completed_on DATE NOT NULL,
+        file_id TEXT,
+        file_language VARCHAR(5),
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP TABLE IF EXISTS certificates
+    `)
+  }
+}
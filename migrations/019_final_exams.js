@@ -0,0 +1,83 @@
+// Підсумковий екзамен курсу: пули питань за темами, спроби з обмеженням часу та допуск до практики
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS exams (
+        id SERIAL PRIMARY KEY,
+        course_id INTEGER UNIQUE NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+        title VARCHAR(255),
+        time_limit_minutes INTEGER DEFAULT 30,
+        max_attempts INTEGER DEFAULT 3,
+        pass_mark INTEGER DEFAULT 80,
+        is_active BOOLEAN DEFAULT TRUE,
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS exam_topics (
+        id SERIAL PRIMARY KEY,
+        exam_id INTEGER NOT NULL REFERENCES exams(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        lesson_position INTEGER,
+        draw_count INTEGER NOT NULL
+      )
+    `)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS exam_questions (
+        id SERIAL PRIMARY KEY,
+        topic_id INTEGER NOT NULL REFERENCES exam_topics(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        kind VARCHAR(20) NOT NULL CHECK (kind IN ('single', 'multiple', 'text')),
+        prompt TEXT NOT NULL,
+        options JSONB DEFAULT '[]',
+        correct JSONB NOT NULL,
+        points INTEGER DEFAULT 1
+      )
+    `)
+    // questions — знімок питань, витягнутих для спроби (з перемішаними варіантами),
+    // тож зміна пулу не впливає на спроби, що вже почалися
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS exam_attempts (
+        id SERIAL PRIMARY KEY,
+        exam_id INTEGER NOT NULL REFERENCES exams(id) ON DELETE CASCADE,
+        telegram_id BIGINT NOT NULL REFERENCES users(telegram_id) ON DELETE CASCADE,
+        enrollment_id INTEGER REFERENCES enrollments(id) ON DELETE SET NULL,
+        questions JSONB NOT NULL,
+        current_question INTEGER DEFAULT 0,
+        answers JSONB DEFAULT '[]',
+        selection JSONB DEFAULT '[]',
+        status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'finished', 'expired')),
+        score INTEGER,
+        max_score INTEGER,
+        percent INTEGER,
+        passed BOOLEAN,
+        started_at TIMESTAMP DEFAULT NOW(),
+        deadline_at TIMESTAMP NOT NULL,
+        finished_at TIMESTAMP
+      )
+    `)
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_exam_topics_exam ON exam_topics(exam_id, position);
+      CREATE INDEX IF NOT EXISTS idx_exam_questions_topic ON exam_questions(topic_id, position);
+      CREATE INDEX IF NOT EXISTS idx_exam_attempts_user ON exam_attempts(telegram_id, exam_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_exam_attempts_open ON exam_attempts(exam_id, telegram_id) WHERE status = 'in_progress'
+    `)
+    // Допуск до практики та додаткові спроби, видані адміністратором (/examretry)
+    await db.query(`
+      ALTER TABLE enrollments
+        ADD COLUMN IF NOT EXISTS practice_admitted_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS exam_extra_attempts INTEGER DEFAULT 0
+    `)
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE enrollments DROP COLUMN IF EXISTS practice_admitted_at, DROP COLUMN IF EXISTS exam_extra_attempts;
+      DROP TABLE IF EXISTS exam_attempts;
+      DROP TABLE IF EXISTS exam_questions;
+      DROP TABLE IF EXISTS exam_topics;
+      DROP TABLE IF EXISTS exams
+    `)
+  }
+}